@@ -1,2 +1,4 @@
 #!/usr/bin/env node
-import '../src/index.js';
+import { main } from '../src/index.js';
+
+await main(process.argv);
@@ -0,0 +1,408 @@
+import YAML from 'yaml';
+
+export const AHS_ACTION = 'braket.ir.ahs.program';
+
+// ============================================================
+// Units
+// ============================================================
+//
+// AHS programs are in SI units: sites in meters, times in seconds, amplitude,
+// detuning and local detuning in rad/s, phases in radians. Program files may
+// also write a value as a number with a unit ('5.5 um', '4us', '15.8 rad/us');
+// MHz and kHz are cycles per second, i.e. 2π rad/s per Hz.
+
+// unit: [power of ten, factor]
+const UNITS = {
+  length: { m: [0], mm: [-3], um: [-6], 'µm': [-6], 'μm': [-6], nm: [-9] },
+  time: { s: [0], ms: [-3], us: [-6], 'µs': [-6], 'μs': [-6], ns: [-9] },
+  frequency: {
+    'rad/s': [0], 'rad/ms': [3], 'rad/us': [6], 'rad/µs': [6], 'rad/μs': [6],
+    kHz: [3, 2 * Math.PI], MHz: [6, 2 * Math.PI]
+  },
+  angle: { rad: [0] },
+  ratio: {}
+};
+
+const DIMENSION_NAMES = { length: 'a length', time: 'a time', frequency: 'an angular frequency', angle: 'an angle', ratio: 'a plain number' };
+
+// Returns { value } in SI units, or { error }. The power of ten is applied to
+// the decimal text, so '0.1 us' is exactly 1e-7 rather than 0.1 / 1e6.
+function toSi(raw, dimension) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? { value: raw } : { error: `${raw} is not a finite number` };
+  const match = String(raw).trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+))(?:e([-+]?\d+))?\s*(\S*)$/i);
+  if (!match) return { error: `'${raw}' is not a number` };
+  const [, mantissa, exponent = '0', unit] = match;
+  if (!unit) return { value: Number(`${mantissa}e${exponent}`) };
+  const scale = UNITS[dimension][unit];
+  if (scale) {
+    const [power, factor = 1] = scale;
+    return { value: Number(`${mantissa}e${Number(exponent) + power}`) * factor };
+  }
+  const other = Object.keys(UNITS).find(d => UNITS[d][unit]);
+  const allowed = Object.keys(UNITS[dimension]).filter(u => /^[\x20-\x7e]+$/.test(u));
+  return {
+    error: other
+      ? `'${raw}' is ${DIMENSION_NAMES[other]}; expected ${DIMENSION_NAMES[dimension]}${allowed.length ? ` (${allowed.join(', ')})` : ''}`
+      : `unknown unit '${unit}' in '${raw}'${allowed.length ? `; use ${allowed.join(', ')}` : ''}`
+  };
+}
+
+const DISPLAY_UNITS = { length: ['µm', 6], time: ['µs', 6], frequency: ['rad/µs', -6], angle: ['rad', 0], ratio: ['', 0] };
+
+// A SI value in the unit people write AHS programs in (µm, µs, rad/µs)
+export function formatQuantity(value, dimension) {
+  if (value === undefined || value === null) return 'N/A';
+  const [unit, power] = DISPLAY_UNITS[dimension];
+  const shown = power < 0 ? value / 10 ** -power : value * 10 ** power;
+  const text = Math.abs(shown) >= 1e5 ? shown.toExponential(3) : String(Number(shown.toPrecision(6)));
+  return unit ? `${text} ${unit}` : text;
+}
+
+// ============================================================
+// Program files
+// ============================================================
+//
+//   setup:
+//     ahs_register:
+//       sites: [[0, 0], [5.5um, 0], [11um, 0]]
+//       filling: [1, 1, 1]
+//   hamiltonian:
+//     drivingFields:
+//       - amplitude: { pattern: uniform, time_series: { times: [0, 0.1us, 3.9us, 4us], values: [0, 15.8 rad/us, 15.8 rad/us, 0] } }
+//         phase:     { pattern: uniform, time_series: { times: [0, 4us], values: [0, 0] } }
+//         detuning:  { pattern: uniform, time_series: { times: [0, 4us], values: [-20 rad/us, 20 rad/us] } }
+//     localDetuning:             optional; older documents call it shiftingFields
+//       - magnitude: { pattern: [0.5, 1, 0], time_series: { times: [0, 4us], values: [0, 10 rad/us] } }
+//
+// The braketSchemaHeader may be left out. JSON files are read the same way.
+
+const DRIVING_FIELDS = { amplitude: 'frequency', phase: 'angle', detuning: 'frequency' };
+
+export const pathText = (path) => path.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key), '');
+
+// Converts a program document to SI numbers. Problems are collected as
+// { path, message } rather than thrown, so a file reports them all at once.
+function normalizeProgram(document) {
+  const problems = [];
+  const problem = (path, message) => problems.push({ path, message });
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+  const convert = (raw, dimension, path) => {
+    const { value, error } = toSi(raw, dimension);
+    if (error) problem(path, error);
+    return value;
+  };
+
+  const field = (raw, dimension, path) => {
+    if (!isObject(raw)) {
+      problem(path, 'missing (expected { time_series: { times, values }, pattern })');
+      return undefined;
+    }
+    const series = raw.time_series;
+    if (!isObject(series) || !Array.isArray(series.times) || !Array.isArray(series.values)) {
+      problem([...path, 'time_series'], 'expected { times: [...], values: [...] }');
+      return undefined;
+    }
+    const pattern = Array.isArray(raw.pattern)
+      ? raw.pattern.map((v, i) => convert(v, 'ratio', [...path, 'pattern', i]))
+      : raw.pattern ?? 'uniform';
+    if (!Array.isArray(pattern) && pattern !== 'uniform') problem([...path, 'pattern'], `'${pattern}' is not 'uniform' or a list of site coefficients`);
+    return {
+      time_series: {
+        values: series.values.map((v, i) => convert(v, dimension, [...path, 'time_series', 'values', i])),
+        times: series.times.map((v, i) => convert(v, 'time', [...path, 'time_series', 'times', i]))
+      },
+      pattern
+    };
+  };
+
+  if (!isObject(document)) {
+    problem([], 'expected a mapping with setup and hamiltonian');
+    return { problems };
+  }
+  const header = document.braketSchemaHeader;
+  if (header?.name && header.name !== AHS_ACTION) problem(['braketSchemaHeader', 'name'], `'${header.name}' is not ${AHS_ACTION}`);
+
+  const register = document.setup?.ahs_register;
+  if (!isObject(register)) problem(['setup'], 'missing setup.ahs_register with sites and filling');
+  const sites = Array.isArray(register?.sites)
+    ? register.sites.map((site, i) => {
+        if (!Array.isArray(site) || site.length !== 2) {
+          problem(['setup', 'ahs_register', 'sites', i], 'expected a coordinate pair [x, y]');
+          return [];
+        }
+        return site.map((v, axis) => convert(v, 'length', ['setup', 'ahs_register', 'sites', i, axis]));
+      })
+    : [];
+  if (register && !Array.isArray(register.sites)) problem(['setup', 'ahs_register', 'sites'], 'expected a list of [x, y] coordinates');
+  const filling = Array.isArray(register?.filling) ? register.filling.map(Number) : [];
+  if (register && !Array.isArray(register.filling)) problem(['setup', 'ahs_register', 'filling'], 'expected a list of 0/1 per site');
+
+  const hamiltonian = isObject(document.hamiltonian) ? document.hamiltonian : {};
+  if (!isObject(document.hamiltonian)) problem(['hamiltonian'], 'missing hamiltonian with drivingFields');
+  const localKey = hamiltonian.localDetuning ? 'localDetuning' : 'shiftingFields';
+  const drivingFields = [].concat(hamiltonian.drivingFields || []).map((driving, i) => Object.fromEntries(
+    Object.entries(DRIVING_FIELDS).map(([name, dimension]) => [name, field(driving?.[name], dimension, ['hamiltonian', 'drivingFields', i, name])])
+  ));
+  const localDetuning = [].concat(hamiltonian[localKey] || []).map((local, i) => ({
+    magnitude: field(local?.magnitude, 'frequency', ['hamiltonian', localKey, i, 'magnitude'])
+  }));
+
+  return {
+    problems,
+    localKey,
+    program: {
+      braketSchemaHeader: { name: AHS_ACTION, version: header?.version ? String(header.version) : '1' },
+      setup: { ahs_register: { sites, filling } },
+      hamiltonian: { drivingFields, localDetuning }
+    }
+  };
+}
+
+// Reads an AHS program from JSON or YAML text. Returns { action, label, ahs,
+// lineOf, violations }: `lineOf(path)` maps a program path to its line in the
+// text and `violations` lists every unit and structure problem as { line, message }.
+export function loadAhsProgram(text, label) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter, prettyErrors: false });
+  if (doc.errors.length) {
+    const violations = doc.errors.map(e => ({ line: lineCounter.linePos(e.pos[0]).line, message: e.message.split('\n')[0] }));
+    return { label, ahs: true, violations };
+  }
+
+  const { program, problems, localKey } = normalizeProgram(doc.toJS());
+  const lineOf = (path) => {
+    const source = path.map(key => (key === 'localDetuning' ? localKey : key));
+    for (let end = source.length; end > 0; end--) {
+      const node = doc.getIn(source.slice(0, end), true);
+      if (node?.range) return lineCounter.linePos(node.range[0]).line;
+    }
+    return 1;
+  };
+  const toViolation = ({ path, message }) => ({ line: lineOf(path), message: path.length ? `${pathText(path)}: ${message}` : message });
+  const violations = problems.map(toViolation);
+  if (program && !violations.length) violations.push(...validateAhsProgram(program, { lineOf }));
+  return { action: program, label, ahs: true, lineOf, violations };
+}
+
+// ============================================================
+// Validation
+// ============================================================
+
+const EPSILON = 1e-9;
+
+// Whether `value` is a whole multiple of `resolution`, allowing for float noise
+const onGrid = (value, resolution) => {
+  const steps = value / resolution;
+  return Math.abs(steps - Math.round(steps)) <= 1e-6 * Math.max(1, Math.abs(steps));
+};
+
+const outside = (value, range) => Array.isArray(range) && (value < range[0] - EPSILON * Math.abs(range[0]) || value > range[1] + EPSILON * Math.abs(range[1]));
+
+function fieldsOf(program) {
+  const fields = [];
+  program.hamiltonian.drivingFields.forEach((driving, i) => {
+    for (const [name, dimension] of Object.entries(DRIVING_FIELDS)) {
+      if (driving[name]) fields.push({ kind: name, dimension, field: driving[name], path: ['hamiltonian', 'drivingFields', i, name] });
+    }
+  });
+  program.hamiltonian.localDetuning.forEach((local, i) => {
+    if (local.magnitude) fields.push({ kind: 'localDetuning', dimension: 'frequency', field: local.magnitude, path: ['hamiltonian', 'localDetuning', i, 'magnitude'] });
+  });
+  return fields;
+}
+
+// Checks a normalized (SI) AHS program and, given a device's parsed
+// `capabilities`, its register and fields against the device's paradigm:
+// lattice geometry and Rydberg global/local limits. Returns { line, message }
+// violations, lines from `lineOf` (1 without it).
+export function validateAhsProgram(program, { capabilities, deviceName = 'device', lineOf = () => 1, shots } = {}) {
+  const violations = [];
+  const violation = (path, message) => violations.push({ line: lineOf(path), message: `${pathText(path)}: ${message}` });
+  const { sites, filling } = program.setup.ahs_register;
+  const registerPath = ['setup', 'ahs_register'];
+  const fields = fieldsOf(program);
+
+  // Structure, and values whose size gives away a unit mistake
+  if (!sites.length) violation([...registerPath, 'sites'], 'the register has no sites');
+  if (filling.length !== sites.length) {
+    violation([...registerPath, 'filling'], `has ${filling.length} entries for ${sites.length} sites`);
+  }
+  filling.forEach((f, i) => { if (f !== 0 && f !== 1) violation([...registerPath, 'filling', i], `must be 0 or 1, not ${f}`); });
+  if (sites.length && !filling.includes(1)) violation([...registerPath, 'filling'], 'no site is filled');
+  sites.forEach((site, i) => site.forEach((v, axis) => {
+    if (Math.abs(v) >= 1e-3) violation([...registerPath, 'sites', i, axis], `${v} m is implausibly far; coordinates are in meters (write ${v}e-6 or '${v} um' for micrometers)`);
+  }));
+  if (!program.hamiltonian.drivingFields.length) violation(['hamiltonian', 'drivingFields'], 'at least one driving field is required');
+
+  let duration;
+  for (const { kind, field, path } of fields) {
+    const { times, values } = field.time_series;
+    const seriesPath = [...path, 'time_series'];
+    if (times.length !== values.length) violation(seriesPath, `has ${times.length} times but ${values.length} values`);
+    if (times.length < 2) violation([...seriesPath, 'times'], 'needs at least two points');
+    if (times.length && times[0] !== 0) violation([...seriesPath, 'times', 0], 'must start at 0');
+    times.forEach((t, i) => {
+      if (i && t <= times[i - 1]) violation([...seriesPath, 'times', i], 'times must be strictly increasing');
+      if (t >= 1e-3) violation([...seriesPath, 'times', i], `${t} s is implausibly long; times are in seconds (write ${t}e-6 or '${t} us' for microseconds)`);
+    });
+    const end = times[times.length - 1];
+    if (duration === undefined) duration = end;
+    else if (end !== undefined && Math.abs(end - duration) > EPSILON * duration) {
+      violation([...seriesPath, 'times', times.length - 1], `ends at ${formatQuantity(end, 'time')} but the program lasts ${formatQuantity(duration, 'time')}; every field must end at the same time`);
+    }
+    const peak = Math.max(...values.map(Math.abs), 0);
+    if (kind !== 'phase' && peak > 0 && peak < 1e3) {
+      violation([...seriesPath, 'values'], `peak ${peak} rad/s is implausibly small; values are in rad/s (write ${peak}e6 or '${peak} rad/us')`);
+    }
+    if (kind === 'localDetuning' && Array.isArray(field.pattern) && field.pattern.length !== sites.length) {
+      violation([...path, 'pattern'], `has ${field.pattern.length} coefficients for ${sites.length} sites`);
+    }
+    if (kind !== 'localDetuning' && field.pattern !== 'uniform') violation([...path, 'pattern'], 'driving fields must be uniform');
+  }
+  if (violations.length || !capabilities) return violations;
+
+  // Device limits
+  const caps = capabilities;
+  const paradigm = caps.paradigm || {};
+  const len = (v) => formatQuantity(v, 'length');
+
+  const shotsRange = caps.service?.shotsRange;
+  if (shots !== undefined && Array.isArray(shotsRange) && outside(shots, shotsRange)) {
+    violations.push({ line: 1, message: `${shots} shots is outside ${deviceName}'s range ${shotsRange[0]}-${shotsRange[1]}` });
+  }
+
+  const { area, geometry = {} } = paradigm.lattice || {};
+  const filled = sites.filter((_, i) => filling[i] === 1);
+  if (geometry.numberSitesMax && sites.length > geometry.numberSitesMax) {
+    violation([...registerPath, 'sites'], `${sites.length} sites; ${deviceName} allows at most ${geometry.numberSitesMax}`);
+  }
+  if (geometry.numberFilledSitesMax && filled.length > geometry.numberFilledSitesMax) {
+    violation([...registerPath, 'filling'], `${filled.length} filled sites; ${deviceName} allows at most ${geometry.numberFilledSitesMax}`);
+  }
+  if (area && sites.length) {
+    for (const [axis, limit, name] of [[0, area.width, 'width'], [1, area.height, 'height']]) {
+      const values = sites.map(s => s[axis]);
+      const span = Math.max(...values) - Math.min(...values);
+      if (limit !== undefined && span > limit * (1 + EPSILON)) {
+        violation([...registerPath, 'sites'], `the register is ${len(span)} ${axis ? 'tall' : 'wide'}; ${deviceName}'s lattice ${name} is ${len(limit)}`);
+      }
+    }
+  }
+  if (geometry.positionResolution) {
+    sites.forEach((site, i) => {
+      if (!site.every(v => onGrid(v, geometry.positionResolution))) {
+        violation([...registerPath, 'sites', i], `(${site.map(len).join(', ')}) is not a multiple of the ${len(geometry.positionResolution)} position resolution`);
+      }
+    });
+  }
+  if (geometry.spacingRadialMin) {
+    const close = [];
+    for (let i = 0; i < sites.length; i++) {
+      for (let j = i + 1; j < sites.length; j++) {
+        const distance = Math.hypot(sites[i][0] - sites[j][0], sites[i][1] - sites[j][1]);
+        if (distance < geometry.spacingRadialMin * (1 - EPSILON)) close.push([i, j, distance]);
+      }
+    }
+    close.slice(0, 10).forEach(([i, j, distance]) => {
+      violation([...registerPath, 'sites', j], `is ${len(distance)} from site ${i}; ${deviceName} needs at least ${len(geometry.spacingRadialMin)}`);
+    });
+    if (close.length > 10) violation([...registerPath, 'sites'], `${close.length - 10} more pairs of sites are too close`);
+  }
+  if (geometry.spacingVerticalMin) {
+    const rows = [...new Set(sites.map(s => s[1]))].sort((a, b) => a - b);
+    rows.slice(1).forEach((y, i) => {
+      const gap = y - rows[i];
+      if (gap < geometry.spacingVerticalMin * (1 - EPSILON)) {
+        violation([...registerPath, 'sites', sites.findIndex(s => s[1] === y), 1], `rows at y=${len(rows[i])} and y=${len(y)} are ${len(gap)} apart; ${deviceName} needs at least ${len(geometry.spacingVerticalMin)}`);
+      }
+    });
+  }
+
+  const { rydbergGlobal: global, rydbergLocal: local } = paradigm.rydberg || {};
+  const limits = {
+    amplitude: global && { range: global.rabiFrequencyRange, resolution: global.rabiFrequencyResolution, slewRateMax: global.rabiFrequencySlewRateMax },
+    detuning: global && { range: global.detuningRange, resolution: global.detuningResolution, slewRateMax: global.detuningSlewRateMax },
+    phase: global && { range: global.phaseRange, resolution: global.phaseResolution, slewRateMax: global.phaseSlewRateMax },
+    localDetuning: local && { range: local.detuningRange, slewRateMax: local.detuningSlewRateMax }
+  };
+  const timing = { global, local };
+
+  if (paradigm.rydberg && !local && program.hamiltonian.localDetuning.length) {
+    violation(['hamiltonian', 'localDetuning'], `${deviceName} does not support local detuning`);
+  }
+  for (const { kind, dimension, field, path } of fields) {
+    const limit = limits[kind];
+    const times = timing[kind === 'localDetuning' ? 'local' : 'global'];
+    const { times: t, values } = field.time_series;
+    const seriesPath = [...path, 'time_series'];
+    const show = (v) => formatQuantity(v, dimension);
+    if (times?.timeMax !== undefined && t[t.length - 1] > times.timeMax * (1 + EPSILON)) {
+      violation([...seriesPath, 'times', t.length - 1], `${formatQuantity(t[t.length - 1], 'time')} is longer than ${deviceName}'s maximum ${formatQuantity(times.timeMax, 'time')}`);
+    }
+    t.forEach((time, i) => {
+      if (i && times?.timeDeltaMin && time - t[i - 1] < times.timeDeltaMin * (1 - EPSILON)) {
+        violation([...seriesPath, 'times', i], `${formatQuantity(time - t[i - 1], 'time')} after the previous point; ${deviceName} needs at least ${formatQuantity(times.timeDeltaMin, 'time')}`);
+      }
+      if (times?.timeResolution && !onGrid(time, times.timeResolution)) {
+        violation([...seriesPath, 'times', i], `${formatQuantity(time, 'time')} is not a multiple of the ${formatQuantity(times.timeResolution, 'time')} time resolution`);
+      }
+    });
+    if (!limit) continue;
+    values.forEach((value, i) => {
+      if (outside(value, limit.range)) {
+        violation([...seriesPath, 'values', i], `${show(value)} is outside ${deviceName}'s ${kind} range ${show(limit.range[0])} to ${show(limit.range[1])}`);
+      } else if (limit.resolution && !onGrid(value, limit.resolution)) {
+        violation([...seriesPath, 'values', i], `${show(value)} is not a multiple of the ${limit.resolution} ${dimension === 'angle' ? 'rad' : 'rad/s'} resolution`);
+      }
+      if (i && limit.slewRateMax && t[i] > t[i - 1]) {
+        const slew = Math.abs(value - values[i - 1]) / (t[i] - t[i - 1]);
+        if (slew > limit.slewRateMax * (1 + EPSILON)) {
+          violation([...seriesPath, 'values', i], `changes at ${slew.toExponential(3)} per second; ${deviceName}'s ${kind} slew rate limit is ${limit.slewRateMax.toExponential(3)}`);
+        }
+      }
+    });
+    if (kind === 'amplitude' && global && (values[0] !== 0 || values[values.length - 1] !== 0)) {
+      violation([...seriesPath, 'values'], 'the amplitude must start and end at 0');
+    }
+    if (kind === 'localDetuning' && Array.isArray(field.pattern)) {
+      field.pattern.forEach((c, i) => {
+        if (outside(c, local.siteCoefficientRange)) {
+          violation([...path, 'pattern', i], `${c} is outside the site coefficient range ${local.siteCoefficientRange.join(' to ')}`);
+        }
+      });
+      const used = field.pattern.filter(c => c !== 0).length;
+      if (local.numberLocalDetuningSitesMax && used > local.numberLocalDetuningSitesMax) {
+        violation([...path, 'pattern'], `${used} sites have local detuning; ${deviceName} allows at most ${local.numberLocalDetuningSitesMax}`);
+      }
+    }
+  }
+  return violations;
+}
+
+// ============================================================
+// Device capabilities
+// ============================================================
+
+// The AHS part of a device's parsed capabilities (lattice and Rydberg limits,
+// in SI units), or null for gate-model and annealing devices
+export function ahsCapabilities(capabilities) {
+  const paradigm = capabilities?.paradigm || {};
+  if (!paradigm.lattice && !paradigm.rydberg) return null;
+  const { area = {}, geometry = {} } = paradigm.lattice || {};
+  const { c6Coefficient, rydbergGlobal = {}, rydbergLocal } = paradigm.rydberg || {};
+  return {
+    lattice: {
+      width: area.width,
+      height: area.height,
+      spacingRadialMin: geometry.spacingRadialMin,
+      spacingVerticalMin: geometry.spacingVerticalMin,
+      positionResolution: geometry.positionResolution,
+      numberSitesMax: geometry.numberSitesMax,
+      numberFilledSitesMax: geometry.numberFilledSitesMax
+    },
+    c6Coefficient,
+    rydbergGlobal,
+    rydbergLocal: rydbergLocal || null
+  };
+}
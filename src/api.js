@@ -1,6 +1,8 @@
 import axios from 'axios';
 import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import { getConfig } from './config.js';
+import { resolveCredentials } from './credentials.js';
 
 const SERVICE = 'braket';
 
@@ -24,17 +26,63 @@ function getAmzDate() {
   return new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
 }
 
-function signedRequest({ method, path, body, region, accessKeyId, secretAccessKey, sessionToken }) {
-  const host = `braket.${region}.amazonaws.com`;
-  const endpoint = `https://${host}`;
-  const amzDate = getAmzDate();
+// Array values repeat the key (e.g. tagKeys=a&tagKeys=b), sorted by value
+function canonicalQuery(query) {
+  if (!query) return '';
+  return Object.keys(query)
+    .filter(k => query[k] !== undefined && query[k] !== null)
+    .sort()
+    .flatMap(k => [].concat(query[k]).map(String).sort().map(v => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`))
+    .join('&');
+}
+
+export function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+// The path as signed: S3 signs the request path as sent, every other service
+// URI-encodes each (already encoded) segment a second time, so an ARN in the
+// path is signed as arn%253Aaws...
+function canonicalUri(path, service) {
+  return service === 's3' ? path : path.split('/').map(encodeRfc3986).join('/');
+}
+
+// Signature over the canonical request; `headers` are lower-cased and hold
+// exactly the signed headers
+function computeSignature({ method, uri, queryStr, headers, contentHash, amzDate, region, service, secretAccessKey }) {
+  const signedHeaders = Object.keys(headers).sort().join(';');
+  const canonicalHeaders = Object.keys(headers).sort().map(k => `${k}:${headers[k]}\n`).join('');
+  const canonicalRequest = [method, uri, queryStr, canonicalHeaders, signedHeaders, contentHash].join('\n');
+
   const dateStamp = amzDate.substring(0, 8);
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
 
-  const bodyStr = body ? JSON.stringify(body) : '';
+  const signingKey = getSignatureKey(secretAccessKey, dateStamp, region, service);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return { signature, signedHeaders, credentialScope };
+}
+
+// `endpointUrl` (e.g. http://localhost:9000) overrides the default
+// https://<service>.<region>.amazonaws.com origin, for local stand-ins.
+// `extraHeaders` (e.g. x-amz-target) are signed along with the standard ones.
+export function signedRequest({
+  method, path, body, query, region, service = SERVICE, host, endpointUrl, contentType = 'application/json',
+  extraHeaders = {}, accessKeyId, secretAccessKey, sessionToken
+}) {
+  const base = endpointUrl ? new URL(endpointUrl) : null;
+  host = host || (base ? base.host : `${service}.${region}.amazonaws.com`);
+  const endpoint = `${base ? base.protocol : 'https:'}//${host}`;
+  const amzDate = getAmzDate();
+
+  const bodyStr = body == null ? '' : (typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
   const contentHash = crypto.createHash('sha256').update(bodyStr).digest('hex');
+  const queryStr = canonicalQuery(query);
 
   const headers = {
-    'content-type': 'application/json',
+    ...Object.fromEntries(Object.entries(extraHeaders).map(([k, v]) => [k.toLowerCase(), v])),
+    'content-type': contentType,
     'host': host,
     'x-amz-date': amzDate,
     'x-amz-content-sha256': contentHash
@@ -44,126 +92,480 @@ function signedRequest({ method, path, body, region, accessKeyId, secretAccessKe
     headers['x-amz-security-token'] = sessionToken;
   }
 
-  const signedHeaders = Object.keys(headers).sort().join(';');
-  const canonicalHeaders = Object.keys(headers).sort().map(k => `${k}:${headers[k]}\n`).join('');
-  const canonicalRequest = [method, path, '', canonicalHeaders, signedHeaders, contentHash].join('\n');
+  const { signature, signedHeaders, credentialScope } = computeSignature({
+    method, uri: canonicalUri(path, service), queryStr, headers, contentHash, amzDate, region, service, secretAccessKey
+  });
+  const authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
 
-  const credentialScope = `${dateStamp}/${region}/${SERVICE}/aws4_request`;
-  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope,
-    crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+  const url = endpoint + path + (queryStr ? `?${queryStr}` : '');
+  return { endpoint: url, headers: { ...headers, authorization }, bodyStr };
+}
 
-  const signingKey = getSignatureKey(secretAccessKey, dateStamp, region, SERVICE);
-  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+// ============================================================
+// Errors
+// ============================================================
 
-  const authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+// Process exit codes, one per error category
+export const EXIT_CODES = {
+  general: 1,
+  validation: 2,
+  auth: 3,
+  notFound: 4,
+  throttling: 5,
+  quota: 6,
+  device: 7,
+  conflict: 8,
+  service: 9,
+  network: 10,
+  taskFailed: 11,
+  timeout: 12,
+  budget: 13
+};
+
+export class BraketError extends Error {
+  constructor(message, { code, status, requestId } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || this.name;
+    this.status = status;
+    this.requestId = requestId;
+  }
+
+  get category() { return 'general'; }
+
+  get exitCode() { return EXIT_CODES[this.category]; }
+
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      status: this.status,
+      requestId: this.requestId,
+      category: this.category,
+      exitCode: this.exitCode
+    };
+  }
+}
+
+export class ValidationError extends BraketError {
+  get category() { return 'validation'; }
+}
+
+export class AccessDeniedError extends BraketError {
+  get category() { return 'auth'; }
+}
+
+export class CredentialsError extends BraketError {
+  get category() { return 'auth'; }
+}
+
+export class ResourceNotFoundError extends BraketError {
+  get category() { return 'notFound'; }
+}
+
+export class ThrottlingError extends BraketError {
+  get category() { return 'throttling'; }
+}
+
+export class ServiceQuotaExceededError extends BraketError {
+  get category() { return 'quota'; }
+}
 
-  return { endpoint: endpoint + path, headers: { ...headers, authorization }, bodyStr };
+export class DeviceUnavailableError extends BraketError {
+  get category() { return 'device'; }
+}
+
+export class ConflictError extends BraketError {
+  get category() { return 'conflict'; }
+}
+
+export class InternalServiceError extends BraketError {
+  get category() { return 'service'; }
+}
+
+export class NetworkError extends BraketError {
+  get category() { return 'network'; }
+}
+
+export class WaiterTimeoutError extends BraketError {
+  get category() { return 'timeout'; }
+}
+
+export class BudgetExceededError extends BraketError {
+  get category() { return 'budget'; }
+}
+
+export class TaskFailedError extends BraketError {
+  get category() { return 'taskFailed'; }
+}
+
+const ERROR_TYPES = {
+  ValidationException: ValidationError,
+  AccessDeniedException: AccessDeniedError,
+  UnrecognizedClientException: AccessDeniedError,
+  InvalidSignatureException: AccessDeniedError,
+  ExpiredTokenException: AccessDeniedError,
+  ResourceNotFoundException: ResourceNotFoundError,
+  ThrottlingException: ThrottlingError,
+  TooManyRequestsException: ThrottlingError,
+  ServiceQuotaExceededException: ServiceQuotaExceededError,
+  DeviceOfflineException: DeviceUnavailableError,
+  DeviceRetiredException: DeviceUnavailableError,
+  ConflictException: ConflictError,
+  InternalServiceException: InternalServiceError
+};
+
+function classForStatus(status) {
+  if (status === 400) return ValidationError;
+  if (status === 401 || status === 403) return AccessDeniedError;
+  if (status === 404) return ResourceNotFoundError;
+  if (status === 409) return ConflictError;
+  if (status === 429) return ThrottlingError;
+  if (status >= 500) return InternalServiceError;
+  return BraketError;
+}
+
+const DEFAULT_MESSAGES = {
+  AccessDeniedError: 'Authentication failed. Check your AWS credentials.',
+  ResourceNotFoundError: 'Resource not found.',
+  ThrottlingError: 'Rate limit exceeded and retries exhausted. Please wait before retrying or raise --max-retries.'
+};
+
+// REST-JSON services return the error type in x-amzn-errortype (e.g. "ValidationException:http://...")
+// or in the body as __type/code, sometimes namespaced ("com.amazon...#ValidationException").
+// S3 and STS return an XML document with <Code> and <Message> instead.
+function errorBodyOf(response) {
+  if (typeof response.data === 'string' && response.data.includes('<Code>')) {
+    return { code: xmlValue(response.data, 'Code'), message: xmlValue(response.data, 'Message') };
+  }
+  return response.data && typeof response.data === 'object' ? response.data : {};
+}
+
+function errorTypeOf(response) {
+  const data = errorBodyOf(response);
+  const raw = response.headers?.['x-amzn-errortype'] || data.__type || data.code || data.Code || '';
+  return String(raw).split(':')[0].split('#').pop() || undefined;
+}
+
+export function toBraketError(error) {
+  if (error instanceof BraketError) return error;
+
+  if (error.response) {
+    const { status, headers } = error.response;
+    const data = errorBodyOf(error.response);
+    const code = errorTypeOf(error.response);
+    const ErrorClass = ERROR_TYPES[code] || classForStatus(status);
+    const message = data.message || data.Message || DEFAULT_MESSAGES[ErrorClass.name] ||
+      `API Error (${status}): ${typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data)}`;
+    return new ErrorClass(message, {
+      code: code || `Http${status}`,
+      status,
+      requestId: headers?.['x-amzn-requestid'] || headers?.['x-amz-request-id']
+    });
+  }
+
+  if (error.request) {
+    return new NetworkError('No response from AWS Braket API. Check your internet connection and region.', {
+      code: error.code || 'NetworkError'
+    });
+  }
+
+  return error;
 }
 
+// ============================================================
+// Client settings
+// ============================================================
+//
+// { credentials, region, endpoint, maxRetries, timeout, logger } (see
+// BraketClient). A client runs each call with its own settings; calls made
+// outside a client use the process defaults, which the CLI sets from its
+// global options. Anything left out falls back to the environment and config.
+
+const clientSettings = new AsyncLocalStorage();
+let defaultSettings = {};
+
+export function setDefaultSettings(settings = {}) {
+  defaultSettings = settings;
+}
+
+// Runs `fn` with `settings` applied to every API call it makes, however deep
+export function withSettings(settings, fn) {
+  return clientSettings.run(settings, fn);
+}
+
+const currentSettings = () => clientSettings.getStore() || defaultSettings;
+
+const defaultRegion = () => currentSettings().region || getConfig('region') || 'us-east-1';
+
 // ============================================================
 // API Client
 // ============================================================
 
-async function apiRequest(method, path, body = null, params = null) {
-  const region = getConfig('region') || 'us-east-1';
-  const accessKeyId = getConfig('accessKeyId');
-  const secretAccessKey = getConfig('secretAccessKey');
-  const sessionToken = getConfig('sessionToken');
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const RETRY_BASE_MS = 200;
+const THROTTLE_BASE_MS = 1000;
+const RETRY_CAP_MS = 20000;
+const RETRY_AFTER_CAP_MS = 60000;
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ECONNREFUSED'];
+
+// Per-service variables and config keys naming a custom endpoint
+const SERVICE_ENDPOINTS = {
+  braket: ['AWS_ENDPOINT_URL_BRAKET'],
+  s3: ['AWS_ENDPOINT_URL_S3', 's3Endpoint'],
+  logs: ['AWS_ENDPOINT_URL_LOGS', 'logsEndpoint'],
+  sts: ['AWS_ENDPOINT_URL_STS']
+};
+
+// Endpoint for `service`, or undefined for the AWS default: the `endpoint`
+// setting (--endpoint-url; a URL, or one per service), then
+// AWS_ENDPOINT_URL_<SERVICE> and the service's config key, then
+// AWS_ENDPOINT_URL and the `endpointUrl` config key, which apply to every service.
+export function endpointFor(service) {
+  const [envName, configKey] = SERVICE_ENDPOINTS[service] || [];
+  const { endpoint } = currentSettings();
+  return (endpoint && typeof endpoint === 'object' ? endpoint[service] : endpoint) ||
+    (envName && process.env[envName]) || (configKey && getConfig(configKey)) ||
+    process.env.AWS_ENDPOINT_URL || getConfig('endpointUrl') || undefined;
+}
 
-  if (!accessKeyId || !secretAccessKey) {
-    throw new Error('AWS credentials not configured. Run: awsbraket config set --access-key-id <id> --secret-access-key <secret>');
+// Retries are a non-negative integer: anything else, NaN in particular, would
+// never reach the retry limit. `name` is the flag or setting in the message.
+export function parseMaxRetries(value, name = 'maxRetries') {
+  const retries = Number(value);
+  if (value === '' || value === null || !Number.isInteger(retries) || retries < 0) {
+    throw new ValidationError(`${name} must be a non-negative integer, got '${value}'`, { code: 'ValidationException' });
   }
+  return retries;
+}
 
-  const { endpoint, headers, bodyStr } = signedRequest({
-    method, path, body, region, accessKeyId, secretAccessKey, sessionToken
-  });
+// The per-request timeout is a positive number of seconds
+export function parseTimeout(value, name = 'timeout') {
+  const seconds = Number(value);
+  if (value === '' || value === null || !Number.isFinite(seconds) || seconds <= 0) {
+    throw new ValidationError(`${name} must be a positive number of seconds, got '${value}'`, { code: 'ValidationException' });
+  }
+  return seconds;
+}
 
-  try {
-    const response = await axios({
-      method,
-      url: endpoint,
-      headers,
-      data: bodyStr || undefined,
-      params: params || undefined
+function requestSettings() {
+  const settings = currentSettings();
+  const maxRetries = settings.maxRetries ?? getConfig('maxRetries') ?? DEFAULT_MAX_RETRIES;
+  const timeout = settings.timeout ?? getConfig('timeout') ?? DEFAULT_TIMEOUT_SECONDS;
+  return { maxRetries: parseMaxRetries(maxRetries), timeoutMs: parseTimeout(timeout) * 1000, logger: settings.logger };
+}
+
+// `idempotent` marks requests that are safe to replay after a server error or
+// dropped connection. Reads and cancels always are; creates are only when they
+// carry a clientToken, which Braket uses to deduplicate the retried request.
+// `signing` overrides the service, host or endpoint for non-Braket calls (e.g. S3),
+// and `region` the configured region (for ARNs and --region fan-out).
+async function apiRequest(method, path, body = null, params = null, { idempotent, responseType, region, ...signing } = {}) {
+  region = region || defaultRegion();
+  if (!signing.service) signing.endpointUrl = signing.endpointUrl || endpointFor(SERVICE);
+  const { maxRetries, timeoutMs, logger } = requestSettings();
+  const canReplay = idempotent ?? (method !== 'POST' || !!body?.clientToken);
+  let credentials = await requireCredentials();
+  let refreshedCredentials = false;
+
+  for (let attempt = 0; ; attempt++) {
+    const { endpoint, headers, bodyStr } = signedRequest({
+      method, path, body, query: params, region, ...signing, ...credentials
     });
-    return response.data;
-  } catch (error) {
-    handleApiError(error);
+    logger?.debug?.(`${method} ${endpoint}`);
+
+    try {
+      const response = await axios({
+        method,
+        url: endpoint,
+        headers,
+        data: bodyStr || undefined,
+        timeout: timeoutMs,
+        responseType
+      });
+      return response.data;
+    } catch (error) {
+      if (isExpiredTokenError(error) && !refreshedCredentials) {
+        // Session credentials lapsed mid-command: re-resolve (and re-assume) once
+        credentials = await requireCredentials({ forceRefresh: true });
+        refreshedCredentials = true;
+        attempt--;
+        continue;
+      }
+      if (attempt >= maxRetries || !isRetryable(error, canReplay)) {
+        handleApiError(error);
+      }
+      const delay = retryDelay(error, attempt);
+      logger?.warn?.(`${method} ${endpoint} failed (${error.response?.status || error.code}); retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)} ms`);
+      await sleep(delay);
+    }
   }
 }
 
-function handleApiError(error) {
-  if (error.response) {
-    const status = error.response.status;
-    const data = error.response.data;
-    if (status === 401 || status === 403) throw new Error('Authentication failed. Check your AWS credentials.');
-    if (status === 404) throw new Error('Resource not found.');
-    if (status === 429) throw new Error('Rate limit exceeded. Please wait before retrying.');
-    const message = data?.message || data?.Message || JSON.stringify(data);
-    throw new Error(`API Error (${status}): ${message}`);
-  } else if (error.request) {
-    throw new Error('No response from AWS Braket API. Check your internet connection and region.');
-  } else {
-    throw error;
+function isThrottlingError(error) {
+  const status = error.response?.status;
+  const type = error.response?.headers?.['x-amzn-errortype'] || error.response?.data?.__type || '';
+  return status === 429 || /Throttling|TooManyRequests/.test(type);
+}
+
+function isRetryable(error, canReplay) {
+  // Throttled requests were rejected before doing any work, so they are always safe to resend
+  if (isThrottlingError(error)) return true;
+  if (!canReplay) return false;
+  if (error.response) return error.response.status >= 500;
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+function retryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  const ms = Number.isNaN(seconds) ? new Date(header).getTime() - Date.now() : seconds * 1000;
+  return Number.isFinite(ms) && ms >= 0 ? Math.min(ms, RETRY_AFTER_CAP_MS) : null;
+}
+
+// Exponential backoff with full jitter, unless the server told us how long to wait
+function retryDelay(error, attempt) {
+  const retryAfter = retryAfterMs(error);
+  if (retryAfter !== null) return retryAfter;
+  const base = isThrottlingError(error) ? THROTTLE_BASE_MS : RETRY_BASE_MS;
+  return Math.random() * Math.min(RETRY_CAP_MS, base * 2 ** attempt);
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isExpiredTokenError(error) {
+  const status = error.response?.status;
+  if (status !== 400 && status !== 403) return false;
+  const type = error.response.headers?.['x-amzn-errortype'] || error.response.data?.__type || error.response.data?.code || '';
+  return /ExpiredToken|RequestExpired/.test(type);
+}
+
+// Injected credentials are an object, or a function returning one (it gets
+// { forceRefresh } when the previous ones expired)
+async function requireCredentials(options) {
+  const injected = currentSettings().credentials;
+  const credentials = typeof injected === 'function' ? await injected(options || {}) : injected || await resolveCredentials(options);
+  if (!credentials) {
+    throw new CredentialsError('AWS credentials not found. Set AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY, use --profile, or run: awsbraket config set --access-key-id <id> --secret-access-key <secret>');
   }
+  return credentials;
+}
+
+function handleApiError(error) {
+  throw toBraketError(error);
+}
+
+// Region segment of a regional ARN (arn:aws:braket:eu-west-2:...); undefined
+// for regionless ARNs such as the managed simulators
+export function regionFromArn(arn) {
+  const parts = String(arn || '').split(':');
+  return parts[0] === 'arn' && parts[3] ? parts[3] : undefined;
+}
+
+// ============================================================
+// Pagination
+// ============================================================
+
+// Follows nextToken from `startToken` until the listing is exhausted, yielding
+// each item under `key` of every page returned by `fetchPage(token)`.
+export async function* paginate(fetchPage, key, startToken) {
+  let token = startToken;
+  do {
+    const page = await fetchPage(token);
+    for (const item of page[key] || []) yield item;
+    token = page.nextToken;
+  } while (token);
 }
 
 // ============================================================
 // QUANTUM TASKS
 // ============================================================
 
-export async function listQuantumTasks({ deviceArn, status, maxResults = 10 } = {}) {
-  const body = { maxResults };
-  if (deviceArn) body.deviceArn = deviceArn;
-  if (status) body.filters = [{ name: 'status', values: [status] }];
-  const data = await apiRequest('POST', '/quantum-tasks', body);
+// `filters` are SearchQuantumTasks filters ({ name, operator, values }), ANDed
+// with the deviceArn/status shorthands.
+export async function searchQuantumTasks({ deviceArn, status, filters = [], maxResults = 10, nextToken, region } = {}) {
+  const body = { maxResults, filters: [...filters] };
+  if (deviceArn) body.filters.push({ name: 'deviceArn', operator: 'EQUAL', values: [deviceArn] });
+  if (status) body.filters.push({ name: 'status', operator: 'EQUAL', values: [status] });
+  if (nextToken) body.nextToken = nextToken;
+  return await apiRequest('POST', '/quantum-tasks', body, null, { idempotent: true, region });
+}
+
+export async function listQuantumTasks(options = {}) {
+  const data = await searchQuantumTasks(options);
   return data.quantumTasks || [];
 }
 
-export async function getQuantumTask(taskId) {
-  return await apiRequest('GET', `/quantum-tasks/${encodeURIComponent(taskId)}`);
+export function iterateQuantumTasks({ nextToken, ...options } = {}) {
+  return paginate((token) => searchQuantumTasks({ ...options, nextToken: token }), 'quantumTasks', nextToken);
 }
 
-export async function createQuantumTask({ deviceArn, shots, outputS3Bucket, outputS3KeyPrefix, action }) {
+export async function getQuantumTask(taskId, { queueInfo = false } = {}) {
+  const params = queueInfo ? { additionalAttributeNames: 'QueueInfo' } : null;
+  return await apiRequest('GET', `/quantum-tasks/${encodeURIComponent(taskId)}`, null, params, { region: regionFromArn(taskId) });
+}
+
+export async function createQuantumTask({ deviceArn, shots, outputS3Bucket, outputS3KeyPrefix, action, clientToken, tags }) {
   const body = {
+    clientToken: clientToken || crypto.randomUUID(),
     deviceArn,
     shots,
     outputS3Bucket,
     outputS3KeyPrefix,
     action: typeof action === 'string' ? action : JSON.stringify(action)
   };
-  return await apiRequest('POST', '/quantum-tasks', body);
+  if (tags && Object.keys(tags).length) body.tags = tags;
+  return await apiRequest('POST', '/quantum-tasks', body, null, { region: regionFromArn(deviceArn) });
 }
 
 export async function cancelQuantumTask(taskId) {
-  return await apiRequest('PUT', `/quantum-tasks/${encodeURIComponent(taskId)}/cancel`);
+  return await apiRequest('PUT', `/quantum-tasks/${encodeURIComponent(taskId)}/cancel`, null, null, { region: regionFromArn(taskId) });
 }
 
 // ============================================================
 // DEVICES
 // ============================================================
 
-export async function listDevices({ type, provider, status } = {}) {
+export async function searchDevices({ type, provider, status, maxResults, nextToken, region } = {}) {
   const body = {};
   const filters = [];
   if (type) filters.push({ name: 'deviceType', values: [type] });
   if (provider) filters.push({ name: 'providerName', values: [provider] });
   if (status) filters.push({ name: 'deviceStatus', values: [status] });
   if (filters.length) body.filters = filters;
-  const data = await apiRequest('POST', '/devices', body);
+  if (maxResults) body.maxResults = maxResults;
+  if (nextToken) body.nextToken = nextToken;
+  return await apiRequest('POST', '/devices', body, null, { idempotent: true, region });
+}
+
+export async function listDevices(options = {}) {
+  const data = await searchDevices(options);
   return data.devices || [];
 }
 
+export function iterateDevices({ nextToken, ...options } = {}) {
+  return paginate((token) => searchDevices({ ...options, nextToken: token }), 'devices', nextToken);
+}
+
 export async function getDevice(deviceArn) {
-  return await apiRequest('GET', `/devices/${encodeURIComponent(deviceArn)}`);
+  return await apiRequest('GET', `/devices/${encodeURIComponent(deviceArn)}`, null, null, { region: regionFromArn(deviceArn) });
 }
 
 // ============================================================
 // JOBS (circuits/algorithms)
 // ============================================================
 
-export async function createJob({ algorithmSpecification, instanceConfig, jobName, outputDataConfig, roleArn, checkpointConfig }) {
+export async function createJob({
+  algorithmSpecification, instanceConfig, jobName, outputDataConfig, roleArn, checkpointConfig, clientToken,
+  deviceConfig, hyperParameters, inputDataConfig, stoppingCondition, tags
+}) {
   const body = {
+    clientToken: clientToken || crypto.randomUUID(),
     algorithmSpecification,
     instanceConfig,
     jobName,
@@ -171,20 +573,180 @@ export async function createJob({ algorithmSpecification, instanceConfig, jobNam
     roleArn
   };
   if (checkpointConfig) body.checkpointConfig = checkpointConfig;
+  if (deviceConfig) body.deviceConfig = deviceConfig;
+  if (hyperParameters && Object.keys(hyperParameters).length) body.hyperParameters = hyperParameters;
+  if (inputDataConfig?.length) body.inputDataConfig = inputDataConfig;
+  if (stoppingCondition) body.stoppingCondition = stoppingCondition;
+  if (tags && Object.keys(tags).length) body.tags = tags;
   return await apiRequest('POST', '/jobs', body);
 }
 
-export async function getJob(jobName) {
-  return await apiRequest('GET', `/jobs/${encodeURIComponent(jobName)}`);
+export async function getJob(jobName, { queueInfo = false } = {}) {
+  const params = queueInfo ? { additionalAttributeNames: 'QueueInfo' } : null;
+  return await apiRequest('GET', `/jobs/${encodeURIComponent(jobName)}`, null, params);
 }
 
-export async function listJobs({ maxResults = 10, state } = {}) {
+export async function searchJobs({ maxResults = 10, state, nextToken } = {}) {
   const params = { maxResults };
   if (state) params.filters = `state:${state}`;
-  const data = await apiRequest('GET', '/jobs', null, params);
+  if (nextToken) params.nextToken = nextToken;
+  return await apiRequest('GET', '/jobs', null, params);
+}
+
+export async function listJobs(options = {}) {
+  const data = await searchJobs(options);
   return data.jobs || [];
 }
 
+export function iterateJobs({ nextToken, ...options } = {}) {
+  return paginate((token) => searchJobs({ ...options, nextToken: token }), 'jobs', nextToken);
+}
+
 export async function cancelJob(jobName) {
   return await apiRequest('PUT', `/jobs/${encodeURIComponent(jobName)}/cancel`);
 }
+
+// ============================================================
+// TAGS
+// ============================================================
+
+export async function listTagsForResource(resourceArn) {
+  const data = await apiRequest('GET', `/tags/${encodeURIComponent(resourceArn)}`, null, null, { region: regionFromArn(resourceArn) });
+  return data.tags || {};
+}
+
+export async function tagResource(resourceArn, tags) {
+  return await apiRequest('POST', `/tags/${encodeURIComponent(resourceArn)}`, { tags }, null, {
+    idempotent: true, region: regionFromArn(resourceArn)
+  });
+}
+
+export async function untagResource(resourceArn, tagKeys) {
+  return await apiRequest('DELETE', `/tags/${encodeURIComponent(resourceArn)}`, null, { tagKeys }, { region: regionFromArn(resourceArn) });
+}
+
+// ============================================================
+// S3
+// ============================================================
+
+function encodeS3Key(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+// With an endpoint (the argument, or see endpointFor) path-style addressing is
+// used so S3-compatible stand-ins such as MinIO or LocalStack work.
+function s3Signing({ bucket, key, endpointUrl, region }) {
+  region = region || defaultRegion();
+  endpointUrl = endpointUrl || endpointFor('s3');
+  return endpointUrl
+    ? { service: 's3', region, endpointUrl, path: `/${bucket}/${encodeS3Key(key)}` }
+    : { service: 's3', region, host: `${bucket}.s3.${region}.amazonaws.com`, path: `/${encodeS3Key(key)}` };
+}
+
+// Reads an object as text
+export async function getS3Object({ bucket, key, endpointUrl, region }) {
+  const { path, ...signing } = s3Signing({ bucket, key, endpointUrl, region });
+  return await apiRequest('GET', path, null, null, { ...signing, responseType: 'text' });
+}
+
+// Uploads `body` (a Buffer or string) with a signed PUT
+export async function putS3Object({ bucket, key, body, contentType = 'application/octet-stream', endpointUrl, region }) {
+  const { path, ...signing } = s3Signing({ bucket, key, endpointUrl, region });
+  await apiRequest('PUT', path, body, null, { ...signing, contentType, responseType: 'text' });
+  return { bucket, key, s3Uri: `s3://${bucket}/${key}` };
+}
+
+// Splits s3://bucket/key into its parts
+export function parseS3Uri(uri) {
+  const match = String(uri).match(/^s3:\/\/([^/]+)\/?(.*)$/);
+  if (!match) throw new ValidationError(`Invalid S3 URI '${uri}'; expected s3://bucket/key`, { code: 'ValidationException' });
+  return { bucket: match[1], key: match[2] };
+}
+
+// ============================================================
+// CLOUDWATCH LOGS
+// ============================================================
+//
+// JSON 1.1 protocol: every call is a POST to / naming the action in
+// x-amz-target. The endpoint can point at a local stand-in (the argument, or
+// see endpointFor).
+
+async function logsRequest(action, body, { endpointUrl } = {}) {
+  endpointUrl = endpointUrl || endpointFor('logs');
+  return await apiRequest('POST', '/', body, null, {
+    service: 'logs',
+    endpointUrl,
+    contentType: 'application/x-amz-json-1.1',
+    extraHeaders: { 'x-amz-target': `Logs_20140328.${action}` },
+    idempotent: true
+  });
+}
+
+export async function describeLogStreams({ logGroupName, logStreamNamePrefix, nextToken, endpointUrl }) {
+  return await logsRequest('DescribeLogStreams', { logGroupName, logStreamNamePrefix, nextToken }, { endpointUrl });
+}
+
+export async function getLogEvents({ logGroupName, logStreamName, nextToken, startFromHead = true, endpointUrl }) {
+  return await logsRequest('GetLogEvents', { logGroupName, logStreamName, nextToken, startFromHead }, { endpointUrl });
+}
+
+// Events from every stream under a prefix, interleaved by time
+export async function filterLogEvents({ logGroupName, logStreamNamePrefix, filterPattern, startTime, nextToken, endpointUrl }) {
+  return await logsRequest('FilterLogEvents', { logGroupName, logStreamNamePrefix, filterPattern, startTime, nextToken }, { endpointUrl });
+}
+
+// ============================================================
+// STS
+// ============================================================
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1] : undefined;
+}
+
+export async function assumeRole({ credentials, roleArn, roleSessionName, externalId, serialNumber, tokenCode, durationSeconds, region }) {
+  region = region || defaultRegion();
+  const form = {
+    Action: 'AssumeRole',
+    Version: '2011-06-15',
+    RoleArn: roleArn,
+    RoleSessionName: roleSessionName || `awsbraket-${Date.now()}`
+  };
+  if (externalId) form.ExternalId = externalId;
+  if (serialNumber) form.SerialNumber = serialNumber;
+  if (tokenCode) form.TokenCode = tokenCode;
+  if (durationSeconds) form.DurationSeconds = durationSeconds;
+
+  const { endpoint, headers, bodyStr } = signedRequest({
+    method: 'POST',
+    path: '/',
+    body: canonicalQuery(form),
+    region,
+    service: 'sts',
+    endpointUrl: endpointFor('sts'),
+    contentType: 'application/x-www-form-urlencoded',
+    accessKeyId: credentials.accessKeyId,
+    secretAccessKey: credentials.secretAccessKey,
+    sessionToken: credentials.sessionToken
+  });
+
+  let xml;
+  try {
+    const response = await axios({ method: 'POST', url: endpoint, headers, data: bodyStr, responseType: 'text' });
+    xml = response.data;
+  } catch (error) {
+    const detail = typeof error.response?.data === 'string' ? xmlValue(error.response.data, 'Message') : null;
+    throw new CredentialsError(`AssumeRole failed for ${roleArn}: ${detail || error.message}`, {
+      code: typeof error.response?.data === 'string' ? xmlValue(error.response.data, 'Code') : undefined,
+      status: error.response?.status,
+      requestId: error.response?.headers?.['x-amzn-requestid']
+    });
+  }
+
+  return {
+    accessKeyId: xmlValue(xml, 'AccessKeyId'),
+    secretAccessKey: xmlValue(xml, 'SecretAccessKey'),
+    sessionToken: xmlValue(xml, 'SessionToken'),
+    expiration: xmlValue(xml, 'Expiration')
+  };
+}
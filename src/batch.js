@@ -0,0 +1,240 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import { getConfigDir } from './config.js';
+import { ValidationError, ResourceNotFoundError, getQuantumTask, createQuantumTask, cancelQuantumTask, toBraketError } from './api.js';
+import { isLocalTask, isLocalDevice, getLocalTask, runLocalTask } from './local.js';
+import { TERMINAL_STATES } from './wait.js';
+
+// ============================================================
+// Manifests
+// ============================================================
+//
+//   name: theta-sweep            optional; used in the batch id
+//   device: arn:aws:braket:::device/quantum-simulator/amazon/sv1
+//   shots: 1000
+//   qasm: sweep.qasm             or circuit: / ir: / ahs: (paths relative to the manifest)
+//   s3Bucket: my-braket-bucket   optional if --s3-bucket is given
+//   s3Prefix: sweeps/theta
+//   concurrency: 4
+//   tags: { project: qaoa }      optional; added to every task
+//   inputs:                      one task per binding
+//     - { theta: 0.1 }
+//     - { inputs: { theta: 0.2 }, shots: 5000 }
+
+const SOURCE_KEYS = ['qasm', 'circuit', 'ir', 'ahs'];
+
+function manifestError(file, message) {
+  return new ValidationError(`Invalid manifest ${file}: ${message}`, { code: 'InvalidManifest' });
+}
+
+export function loadManifest(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ValidationError(`Cannot read ${file}: ${error.message}`, { code: 'InvalidManifest' });
+  }
+
+  let doc;
+  try {
+    doc = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw manifestError(file, error.message);
+  }
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw manifestError(file, 'expected a mapping at the top level');
+
+  const deviceArn = doc.device || doc.deviceArn;
+  if (!deviceArn) throw manifestError(file, "missing 'device'");
+  const shots = doc.shots !== undefined ? Number(doc.shots) : undefined;
+  const sources = SOURCE_KEYS.filter(k => doc[k]);
+  if (sources.length > 1) throw manifestError(file, `use only one of ${sources.join(', ')}`);
+
+  const concurrency = doc.concurrency !== undefined ? Number(doc.concurrency) : undefined;
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    throw manifestError(file, "'concurrency' must be a positive integer");
+  }
+
+  const bindings = doc.inputs ?? [{}];
+  if (doc.tags !== undefined && (!doc.tags || typeof doc.tags !== 'object' || Array.isArray(doc.tags))) {
+    throw manifestError(file, "'tags' must be a mapping of key: value");
+  }
+  if (!Array.isArray(bindings) || !bindings.length) throw manifestError(file, "'inputs' must be a non-empty list of input bindings");
+  const entries = bindings.map((binding, index) => {
+    const explicit = binding && typeof binding.inputs === 'object';
+    const entry = { index, inputs: (explicit ? binding.inputs : binding) || {}, shots: explicit && binding.shots !== undefined ? Number(binding.shots) : shots };
+    if (!Number.isInteger(entry.shots) || entry.shots < 0) throw manifestError(file, `entry ${index} has no valid 'shots'`);
+    return entry;
+  });
+
+  const dir = path.dirname(path.resolve(file));
+  const source = sources.length ? { [sources[0]]: path.resolve(dir, doc[sources[0]]) } : {};
+
+  return {
+    file: path.resolve(file),
+    hash: crypto.createHash('sha1').update(text).digest('hex'),
+    name: doc.name || path.basename(file).replace(/\.[^.]+$/, ''),
+    deviceArn,
+    source,
+    s3Bucket: doc.s3Bucket,
+    s3Prefix: doc.s3Prefix,
+    concurrency,
+    tags: doc.tags && Object.fromEntries(Object.entries(doc.tags).map(([k, v]) => [k, String(v)])),
+    entries
+  };
+}
+
+// ============================================================
+// Batch state
+// ============================================================
+//
+// Each batch is a JSON file under <configDir>/batches. Entries keep their
+// clientToken, so an interrupted run resubmits unfinished entries with the
+// same token and the service returns the original task instead of a duplicate.
+
+function batchesDir() {
+  return path.join(getConfigDir(), 'batches');
+}
+
+function batchFile(batchId) {
+  return path.join(batchesDir(), `${batchId}.json`);
+}
+
+// Rerunning an unchanged manifest resumes the same batch; `fresh` starts a new one
+export function batchIdFor(manifest, { fresh } = {}) {
+  const slug = manifest.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'batch';
+  const suffix = fresh ? crypto.randomBytes(4).toString('hex') : manifest.hash.slice(0, 8);
+  return `${slug}-${suffix}`;
+}
+
+export function saveBatch(batch) {
+  fs.mkdirSync(batchesDir(), { recursive: true });
+  const file = batchFile(batch.batchId);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(batch, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+export function readBatch(batchId) {
+  try {
+    return JSON.parse(fs.readFileSync(batchFile(batchId), 'utf8'));
+  } catch {
+    throw new ResourceNotFoundError(`Batch ${batchId} not found`, { code: 'BatchNotFound' });
+  }
+}
+
+export function listBatches() {
+  let files = [];
+  try {
+    files = fs.readdirSync(batchesDir()).filter(f => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  return files
+    .map(f => { try { return JSON.parse(fs.readFileSync(path.join(batchesDir(), f), 'utf8')); } catch { return null; } })
+    .filter(Boolean)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Returns the stored batch for `batchId`, or a new one built from the manifest
+export function openBatch(manifest, batchId, { s3Bucket, s3Prefix, tags }) {
+  if (fs.existsSync(batchFile(batchId))) return readBatch(batchId);
+  return {
+    batchId,
+    manifest: manifest.file,
+    deviceArn: manifest.deviceArn,
+    s3Bucket,
+    s3Prefix,
+    tags,
+    createdAt: new Date().toISOString(),
+    entries: manifest.entries.map(e => ({ ...e, clientToken: crypto.randomUUID() }))
+  };
+}
+
+// ============================================================
+// Operations
+// ============================================================
+
+// Runs `fn` over `items` with at most `limit` calls in flight
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// Submits every entry without a task ARN. `actions[index]` is the task action
+// for each entry; the state file is rewritten after every submission.
+export async function submitBatch(batch, actions, { concurrency = 4, onProgress } = {}) {
+  const pending = batch.entries.filter(e => !e.quantumTaskArn);
+  await mapWithConcurrency(pending, concurrency, async (entry) => {
+    try {
+      const task = isLocalDevice(batch.deviceArn)
+        ? runLocalTask({ deviceArn: batch.deviceArn, shots: entry.shots, action: actions[entry.index] })
+        : await createQuantumTask({
+          deviceArn: batch.deviceArn,
+          shots: entry.shots,
+          outputS3Bucket: batch.s3Bucket,
+          outputS3KeyPrefix: batch.s3Prefix,
+          action: actions[entry.index],
+          clientToken: entry.clientToken,
+          tags: batch.tags
+        });
+      entry.quantumTaskArn = task.quantumTaskArn;
+      // CreateQuantumTask returns only the ARN; a new task starts out CREATED
+      entry.status = task.status || 'CREATED';
+      delete entry.error;
+    } catch (error) {
+      entry.error = toBraketError(error).message;
+    }
+    saveBatch(batch);
+    onProgress?.(entry);
+  });
+  return batch;
+}
+
+// Refreshes the status of every submitted, non-terminal entry
+export async function refreshBatch(batch, { concurrency = 8 } = {}) {
+  const active = batch.entries.filter(e => e.quantumTaskArn && !TERMINAL_STATES.includes(e.status));
+  await mapWithConcurrency(active, concurrency, async (entry) => {
+    try {
+      const task = isLocalTask(entry.quantumTaskArn) ? getLocalTask(entry.quantumTaskArn) : await getQuantumTask(entry.quantumTaskArn);
+      entry.status = task.status;
+      if (task.failureReason) entry.failureReason = task.failureReason;
+    } catch (error) {
+      entry.error = toBraketError(error).message;
+    }
+  });
+  saveBatch(batch);
+  return batch;
+}
+
+// Requests cancellation of every submitted, non-terminal entry
+export async function cancelBatch(batch, { concurrency = 8 } = {}) {
+  const active = batch.entries.filter(e => e.quantumTaskArn && !TERMINAL_STATES.includes(e.status) && !isLocalTask(e.quantumTaskArn));
+  await mapWithConcurrency(active, concurrency, async (entry) => {
+    try {
+      const result = await cancelQuantumTask(entry.quantumTaskArn);
+      entry.status = result.cancellationStatus || 'CANCELLING';
+    } catch (error) {
+      entry.error = toBraketError(error).message;
+    }
+  });
+  saveBatch(batch);
+  return active;
+}
+
+export function batchSummary(batch) {
+  const counts = {};
+  for (const entry of batch.entries) {
+    const key = entry.quantumTaskArn ? entry.status || 'UNKNOWN' : entry.error ? 'SUBMIT_FAILED' : 'PENDING';
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
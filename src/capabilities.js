@@ -0,0 +1,174 @@
+import { OPENQASM_ACTION, invalidCircuit } from './circuits.js';
+import { validateAhsProgram } from './ahs.js';
+
+// ============================================================
+// Device capabilities
+// ============================================================
+
+export function parseDeviceCapabilities(device) {
+  const caps = device?.deviceCapabilities;
+  if (!caps) return {};
+  try {
+    return typeof caps === 'string' ? JSON.parse(caps) : caps;
+  } catch {
+    return {};
+  }
+}
+
+// OpenQASM result pragma names to the names used in supportedResultTypes
+const RESULT_TYPE_NAMES = {
+  probability: 'Probability',
+  expectation: 'Expectation',
+  variance: 'Variance',
+  sample: 'Sample',
+  state_vector: 'StateVector',
+  density_matrix: 'DensityMatrix',
+  amplitude: 'Amplitude'
+};
+
+const lower = (list) => (list || []).map(x => String(x).toLowerCase());
+
+// Gate applications in a program, with custom gate calls expanded so the
+// gates they are built from are checked too.
+function appliedGates(program) {
+  const gates = [];
+  const expand = (op, depth = 0) => {
+    const custom = program.customGates[op.gate];
+    if (custom && depth < 16) {
+      custom.body.forEach(inner => expand({ ...inner, line: op.line, verbatim: op.verbatim }, depth + 1));
+    } else {
+      gates.push(op);
+    }
+  };
+  program.operations.forEach(op => expand(op));
+  return gates;
+}
+
+function hasEdge(graph, a, b) {
+  return lower(graph[String(a)]).includes(String(b)) || lower(graph[String(b)]).includes(String(a));
+}
+
+// Checks a parsed OpenQASM program (see parseQasm) against a device's
+// capabilities and returns a list of { line, message } violations.
+export function validateProgram(program, device, { shots } = {}) {
+  const caps = parseDeviceCapabilities(device);
+  const action = caps.action?.[OPENQASM_ACTION];
+  const paradigm = caps.paradigm || {};
+  const violations = [];
+  const violation = (line, message) => violations.push({ line, message });
+  const deviceName = device?.deviceName || device?.deviceArn?.split('/').pop() || 'device';
+
+  if (caps.action && !action) {
+    violation(1, `${deviceName} does not accept OpenQASM programs (supports: ${Object.keys(caps.action).join(', ')})`);
+    return violations;
+  }
+
+  const qubitCount = paradigm.qubitCount;
+  if (qubitCount && program.qubitCount > qubitCount) {
+    violation(program.qubitRegisters[0]?.line || 1, `program uses ${program.qubitCount} qubits but ${deviceName} has ${qubitCount}`);
+  }
+
+  const shotsRange = caps.service?.shotsRange;
+  if (shots !== undefined && Array.isArray(shotsRange)) {
+    const [min, max] = shotsRange;
+    if (shots < min || shots > max) violation(1, `${shots} shots is outside ${deviceName}'s range ${min}-${max}`);
+  }
+
+  const gates = appliedGates(program);
+  if (action) {
+    const supported = lower(action.supportedOperations);
+    const native = lower(paradigm.nativeGateSet);
+    const modifiers = lower((action.supportedModifiers || []).map(m => m.name ?? m));
+    for (const op of gates) {
+      if (op.verbatim && native.length) {
+        if (!native.includes(op.gate)) violation(op.line, `'${op.gate}' is not a native gate of ${deviceName} (verbatim box; native: ${native.join(', ')})`);
+      } else if (supported.length && !supported.includes(op.gate)) {
+        violation(op.line, `gate '${op.gate}' is not supported by ${deviceName}`);
+      }
+      for (const mod of op.modifiers || []) {
+        if (!modifiers.includes(mod.type)) violation(op.line, `gate modifier '${mod.type} @' is not supported by ${deviceName}`);
+      }
+    }
+
+    const pragmas = lower(action.supportedPragmas);
+    const forbidden = lower(action.forbiddenPragmas);
+    for (const pragma of program.pragmas) {
+      const name = pragma.name.toLowerCase();
+      if (forbidden.includes(name) || (pragmas.length && !pragmas.includes(name))) {
+        violation(pragma.line, `pragma '${pragma.text}' is not supported by ${deviceName}`);
+      }
+    }
+
+    const resultTypes = action.supportedResultTypes;
+    if (Array.isArray(resultTypes)) {
+      for (const result of program.results) {
+        const spec = resultTypes.find(r => r.name === RESULT_TYPE_NAMES[result.type]);
+        if (!spec) {
+          violation(result.line, `result type '${result.type}' is not supported by ${deviceName}`);
+          continue;
+        }
+        const observables = lower(spec.observables);
+        for (const obs of result.observable || []) {
+          if (observables.length && !observables.includes(obs)) violation(result.line, `observable '${obs}' is not supported for ${result.type} on ${deviceName}`);
+        }
+        if (shots !== undefined && spec.minShots !== undefined && shots < spec.minShots) {
+          violation(result.line, `result type '${result.type}' needs at least ${spec.minShots} shots on ${deviceName}`);
+        }
+        if (shots !== undefined && spec.maxShots !== undefined && shots > spec.maxShots) {
+          violation(result.line, `result type '${result.type}' allows at most ${spec.maxShots} shots on ${deviceName}`);
+        }
+      }
+    }
+  }
+
+  // Connectivity only binds when the program addresses physical qubits ($n);
+  // otherwise the device compiler is free to place and route the circuit.
+  const connectivity = paradigm.connectivity;
+  const graph = connectivity?.connectivityGraph;
+  if (program.usesPhysicalQubits && graph && connectivity.fullyConnected === false) {
+    const known = new Set(Object.keys(graph).concat(Object.values(graph).flat().map(String)));
+    for (const op of gates) {
+      for (const q of op.targets) {
+        if (typeof q === 'number' && !known.has(String(q))) violation(op.line, `physical qubit $${q} does not exist on ${deviceName}`);
+      }
+      if (op.targets.length === 2) {
+        const [a, b] = op.targets;
+        if (!hasEdge(graph, a, b)) violation(op.line, `qubits $${a} and $${b} are not connected on ${deviceName}`);
+      } else if (op.targets.length > 2) {
+        violation(op.line, `'${op.gate}' acts on ${op.targets.length} qubits, which ${deviceName}'s connectivity cannot execute directly`);
+      }
+    }
+  }
+
+  return violations;
+}
+
+// Checks a non-OpenQASM action (e.g. annealing or AHS IR) only for its type
+export function validateActionType(action, device) {
+  const caps = parseDeviceCapabilities(device);
+  const name = action?.braketSchemaHeader?.name;
+  if (!caps.action || !name || caps.action[name]) return [];
+  const deviceName = device?.deviceName || device?.deviceArn?.split('/').pop() || 'device';
+  return [{ line: 1, message: `${deviceName} does not accept '${name}' actions (supports: ${Object.keys(caps.action).join(', ')})` }];
+}
+
+// Validates a loaded task action (see loadTaskAction) against a device and
+// throws a ValidationError listing every violation, in original file lines.
+export function assertValidForDevice(loaded, device, { shots } = {}) {
+  const violations = loaded.program
+    ? validateProgram(loaded.program, device, { shots })
+    : validateActionType(loaded.action, device);
+  if (loaded.ahs && !violations.length) {
+    violations.push(...validateAhsProgram(loaded.action, {
+      capabilities: parseDeviceCapabilities(device),
+      deviceName: device?.deviceName || device?.deviceArn?.split('/').pop(),
+      lineOf: loaded.lineOf,
+      shots
+    }));
+  }
+  if (!violations.length) return;
+  const mapped = loaded.lineMap
+    ? violations.map(v => ({ ...v, line: loaded.lineMap[v.line - 1] ?? v.line }))
+    : violations;
+  throw invalidCircuit(loaded.label, mapped);
+}
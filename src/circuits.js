@@ -0,0 +1,277 @@
+import fs from 'fs';
+import { ValidationError } from './api.js';
+import { parseQasm, evaluateExpression, expressionIdentifiers, GATES, GATE_ALIASES } from './qasm.js';
+import { AHS_ACTION, loadAhsProgram } from './ahs.js';
+
+export const OPENQASM_ACTION = 'braket.ir.openqasm.program';
+
+export const BELL_STATE_QASM = 'OPENQASM 3.0;\nqubit[2] q;\nh q[0];\ncnot q[0], q[1];\n#pragma braket result probability q[0], q[1]';
+
+// ============================================================
+// Files and JSON arguments
+// ============================================================
+
+function readSourceFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ValidationError(`Cannot read ${file}: ${error.message}`, { code: 'InvalidCircuit' });
+  }
+}
+
+function jsonErrorLine(text, error) {
+  const explicit = error.message.match(/line (\d+) column (\d+)/);
+  if (explicit) return { line: parseInt(explicit[1]), column: parseInt(explicit[2]) };
+  const position = error.message.match(/position (\d+)/);
+  if (!position) return { line: 1, column: 1 };
+  const before = text.slice(0, parseInt(position[1])).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function parseJsonSource(text, label) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const { line, column } = jsonErrorLine(text, error);
+    throw invalidCircuit(label, [{ line, message: `invalid JSON at column ${column}: ${error.message.replace(/ in JSON.*$/, '')}` }]);
+  }
+}
+
+// Accepts either inline JSON or a path to a JSON file
+export function loadJsonArgument(value, label = 'argument') {
+  const trimmed = String(value).trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return parseJsonSource(trimmed, label);
+  return parseJsonSource(readSourceFile(trimmed), trimmed);
+}
+
+export function formatCircuitErrors(label, errors) {
+  return errors
+    .slice()
+    .sort((a, b) => a.line - b.line)
+    .map(e => `${label}:${e.line}: ${e.message}`)
+    .join('\n');
+}
+
+export function invalidCircuit(label, errors) {
+  const error = new ValidationError(`Invalid ${label}:\n${formatCircuitErrors(label, errors)}`, { code: 'InvalidCircuit' });
+  error.violations = errors;
+  return error;
+}
+
+// ============================================================
+// Compact circuit format
+// ============================================================
+//
+//   # Bell pair
+//   h 0; cnot 0 1
+//   rx(theta/2) 2          identifiers become OpenQASM inputs
+//   probability 0 1        also: expectation/variance/sample <zxy..> <qubits>
+//   measure                or: measure 0 1
+//   qubits 4               optional; otherwise the highest index used + 1
+
+const RESULT_STATEMENTS = ['probability', 'expectation', 'variance', 'sample'];
+
+export function compileCircuit(source) {
+  const errors = [];
+  const gates = [];
+  const results = [];
+  const inputs = new Map();
+  let measure = null;
+  let declaredQubits = null;
+  let maxQubit = -1;
+
+  const parseQubits = (args, line) => args.map((a) => {
+    if (!/^\d+$/.test(a)) {
+      errors.push({ line, message: `expected a qubit index, got '${a}'` });
+      return 0;
+    }
+    const q = parseInt(a);
+    maxQubit = Math.max(maxQubit, q);
+    return q;
+  });
+
+  source.split('\n').forEach((raw, idx) => {
+    const line = idx + 1;
+    for (const statement of raw.replace(/#.*$/, '').split(';')) {
+      const text = statement.trim();
+      if (!text) continue;
+      const m = text.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*(?:\(([^)]*)\))?\s*(.*)$/);
+      if (!m) {
+        errors.push({ line, message: `could not parse '${text}'` });
+        continue;
+      }
+      const keyword = m[1].toLowerCase();
+      const params = m[2] !== undefined ? m[2].split(',').map(p => p.trim()).filter(Boolean) : [];
+      const args = m[3].split(/[\s,]+/).filter(Boolean);
+
+      if (keyword === 'qubits') {
+        declaredQubits = parseInt(args[0]);
+        if (!(declaredQubits > 0)) errors.push({ line, message: `'qubits' expects a positive count` });
+      } else if (keyword === 'measure') {
+        measure = { qubits: parseQubits(args, line), line };
+      } else if (RESULT_STATEMENTS.includes(keyword)) {
+        if (keyword === 'probability') {
+          results.push({ type: keyword, qubits: parseQubits(args, line), line });
+          continue;
+        }
+        const [observable, ...qubitArgs] = args;
+        if (!observable || !/^[xyzhi]+$/i.test(observable)) {
+          errors.push({ line, message: `${keyword} expects an observable such as 'z' or 'zx', then qubits` });
+          continue;
+        }
+        const qubits = parseQubits(qubitArgs, line);
+        if (qubits.length !== observable.length) {
+          errors.push({ line, message: `observable '${observable}' needs ${observable.length} qubit(s), got ${qubits.length}` });
+          continue;
+        }
+        results.push({ type: keyword, observable: observable.toLowerCase(), qubits, line });
+      } else {
+        const name = GATE_ALIASES[keyword] || keyword;
+        const spec = GATES[name];
+        if (!spec) {
+          errors.push({ line, message: `unknown gate '${m[1]}'` });
+          continue;
+        }
+        if (params.length !== spec.params) {
+          errors.push({ line, message: `gate '${m[1]}' takes ${spec.params} parameter(s), got ${params.length}` });
+        }
+        for (const p of params) {
+          try {
+            expressionIdentifiers(p).forEach(id => inputs.has(id) || inputs.set(id, line));
+            evaluateExpression(p, Object.fromEntries(expressionIdentifiers(p).map(id => [id, 0])));
+          } catch (error) {
+            errors.push({ line, message: error.message });
+          }
+        }
+        const qubits = parseQubits(args, line);
+        if (qubits.length !== spec.qubits) {
+          errors.push({ line, message: `gate '${m[1]}' acts on ${spec.qubits} qubit(s), got ${qubits.length}` });
+        } else if (new Set(qubits).size !== qubits.length) {
+          errors.push({ line, message: `gate '${m[1]}' uses the same qubit twice` });
+        }
+        gates.push({ name, params, qubits, line });
+      }
+    }
+  });
+
+  const qubitCount = declaredQubits ?? maxQubit + 1;
+  if (qubitCount <= 0) errors.push({ line: 1, message: 'circuit uses no qubits' });
+  if (declaredQubits !== null && maxQubit >= declaredQubits) {
+    errors.push({ line: 1, message: `qubit index ${maxQubit} exceeds declared 'qubits ${declaredQubits}'` });
+  }
+  if (errors.length) return { errors };
+
+  // lineMap[n - 1] is the circuit-file line that produced OpenQASM line n
+  const q = (i) => `q[${i}]`;
+  const lines = [];
+  const lineMap = [];
+  const emit = (text, line = 1) => { lines.push(text); lineMap.push(line); };
+
+  emit('OPENQASM 3.0;');
+  for (const [name, line] of inputs) emit(`input float ${name};`, line);
+  emit(`qubit[${qubitCount}] q;`);
+  const measured = measure ? (measure.qubits.length ? measure.qubits : [...Array(qubitCount).keys()]) : [];
+  if (measured.length) emit(`bit[${measured.length}] b;`, measure.line);
+  for (const g of gates) {
+    emit(`${g.name}${g.params.length ? `(${g.params.join(', ')})` : ''} ${g.qubits.map(q).join(', ')};`, g.line);
+  }
+  for (const r of results) {
+    if (r.type === 'probability') {
+      emit(`#pragma braket result probability${r.qubits.length ? ' ' + r.qubits.map(q).join(', ') : ''}`, r.line);
+    } else {
+      const terms = r.qubits.map((qubit, i) => `${r.observable[i]}(${q(qubit)})`).join(' @ ');
+      emit(`#pragma braket result ${r.type} ${terms}`, r.line);
+    }
+  }
+  measured.forEach((qubit, i) => emit(`b[${i}] = measure ${q(qubit)};`, measure.line));
+
+  return { qasm: lines.join('\n'), lineMap, inputLines: Object.fromEntries(inputs), errors: [] };
+}
+
+// ============================================================
+// Actions
+// ============================================================
+
+// `inputLines` maps input names to the line that introduced them, for sources
+// (compact circuits) whose line numbers differ from the generated OpenQASM.
+function checkInputs(program, inputs, label, inputLines = {}) {
+  const errors = [];
+  const declared = program.inputs.map(i => i.name);
+  for (const input of program.inputs) {
+    const line = inputLines[input.name] ?? input.line;
+    if (!(input.name in inputs)) errors.push({ line, message: `input '${input.name}' has no value; pass it with --inputs` });
+    else if (typeof inputs[input.name] !== 'number') errors.push({ line, message: `input '${input.name}' must be a number` });
+  }
+  for (const name of Object.keys(inputs)) {
+    if (!declared.includes(name)) errors.push({ line: 1, message: `--inputs binds '${name}', which the program does not declare` });
+  }
+  if (errors.length) throw invalidCircuit(label, errors);
+}
+
+function loadAhs(text, label) {
+  const { violations, ...loaded } = loadAhsProgram(text, label);
+  if (violations.length) throw invalidCircuit(label, violations);
+  return loaded;
+}
+
+export function openQasmAction(source, inputs = {}) {
+  return {
+    braketSchemaHeader: { name: OPENQASM_ACTION, version: '1' },
+    source,
+    inputs
+  };
+}
+
+// Builds and locally validates a task action from exactly one of:
+// `action` (raw JSON string), `qasm`, `ir`, `circuit` or `ahs` (file paths).
+// Returns { action, label } plus, for OpenQASM programs, the `source` text, the
+// parsed `program` and (for circuit files) a `lineMap` back to the original lines,
+// and for AHS programs `ahs: true` and a `lineOf` from program paths to lines.
+export function loadTaskAction({ action, qasm, ir, circuit, ahs, inputs } = {}) {
+  const given = Object.entries({ action, qasm, ir, circuit, ahs }).filter(([, v]) => v).map(([k]) => `--${k}`);
+  if (given.length > 1) {
+    throw new ValidationError(`Use only one of ${given.join(', ')}`, { code: 'InvalidCircuit' });
+  }
+  const boundInputs = inputs ? loadJsonArgument(inputs, 'inputs') : {};
+
+  // JSON or YAML, in SI units or with unit suffixes; see ahs.js
+  if (ahs) return loadAhs(readSourceFile(ahs), ahs);
+
+  if (action || ir) {
+    const label = action ? '--action' : ir;
+    const text = action || readSourceFile(ir);
+    const document = parseJsonSource(text, label);
+    if (!document?.braketSchemaHeader?.name) {
+      throw invalidCircuit(label, [{ line: 1, message: 'action has no braketSchemaHeader.name' }]);
+    }
+    if (document.braketSchemaHeader.name === AHS_ACTION) return loadAhs(text, label);
+    if (document.braketSchemaHeader.name !== OPENQASM_ACTION || typeof document.source !== 'string') {
+      return { action: document, label };
+    }
+    const program = parseQasm(document.source);
+    if (program.errors.length) throw invalidCircuit(`${label} source`, program.errors);
+    checkInputs(program, { ...document.inputs, ...boundInputs }, `${label} source`);
+    return { action: { ...document, inputs: { ...document.inputs, ...boundInputs } }, source: document.source, program, label: `${label} source` };
+  }
+
+  let source;
+  let label;
+  let inputLines;
+  let lineMap;
+  if (circuit) {
+    label = circuit;
+    const compiled = compileCircuit(readSourceFile(circuit));
+    if (compiled.errors.length) throw invalidCircuit(circuit, compiled.errors);
+    source = compiled.qasm;
+    inputLines = compiled.inputLines;
+    lineMap = compiled.lineMap;
+  } else {
+    label = qasm || 'default Bell circuit';
+    source = qasm ? readSourceFile(qasm) : BELL_STATE_QASM;
+  }
+
+  const program = parseQasm(source);
+  if (program.errors.length) throw invalidCircuit(label, program.errors);
+  checkInputs(program, boundInputs, label, inputLines);
+  return { action: openQasmAction(source, boundInputs), source, program, label, lineMap };
+}
@@ -0,0 +1,309 @@
+import { EventEmitter } from 'events';
+
+// ============================================================
+// Settings
+// ============================================================
+
+export interface Credentials {
+  accessKeyId: string;
+  secretAccessKey: string;
+  sessionToken?: string;
+}
+
+/** Called before each request, and with forceRefresh after an ExpiredToken error; cache as needed */
+export type CredentialsProvider = (options: { forceRefresh?: boolean }) => Credentials | Promise<Credentials>;
+
+export interface Logger {
+  debug?(message: string): void;
+  warn?(message: string): void;
+}
+
+export interface BraketClientOptions {
+  /** Static credentials or a provider; defaults to the CLI's credential chain */
+  credentials?: Credentials | CredentialsProvider;
+  /** Region for calls whose ARN does not name one */
+  region?: string;
+  /** Endpoint for every service, or one per service */
+  endpoint?: string | { braket?: string; s3?: string; logs?: string; sts?: string };
+  /** Retries for throttled, 5xx and dropped requests (default 3) */
+  maxRetries?: number;
+  /** Per-request HTTP timeout in seconds (default 60) */
+  timeout?: number;
+  logger?: Logger;
+}
+
+// ============================================================
+// Resources
+// ============================================================
+
+export type TaskStatus = 'CREATED' | 'QUEUED' | 'RUNNING' | 'COMPLETED' | 'FAILED' | 'CANCELLING' | 'CANCELLED';
+export type JobStatus = 'QUEUED' | 'RUNNING' | 'COMPLETED' | 'FAILED' | 'CANCELLING' | 'CANCELLED';
+
+export interface QuantumTask {
+  quantumTaskArn: string;
+  status: TaskStatus;
+  deviceArn: string;
+  shots: number;
+  outputS3Bucket?: string;
+  outputS3Directory?: string;
+  createdAt?: string;
+  endedAt?: string;
+  failureReason?: string;
+  jobArn?: string;
+  tags?: Record<string, string>;
+  [key: string]: unknown;
+}
+
+export interface Device {
+  deviceArn: string;
+  deviceName: string;
+  deviceType: 'QPU' | 'SIMULATOR';
+  deviceStatus: 'ONLINE' | 'OFFLINE' | 'RETIRED';
+  providerName: string;
+  /** JSON document, as returned by GetDevice */
+  deviceCapabilities?: string;
+  [key: string]: unknown;
+}
+
+export interface Job {
+  jobArn: string;
+  jobName: string;
+  status: JobStatus;
+  [key: string]: unknown;
+}
+
+export type QuantumTaskPage = { quantumTasks: QuantumTask[]; nextToken?: string };
+export type DevicePage = { devices: Device[]; nextToken?: string };
+export type JobPage = { jobs: Job[]; nextToken?: string };
+
+export interface SearchQuantumTasksOptions {
+  deviceArn?: string;
+  status?: TaskStatus;
+  filters?: { name: string; operator: string; values: string[] }[];
+  maxResults?: number;
+  nextToken?: string;
+  region?: string;
+}
+
+export interface SearchDevicesOptions {
+  type?: 'QPU' | 'SIMULATOR';
+  provider?: string;
+  status?: 'ONLINE' | 'OFFLINE' | 'RETIRED';
+  maxResults?: number;
+  nextToken?: string;
+  region?: string;
+}
+
+export interface SearchJobsOptions {
+  state?: JobStatus;
+  maxResults?: number;
+  nextToken?: string;
+}
+
+export interface CreateQuantumTaskRequest {
+  deviceArn: string;
+  shots: number;
+  outputS3Bucket: string;
+  outputS3KeyPrefix: string;
+  /** Braket action document, as an object or JSON string */
+  action: object | string;
+  clientToken?: string;
+  tags?: Record<string, string>;
+}
+
+export interface CreateJobRequest {
+  jobName: string;
+  roleArn: string;
+  algorithmSpecification: object;
+  instanceConfig: object;
+  outputDataConfig: object;
+  checkpointConfig?: object;
+  deviceConfig?: object;
+  hyperParameters?: Record<string, string>;
+  inputDataConfig?: object[];
+  stoppingCondition?: object;
+  clientToken?: string;
+  tags?: Record<string, string>;
+}
+
+export interface S3Location {
+  bucket: string;
+  key: string;
+  endpointUrl?: string;
+  region?: string;
+}
+
+// ============================================================
+// Results
+// ============================================================
+
+interface ResultBase {
+  taskId?: string;
+  deviceId?: string;
+  shots?: number;
+}
+
+export interface GateResult extends ResultBase {
+  kind: 'gate';
+  measuredQubits: number[];
+  counts: Record<string, number>;
+  probabilities: Record<string, number>;
+  resultTypes: { type?: string; targets?: number[]; observable?: unknown; value: unknown }[];
+}
+
+export interface AnnealingResult extends ResultBase {
+  kind: 'annealing';
+  variableCount?: number;
+  solutions: { solution: number[]; count?: number; value?: number }[];
+}
+
+export interface AhsResult extends ResultBase {
+  kind: 'ahs';
+  shotStatus: Record<string, number>;
+  successfulShots: number;
+  sites: { site: number; pre: number; post: number; rydberg: number }[];
+  /** Keyed by per-site state strings of g (ground), r (Rydberg) and e (empty) */
+  counts: Record<string, number>;
+  probabilities: Record<string, number>;
+  resultTypes: [];
+}
+
+export type TaskResult = GateResult | AnnealingResult | AhsResult;
+
+export function parseTaskResult(result: object): TaskResult;
+
+// ============================================================
+// Waiting and running
+// ============================================================
+
+export interface WaitOptions<T> {
+  /** Seconds before rejecting with a WaiterTimeoutError */
+  timeout?: number;
+  /** Called after every poll */
+  onUpdate?: (resource: T, elapsedMs: number) => void;
+}
+
+export interface RunTaskRequest extends WaitOptions<QuantumTask> {
+  deviceArn: string;
+  shots: number;
+  /** Required unless the device is local (local:sv) */
+  outputS3Bucket?: string;
+  /** Defaults to "braket-results" */
+  outputS3KeyPrefix?: string;
+  /** Braket action document; or give an OpenQASM `source` */
+  action?: object | string;
+  source?: string;
+  inputs?: Record<string, number>;
+  /** Seed for local devices */
+  seed?: number;
+  clientToken?: string;
+  tags?: Record<string, string>;
+}
+
+export interface StatusEvent {
+  kind: 'task' | 'job';
+  /** Task ARN or job name */
+  id: string;
+  status: string;
+  previous?: string;
+  resource: QuantumTask | Job;
+}
+
+export const TERMINAL_STATES: readonly string[];
+export const FAILED_STATES: readonly string[];
+
+// ============================================================
+// Braket client
+// ============================================================
+
+export class BraketClient extends EventEmitter {
+  constructor(options?: BraketClientOptions);
+
+  readonly settings: Readonly<BraketClientOptions>;
+
+  searchQuantumTasks(options?: SearchQuantumTasksOptions): Promise<QuantumTaskPage>;
+  listQuantumTasks(options?: SearchQuantumTasksOptions): Promise<QuantumTask[]>;
+  iterateQuantumTasks(options?: SearchQuantumTasksOptions): AsyncGenerator<QuantumTask>;
+  getQuantumTask(taskArn: string, options?: { queueInfo?: boolean }): Promise<QuantumTask>;
+  createQuantumTask(request: CreateQuantumTaskRequest): Promise<{ quantumTaskArn: string }>;
+  cancelQuantumTask(taskArn: string): Promise<{ quantumTaskArn: string; cancellationStatus: string }>;
+
+  searchDevices(options?: SearchDevicesOptions): Promise<DevicePage>;
+  listDevices(options?: SearchDevicesOptions): Promise<Device[]>;
+  iterateDevices(options?: SearchDevicesOptions): AsyncGenerator<Device>;
+  getDevice(deviceArn: string): Promise<Device>;
+
+  createJob(request: CreateJobRequest): Promise<{ jobArn: string }>;
+  getJob(jobName: string, options?: { queueInfo?: boolean }): Promise<Job>;
+  searchJobs(options?: SearchJobsOptions): Promise<JobPage>;
+  listJobs(options?: SearchJobsOptions): Promise<Job[]>;
+  iterateJobs(options?: SearchJobsOptions): AsyncGenerator<Job>;
+  cancelJob(jobName: string): Promise<{ jobArn: string; cancellationStatus: string }>;
+
+  listTagsForResource(resourceArn: string): Promise<Record<string, string>>;
+  tagResource(resourceArn: string, tags: Record<string, string>): Promise<unknown>;
+  untagResource(resourceArn: string, tagKeys: string[]): Promise<unknown>;
+
+  getS3Object(location: S3Location): Promise<string>;
+  putS3Object(upload: S3Location & { body: string | Buffer; contentType?: string }): Promise<{ bucket: string; key: string; s3Uri: string }>;
+  describeLogStreams(request: { logGroupName: string; logStreamNamePrefix?: string; nextToken?: string; endpointUrl?: string }): Promise<any>;
+  getLogEvents(request: { logGroupName: string; logStreamName: string; nextToken?: string; startFromHead?: boolean; endpointUrl?: string }): Promise<any>;
+  filterLogEvents(request: { logGroupName: string; logStreamNamePrefix?: string; filterPattern?: string; startTime?: number; nextToken?: string; endpointUrl?: string }): Promise<any>;
+
+  /** Resolves once the task is COMPLETED, FAILED or CANCELLED */
+  waitForQuantumTask(taskArn: string, options?: WaitOptions<QuantumTask>): Promise<QuantumTask>;
+  /** Resolves once the job is COMPLETED, FAILED or CANCELLED */
+  waitForJob(jobName: string, options?: WaitOptions<Job>): Promise<Job>;
+  /** A COMPLETED task's results, normalized */
+  getTaskResult(taskArn: string, options?: { endpointUrl?: string }): Promise<TaskResult>;
+  /**
+   * Creates a task, waits for it and fetches its results; rejects with a TaskFailedError if it fails or is cancelled.
+   * Tasks on local devices run in-process and are kept in this client's memory, not written to disk.
+   */
+  runTask(request: RunTaskRequest): Promise<{ task: QuantumTask; result: TaskResult }>;
+
+  on(event: 'status', listener: (event: StatusEvent) => void): this;
+  once(event: 'status', listener: (event: StatusEvent) => void): this;
+  off(event: 'status', listener: (event: StatusEvent) => void): this;
+  emit(event: 'status', event: StatusEvent): boolean;
+}
+
+// ============================================================
+// Errors
+// ============================================================
+
+export type ErrorCategory =
+  | 'general' | 'validation' | 'auth' | 'notFound' | 'throttling' | 'quota' | 'device'
+  | 'conflict' | 'service' | 'network' | 'taskFailed' | 'timeout' | 'budget';
+
+export const EXIT_CODES: Readonly<Record<ErrorCategory, number>>;
+
+export class BraketError extends Error {
+  constructor(message: string, details?: { code?: string; status?: number; requestId?: string });
+  code: string;
+  status?: number;
+  requestId?: string;
+  readonly category: ErrorCategory;
+  readonly exitCode: number;
+  toJSON(): {
+    name: string; code: string; message: string; status?: number; requestId?: string;
+    category: ErrorCategory; exitCode: number;
+  };
+}
+
+export class ValidationError extends BraketError {}
+export class AccessDeniedError extends BraketError {}
+export class CredentialsError extends BraketError {}
+export class ResourceNotFoundError extends BraketError {}
+export class ThrottlingError extends BraketError {}
+export class ServiceQuotaExceededError extends BraketError {}
+export class DeviceUnavailableError extends BraketError {}
+export class ConflictError extends BraketError {}
+export class InternalServiceError extends BraketError {}
+export class NetworkError extends BraketError {}
+export class WaiterTimeoutError extends BraketError {}
+export class BudgetExceededError extends BraketError {}
+export class TaskFailedError extends BraketError {
+  /** The task as last polled */
+  task?: QuantumTask;
+}
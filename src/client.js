@@ -0,0 +1,190 @@
+import { EventEmitter } from 'events';
+import * as api from './api.js';
+import { TaskFailedError, paginate, withSettings } from './api.js';
+import { waitForQuantumTask, waitForJob, FAILED_STATES } from './wait.js';
+import { fetchTaskResult, parseTaskResult } from './results.js';
+import { openQasmAction } from './circuits.js';
+import { isLocalDevice, executeLocalTask } from './local.js';
+
+export {
+  BraketError, ValidationError, AccessDeniedError, CredentialsError, ResourceNotFoundError, ThrottlingError,
+  ServiceQuotaExceededError, DeviceUnavailableError, ConflictError, InternalServiceError, NetworkError,
+  WaiterTimeoutError, BudgetExceededError, TaskFailedError, EXIT_CODES
+} from './api.js';
+export { TERMINAL_STATES, FAILED_STATES } from './wait.js';
+export { parseTaskResult } from './results.js';
+
+// ============================================================
+// Braket client
+// ============================================================
+//
+// The API for programs that embed the CLI's Braket support. Every option is
+// optional and falls back to what the CLI would use (environment variables,
+// then the awsbraket config file):
+//
+//   credentials  { accessKeyId, secretAccessKey, sessionToken }, or an async
+//                function returning them (called for every request, with
+//                { forceRefresh: true } after an ExpiredToken error)
+//   region       for calls whose ARN does not name one
+//   endpoint     a URL for every service, or { braket, s3, logs, sts }
+//   maxRetries   retries for throttled, 5xx and dropped requests (default 3)
+//   timeout      per-request HTTP timeout in seconds (default 60)
+//   logger       console-like; gets debug (each request) and warn (each retry)
+//
+// Clients emit 'status' ({ kind, id, status, previous, resource }) whenever a
+// task or job they are waiting on changes status.
+//
+// Tasks runTask runs on local devices are kept in memory, for the life of the
+// client, rather than in the CLI's config directory; getQuantumTask,
+// waitForQuantumTask and getTaskResult answer for them.
+
+export class BraketClient extends EventEmitter {
+  #settings;
+  #localTasks = new Map();
+
+  constructor({ credentials, region, endpoint, maxRetries, timeout, logger } = {}) {
+    super();
+    this.#settings = Object.freeze({ credentials, region, endpoint, maxRetries, timeout, logger });
+  }
+
+  // The settings this client was created with
+  get settings() {
+    return this.#settings;
+  }
+
+  #run(fn) {
+    return withSettings(this.#settings, fn);
+  }
+
+  // Quantum tasks
+
+  searchQuantumTasks(options) { return this.#run(() => api.searchQuantumTasks(options)); }
+
+  listQuantumTasks(options) { return this.#run(() => api.listQuantumTasks(options)); }
+
+  iterateQuantumTasks({ nextToken, ...options } = {}) {
+    return paginate((token) => this.searchQuantumTasks({ ...options, nextToken: token }), 'quantumTasks', nextToken);
+  }
+
+  getQuantumTask(taskArn, options) {
+    const local = this.#localTasks.get(taskArn);
+    return local ? Promise.resolve(local.task) : this.#run(() => api.getQuantumTask(taskArn, options));
+  }
+
+  createQuantumTask(request) { return this.#run(() => api.createQuantumTask(request)); }
+
+  cancelQuantumTask(taskArn) { return this.#run(() => api.cancelQuantumTask(taskArn)); }
+
+  // Devices
+
+  searchDevices(options) { return this.#run(() => api.searchDevices(options)); }
+
+  listDevices(options) { return this.#run(() => api.listDevices(options)); }
+
+  iterateDevices({ nextToken, ...options } = {}) {
+    return paginate((token) => this.searchDevices({ ...options, nextToken: token }), 'devices', nextToken);
+  }
+
+  getDevice(deviceArn) { return this.#run(() => api.getDevice(deviceArn)); }
+
+  // Hybrid jobs
+
+  createJob(request) { return this.#run(() => api.createJob(request)); }
+
+  getJob(jobName, options) { return this.#run(() => api.getJob(jobName, options)); }
+
+  searchJobs(options) { return this.#run(() => api.searchJobs(options)); }
+
+  listJobs(options) { return this.#run(() => api.listJobs(options)); }
+
+  iterateJobs({ nextToken, ...options } = {}) {
+    return paginate((token) => this.searchJobs({ ...options, nextToken: token }), 'jobs', nextToken);
+  }
+
+  cancelJob(jobName) { return this.#run(() => api.cancelJob(jobName)); }
+
+  // Tags
+
+  listTagsForResource(resourceArn) { return this.#run(() => api.listTagsForResource(resourceArn)); }
+
+  tagResource(resourceArn, tags) { return this.#run(() => api.tagResource(resourceArn, tags)); }
+
+  untagResource(resourceArn, tagKeys) { return this.#run(() => api.untagResource(resourceArn, tagKeys)); }
+
+  // S3 and CloudWatch Logs
+
+  getS3Object(location) { return this.#run(() => api.getS3Object(location)); }
+
+  putS3Object(upload) { return this.#run(() => api.putS3Object(upload)); }
+
+  describeLogStreams(request) { return this.#run(() => api.describeLogStreams(request)); }
+
+  getLogEvents(request) { return this.#run(() => api.getLogEvents(request)); }
+
+  filterLogEvents(request) { return this.#run(() => api.filterLogEvents(request)); }
+
+  // Waiting and results
+
+  // Calls `onUpdate` after every poll and emits 'status' on every change
+  #tracking(kind, id, onUpdate) {
+    let previous;
+    return (resource, elapsedMs) => {
+      if (resource.status !== previous) {
+        this.emit('status', { kind, id, status: resource.status, previous, resource });
+        previous = resource.status;
+      }
+      onUpdate?.(resource, elapsedMs);
+    };
+  }
+
+  // Resolves with the task once it is COMPLETED, FAILED or CANCELLED;
+  // rejects with a WaiterTimeoutError after `timeout` seconds
+  waitForQuantumTask(taskArn, { timeout, onUpdate } = {}) {
+    const local = this.#localTasks.get(taskArn);
+    if (local) {
+      this.#tracking('task', taskArn, onUpdate)(local.task, 0);
+      return Promise.resolve(local.task);
+    }
+    return this.#run(() => waitForQuantumTask(taskArn, { timeout, onUpdate: this.#tracking('task', taskArn, onUpdate) }));
+  }
+
+  waitForJob(jobName, { timeout, onUpdate } = {}) {
+    return this.#run(() => waitForJob(jobName, { timeout, onUpdate: this.#tracking('job', jobName, onUpdate) }));
+  }
+
+  // A COMPLETED task's results.json, normalized (see parseTaskResult)
+  getTaskResult(taskArn, { endpointUrl } = {}) {
+    const local = this.#localTasks.get(taskArn);
+    if (local) {
+      return local.result
+        ? Promise.resolve(parseTaskResult(local.result))
+        : Promise.reject(new Error(`Quantum task ${taskArn} is ${local.task.status}; results are only available once it has COMPLETED`));
+    }
+    return this.#run(() => fetchTaskResult(taskArn, { endpointUrl }));
+  }
+
+  // Creates a task, waits for it and returns { task, result }. Takes the
+  // createQuantumTask request with either `action` or an OpenQASM `source`
+  // (and its `inputs`); local devices (local:sv) run in-process. Rejects with
+  // a TaskFailedError (its `task` set) if the task ends FAILED or CANCELLED.
+  async runTask({ source, inputs, action, seed, timeout, onUpdate, outputS3KeyPrefix = 'braket-results', ...request }) {
+    action = action || openQasmAction(source, inputs);
+    let task;
+    if (isLocalDevice(request.deviceArn)) {
+      const local = executeLocalTask({ deviceArn: request.deviceArn, shots: request.shots, action: typeof action === 'string' ? JSON.parse(action) : action, seed });
+      this.#localTasks.set(local.task.quantumTaskArn, local);
+      task = await this.waitForQuantumTask(local.task.quantumTaskArn, { onUpdate });
+    } else {
+      const { quantumTaskArn } = await this.createQuantumTask({ ...request, outputS3KeyPrefix, action });
+      task = await this.waitForQuantumTask(quantumTaskArn, { timeout, onUpdate });
+    }
+    if (FAILED_STATES.includes(task.status)) {
+      const error = new TaskFailedError(`Quantum task ${task.quantumTaskArn} ${task.status}${task.failureReason ? `: ${task.failureReason}` : ''}`, {
+        code: `Task${task.status.charAt(0)}${task.status.slice(1).toLowerCase()}`
+      });
+      error.task = task;
+      throw error;
+    }
+    return { task, result: await this.getTaskResult(task.quantumTaskArn) };
+  }
+}
@@ -1,8 +1,85 @@
 import Conf from 'conf';
+import path from 'path';
 
-const config = new Conf({ projectName: '@ktmcp-cli/awsbraket' });
+// Owner-only: the file holds the access key id, and secrets with the plain backend
+const config = new Conf({ projectName: '@ktmcp-cli/awsbraket', configFileMode: 0o600 });
+
+// ============================================================
+// Profiles
+// ============================================================
+//
+// Named profiles live under `profiles` and override these settings while
+// active; everything else (credentials, budgets, timeouts) is shared. The
+// active profile is --profile when it names one, else `currentProfile`.
+
+export const PROFILE_KEYS = ['region', 'deviceArn', 's3Bucket', 's3Prefix', 'roleArn', 'externalId', 'mfaSerial', 'shots', 'awsProfile', 'defaultTags'];
+
+const DEFAULT_REGION = 'us-east-1';
+
+let profileOverride = null;
+let overrides = {};
+
+// Selects the profile for this process, and one-off values such as --region
+export function setActiveProfile(name) {
+  profileOverride = name || null;
+}
+
+export function setConfigOverrides(values = {}) {
+  overrides = values;
+}
+
+export function getActiveProfile() {
+  const name = profileOverride || config.get('currentProfile');
+  return name && getProfiles()[name] ? name : null;
+}
+
+export function getProfiles() {
+  return config.get('profiles') || {};
+}
+
+export function profileExists(name) {
+  return Object.prototype.hasOwnProperty.call(getProfiles(), name);
+}
+
+// Merges `values` into the profile, creating it if needed; null clears a key
+export function saveProfile(name, values) {
+  const profile = { ...getProfiles()[name] };
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) continue;
+    if (value === null) delete profile[key];
+    else profile[key] = value;
+  }
+  config.set(`profiles.${name}`, profile);
+  return profile;
+}
+
+export function removeProfile(name) {
+  config.delete(`profiles.${name}`);
+  if (config.get('currentProfile') === name) config.delete('currentProfile');
+}
+
+export function useProfile(name) {
+  if (name) config.set('currentProfile', name);
+  else config.delete('currentProfile');
+}
+
+// Every region named by the top-level config or a profile, for --region all
+export function configuredRegions() {
+  const regions = [config.get('region'), ...Object.values(getProfiles()).map(p => p.region)].filter(Boolean);
+  return regions.length ? [...new Set(regions)] : [DEFAULT_REGION];
+}
+
+// ============================================================
+// Values
+// ============================================================
 
 export function getConfig(key) {
+  if (overrides[key] !== undefined) return overrides[key];
+  const profile = getActiveProfile();
+  if (profile && PROFILE_KEYS.includes(key)) {
+    const value = getProfiles()[profile][key];
+    if (value !== undefined) return value;
+  }
   return config.get(key);
 }
 
@@ -10,10 +87,24 @@ export function setConfig(key, value) {
   config.set(key, value);
 }
 
+export function deleteConfig(key) {
+  config.delete(key);
+}
+
 export function isConfigured() {
-  return !!(config.get('accessKeyId') && config.get('secretAccessKey'));
+  const backend = config.get('secretBackend');
+  const hasSecret = backend && backend.type !== 'plain' ? backend.keys?.includes('secretAccessKey') : config.get('secretAccessKey');
+  return !!(config.get('accessKeyId') && hasSecret);
 }
 
 export function getAllConfig() {
   return config.store;
 }
+
+export function getConfigDir() {
+  return path.dirname(config.path);
+}
+
+export function getConfigPath() {
+  return config.path;
+}
@@ -0,0 +1,359 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline/promises';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { getConfig } from './config.js';
+import { assumeRole, CredentialsError } from './api.js';
+import { readSecret, writeSecret } from './secrets.js';
+
+const execAsync = promisify(exec);
+
+// Refresh temporary credentials this long before they actually expire
+const EXPIRY_WINDOW_MS = 5 * 60 * 1000;
+const METADATA_TIMEOUT_MS = 1000;
+const IMDS_HOST = 'http://169.254.169.254';
+const ECS_HOST = 'http://169.254.170.2';
+
+let activeProfile = null;
+let roleOverrides = {};
+let cached = null;
+
+// ============================================================
+// Shared config files (~/.aws/credentials, ~/.aws/config)
+// ============================================================
+
+function parseIni(content) {
+  const sections = {};
+  let current = null;
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+    const header = line.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      current = sections[header[1].trim()] ||= {};
+      continue;
+    }
+    const eq = line.indexOf('=');
+    if (current && eq > 0) {
+      current[line.slice(0, eq).trim().toLowerCase()] = line.slice(eq + 1).trim();
+    }
+  }
+  return sections;
+}
+
+function readIni(file) {
+  try {
+    return parseIni(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function loadSharedProfiles() {
+  const home = os.homedir();
+  const credentialsFile = process.env.AWS_SHARED_CREDENTIALS_FILE || path.join(home, '.aws', 'credentials');
+  const configFile = process.env.AWS_CONFIG_FILE || path.join(home, '.aws', 'config');
+
+  const profiles = {};
+  for (const [name, values] of Object.entries(readIni(configFile))) {
+    const profileName = name === 'default' ? 'default' : name.replace(/^profile\s+/, '');
+    profiles[profileName] = { ...profiles[profileName], ...values };
+  }
+  // Values in the credentials file take precedence over the config file
+  for (const [name, values] of Object.entries(readIni(credentialsFile))) {
+    profiles[name] = { ...profiles[name], ...values };
+  }
+  return profiles;
+}
+
+// ============================================================
+// Providers
+// ============================================================
+
+function fromEnv() {
+  const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN, AWS_CREDENTIAL_EXPIRATION } = process.env;
+  if (!AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY) return null;
+  return {
+    accessKeyId: AWS_ACCESS_KEY_ID,
+    secretAccessKey: AWS_SECRET_ACCESS_KEY,
+    sessionToken: AWS_SESSION_TOKEN,
+    expiration: AWS_CREDENTIAL_EXPIRATION,
+    source: 'environment'
+  };
+}
+
+async function fromProcess(command, profileName) {
+  let stdout;
+  try {
+    ({ stdout } = await execAsync(command, { timeout: 60000 }));
+  } catch (error) {
+    throw new CredentialsError(`credential_process for profile '${profileName}' failed: ${error.message}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(stdout);
+  } catch {
+    throw new CredentialsError(`credential_process for profile '${profileName}' did not return valid JSON`);
+  }
+  if (data.Version !== 1 || !data.AccessKeyId || !data.SecretAccessKey) {
+    throw new CredentialsError(`credential_process for profile '${profileName}' returned an unsupported payload`);
+  }
+  return {
+    accessKeyId: data.AccessKeyId,
+    secretAccessKey: data.SecretAccessKey,
+    sessionToken: data.SessionToken,
+    expiration: data.Expiration
+  };
+}
+
+async function fromCredentialSource(credentialSource, profileName) {
+  switch (credentialSource) {
+    case 'Environment': return fromEnv();
+    case 'EcsContainer': return fromContainer();
+    case 'Ec2InstanceMetadata': return fromInstanceMetadata();
+    default:
+      throw new CredentialsError(`Unsupported credential_source '${credentialSource}' in profile '${profileName}'`);
+  }
+}
+
+async function fromProfile(profileName, profiles = loadSharedProfiles(), visited = []) {
+  const profile = profiles[profileName];
+  if (!profile) {
+    if (visited.length) throw new CredentialsError(`source_profile '${profileName}' not found in shared AWS config`);
+    return null;
+  }
+  if (visited.includes(profileName)) {
+    throw new CredentialsError(`Circular source_profile chain: ${[...visited, profileName].join(' -> ')}`);
+  }
+  const chain = [...visited, profileName];
+
+  if (profile.role_arn) {
+    let sourceCredentials;
+    if (profile.source_profile) {
+      // A profile may use its own static keys as the source for its role
+      sourceCredentials = profile.source_profile === profileName
+        ? staticProfileCredentials(profile)
+        : await fromProfile(profile.source_profile, profiles, chain);
+    } else if (profile.credential_source) {
+      sourceCredentials = await fromCredentialSource(profile.credential_source, profileName);
+    } else {
+      throw new CredentialsError(`Profile '${profileName}' has role_arn but no source_profile or credential_source`);
+    }
+    if (!sourceCredentials) {
+      throw new CredentialsError(`No source credentials available to assume role for profile '${profileName}'`);
+    }
+    return await assumeRole({
+      credentials: sourceCredentials,
+      roleArn: profile.role_arn,
+      roleSessionName: profile.role_session_name,
+      externalId: profile.external_id,
+      durationSeconds: profile.duration_seconds,
+      region: profile.region
+    });
+  }
+
+  if (profile.credential_process) {
+    return await fromProcess(profile.credential_process, profileName);
+  }
+
+  return staticProfileCredentials(profile);
+}
+
+function staticProfileCredentials(profile) {
+  if (!profile.aws_access_key_id || !profile.aws_secret_access_key) return null;
+  return {
+    accessKeyId: profile.aws_access_key_id,
+    secretAccessKey: profile.aws_secret_access_key,
+    sessionToken: profile.aws_session_token
+  };
+}
+
+// The key id lives in the config; the secrets come from the configured secret backend
+async function fromConfStore() {
+  const accessKeyId = getConfig('accessKeyId');
+  if (!accessKeyId) return null;
+  const secretAccessKey = await readSecret('secretAccessKey');
+  if (!secretAccessKey) return null;
+  return { accessKeyId, secretAccessKey, sessionToken: await readSecret('sessionToken'), source: 'config' };
+}
+
+async function fromContainer() {
+  const { AWS_CONTAINER_CREDENTIALS_RELATIVE_URI, AWS_CONTAINER_CREDENTIALS_FULL_URI, AWS_CONTAINER_AUTHORIZATION_TOKEN } = process.env;
+  let url;
+  if (AWS_CONTAINER_CREDENTIALS_RELATIVE_URI) url = ECS_HOST + AWS_CONTAINER_CREDENTIALS_RELATIVE_URI;
+  else if (AWS_CONTAINER_CREDENTIALS_FULL_URI) url = AWS_CONTAINER_CREDENTIALS_FULL_URI;
+  else return null;
+
+  const headers = {};
+  if (AWS_CONTAINER_AUTHORIZATION_TOKEN) headers.authorization = AWS_CONTAINER_AUTHORIZATION_TOKEN;
+
+  try {
+    const { data } = await axios.get(url, { headers, timeout: METADATA_TIMEOUT_MS });
+    return {
+      accessKeyId: data.AccessKeyId,
+      secretAccessKey: data.SecretAccessKey,
+      sessionToken: data.Token,
+      expiration: data.Expiration,
+      source: 'container'
+    };
+  } catch (error) {
+    throw new CredentialsError(`Failed to load container credentials from ${url}: ${error.message}`);
+  }
+}
+
+async function fromInstanceMetadata() {
+  if (process.env.AWS_EC2_METADATA_DISABLED === 'true') return null;
+
+  try {
+    const { data: token } = await axios.put(`${IMDS_HOST}/latest/api/token`, null, {
+      headers: { 'x-aws-ec2-metadata-token-ttl-seconds': '21600' },
+      timeout: METADATA_TIMEOUT_MS
+    });
+    const headers = { 'x-aws-ec2-metadata-token': token };
+    const base = `${IMDS_HOST}/latest/meta-data/iam/security-credentials/`;
+    const { data: roles } = await axios.get(base, { headers, timeout: METADATA_TIMEOUT_MS });
+    const role = String(roles).split('\n')[0].trim();
+    if (!role) return null;
+    const { data } = await axios.get(base + role, { headers, timeout: METADATA_TIMEOUT_MS });
+    return {
+      accessKeyId: data.AccessKeyId,
+      secretAccessKey: data.SecretAccessKey,
+      sessionToken: data.Token,
+      expiration: data.Expiration,
+      source: 'instance-metadata'
+    };
+  } catch {
+    // Not running on EC2, or no instance role attached
+    return null;
+  }
+}
+
+// ============================================================
+// AssumeRole with cached sessions
+// ============================================================
+
+// Assumed-role sessions are secrets like any other: they live in the secret
+// backend under `roleSessions`, a JSON map keyed by a hash of the source key
+// and role, so `config migrate-secrets` moves them with the rest.
+const ROLE_SESSIONS = 'roleSessions';
+
+function roleCacheKey(base, role) {
+  return crypto.createHash('sha1')
+    .update([base.accessKeyId, role.roleArn, role.externalId || '', role.mfaSerial || ''].join('|'))
+    .digest('hex');
+}
+
+async function readRoleSessions() {
+  try {
+    return JSON.parse((await readSecret(ROLE_SESSIONS)) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+// The whole map is one secret, so with pass or gopass every write re-encrypts
+// it: `stored` is the map as read before AssumeRole, and it is only written
+// back when a session was added, replaced or pruned
+async function writeRoleCache(stored, key, credentials) {
+  try {
+    const sessions = Object.fromEntries(Object.entries(stored).filter(([, c]) => !isExpiring(c)));
+    sessions[key] = credentials;
+    if (JSON.stringify(sessions) === JSON.stringify(stored)) return;
+    await writeSecret(ROLE_SESSIONS, JSON.stringify(sessions));
+  } catch {
+    // A cache we cannot write only costs an extra AssumeRole call next time
+  }
+}
+
+async function promptMfaCode(mfaSerial) {
+  if (!process.stdin.isTTY) {
+    throw new CredentialsError(`MFA device ${mfaSerial} requires a token code, but stdin is not a terminal`);
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return (await rl.question(`Enter MFA code for ${mfaSerial}: `)).trim();
+  } finally {
+    rl.close();
+  }
+}
+
+function currentRoleOptions() {
+  return {
+    roleArn: roleOverrides.roleArn || getConfig('roleArn'),
+    externalId: roleOverrides.externalId || getConfig('externalId'),
+    mfaSerial: roleOverrides.mfaSerial || getConfig('mfaSerial')
+  };
+}
+
+async function assumeConfiguredRole(base, role, { forceRefresh }) {
+  const key = roleCacheKey(base, role);
+  const sessions = await readRoleSessions();
+  const fromCache = forceRefresh ? null : sessions[key];
+  if (fromCache && !isExpiring(fromCache)) return { ...fromCache, source: `${base.source} -> ${role.roleArn} (cached)` };
+
+  const tokenCode = role.mfaSerial ? await promptMfaCode(role.mfaSerial) : undefined;
+  const assumed = await assumeRole({
+    credentials: base,
+    roleArn: role.roleArn,
+    externalId: role.externalId,
+    serialNumber: role.mfaSerial,
+    tokenCode
+  });
+  await writeRoleCache(sessions, key, assumed);
+  return { ...assumed, source: `${base.source} -> ${role.roleArn}` };
+}
+
+// ============================================================
+// Resolver
+// ============================================================
+
+function isExpiring(credentials) {
+  if (!credentials?.expiration) return false;
+  return new Date(credentials.expiration).getTime() - Date.now() < EXPIRY_WINDOW_MS;
+}
+
+async function resolveChain() {
+  const env = fromEnv();
+  if (env) return env;
+
+  const profileName = activeProfile || process.env.AWS_PROFILE;
+  if (profileName) {
+    const fromShared = await fromProfile(profileName);
+    if (!fromShared) throw new CredentialsError(`AWS profile '${profileName}' not found in shared credentials or config file`);
+    return { ...fromShared, source: `profile:${profileName}` };
+  }
+
+  const stored = await fromConfStore();
+  if (stored) return stored;
+
+  const defaultProfile = await fromProfile('default');
+  if (defaultProfile) return { ...defaultProfile, source: 'profile:default' };
+
+  return (await fromContainer()) || (await fromInstanceMetadata());
+}
+
+export function setCredentialProfile(name) {
+  if (name !== activeProfile) cached = null;
+  activeProfile = name || null;
+}
+
+export function setRoleOptions({ roleArn, externalId, mfaSerial } = {}) {
+  roleOverrides = { roleArn, externalId, mfaSerial };
+  cached = null;
+}
+
+export async function resolveCredentials({ forceRefresh = false } = {}) {
+  if (!forceRefresh && cached && !isExpiring(cached)) return cached;
+  const base = await resolveChain();
+  const role = currentRoleOptions();
+  cached = base && role.roleArn ? await assumeConfiguredRole(base, role, { forceRefresh }) : base;
+  return cached;
+}
+
+export function clearCredentialCache() {
+  cached = null;
+}
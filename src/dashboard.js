@@ -0,0 +1,373 @@
+import readline from 'readline';
+import chalk from 'chalk';
+import {
+  searchQuantumTasks, searchJobs, getQuantumTask, getJob, getDevice, cancelQuantumTask, cancelJob, toBraketError
+} from './api.js';
+import { queueDepth } from './devices.js';
+import { fetchTaskResult, sortedOutcomes } from './results.js';
+import { TERMINAL_STATES } from './wait.js';
+
+// ============================================================
+// Snapshots
+// ============================================================
+//
+// A refresh searches for tasks and jobs in every active state, re-reads the
+// tracked ones that dropped out of those searches (they finished), and keeps
+// finished rows for `keep` ms so their last transition stays visible.
+
+const ACTIVE_TASK_STATES = ['CREATED', 'QUEUED', 'RUNNING', 'CANCELLING'];
+const ACTIVE_JOB_STATES = ['QUEUED', 'RUNNING', 'CANCELLING'];
+const MAX_QUEUE_DEVICES = 6;
+
+const shortId = (arn) => String(arn).split('/').pop();
+
+function taskRow(task) {
+  return { kind: 'task', id: task.quantumTaskArn, label: shortId(task.quantumTaskArn).slice(0, 8), status: task.status, device: task.deviceArn, createdAt: task.createdAt };
+}
+
+function jobRow(job) {
+  return { kind: 'job', id: job.jobName, label: job.jobName, status: job.status, device: job.device, createdAt: job.createdAt };
+}
+
+async function searchActive({ deviceArn, tasks, jobs }) {
+  const [taskPages, jobPages] = await Promise.all([
+    tasks ? Promise.all(ACTIVE_TASK_STATES.map(status => searchQuantumTasks({ status, deviceArn, maxResults: 100 }))) : [],
+    jobs ? Promise.all(ACTIVE_JOB_STATES.map(state => searchJobs({ state, maxResults: 100 }))) : []
+  ]);
+  return [
+    ...taskPages.flatMap(page => (page.quantumTasks || []).map(taskRow)),
+    ...jobPages.flatMap(page => (page.jobs || []).map(jobRow)).filter(job => !deviceArn || job.device === deviceArn)
+  ];
+}
+
+// Tracks rows across refreshes; `refresh()` returns { rows, transitions, queues }
+export function createTracker({ deviceArn, tasks = true, jobs = true, keep = 300000 } = {}) {
+  const tracked = new Map();
+  let first = true;
+
+  async function refresh(now = Date.now()) {
+    const active = await searchActive({ deviceArn, tasks, jobs });
+    const activeIds = new Set(active.map(row => row.id));
+    const gone = [...tracked.values()].filter(entry => !activeIds.has(entry.row.id) && !TERMINAL_STATES.includes(entry.row.status));
+    const finished = await Promise.all(gone.map(async ({ row }) => {
+      try {
+        return row.kind === 'task'
+          ? { ...row, ...taskRow(await getQuantumTask(row.id)) }
+          : { ...row, ...jobRow(await getJob(row.id)), device: row.device };
+      } catch {
+        return null;
+      }
+    }));
+
+    const transitions = [];
+    for (const row of [...active, ...finished.filter(Boolean)]) {
+      const entry = tracked.get(row.id);
+      if (!entry) {
+        tracked.set(row.id, { row, changedAt: first ? null : now });
+        if (!first) transitions.push({ ...row, from: null });
+      } else if (entry.row.status !== row.status) {
+        transitions.push({ ...row, from: entry.row.status });
+        tracked.set(row.id, { row, changedAt: now, from: entry.row.status });
+      } else {
+        entry.row = row;
+      }
+    }
+    for (const [id, entry] of tracked) {
+      if (TERMINAL_STATES.includes(entry.row.status) && now - (entry.changedAt ?? 0) > keep) tracked.delete(id);
+    }
+    first = false;
+
+    const rows = [...tracked.values()].sort((a, b) =>
+      (a.row.kind === b.row.kind ? 0 : a.row.kind === 'task' ? -1 : 1) || String(b.row.createdAt).localeCompare(String(a.row.createdAt))
+    );
+    return { rows, transitions, queues: await fetchQueues(rows.map(entry => entry.row.device)) };
+  }
+
+  return { refresh };
+}
+
+async function fetchQueues(deviceArns) {
+  const devices = [...new Set(deviceArns.filter(arn => arn && arn.startsWith('arn:')))].slice(0, MAX_QUEUE_DEVICES);
+  const results = await Promise.allSettled(devices.map(getDevice));
+  return results.flatMap((result, i) => result.status === 'fulfilled'
+    ? [{ deviceArn: devices[i], deviceName: result.value.deviceName || shortId(devices[i]), queue: queueDepth(result.value) }]
+    : []);
+}
+
+export function formatQueue(queue) {
+  const depth = (q) => Object.entries(q || {}).map(([priority, size]) => (priority === 'Normal' ? size : `${size} ${priority.toLowerCase()}`)).join('/');
+  const parts = [];
+  if (queue.quantumTasks) parts.push(`tasks ${depth(queue.quantumTasks)}`);
+  if (queue.hybridJobs) parts.push(`jobs ${depth(queue.hybridJobs)}`);
+  return parts.join(', ') || 'no queue data';
+}
+
+// ============================================================
+// Plain output
+// ============================================================
+//
+// Without a terminal, each refresh prints the transitions since the last one
+// (every row on the first) and a summary line; --output json|jsonl prints one
+// document per refresh instead.
+
+function countBy(rows, kind) {
+  const counts = {};
+  rows.filter(r => r.kind === kind && !TERMINAL_STATES.includes(r.status)).forEach(r => { counts[r.status] = (counts[r.status] || 0) + 1; });
+  return counts;
+}
+
+export function snapshotLines({ rows, transitions, queues }, { initial, time = new Date() }) {
+  const stamp = time.toISOString();
+  const lines = (initial ? rows.map(entry => ({ ...entry.row, from: undefined })) : transitions).map(row =>
+    `${stamp}  ${row.kind.padEnd(4)}  ${row.id}  ${row.from ? `${row.from} -> ` : row.from === null ? 'new ' : ''}${row.status}`
+  );
+  const summarize = (kind) => {
+    const counts = countBy(rows.map(entry => entry.row), kind);
+    const total = Object.values(counts).reduce((a, b) => a + b, 0);
+    return `${total} active ${kind}${total === 1 ? '' : 's'}${total ? ` (${Object.entries(counts).map(([s, n]) => `${n} ${s}`).join(', ')})` : ''}`;
+  };
+  const queueText = queues.map(q => `${q.deviceName} ${formatQueue(q.queue)}`).join('; ');
+  lines.push(`${stamp}  ${summarize('task')}, ${summarize('job')}${queueText ? `; queues: ${queueText}` : ''}`);
+  return lines;
+}
+
+export function snapshotDocument({ rows, transitions, queues }, { time = new Date() } = {}) {
+  return {
+    time: time.toISOString(),
+    tasks: rows.map(e => e.row).filter(r => r.kind === 'task'),
+    jobs: rows.map(e => e.row).filter(r => r.kind === 'job'),
+    transitions: transitions.map(({ kind, id, from, status }) => ({ kind, id, from, to: status })),
+    queues
+  };
+}
+
+// ============================================================
+// Full-screen dashboard
+// ============================================================
+
+const ANSI = /\x1b\[[0-9;]*m/g;
+
+// Cuts a line with color codes to `width` visible characters
+function fit(text, width) {
+  let visible = 0;
+  let out = '';
+  for (const part of text.split(/(\x1b\[[0-9;]*m)/)) {
+    if (/^\x1b\[[0-9;]*m$/.test(part)) {
+      out += part;
+      continue;
+    }
+    const room = width - visible;
+    if (room <= 0) continue;
+    out += part.slice(0, room);
+    visible += Math.min(part.length, room);
+  }
+  return out + '\x1b[0m';
+}
+
+function statusColor(status) {
+  if (status === 'COMPLETED') return chalk.green(status);
+  if (['FAILED', 'CANCELLED'].includes(status)) return chalk.red(status);
+  if (status === 'RUNNING') return chalk.cyan(status);
+  return chalk.yellow(status);
+}
+
+function age(since, now) {
+  const seconds = Math.max(0, Math.round((now - Date.parse(since)) / 1000));
+  if (!Number.isFinite(seconds)) return '';
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+}
+
+function detailLines(row, resource) {
+  const fields = row.kind === 'task'
+    ? [['Task', resource.quantumTaskArn], ['Status', resource.status], ['Device', resource.deviceArn], ['Shots', resource.shots],
+        ['Created', resource.createdAt], ['Ended', resource.endedAt], ['Output', resource.outputS3Bucket ? `s3://${resource.outputS3Bucket}/${resource.outputS3Directory}` : undefined]]
+    : [['Job', resource.jobArn], ['Status', resource.status], ['Device', resource.deviceConfig?.device], ['Instance', resource.instanceConfig?.instanceType],
+        ['Created', resource.createdAt], ['Started', resource.startedAt], ['Ended', resource.endedAt], ['Output', resource.outputDataConfig?.s3Path]];
+  const queue = resource.queueInfo;
+  if (queue?.position) fields.push(['Queue', `position ${queue.position}${queue.queue ? ` (${queue.queue})` : ''}`]);
+  if (resource.failureReason) fields.push(['Failure', resource.failureReason]);
+  return fields.filter(([, v]) => v !== undefined && v !== null).map(([k, v]) => `${chalk.dim(k.padEnd(9))}${v}`);
+}
+
+function resultLines(parsed) {
+  if (parsed.kind === 'annealing') {
+    return parsed.solutions.slice(0, 8).map(s => `${s.solution.join(' ')}  ${chalk.dim(`count ${s.count}, energy ${s.value}`)}`);
+  }
+  const outcomes = sortedOutcomes(parsed).slice(0, 8);
+  const max = Math.max(...outcomes.map(([, w]) => w), 0);
+  const total = parsed.shots || outcomes.reduce((a, [, w]) => a + w, 0) || 1;
+  const lines = outcomes.map(([bits, w]) => {
+    const p = parsed.probabilities?.[bits] ?? w / total;
+    return `${bits}  ${chalk.cyan('█'.repeat(max ? Math.round((w / max) * 30) : 0))} ${chalk.dim(`${(p * 100).toFixed(1)}%`)}`;
+  });
+  for (const rt of parsed.resultTypes || []) {
+    if (rt.type === 'expectation' || rt.type === 'variance') lines.push(`${rt.type} ${JSON.stringify(rt.observable || '')}: ${chalk.bold(rt.value)}`);
+  }
+  return lines.length ? lines : ['(no measurement data)'];
+}
+
+// Runs the dashboard until the user quits. Keys: ↑/↓ (or k/j) select, enter
+// or d details, r results, c cancel (asks y/n), space refresh, q quit.
+export function runDashboard(tracker, { interval, title, resultOptions = {} }) {
+  const out = process.stdout;
+  const input = process.stdin;
+  const state = { rows: [], queues: [], selected: 0, panel: null, message: null, confirm: null, refreshedAt: null, error: null, busy: false };
+  let timer = null;
+
+  const selectedRow = () => state.rows[state.selected]?.row;
+
+  function render() {
+    const width = out.columns || 100;
+    const height = out.rows || 30;
+    const now = Date.now();
+    const head = [
+      `${chalk.bold(title)}  ${chalk.dim(`refreshed ${state.refreshedAt ? state.refreshedAt.toLocaleTimeString() : '...'} · every ${interval / 1000}s`)}${state.busy ? chalk.dim(' · refreshing') : ''}`,
+      ''
+    ];
+    const body = [];
+    for (const kind of ['task', 'job']) {
+      const entries = state.rows.filter(e => e.row.kind === kind);
+      body.push(chalk.bold(`${kind === 'task' ? 'QUANTUM TASKS' : 'HYBRID JOBS'} (${entries.length})`));
+      if (!entries.length) body.push(chalk.dim('  none active'));
+      for (const entry of entries) {
+        const { row } = entry;
+        const index = state.rows.indexOf(entry);
+        const fresh = entry.changedAt && now - entry.changedAt < interval * 2;
+        const status = entry.from && fresh ? `${chalk.dim(entry.from)} → ${statusColor(row.status)}` : statusColor(row.status);
+        let line = `${index === state.selected ? '▶' : ' '} ${row.label.padEnd(kind === 'task' ? 8 : 24).slice(0, 24)}  ${shortId(row.device || '').padEnd(16).slice(0, 16)}  ${status}  ${chalk.dim(age(row.createdAt, now))}`;
+        if (fresh) line = chalk.bgYellow.black(line.replace(ANSI, ''));
+        else if (index === state.selected) line = chalk.inverse(line.replace(ANSI, ''));
+        body.push(line);
+      }
+      body.push('');
+    }
+    body.push(chalk.bold('DEVICE QUEUES'));
+    if (!state.queues.length) body.push(chalk.dim('  no devices'));
+    state.queues.forEach(q => body.push(`  ${q.deviceName.padEnd(16)}  ${formatQueue(q.queue)}`));
+
+    const panel = state.panel ? ['', chalk.bold(state.panel.title), ...state.panel.lines] : [];
+    const footer = [
+      '',
+      state.confirm ? chalk.yellow(`${state.confirm.prompt} (y/n)`) : state.error ? chalk.red(state.error) : state.message ? chalk.green(state.message) : '',
+      chalk.dim('↑/↓ select · enter details · r results · c cancel · space refresh · esc close · q quit')
+    ];
+    const room = Math.max(3, height - head.length - panel.length - footer.length);
+    const lines = [...head, ...body.slice(0, room), ...panel, ...footer].slice(0, height);
+    out.write('\x1b[H' + lines.map(line => fit(line, width) + '\x1b[K').join('\n') + '\x1b[J');
+  }
+
+  async function refresh() {
+    if (state.busy) return;
+    state.busy = true;
+    render();
+    try {
+      const selectedId = selectedRow()?.id;
+      const snapshot = await tracker.refresh();
+      state.rows = snapshot.rows;
+      state.queues = snapshot.queues;
+      state.selected = Math.max(0, Math.min(state.rows.length - 1, state.rows.findIndex(e => e.row.id === selectedId)));
+      state.refreshedAt = new Date();
+      state.error = null;
+    } catch (error) {
+      state.error = `Refresh failed: ${toBraketError(error).message}`;
+    }
+    state.busy = false;
+    render();
+  }
+
+  async function showPanel(titleText, load) {
+    state.panel = { title: titleText, lines: [chalk.dim('loading...')] };
+    render();
+    try {
+      state.panel.lines = await load();
+    } catch (error) {
+      state.panel.lines = [chalk.red(toBraketError(error).message)];
+    }
+    render();
+  }
+
+  async function act(key) {
+    const row = selectedRow();
+    if (state.confirm) {
+      const { run } = state.confirm;
+      state.confirm = null;
+      if (key === 'y') await run();
+      else state.message = 'Not cancelled';
+      render();
+      return;
+    }
+    if (!row) return;
+    if (key === 'details') {
+      await showPanel(`${row.kind === 'task' ? 'Task' : 'Job'} ${row.label}`, async () =>
+        detailLines(row, row.kind === 'task' ? await getQuantumTask(row.id, { queueInfo: true }) : await getJob(row.id, { queueInfo: true }))
+      );
+    } else if (key === 'results') {
+      if (row.kind === 'job') {
+        state.panel = { title: `Job ${row.label}`, lines: ['Jobs have no task results; see awsbraket circuits metrics / circuits logs'] };
+        render();
+        return;
+      }
+      await showPanel(`Results ${row.label}`, async () => resultLines(await fetchTaskResult(row.id, resultOptions)));
+    } else if (key === 'cancel') {
+      if (TERMINAL_STATES.includes(row.status)) {
+        state.message = `${row.label} is already ${row.status}`;
+        render();
+        return;
+      }
+      state.confirm = {
+        prompt: `Cancel ${row.kind} ${row.label}?`,
+        run: async () => {
+          try {
+            await (row.kind === 'task' ? cancelQuantumTask(row.id) : cancelJob(row.id));
+            state.message = `Cancellation requested for ${row.label}`;
+            state.error = null;
+          } catch (error) {
+            state.error = `Cancel failed: ${toBraketError(error).message}`;
+          }
+          refresh();
+        }
+      };
+      render();
+    }
+  }
+
+  return new Promise((resolve) => {
+    const restore = () => out.write('\x1b[?25h\x1b[?1049l');
+    const quit = () => {
+      clearInterval(timer);
+      input.setRawMode(false);
+      input.pause();
+      input.off('keypress', onKey);
+      out.off('resize', render);
+      process.off('exit', restore);
+      restore();
+      resolve();
+    };
+    const onKey = (str, key = {}) => {
+      if ((key.ctrl && key.name === 'c') || (!state.confirm && str === 'q')) return quit();
+      if (state.confirm) return act(str === 'y' || str === 'Y' ? 'y' : 'n');
+      state.message = null;
+      if (key.name === 'up' || str === 'k') state.selected = Math.max(0, state.selected - 1);
+      else if (key.name === 'down' || str === 'j') state.selected = Math.min(state.rows.length - 1, state.selected + 1);
+      else if (key.name === 'escape') state.panel = null;
+      else if (key.name === 'return' || str === 'd') return act('details');
+      else if (str === 'r') return act('results');
+      else if (str === 'c') return act('cancel');
+      else if (str === ' ') return refresh();
+      render();
+    };
+
+    out.write('\x1b[?1049h\x1b[?25l');
+    process.on('exit', restore);
+    readline.emitKeypressEvents(input);
+    input.setRawMode(true);
+    input.resume();
+    input.on('keypress', onKey);
+    out.on('resize', render);
+    refresh();
+    timer = setInterval(refresh, interval);
+  });
+}
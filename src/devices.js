@@ -0,0 +1,326 @@
+import { ValidationError } from './api.js';
+import { parseDeviceCapabilities } from './capabilities.js';
+import { ahsCapabilities } from './ahs.js';
+
+// ============================================================
+// Execution windows
+// ============================================================
+//
+// QPUs accept tasks only inside their execution windows, given in UTC as
+// { executionDay, windowStartHour, windowEndHour } with executionDay one of
+// Everyday, Weekdays, Weekend or a day name. A window whose end is not after
+// its start runs past midnight.
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 3600 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+function windowOnDay(executionDay, weekday) {
+  const day = String(executionDay || '').toLowerCase();
+  if (day === 'everyday') return true;
+  if (day === 'weekdays') return weekday >= 1 && weekday <= 5;
+  if (day === 'weekend') return weekday === 0 || weekday === 6;
+  return DAY_NAMES[weekday] === day;
+}
+
+// '23:59:59' counts as the end of the day, so back-to-back days join up
+function hourOffset(value, { end = false } = {}) {
+  const [h = 0, m = 0, s = 0] = String(value || '0').split(':').map(Number);
+  return ((h * 60 + m) * 60 + s + (end && s === 59 ? 1 : 0)) * 1000;
+}
+
+// Concrete { start, end } Date ranges for the windows that end after `now`,
+// merged where they touch, for about the next week. Windows repeat weekly, so
+// a range a week or longer never ends: its `end` is null.
+export function upcomingWindows(windows = [], { now = Date.now(), count = 5 } = {}) {
+  const today = Math.floor(now / DAY_MS) * DAY_MS;
+  const ranges = [];
+  for (let offset = -1; offset <= 8; offset++) {
+    const midnight = today + offset * DAY_MS;
+    const weekday = new Date(midnight).getUTCDay();
+    for (const window of windows) {
+      if (!windowOnDay(window.executionDay, weekday)) continue;
+      const start = midnight + hourOffset(window.windowStartHour);
+      let end = midnight + hourOffset(window.windowEndHour, { end: true });
+      if (end <= start) end += DAY_MS;
+      if (end > now) ranges.push({ start, end });
+    }
+  }
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+    else merged.push({ ...range });
+  }
+  return merged.slice(0, count).map(r => ({ start: new Date(r.start), end: r.end - r.start >= WEEK_MS ? null : new Date(r.end) }));
+}
+
+// { available, from, until } for an ONLINE device; a device without execution
+// windows (e.g. a simulator), or whose windows cover every hour, is always available
+export function nextAvailable(device, { now = Date.now() } = {}) {
+  if (device.deviceStatus && device.deviceStatus !== 'ONLINE') {
+    return { available: false, reason: `device is ${device.deviceStatus}` };
+  }
+  const windows = parseDeviceCapabilities(device).service?.executionWindows;
+  if (!windows?.length) return { available: true, always: true };
+  const [next] = upcomingWindows(windows, { now, count: 1 });
+  if (!next) return { available: false, reason: 'no execution window in the next week' };
+  if (!next.end) return { available: true, always: true };
+  return { available: next.start.getTime() <= now, from: next.start, until: next.end };
+}
+
+export function resolveTimeZone(timeZone) {
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch {
+    throw new ValidationError(`Unknown time zone '${timeZone}' (use an IANA name such as Europe/Berlin)`, { code: 'ValidationException' });
+  }
+  return zone;
+}
+
+export function formatInZone(date, timeZone, { withDay = true } = {}) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    ...(withDay ? { weekday: 'short', day: 'numeric', month: 'short' } : {}),
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+    timeZoneName: 'short'
+  }).format(date);
+}
+
+// ============================================================
+// Queue depth
+// ============================================================
+
+const QUEUE_NAMES = { QUANTUM_TASKS_QUEUE: 'quantumTasks', JOBS_QUEUE: 'hybridJobs' };
+
+// deviceQueueInfo as { quantumTasks: { Normal, Priority }, hybridJobs: { Normal } }
+export function queueDepth(device) {
+  const depth = {};
+  for (const entry of device.deviceQueueInfo || []) {
+    const name = QUEUE_NAMES[entry.queue] || entry.queue;
+    depth[name] = { ...depth[name], [entry.queuePriority || 'Normal']: entry.queueSize };
+  }
+  return depth;
+}
+
+// ============================================================
+// Calibration
+// ============================================================
+//
+// Providers publish calibration data in different shapes; these are read into
+// per-qubit { qubit, t1, t2, fidelity1Q, readoutFidelity } and per-pair
+// { pair, gate, fidelity } rows, with times in seconds:
+//
+//   standardized                  Rigetti Ankaa, IQM (oneQubitProperties, twoQubitProperties)
+//   provider.specs                older Rigetti (1Q/2Q maps with T1, T2, f1QRB, fRO, fCZ...)
+//   provider.properties           OQC (one_qubit/two_qubit maps)
+//   provider.fidelity / timing    IonQ (device-wide means only, times in seconds)
+
+const numeric = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : undefined);
+
+// Standardized values are { value, unit }; bare OQC times are in microseconds
+function seconds(value) {
+  if (value && typeof value === 'object') {
+    const unit = String(value.unit || 'S').toUpperCase();
+    const scale = { S: 1, MS: 1e-3, US: 1e-6, NS: 1e-9 }[unit] ?? 1;
+    return numeric(value.value) !== undefined ? value.value * scale : undefined;
+  }
+  const n = numeric(value);
+  if (n === undefined) return undefined;
+  return n >= 1e-2 ? n * 1e-6 : n;
+}
+
+function fidelityOf(list, type) {
+  const entry = (list || []).find(f => !type || String(f.fidelityType?.name || '').toUpperCase().includes(type));
+  return numeric(entry?.fidelity);
+}
+
+function fromStandardized(standardized) {
+  const qubits = Object.entries(standardized.oneQubitProperties || {}).map(([qubit, p]) => ({
+    qubit,
+    t1: seconds(p.T1),
+    t2: seconds(p.T2),
+    fidelity1Q: fidelityOf(p.oneQubitFidelity, 'RANDOMIZED_BENCHMARKING') ?? fidelityOf(p.oneQubitFidelity),
+    readoutFidelity: fidelityOf(p.oneQubitFidelity, 'READOUT')
+  }));
+  const pairs = Object.entries(standardized.twoQubitProperties || {}).flatMap(([pair, p]) =>
+    (p.twoQubitGateFidelity || []).map(f => ({ pair, gate: f.gateName, fidelity: numeric(f.fidelity) }))
+  );
+  return { qubits, pairs };
+}
+
+function fromSpecs(oneQubit = {}, twoQubit = {}) {
+  const qubits = Object.entries(oneQubit).map(([qubit, p]) => ({
+    qubit,
+    t1: seconds(p.T1),
+    t2: seconds(p.T2),
+    fidelity1Q: numeric(p.f1QRB ?? p.fRB ?? p.f1Q_simultaneous_RB),
+    readoutFidelity: numeric(p.fRO)
+  }));
+  const pairs = Object.entries(twoQubit).flatMap(([pair, p]) =>
+    Object.entries(p)
+      .filter(([key, value]) => /^f[A-Z]/.test(key) && numeric(value) !== undefined && !/_std_err$/.test(key))
+      .map(([key, value]) => ({ pair, gate: key.slice(1), fidelity: value }))
+  );
+  return { qubits, pairs };
+}
+
+const median = (values) => {
+  const sorted = values.filter(v => v !== undefined).sort((a, b) => a - b);
+  if (!sorted.length) return undefined;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// { updatedAt, qubits, pairs, summary } or null when the device publishes none;
+// `summary` holds medians (or the provider's device-wide means)
+export function calibration(device) {
+  const caps = parseDeviceCapabilities(device);
+  const provider = caps.provider || {};
+  let data;
+  if (caps.standardized) data = fromStandardized(caps.standardized);
+  else if (provider.specs) data = fromSpecs(provider.specs['1Q'], provider.specs['2Q']);
+  else if (provider.properties) data = fromSpecs(provider.properties.one_qubit, provider.properties.two_qubit);
+
+  const summary = data
+    ? {
+        t1: median(data.qubits.map(q => q.t1)),
+        t2: median(data.qubits.map(q => q.t2)),
+        fidelity1Q: median(data.qubits.map(q => q.fidelity1Q)),
+        fidelity2Q: median(data.pairs.map(p => p.fidelity)),
+        readoutFidelity: median(data.qubits.map(q => q.readoutFidelity))
+      }
+    : {
+        t1: numeric(provider.timing?.T1),
+        t2: numeric(provider.timing?.T2),
+        fidelity1Q: numeric(provider.fidelity?.['1Q']?.mean),
+        fidelity2Q: numeric(provider.fidelity?.['2Q']?.mean),
+        readoutFidelity: numeric(provider.fidelity?.spam?.mean)
+      };
+  if (!data && Object.values(summary).every(v => v === undefined)) return null;
+  return {
+    updatedAt: caps.standardized?.updatedAt || provider.updatedAt || caps.service?.updatedAt,
+    qubits: data?.qubits || [],
+    pairs: data?.pairs || [],
+    summary
+  };
+}
+
+// ============================================================
+// Details
+// ============================================================
+
+// Everything `devices get` shows, as plain data (also its --output json form)
+export function deviceDetails(device, { now = Date.now() } = {}) {
+  const caps = parseDeviceCapabilities(device);
+  const actions = Object.entries(caps.action || {}).map(([name, action]) => ({
+    name,
+    version: action.version,
+    supportedOperations: action.supportedOperations || [],
+    supportedResultTypes: (action.supportedResultTypes || []).map(r => r.name),
+    supportedModifiers: (action.supportedModifiers || []).map(m => m.name ?? m)
+  }));
+  const connectivity = caps.paradigm?.connectivity;
+  return {
+    deviceArn: device.deviceArn,
+    deviceName: device.deviceName,
+    providerName: device.providerName,
+    deviceType: device.deviceType,
+    deviceStatus: device.deviceStatus,
+    qubitCount: caps.paradigm?.qubitCount,
+    shotsRange: caps.service?.shotsRange,
+    executionWindows: caps.service?.executionWindows || [],
+    nextAvailable: nextAvailable(device, { now }),
+    queueDepth: queueDepth(device),
+    actions,
+    nativeGateSet: caps.paradigm?.nativeGateSet || [],
+    connectivity: connectivity
+      ? { fullyConnected: Boolean(connectivity.fullyConnected), graph: connectivity.connectivityGraph || {} }
+      : null,
+    calibration: calibration(device),
+    ahs: ahsCapabilities(caps)
+  };
+}
+
+// Edges of a connectivity graph, each pair once, in qubit order
+export function connectivityEdges(graph = {}) {
+  const edges = new Map();
+  for (const [from, targets] of Object.entries(graph)) {
+    for (const to of targets || []) {
+      const pair = [String(from), String(to)].sort((a, b) => Number(a) - Number(b) || a.localeCompare(b));
+      edges.set(pair.join('-'), pair);
+    }
+  }
+  return [...edges.values()].sort((a, b) => Number(a[0]) - Number(b[0]) || Number(a[1]) - Number(b[1]));
+}
+
+// `q: neighbours` lines, every qubit listed with all of its neighbours
+export function adjacencyList(graph = {}) {
+  const neighbours = new Map();
+  for (const [a, b] of connectivityEdges(graph)) {
+    if (!neighbours.has(a)) neighbours.set(a, []);
+    if (!neighbours.has(b)) neighbours.set(b, []);
+    neighbours.get(a).push(b);
+    neighbours.get(b).push(a);
+  }
+  return [...neighbours.entries()]
+    .sort((a, b) => Number(a[0]) - Number(b[0]))
+    .map(([qubit, list]) => ({ qubit, neighbours: list.sort((x, y) => Number(x) - Number(y)) }));
+}
+
+// An adjacency matrix drawn with ● for coupled pairs, for up to `max` qubits
+export function adjacencyMatrix(graph = {}, { max = 80 } = {}) {
+  const qubits = adjacencyList(graph).map(e => e.qubit);
+  if (!qubits.length || qubits.length > max) return null;
+  const coupled = new Set(connectivityEdges(graph).flatMap(([a, b]) => [`${a}-${b}`, `${b}-${a}`]));
+  const width = Math.max(...qubits.map(q => q.length));
+  const header = qubits.map(q => q.padStart(width)).map(q => [...q]);
+  const lines = [];
+  for (let row = 0; row < width; row++) {
+    lines.push(' '.repeat(width + 1) + header.map(chars => chars[row]).join(''));
+  }
+  for (const a of qubits) {
+    lines.push(`${a.padStart(width)} ${qubits.map(b => (a === b ? '\\' : coupled.has(`${a}-${b}`) ? '●' : '·')).join('')}`);
+  }
+  return lines;
+}
+
+// ============================================================
+// Comparison
+// ============================================================
+
+// One flat summary per device, the rows of `devices compare`
+export function compareSummary(device, { now = Date.now() } = {}) {
+  const details = deviceDetails(device, { now });
+  const cal = details.calibration?.summary || {};
+  const ops = [...new Set(details.actions.flatMap(a => a.supportedOperations))];
+  const edges = details.connectivity ? connectivityEdges(details.connectivity.graph).length : undefined;
+  return {
+    deviceArn: details.deviceArn,
+    deviceName: details.deviceName,
+    providerName: details.providerName,
+    deviceType: details.deviceType,
+    deviceStatus: details.deviceStatus,
+    qubitCount: details.qubitCount,
+    shotsRange: details.shotsRange,
+    available: details.nextAvailable.available,
+    nextAvailable: details.nextAvailable.from?.toISOString(),
+    taskQueue: details.queueDepth.quantumTasks?.Normal,
+    priorityTaskQueue: details.queueDepth.quantumTasks?.Priority,
+    jobQueue: details.queueDepth.hybridJobs?.Normal,
+    actions: details.actions.map(a => a.name),
+    gateCount: ops.length || undefined,
+    nativeGateSet: details.nativeGateSet,
+    connectivity: details.connectivity ? (details.connectivity.fullyConnected ? 'full' : `${edges} edges`) : undefined,
+    t1: cal.t1,
+    t2: cal.t2,
+    fidelity1Q: cal.fidelity1Q,
+    fidelity2Q: cal.fidelity2Q,
+    readoutFidelity: cal.readoutFidelity,
+    calibratedAt: details.calibration?.updatedAt
+  };
+}
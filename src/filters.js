@@ -0,0 +1,108 @@
+import { ValidationError } from './api.js';
+
+// ============================================================
+// Search filters
+// ============================================================
+//
+// Filter expressions for SearchQuantumTasks, e.g.
+//   createdAt>2026-09-01            status in COMPLETED,FAILED
+//   createdAt>=7d                   createdAt between 2026-09-01,2026-09-30
+//   deviceArn=arn:aws:braket:::device/quantum-simulator/amazon/sv1
+
+export const TASK_FILTER_NAMES = ['createdAt', 'deviceArn', 'jobArn', 'quantumTaskArn', 'status'];
+
+const OPERATORS = [
+  ['>=', 'GTE'],
+  ['<=', 'LTE'],
+  ['==', 'EQUAL'],
+  ['=', 'EQUAL'],
+  ['>', 'GT'],
+  ['<', 'LT']
+];
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+function invalidFilter(message) {
+  return new ValidationError(message, { code: 'InvalidFilter' });
+}
+
+// Parses an absolute date/time or a relative age such as 30m, 12h, 7d, 2w
+// (meaning that long before `now`) and returns an ISO 8601 timestamp.
+export function parseTime(value, now = Date.now()) {
+  const text = String(value).trim();
+  const relative = text.match(/^(\d+(?:\.\d+)?)\s*([smhdw])$/i);
+  if (relative) return new Date(now - parseFloat(relative[1]) * UNITS[relative[2].toLowerCase()] * 1000).toISOString();
+  const ms = Date.parse(text);
+  if (Number.isNaN(ms)) throw invalidFilter(`Invalid time '${value}'; use a date such as 2026-09-01 or a relative age such as 7d`);
+  return new Date(ms).toISOString();
+}
+
+function normalizeValue(name, value) {
+  if (name === 'createdAt') return parseTime(value);
+  if (name === 'status') return value.toUpperCase();
+  return value;
+}
+
+export function parseFilterExpression(expression) {
+  const text = String(expression).trim();
+  let name;
+  let operator;
+  let values;
+
+  const word = text.match(/^(\w+)\s+(in|between)\s+(.+)$/i);
+  if (word) {
+    name = word[1];
+    operator = word[2].toLowerCase() === 'in' ? 'EQUAL' : 'BETWEEN';
+    values = word[3].split(',').map(v => v.trim()).filter(Boolean);
+  } else {
+    const m = text.match(/^(\w+)\s*(>=|<=|==|=|>|<)\s*(.+)$/);
+    if (!m) throw invalidFilter(`Cannot parse filter '${expression}'; expected e.g. "createdAt>2026-09-01" or "status in COMPLETED,FAILED"`);
+    name = m[1];
+    operator = OPERATORS.find(([symbol]) => symbol === m[2])[1];
+    values = [m[3].trim()];
+  }
+
+  const canonical = TASK_FILTER_NAMES.find(n => n.toLowerCase() === name.toLowerCase());
+  if (!canonical) throw invalidFilter(`Unknown filter field '${name}' (supported: ${TASK_FILTER_NAMES.join(', ')})`);
+  if (operator === 'BETWEEN' && values.length !== 2) throw invalidFilter(`'between' needs two comma-separated values in '${expression}'`);
+  if (operator !== 'EQUAL' && operator !== 'BETWEEN' && canonical !== 'createdAt') {
+    throw invalidFilter(`Only createdAt supports range comparisons; use = or 'in' for ${canonical}`);
+  }
+
+  return { name: canonical, operator, values: values.map(v => normalizeValue(canonical, v)) };
+}
+
+// Builds SearchQuantumTasks filters from --filter expressions and --since/--until
+export function buildTaskFilters({ filter = [], since, until } = {}) {
+  const filters = filter.map(parseFilterExpression);
+  if (since) filters.push({ name: 'createdAt', operator: 'GTE', values: [parseTime(since)] });
+  if (until) filters.push({ name: 'createdAt', operator: 'LTE', values: [parseTime(until)] });
+  return filters;
+}
+
+// ============================================================
+// Client-side sorting
+// ============================================================
+
+// Sorts by a comma-separated list of keys; prefix a key with '-' (or suffix
+// ':desc') for descending order. Dates and numbers compare by value.
+export function sortItems(items, spec) {
+  if (!spec) return items;
+  const keys = String(spec).split(',').map(k => k.trim()).filter(Boolean).map((k) => {
+    const desc = k.startsWith('-') || /:desc$/i.test(k);
+    return { key: k.replace(/^[-+]/, '').replace(/:(asc|desc)$/i, ''), dir: desc ? -1 : 1 };
+  });
+  const comparable = (v) => {
+    if (typeof v === 'number') return v;
+    if (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(v)) return Date.parse(v);
+    return v ?? '';
+  };
+  return items.slice().sort((a, b) => {
+    for (const { key, dir } of keys) {
+      const [x, y] = [comparable(a[key]), comparable(b[key])];
+      const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+      if (order) return order * dir;
+    }
+    return 0;
+  });
+}
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getConfigDir } from './config.js';
+import { ValidationError, ResourceNotFoundError, getQuantumTask, getJob, toBraketError } from './api.js';
+import { isLocalTask, getLocalTask } from './local.js';
+import { OPENQASM_ACTION } from './circuits.js';
+import { TERMINAL_STATES } from './wait.js';
+import { mapWithConcurrency } from './batch.js';
+
+// ============================================================
+// History store
+// ============================================================
+//
+// Every task and job the CLI creates or sees is kept in <configDir>/history.json,
+// keyed by ARN, so it can be listed after Braket stops returning it in
+// searches. Entries are merged field by field: a later observation updates the
+// status without losing what only the creating command knew (source hash,
+// cost estimate).
+
+export const HISTORY_FIELDS = [
+  'kind', 'arn', 'name', 'region', 'deviceArn', 'shots', 'sourceHash', 'status', 'createdAt', 'endedAt',
+  'resultLocation', 'estimatedCost', 'failureReason', 'batchId', 'updatedAt'
+];
+
+export function historyFile() {
+  return path.join(getConfigDir(), 'history.json');
+}
+
+function readHistory() {
+  try {
+    return JSON.parse(fs.readFileSync(historyFile(), 'utf8')).entries || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeHistory(entries) {
+  const file = historyFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify({ version: 1, entries }, null, 2), { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+const regionOf = (arn) => String(arn).split(':')[3] || undefined;
+
+// Hash of the program a task ran: the OpenQASM source, or the whole action
+export function sourceHash(action) {
+  const parsed = typeof action === 'string' ? JSON.parse(action) : action;
+  const text = parsed?.braketSchemaHeader?.name === OPENQASM_ACTION ? parsed.source : JSON.stringify(parsed);
+  return `sha256:${crypto.createHash('sha256').update(text).digest('hex')}`;
+}
+
+function taskEntry(task, { action, estimate, outputS3KeyPrefix, ...extra } = {}) {
+  const id = task.quantumTaskArn.split('/').pop();
+  const directory = task.outputS3Directory || (outputS3KeyPrefix !== undefined && `${outputS3KeyPrefix.replace(/\/$/, '')}/${id}`);
+  return {
+    kind: 'task',
+    arn: task.quantumTaskArn,
+    region: regionOf(task.quantumTaskArn),
+    deviceArn: task.deviceArn,
+    shots: task.shots,
+    status: task.status,
+    createdAt: task.createdAt,
+    endedAt: task.endedAt,
+    failureReason: task.failureReason,
+    resultLocation: task.outputS3Bucket && directory ? `s3://${task.outputS3Bucket}/${directory}/results.json` : undefined,
+    sourceHash: action ? sourceHash(action) : undefined,
+    estimatedCost: estimate?.known ? estimate.total : undefined,
+    ...extra
+  };
+}
+
+function jobEntry(job, { estimate, ...extra } = {}) {
+  return {
+    kind: 'job',
+    arn: job.jobArn,
+    name: job.jobName || job.jobArn.split('/').pop(),
+    region: regionOf(job.jobArn),
+    deviceArn: job.deviceConfig?.device || job.device,
+    status: job.status,
+    createdAt: job.createdAt,
+    endedAt: job.endedAt,
+    failureReason: job.failureReason,
+    resultLocation: job.outputDataConfig?.s3Path,
+    estimatedCost: estimate?.known ? estimate.total : undefined,
+    ...extra
+  };
+}
+
+function merge(entries, entry) {
+  const updatedAt = new Date().toISOString();
+  const previous = entries[entry.arn] || {};
+  const merged = { ...previous };
+  for (const field of HISTORY_FIELDS) {
+    if (entry[field] !== undefined && entry[field] !== null) merged[field] = entry[field];
+  }
+  // A failure reason only belongs to the status it came with
+  if (entry.status && entry.status !== previous.status && entry.failureReason === undefined) delete merged.failureReason;
+  merged.updatedAt = updatedAt;
+  entries[entry.arn] = merged;
+  return merged;
+}
+
+// `extra` applies to every task: { action, estimate, outputS3KeyPrefix, batchId }
+export function recordTasks(tasks, extra) {
+  const list = tasks.filter(t => t?.quantumTaskArn);
+  if (!list.length) return;
+  const entries = readHistory();
+  list.forEach(task => merge(entries, taskEntry(task, extra)));
+  writeHistory(entries);
+}
+
+export function recordJobs(jobs, extra) {
+  const list = jobs.filter(j => j?.jobArn);
+  if (!list.length) return;
+  const entries = readHistory();
+  list.forEach(job => merge(entries, jobEntry(job, extra)));
+  writeHistory(entries);
+}
+
+// ============================================================
+// Queries
+// ============================================================
+
+const matchesDevice = (entry, device) => entry.deviceArn === device || String(entry.deviceArn || '').split('/').pop() === device;
+
+// Entries newest first. `device` is an ARN or its last segment (e.g. sv1),
+// `since` an ISO timestamp, `status` a list of statuses.
+export function listHistory({ kind, device, since, status } = {}) {
+  return Object.values(readHistory())
+    .filter(e => !kind || e.kind === kind)
+    .filter(e => !device || matchesDevice(e, device))
+    .filter(e => !since || String(e.createdAt || e.updatedAt) >= since)
+    .filter(e => !status?.length || status.includes(e.status))
+    .sort((a, b) => String(b.createdAt || b.updatedAt).localeCompare(String(a.createdAt || a.updatedAt)));
+}
+
+// Finds an entry by ARN, task id, job name, or a unique prefix of a task id
+export function findHistoryEntry(id) {
+  const entries = Object.values(readHistory());
+  const exact = entries.find(e => e.arn === id || e.arn.split('/').pop() === id || e.name === id);
+  if (exact) return exact;
+  const prefixed = entries.filter(e => e.arn.split('/').pop().startsWith(id));
+  if (prefixed.length > 1) {
+    throw new ValidationError(`'${id}' matches ${prefixed.length} history entries; give more of the id`, { code: 'ValidationException' });
+  }
+  if (!prefixed.length) throw new ResourceNotFoundError(`No history entry for ${id}`, { code: 'HistoryEntryNotFound' });
+  return prefixed[0];
+}
+
+// ============================================================
+// Sync
+// ============================================================
+
+// Re-reads every entry that had not reached a terminal state. Returns the
+// entries whose status changed and the ones that could not be read.
+export async function syncHistory({ concurrency = 8, onProgress } = {}) {
+  const active = Object.values(readHistory()).filter(e => !TERMINAL_STATES.includes(e.status));
+  const changed = [];
+  const errors = [];
+  const fresh = await mapWithConcurrency(active, concurrency, async (entry) => {
+    try {
+      if (entry.kind === 'job') return jobEntry(await getJob(entry.name));
+      return taskEntry(isLocalTask(entry.arn) ? getLocalTask(entry.arn) : await getQuantumTask(entry.arn));
+    } catch (error) {
+      errors.push({ ...entry, error: toBraketError(error).message });
+      return null;
+    } finally {
+      onProgress?.(entry);
+    }
+  });
+
+  // Read again so entries written by other commands meanwhile are kept
+  const entries = readHistory();
+  fresh.forEach((entry, i) => {
+    if (!entry) return;
+    const merged = merge(entries, entry);
+    if (merged.status !== active[i].status) changed.push({ ...merged, from: active[i].status });
+  });
+  if (fresh.some(Boolean)) writeHistory(entries);
+  return { checked: active.length, changed, errors };
+}
@@ -1,80 +1,369 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
-import ora from 'ora';
-import { getConfig, setConfig, isConfigured, getAllConfig } from './config.js';
+import path from 'path';
 import {
-  listQuantumTasks, getQuantumTask, createQuantumTask, cancelQuantumTask,
-  listDevices, getDevice,
-  createJob, getJob, listJobs, cancelJob
-} from './api.js';
+  getConfig, setConfig, getAllConfig, PROFILE_KEYS, setActiveProfile, setConfigOverrides, getActiveProfile,
+  getProfiles, profileExists, saveProfile, removeProfile, useProfile, configuredRegions
+} from './config.js';
+import { resolveCredentials, setCredentialProfile, setRoleOptions } from './credentials.js';
+import { setDefaultSettings, toBraketError, BraketError, ValidationError, ResourceNotFoundError, EXIT_CODES, sleep, parseMaxRetries, parseTimeout } from './api.js';
+import { BraketClient } from './client.js';
+import { packageSource, buildJobRequest, sourceLocation, JOB_DEFAULTS } from './jobs.js';
+import { parseTag, parseTags, validateTags, resolveTags, tagMatcher } from './tags.js';
+import { FAILED_STATES } from './wait.js';
+import { loadTaskAction, loadJsonArgument } from './circuits.js';
+import { assertValidForDevice } from './capabilities.js';
+import { formatQuantity } from './ahs.js';
+import { resultToCsv, sortedOutcomes, probabilityVectorEntries } from './results.js';
+import { buildTaskFilters, sortItems, parseTime } from './filters.js';
+import { createTracker, runDashboard, snapshotLines, snapshotDocument } from './dashboard.js';
+import { fetchJobLogs, followJobLogs, fetchJobMetrics, sparkline } from './joblogs.js';
+import { startMockServer, countFixtures } from './mockserver.js';
+import { HISTORY_FIELDS, historyFile, recordTasks, recordJobs, listHistory, findHistoryEntry, syncHistory } from './history.js';
+import {
+  deviceDetails, upcomingWindows, resolveTimeZone, formatInZone, adjacencyList, adjacencyMatrix, connectivityEdges, compareSummary
+} from './devices.js';
+import {
+  SECRET_KEYS, SECRET_BACKENDS, secretBackend, describeSecretBackend, backendFromOptions, writeSecret, migrateSecrets,
+  insecureFiles, maskAccessKeyId
+} from './secrets.js';
+import {
+  configureOutput, outputFormat, isStructured, createSpinner, emit, OUTPUT_FORMATS,
+  printSuccess, printError, printTable
+} from './output.js';
+import { isLocalDevice, isLocalTask, getLocalDevice, getLocalTask, runLocalTask } from './local.js';
+import {
+  loadManifest, batchIdFor, openBatch, readBatch, listBatches, saveBatch, submitBatch, refreshBatch, cancelBatch,
+  batchSummary, mapWithConcurrency
+} from './batch.js';
+import {
+  loadPricing, importPricing, resetPricing, pricingFile, estimateTaskCost, estimateJobCost,
+  budgetStatus, checkBudget, recordSpend
+} from './pricing.js';
 
 const program = new Command();
 
+// Every Braket call the commands make goes through this client, created from
+// the global options before each command runs
+let client = new BraketClient();
+
 // ============================================================
 // Helpers
 // ============================================================
 
-function printSuccess(message) {
-  console.log(chalk.green('✓') + ' ' + message);
+function collect(value, previous = []) {
+  return previous.concat([value]);
+}
+
+// The history store is a local cache: failing to write it warns but never fails the command
+function remember(record, ...args) {
+  try {
+    record(...args);
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: could not update ${historyFile()}: ${error.message}`));
+  }
 }
 
-function printError(message) {
-  console.error(chalk.red('✗') + ' ' + message);
+// Prints an error (on stdout as a JSON document under --output json/jsonl/yaml,
+// with the AWS request id when known) and exits with the code for its category.
+function exitWithError(error, options = {}) {
+  const braketError = toBraketError(error);
+  const format = isStructured(options) ? outputFormat(options) : 'table';
+  if (['json', 'jsonl', 'yaml'].includes(format)) {
+    emit({ error: braketError instanceof BraketError ? braketError.toJSON() : { message: braketError.message } }, { output: format, query: null });
+  } else if (braketError instanceof BraketError) {
+    const requestId = braketError.requestId ? chalk.dim(` (request id: ${braketError.requestId})`) : '';
+    printError(`${braketError.code}: ${braketError.message}${requestId}`);
+  } else {
+    printError(braketError.message);
+  }
+  process.exit(braketError.exitCode || EXIT_CODES.general);
 }
 
-function printTable(data, columns) {
-  if (!data || data.length === 0) {
-    console.log(chalk.yellow('No results found.'));
-    return;
+async function withSpinner(message, fn) {
+  const spinner = createSpinner(message).start();
+  try {
+    const result = await fn(spinner);
+    spinner.stop();
+    return result;
+  } catch (error) {
+    spinner.stop();
+    throw error;
   }
+}
+
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = total % 60;
+  if (h) return `${h}h ${m}m ${sec}s`;
+  if (m) return `${m}m ${sec}s`;
+  return `${sec}s`;
+}
+
+function formatWaitLine(id, resource, elapsedMs) {
+  const parts = [chalk.cyan(id.split('/').pop()), chalk.bold(resource.status)];
+  const queue = resource.queueInfo;
+  if (queue?.position) parts.push(`queue position ${queue.position}${queue.queue ? ` (${queue.queue})` : ''}`);
+  else if (queue?.message) parts.push(queue.message);
+  parts.push(`elapsed ${formatDuration(elapsedMs)}`);
+  return parts.join(chalk.dim(' · '));
+}
+
+// Waits for every id to reach a terminal state, keeping one live spinner line per id
+async function waitWithStatus(ids, waitFn, { timeout } = {}) {
+  const lines = Object.fromEntries(ids.map(id => [id, `${chalk.cyan(id.split('/').pop())} ${chalk.dim('waiting...')}`]));
+  const results = await withSpinner(Object.values(lines).join('\n'), (spinner) =>
+    Promise.all(ids.map(id => waitFn(id, {
+      timeout,
+      onUpdate: (resource, elapsedMs) => {
+        lines[id] = formatWaitLine(id, resource, elapsedMs);
+        spinner.text = ids.map(i => lines[i]).join('\n');
+      }
+    })))
+  );
+  // Tasks and jobs both come through here; each recorder skips the other kind
+  remember(recordTasks, results);
+  remember(recordJobs, results);
+  return results;
+}
 
-  const widths = {};
-  columns.forEach(col => {
-    widths[col.key] = col.label.length;
-    data.forEach(row => {
-      const val = String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
-      if (val.length > widths[col.key]) widths[col.key] = val.length;
+function reportWaitResults(results, idKey, options) {
+  if (!emit(results.length === 1 ? results[0] : results, options)) {
+    results.forEach(r => {
+      const line = `${r[idKey]} ${chalk.bold(r.status)}`;
+      if (FAILED_STATES.includes(r.status)) printError(line + (r.failureReason ? ` — ${r.failureReason}` : ''));
+      else printSuccess(line);
     });
-    widths[col.key] = Math.min(widths[col.key], 50);
+  }
+  if (results.some(r => FAILED_STATES.includes(r.status))) process.exit(EXIT_CODES.taskFailed);
+}
+
+function printHistogram(entries, { width = 40 } = {}) {
+  const max = Math.max(...entries.map(([, p]) => p), 0);
+  const labelWidth = Math.max(...entries.map(([label]) => label.length), 0);
+  entries.forEach(([label, p]) => {
+    const bar = max > 0 ? '█'.repeat(Math.round((p / max) * width)) : '';
+    console.log(`${label.padEnd(labelWidth)}  ${chalk.cyan(bar)} ${chalk.dim((p * 100).toFixed(2) + '%')}`);
   });
+}
 
-  const header = columns.map(col => col.label.padEnd(widths[col.key])).join('  ');
-  console.log(chalk.bold(chalk.cyan(header)));
-  console.log(chalk.dim('─'.repeat(header.length)));
+function printTaskResult(parsed, { top } = {}) {
+  console.log(chalk.bold('\nQuantum Task Results\n'));
+  if (parsed.taskId) console.log('Task:       ', chalk.cyan(parsed.taskId));
+  if (parsed.deviceId) console.log('Device:     ', parsed.deviceId.split('/').pop());
+  if (parsed.shots) console.log('Shots:      ', parsed.shots);
 
-  data.forEach(row => {
-    const line = columns.map(col => {
-      const val = String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
-      return val.substring(0, widths[col.key]).padEnd(widths[col.key]);
-    }).join('  ');
-    console.log(line);
+  if (parsed.kind === 'ahs') {
+    const statuses = Object.entries(parsed.shotStatus).map(([status, n]) => `${n} ${status}`).join(', ');
+    if (statuses) console.log('Shot status:', statuses);
+    console.log(chalk.bold('\nSite occupation\n'));
+    const fraction = (v) => v.toFixed(4);
+    printTable(parsed.sites, [
+      { key: 'site', label: 'Site' },
+      { key: 'pre', label: 'Pre-sequence', format: fraction },
+      { key: 'post', label: 'Post-sequence', format: fraction },
+      { key: 'rydberg', label: 'Rydberg', format: fraction }
+    ]);
+    const states = sortedOutcomes(parsed).slice(0, top);
+    if (states.length) {
+      console.log(chalk.bold('\nStates (g ground, r Rydberg, e empty)\n'));
+      printHistogram(states);
+    }
+    return;
+  }
+
+  if (parsed.kind === 'annealing') {
+    console.log('Variables:  ', parsed.variableCount ?? 'N/A');
+    console.log('');
+    printTable(parsed.solutions.slice(0, top), [
+      { key: 'solution', label: 'Solution', format: (v) => v.join(' ') },
+      { key: 'count', label: 'Count' },
+      { key: 'value', label: 'Energy' }
+    ]);
+    return;
+  }
+
+  if (parsed.measuredQubits.length) console.log('Measured:   ', parsed.measuredQubits.map(q => `q[${q}]`).join(', '));
+
+  const outcomes = sortedOutcomes(parsed).slice(0, top);
+  if (outcomes.length) {
+    console.log(chalk.bold('\nMeasurement counts\n'));
+    printTable(outcomes.map(([bits]) => ({
+      bitstring: bits, count: parsed.counts[bits], probability: parsed.probabilities[bits]
+    })), [
+      { key: 'bitstring', label: 'Bitstring' },
+      { key: 'count', label: 'Count' },
+      { key: 'probability', label: 'Probability', format: (v) => v === undefined ? '' : v.toFixed(4) }
+    ]);
+    console.log(chalk.bold('\nProbabilities\n'));
+    printHistogram(outcomes);
+  }
+
+  for (const rt of parsed.resultTypes) {
+    const targets = rt.targets?.length ? ` on q[${rt.targets.join('], q[')}]` : '';
+    const observable = rt.observable ? ` ${JSON.stringify(rt.observable)}` : '';
+    if (rt.type === 'probability' && Array.isArray(rt.value)) {
+      console.log(chalk.bold(`\nProbability${targets}\n`));
+      printHistogram(probabilityVectorEntries(rt.value, rt.targets?.length || Math.log2(rt.value.length)));
+    } else if (rt.type === 'expectation' || rt.type === 'variance') {
+      console.log(`${rt.type === 'expectation' ? 'Expectation' : 'Variance'}${observable}${targets}: `, chalk.bold(rt.value));
+    } else {
+      console.log(`${rt.type}${observable}${targets}: `, JSON.stringify(rt.value));
+    }
+  }
+}
+
+// Fetches either a single page (honoring --next-token/--page-size) or, with
+// --all, every page up to an optional --max-results cap. `match` filters items
+// client-side, for criteria the search API does not support.
+async function collectListing(options, { search, iterate, key, filters = {}, match = () => true, defaultPageSize = 10 }) {
+  const pageSize = options.pageSize ? parseInt(options.pageSize) : undefined;
+
+  if (options.all) {
+    const limit = options.maxResults ? parseInt(options.maxResults) : Infinity;
+    const items = [];
+    for await (const item of iterate({ ...filters, maxResults: pageSize || 100, nextToken: options.nextToken })) {
+      if (!match(item)) continue;
+      items.push(item);
+      if (items.length >= limit) break;
+    }
+    return { items };
+  }
+
+  const maxResults = pageSize || (options.maxResults ? parseInt(options.maxResults) : defaultPageSize);
+  const data = await search({ ...filters, maxResults, nextToken: options.nextToken });
+  return { items: (data[key] || []).filter(match), nextToken: data.nextToken };
+}
+
+async function fetchListing(message, options, listing) {
+  return withSpinner(message, () => collectListing(options, listing));
+}
+
+// `--region all` (every configured region) or a comma-separated list; null
+// for a single region, which the normal listing handles
+function fanOutRegions(options) {
+  const value = options.region || program.opts().region;
+  if (!value || (value !== 'all' && !value.includes(','))) return null;
+  return value === 'all' ? configuredRegions() : value.split(',').map(r => r.trim()).filter(Boolean);
+}
+
+// Runs the listing in every region in parallel and tags each item with its
+// region. Regions that fail are reported and skipped unless all of them fail.
+async function fetchAcrossRegions(message, options, regions, listing) {
+  if (options.nextToken) {
+    throw new ValidationError('--next-token cannot be combined with several regions', { code: 'ValidationException' });
+  }
+  const settled = await withSpinner(`${message} (${regions.join(', ')})`, () => Promise.allSettled(regions.map(region =>
+    collectListing(options, { ...listing, filters: { ...listing.filters, region } })
+  )));
+  const failed = settled.filter(r => r.status === 'rejected');
+  if (failed.length === regions.length) throw failed[0].reason;
+
+  const items = [];
+  settled.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.error(chalk.yellow(`${regions[i]}: ${toBraketError(result.reason).message}`));
+      return;
+    }
+    result.value.items.forEach(item => items.push({ region: regions[i], ...item }));
+    if (result.value.nextToken) console.error(chalk.dim(`${regions[i]}: more results available; use --all to fetch every page`));
   });
+  return { items };
+}
 
-  console.log(chalk.dim(`\n${data.length} result(s)`));
+// Fills options the user left out from the active profile (or top-level
+// config), e.g. --device-arn from `deviceArn`
+function applyProfileDefaults(options, keys) {
+  for (const key of keys) {
+    if (options[key] === undefined && getConfig(key) !== undefined) options[key] = String(getConfig(key));
+  }
 }
 
-function printJson(data) {
-  console.log(JSON.stringify(data, null, 2));
+function requireOptions(options, flags) {
+  const missing = Object.keys(flags).filter(key => options[key] === undefined || options[key] === '');
+  if (!missing.length) return;
+  const hint = missing.every(key => CONFIG_SETTINGS.some(setting => setting.key === key))
+    ? '; pass it or set a default with awsbraket config set or config profiles add'
+    : '';
+  throw new ValidationError(`Missing ${missing.map(key => flags[key]).join(', ')}${hint}`, { code: 'ValidationException' });
 }
 
-async function withSpinner(message, fn) {
-  const spinner = ora(message).start();
-  try {
-    const result = await fn();
-    spinner.stop();
-    return result;
-  } catch (error) {
-    spinner.stop();
-    throw error;
+// Shots are a non-negative integer; 0 asks a simulator for exact results instead of samples
+function parseShots(value, flag = '--shots') {
+  const shots = Number(value);
+  if (value === '' || !Number.isInteger(shots) || shots < 0) {
+    throw new ValidationError(`${flag} must be a non-negative integer, got '${value}'`, { code: 'ValidationException' });
+  }
+  return shots;
+}
+
+// Parallel submissions are a positive integer; NaN or 0 would submit nothing
+function parseConcurrency(value, flag = '--concurrency') {
+  const concurrency = Number(value);
+  if (value === '' || !Number.isInteger(concurrency) || concurrency < 1) {
+    throw new ValidationError(`${flag} must be a positive integer, got '${value}'`, { code: 'ValidationException' });
+  }
+  return concurrency;
+}
+
+// Budgets are a positive amount in USD
+function parseBudget(value, flag) {
+  const usd = Number(value);
+  if (value === '' || !Number.isFinite(usd) || usd <= 0) {
+    throw new ValidationError(`${flag} must be a positive amount in USD, got '${value}'`, { code: 'ValidationException' });
+  }
+  return usd;
+}
+
+// key=value,key=value
+function formatTags(tags) {
+  return Object.entries(tags || {}).map(([k, v]) => `${k}=${v}`).join(',');
+}
+
+// Dollars with at least two decimals, keeping sub-cent precision (e.g. $0.00145 per shot)
+function formatUsd(amount) {
+  if (amount === null || amount === undefined) return 'unknown';
+  return `$${amount.toFixed(5).replace(/0{1,3}$/, '')}`;
+}
+
+function printEstimate(estimate) {
+  estimate.lines.forEach(l => console.log(`  ${l.label.padEnd(56)} ${formatUsd(l.amount)}`));
+  console.log(`  ${chalk.bold('Total'.padEnd(56))} ${chalk.bold(formatUsd(estimate.total))}`);
+}
+
+// Pre-submit cost check: blocks on a broken budget unless --force, and notes the estimate
+function enforceBudget(estimate, options) {
+  if (!options.force) checkBudget(estimate);
+  if (isStructured(options)) return;
+  if (!estimate.known) {
+    const { perCommand, monthly } = budgetStatus();
+    if (perCommand !== undefined || monthly !== undefined) {
+      console.error(chalk.yellow('No pricing known for this submission; it was not checked against your budget (see config pricing)'));
+    }
+  } else if (estimate.total) {
+    console.error(chalk.dim(`Estimated cost: ${formatUsd(estimate.total)}`));
   }
 }
 
-function requireAuth() {
-  if (!isConfigured()) {
+function printNextToken(nextToken) {
+  if (!nextToken) return;
+  console.error(chalk.dim(`More results available. Resume with --next-token ${nextToken} or fetch everything with --all`));
+}
+
+async function requireAuth() {
+  let credentials = null;
+  try {
+    credentials = await resolveCredentials();
+  } catch (error) {
+    exitWithError(error);
+  }
+  if (!credentials) {
     printError('AWS credentials not configured.');
-    console.log('\nRun the following to configure:');
+    console.log('\nSet AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY, pass --profile <name>, or run:');
     console.log(chalk.cyan('  awsbraket config set --access-key-id <id> --secret-access-key <secret> --region <region>'));
-    process.exit(1);
+    process.exit(EXIT_CODES.auth);
   }
 }
 
@@ -82,10 +371,72 @@ function requireAuth() {
 // Program metadata
 // ============================================================
 
+// Listings that accept --region all (or a comma-separated list of regions)
+const FAN_OUT_COMMANDS = ['tasks list', 'devices list'];
+
+// e.g. 'tasks batch status' for the command that is running
+function commandPath(command) {
+  const names = [];
+  for (let c = command; c && c.parent; c = c.parent) names.unshift(c.name());
+  return names.join(' ');
+}
+
 program
   .name('awsbraket')
   .description(chalk.bold('Amazon Braket CLI') + ' - Quantum computing from your terminal')
-  .version('1.0.0');
+  .version('1.0.0')
+  .enablePositionalOptions()
+  .option('--profile <name>', 'Named profile (config profiles), or an AWS profile from ~/.aws/credentials or ~/.aws/config')
+  .option('--role-arn <arn>', 'IAM role to assume via STS before calling Braket')
+  .option('--external-id <id>', 'External ID to pass when assuming the role')
+  .option('--mfa-serial <arn>', 'MFA device serial/ARN required by the role (prompts for a code)')
+  .option('--max-retries <n>', 'Retries for throttled, 5xx and dropped requests (default: 3)')
+  .option('--timeout <seconds>', 'Per-request HTTP timeout in seconds (default: 60)')
+  .option('--region <region>', 'AWS region for this command, overriding the profile and config')
+  .option('--endpoint-url <url>', 'Endpoint URL for Braket, S3, CloudWatch Logs and STS calls (e.g. a local mock-server), overriding AWS_ENDPOINT_URL and config')
+  .option('--output <format>', `Output format: ${OUTPUT_FORMATS.join('|')} (default: table)`)
+  .option('--query <expr>', 'JMESPath expression applied to the JSON output (e.g. "[?status==\'FAILED\'].quantumTaskArn")')
+  .option('--no-color', 'Disable colored output (also NO_COLOR, or when stdout is not a terminal)')
+  .hook('preAction', (thisCommand, actionCommand) => {
+    const opts = program.opts();
+    const local = actionCommand.opts();
+    configureOutput({ format: opts.output, query: opts.query, color: opts.color !== false && local.color !== false });
+    try {
+      outputFormat(local);
+    } catch (error) {
+      exitWithError(error);
+    }
+
+    for (const { file, mode } of insecureFiles()) {
+      console.error(chalk.yellow(`Warning: ${file} is readable by other users (mode ${mode}); run: chmod 600 ${file}`));
+    }
+
+    // --profile names a CLI profile if one exists, else an AWS shared-config profile
+    const profile = local.profile || opts.profile;
+    const named = profile && profileExists(profile);
+    setActiveProfile(named ? profile : null);
+    // config subcommands take --region as a value to store, not as an override
+    const commandName = commandPath(actionCommand);
+    const region = commandName.startsWith('config ') ? opts.region : local.region || opts.region;
+    const fanOut = region && (region === 'all' || region.includes(','));
+    if (fanOut && !FAN_OUT_COMMANDS.includes(commandName)) {
+      exitWithError(new ValidationError(`--region ${region} is only supported by ${FAN_OUT_COMMANDS.join(' and ')}`, { code: 'ValidationException' }));
+    }
+    setConfigOverrides({ region: fanOut ? undefined : region });
+    setCredentialProfile(named || !profile ? getConfig('awsProfile') : profile);
+    setRoleOptions({ roleArn: opts.roleArn, externalId: opts.externalId, mfaSerial: opts.mfaSerial });
+    try {
+      client = new BraketClient({
+        maxRetries: opts.maxRetries !== undefined ? parseMaxRetries(opts.maxRetries, '--max-retries') : undefined,
+        timeout: opts.timeout !== undefined ? parseTimeout(opts.timeout, '--timeout') : undefined,
+        endpoint: opts.endpointUrl
+      });
+    } catch (error) {
+      exitWithError(error, opts);
+    }
+    // Batches, history sync, the dashboard and job logs call the API directly
+    setDefaultSettings(client.settings);
+  });
 
 // ============================================================
 // CONFIG
@@ -93,53 +444,306 @@ program
 
 const configCmd = program.command('config').description('Manage CLI configuration');
 
-configCmd
+// Settings `config set` accepts, in flag order. `set` describes the stored value.
+const CONFIG_SETTINGS = [
+  { key: 'accessKeyId', flag: '--access-key-id <id>', help: 'AWS Access Key ID', set: () => 'Access Key ID set' },
+  { key: 'secretAccessKey', flag: '--secret-access-key <secret>', help: 'AWS Secret Access Key', set: () => 'Secret Access Key set' },
+  { key: 'sessionToken', flag: '--session-token <token>', help: 'AWS Session Token (for temporary credentials)', set: () => 'Session Token set' },
+  { key: 'region', flag: '--region <region>', help: 'AWS Region (e.g. us-east-1)', set: (v) => `Region set to ${v}` },
+  { key: 'deviceArn', flag: '--device-arn <arn>', help: 'Default device for tasks create/estimate and circuits validate', set: (v) => `Default device set to ${v}` },
+  { key: 's3Bucket', flag: '--s3-bucket <bucket>', help: 'Default S3 bucket for task and job output', set: (v) => `Default S3 bucket set to ${v}` },
+  { key: 's3Prefix', flag: '--s3-prefix <prefix>', help: 'Default S3 key prefix for task output', set: (v) => `Default S3 prefix set to ${v}` },
+  { key: 'shots', flag: '--shots <n>', help: 'Default shots for tasks create/estimate', parse: parseShots, set: (v) => `Default shots set to ${v}` },
+  { key: 'awsProfile', flag: '--aws-profile <name>', help: 'AWS shared-config profile to take credentials from', set: (v) => `AWS profile set to ${v}` },
+  { key: 'roleArn', flag: '--role-arn <arn>', help: 'IAM role to assume for every command', set: (v) => `Role ARN set to ${v}` },
+  { key: 'externalId', flag: '--external-id <id>', help: 'External ID used when assuming the role', set: () => 'External ID set' },
+  { key: 'mfaSerial', flag: '--mfa-serial <arn>', help: 'MFA device serial/ARN required by the role', set: (v) => `MFA serial set to ${v}` },
+  { key: 'maxRetries', flag: '--max-retries <n>', help: 'Retries for throttled, 5xx and dropped requests', parse: (v) => parseMaxRetries(v, '--max-retries'), set: (v) => `Max retries set to ${v}` },
+  { key: 'timeout', flag: '--timeout <seconds>', help: 'Per-request HTTP timeout in seconds', parse: (v) => parseTimeout(v, '--timeout'), set: (v) => `Request timeout set to ${v}s` },
+  { key: 'endpointUrl', flag: '--endpoint-url <url>', help: 'Endpoint URL for every AWS call (e.g. a local mock-server)', set: (v) => `Endpoint URL set to ${v}` },
+  { key: 's3Endpoint', flag: '--s3-endpoint <url>', help: 'S3 endpoint URL for reading task results (path-style)', set: (v) => `S3 endpoint set to ${v}` },
+  { key: 'logsEndpoint', flag: '--logs-endpoint <url>', help: 'CloudWatch Logs endpoint URL for circuits logs/metrics', set: (v) => `Logs endpoint set to ${v}` },
+  { key: 'defaultTags', flag: '--default-tags <json|k=v,...>', help: 'Tags added to every task and job created (empty string to clear)', parse: (v) => validateTags(parseTags(v)), set: (v) => Object.keys(v).length ? `Default tags set to ${formatTags(v)}` : 'Default tags cleared' },
+  { key: 'budgetPerCommand', flag: '--budget-per-command <usd>', help: 'Block any single submission estimated above this amount', parse: (v) => parseBudget(v, '--budget-per-command'), set: (v) => `Per-command budget set to $${v}` },
+  { key: 'budgetMonthly', flag: '--budget-monthly <usd>', help: 'Block submissions that would take this month\'s estimated spend above this amount', parse: (v) => parseBudget(v, '--budget-monthly'), set: (v) => `Monthly budget set to $${v}` }
+];
+
+const setCmd = configCmd
   .command('set')
-  .description('Set configuration values')
-  .option('--access-key-id <id>', 'AWS Access Key ID')
-  .option('--secret-access-key <secret>', 'AWS Secret Access Key')
-  .option('--session-token <token>', 'AWS Session Token (for temporary credentials)')
-  .option('--region <region>', 'AWS Region (e.g. us-east-1)')
-  .action((options) => {
-    if (options.accessKeyId) { setConfig('accessKeyId', options.accessKeyId); printSuccess('Access Key ID set'); }
-    if (options.secretAccessKey) { setConfig('secretAccessKey', options.secretAccessKey); printSuccess('Secret Access Key set'); }
-    if (options.sessionToken) { setConfig('sessionToken', options.sessionToken); printSuccess('Session Token set'); }
-    if (options.region) { setConfig('region', options.region); printSuccess(`Region set to ${options.region}`); }
-    if (!options.accessKeyId && !options.secretAccessKey && !options.sessionToken && !options.region) {
-      printError('No options provided. Use --access-key-id, --secret-access-key, --region, or --session-token');
+  .description('Set configuration values (profile settings go to the active profile, if any)');
+CONFIG_SETTINGS.forEach(setting => setCmd.option(setting.flag, setting.help));
+setCmd.action(async (options) => {
+  const profile = getActiveProfile();
+  const given = CONFIG_SETTINGS.filter(setting => options[setting.key] !== undefined);
+  if (!given.length) {
+    printError(`No options provided. Use ${CONFIG_SETTINGS.map(setting => setting.flag.split(' ')[0]).join(', ')}`);
+    return;
+  }
+  for (const setting of given) {
+    let value;
+    try {
+      value = setting.parse ? setting.parse(options[setting.key]) : options[setting.key];
+    } catch (error) {
+      exitWithError(error);
     }
-  });
+    if (SECRET_KEYS.includes(setting.key)) {
+      try {
+        await writeSecret(setting.key, value);
+      } catch (error) {
+        exitWithError(error);
+      }
+      printSuccess(`${setting.set(value)} ${chalk.dim(`in ${describeSecretBackend()}`)}`);
+    } else if (profile && PROFILE_KEYS.includes(setting.key)) {
+      saveProfile(profile, { [setting.key]: value });
+      printSuccess(`${setting.set(value)} ${chalk.dim(`(profile ${profile})`)}`);
+    } else {
+      setConfig(setting.key, value);
+      printSuccess(setting.set(value));
+    }
+  }
+});
 
 configCmd
   .command('get')
   .description('Get a configuration value')
   .argument('<key>', 'Configuration key')
   .action((key) => {
+    if (SECRET_KEYS.includes(key)) {
+      // Secrets are never printed; say where they are kept instead
+      const backend = secretBackend();
+      const stored = backend.type === 'plain' ? getConfig(key) !== undefined : backend.keys?.includes(key);
+      if (stored) console.log(`${'*'.repeat(8)} (stored in ${describeSecretBackend(backend)})`);
+      else printError(`Key '${key}' not found`);
+      return;
+    }
     const value = getConfig(key);
     if (value === undefined) {
       printError(`Key '${key}' not found`);
     } else {
-      console.log(value);
+      console.log(typeof value === 'object' ? JSON.stringify(value) : value);
     }
   });
 
 configCmd
   .command('list')
   .description('List all configuration values')
-  .action(() => {
+  .action(async () => {
     const all = getAllConfig();
+    let source = null;
+    let sourceError = null;
+    try {
+      source = (await resolveCredentials())?.source;
+    } catch (error) {
+      sourceError = error.message;
+    }
+    // Profile settings show their effective value under the active profile
+    const profile = getActiveProfile();
+    const region = getConfig('region');
+    const roleArn = getConfig('roleArn');
     console.log(chalk.bold('\nAmazon Braket CLI Configuration\n'));
-    console.log('Access Key ID:     ', all.accessKeyId ? chalk.green(all.accessKeyId) : chalk.red('not set'));
-    console.log('Secret Access Key: ', all.secretAccessKey ? chalk.green('*'.repeat(8)) : chalk.red('not set'));
-    console.log('Session Token:     ', all.sessionToken ? chalk.green('set') : chalk.dim('not set'));
-    console.log('Region:            ', all.region ? chalk.green(all.region) : chalk.yellow('not set (default: us-east-1)'));
+    console.log('Profile:           ', profile ? chalk.green(profile) : chalk.dim('none (top-level settings)'));
+    const backend = secretBackend();
+    const hasSecret = (key) => backend.type === 'plain' ? all[key] !== undefined : backend.keys?.includes(key);
+    console.log('Access Key ID:     ', all.accessKeyId ? chalk.green(maskAccessKeyId(all.accessKeyId)) : chalk.red('not set'));
+    console.log('Secret Access Key: ', hasSecret('secretAccessKey') ? chalk.green('*'.repeat(8)) : chalk.red('not set'));
+    console.log('Session Token:     ', hasSecret('sessionToken') ? chalk.green('set') : chalk.dim('not set'));
+    console.log('Secret Storage:    ', backend.type === 'plain' && hasSecret('secretAccessKey')
+      ? chalk.yellow(`${describeSecretBackend(backend)} — see config migrate-secrets`)
+      : chalk.green(describeSecretBackend(backend)));
+    console.log('Region:            ', region ? chalk.green(region) : chalk.yellow('not set (default: us-east-1)'));
+    if (getConfig('awsProfile')) console.log('AWS Profile:       ', chalk.green(getConfig('awsProfile')));
+    console.log('Role ARN:          ', roleArn ? chalk.green(roleArn) : chalk.dim('not set'));
+    if (getConfig('externalId')) console.log('External ID:       ', chalk.green('set'));
+    if (getConfig('mfaSerial')) console.log('MFA Serial:        ', chalk.green(getConfig('mfaSerial')));
+    if (getConfig('deviceArn')) console.log('Default Device:    ', chalk.green(getConfig('deviceArn')));
+    if (getConfig('s3Bucket')) console.log('Default S3 Output: ', chalk.green(`s3://${getConfig('s3Bucket')}/${getConfig('s3Prefix') || 'braket-results'}`));
+    if (getConfig('shots') !== undefined) console.log('Default Shots:     ', chalk.green(getConfig('shots')));
+    if (Object.keys(getConfig('defaultTags') || {}).length) console.log('Default Tags:      ', chalk.green(formatTags(getConfig('defaultTags'))));
+    console.log('Max Retries:       ', all.maxRetries !== undefined ? chalk.green(all.maxRetries) : chalk.dim('not set (default: 3)'));
+    console.log('Request Timeout:   ', all.timeout !== undefined ? chalk.green(`${all.timeout}s`) : chalk.dim('not set (default: 60s)'));
+    if (all.endpointUrl) console.log('Endpoint URL:      ', chalk.green(all.endpointUrl));
+    if (all.s3Endpoint) console.log('S3 Endpoint:       ', chalk.green(all.s3Endpoint));
+    const budget = budgetStatus();
+    if (budget.perCommand !== undefined) console.log('Command Budget:    ', chalk.green(formatUsd(budget.perCommand)));
+    if (budget.monthly !== undefined) console.log('Monthly Budget:    ', chalk.green(`${formatUsd(budget.monthly)} (${formatUsd(budget.spent)} spent this month)`));
+    console.log('Credential Source: ', source ? chalk.green(source) : chalk.red(sourceError || 'none found'));
     console.log('');
   });
 
+const profilesCmd = configCmd.command('profiles').description('Manage named profiles (per-profile region, device, S3 output, role and shots)');
+
+const PROFILE_COLUMNS = [
+  { key: 'name', label: 'Profile', format: (v, p) => p.active ? `${v} *` : v },
+  { key: 'region', label: 'Region' },
+  { key: 'deviceArn', label: 'Device', format: (v) => v ? v.split('/').pop() : '' },
+  { key: 's3Bucket', label: 'S3 Output', format: (v, p) => v ? `s3://${v}/${p.s3Prefix || 'braket-results'}` : '' },
+  { key: 'shots', label: 'Shots' },
+  { key: 'roleArn', label: 'Role', format: (v) => v ? v.split('/').pop() : '' },
+  { key: 'awsProfile', label: 'AWS Profile' }
+];
+
+function validateProfileName(name) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new ValidationError(`Invalid profile name '${name}'; use letters, digits, '-' and '_'`, { code: 'ValidationException' });
+  }
+  if (name === 'default') {
+    throw new ValidationError("'default' is the top-level configuration; change it with awsbraket config set", { code: 'ValidationException' });
+  }
+}
+
+profilesCmd
+  .command('list')
+  .description('List named profiles (* marks the active one)')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const active = getActiveProfile();
+    const profiles = Object.entries(getProfiles()).map(([name, values]) => ({ name, ...values, active: name === active }));
+    if (emit(profiles, options)) return;
+    printTable(profiles, PROFILE_COLUMNS);
+  });
+
+profilesCmd
+  .command('add <name>')
+  .description('Create a profile, or update the given settings of an existing one')
+  .option('--region <region>', 'AWS region')
+  .option('--device-arn <arn>', 'Default device ARN')
+  .option('--s3-bucket <bucket>', 'Default S3 bucket for task and job output')
+  .option('--s3-prefix <prefix>', 'Default S3 key prefix for task output')
+  .option('--role-arn <arn>', 'IAM role to assume')
+  .option('--external-id <id>', 'External ID used when assuming the role')
+  .option('--mfa-serial <arn>', 'MFA device serial/ARN required by the role')
+  .option('--shots <n>', 'Default shots')
+  .option('--aws-profile <name>', 'AWS shared-config profile to take credentials from')
+  .option('--use', 'Make it the active profile')
+  .action((name, options) => {
+    try {
+      validateProfileName(name);
+      const existed = profileExists(name);
+      saveProfile(name, {
+        region: options.region,
+        deviceArn: options.deviceArn,
+        s3Bucket: options.s3Bucket,
+        s3Prefix: options.s3Prefix,
+        roleArn: options.roleArn,
+        externalId: options.externalId,
+        mfaSerial: options.mfaSerial,
+        shots: options.shots !== undefined ? parseShots(options.shots) : undefined,
+        awsProfile: options.awsProfile
+      });
+      printSuccess(`Profile ${chalk.cyan(name)} ${existed ? 'updated' : 'added'}`);
+      if (options.use) {
+        useProfile(name);
+        printSuccess(`Now using profile ${chalk.cyan(name)}`);
+      }
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+profilesCmd
+  .command('use <name>')
+  .description("Make a profile the active one ('default' goes back to the top-level settings)")
+  .action((name) => {
+    if (name === 'default') {
+      useProfile(null);
+      printSuccess('Using the top-level configuration');
+      return;
+    }
+    if (!profileExists(name)) exitWithError(new ResourceNotFoundError(`Profile '${name}' not found`, { code: 'ProfileNotFound' }));
+    useProfile(name);
+    printSuccess(`Now using profile ${chalk.cyan(name)}`);
+  });
+
+profilesCmd
+  .command('remove <name>')
+  .description('Delete a profile')
+  .action((name) => {
+    if (!profileExists(name)) exitWithError(new ResourceNotFoundError(`Profile '${name}' not found`, { code: 'ProfileNotFound' }));
+    const wasActive = getAllConfig().currentProfile === name;
+    removeProfile(name);
+    printSuccess(`Profile ${chalk.cyan(name)} removed${wasActive ? '; using the top-level configuration' : ''}`);
+  });
+
+configCmd
+  .command('migrate-secrets')
+  .description('Move stored secrets to another backend: an encrypted file, pass, gopass, or your own commands')
+  .requiredOption('--to <backend>', `Target backend (${SECRET_BACKENDS.join('|')})`)
+  .option('--key-file <path>', 'file backend: encrypt with the contents of this file instead of a passphrase')
+  .option('--file <path>', 'file backend: where to keep the encrypted secrets (default: secrets.enc next to the config)')
+  .option('--get-command <cmd>', 'command backend: prints a secret; {key} is replaced by its name')
+  .option('--set-command <cmd>', 'command backend: stores the secret it reads on stdin')
+  .option('--delete-command <cmd>', 'command backend: removes a secret')
+  .action(async (options) => {
+    try {
+      const target = backendFromOptions(options);
+      const moved = await migrateSecrets(target);
+      printSuccess(`Secrets now stored in ${describeSecretBackend(secretBackend())}${moved.length ? ` (${moved.join(', ')})` : ''}`);
+      if (target.type === 'file' && !target.keyFile) {
+        console.log(chalk.dim('Commands will ask for the passphrase, or read it from AWSBRAKET_PASSPHRASE.'));
+      }
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+configCmd
+  .command('pricing')
+  .description('Show the pricing table used for cost estimates, or update it')
+  .option('--import <file>', 'Merge prices from a JSON file into the local pricing table')
+  .option('--reset', 'Discard local price updates and use the built-in defaults')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    try {
+      if (options.reset) { resetPricing(); printSuccess('Pricing table reset to defaults'); }
+      const pricing = options.import ? importPricing(loadJsonArgument(options.import, options.import)) : loadPricing();
+      if (options.import) printSuccess(`Pricing updated (${pricingFile()})`);
+
+      if (emit(pricing, options)) return;
+
+      console.log(chalk.bold(`\nQPU pricing (${pricing.currency})\n`));
+      printTable(Object.entries(pricing.qpu).flatMap(([provider, rates]) => [
+        { device: provider, perTask: rates.perTask, perShot: rates.perShot },
+        ...Object.entries(rates.devices || {}).map(([name, d]) => ({
+          device: `  ${name}`, perTask: d.perTask ?? rates.perTask, perShot: d.perShot ?? rates.perShot
+        }))
+      ]), [
+        { key: 'device', label: 'Provider / Device' },
+        { key: 'perTask', label: 'Per Task', format: formatUsd },
+        { key: 'perShot', label: 'Per Shot', format: formatUsd }
+      ]);
+      console.log(chalk.bold('\nSimulators\n'));
+      printTable(Object.entries(pricing.simulators).map(([name, r]) => ({ name, perMinute: r.perMinute })), [
+        { key: 'name', label: 'Simulator' },
+        { key: 'perMinute', label: 'Per Minute', format: formatUsd }
+      ]);
+      console.log(chalk.dim(`Minimum billed duration: ${pricing.simulatorMinimumSeconds}s`));
+      console.log(chalk.bold('\nHybrid job instances\n'));
+      printTable(Object.entries(pricing.jobInstances).map(([type, hourly]) => ({ type, hourly })), [
+        { key: 'type', label: 'Instance Type' },
+        { key: 'hourly', label: 'Per Hour', format: formatUsd }
+      ]);
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
 // ============================================================
 // TASKS
 // ============================================================
 
+const TASK_COLUMNS = [
+  { key: 'quantumTaskArn', label: 'Task ARN', aliases: ['arn', 'task'], format: (v) => v ? v.split('/').pop() : '' },
+  { key: 'status', label: 'Status' },
+  { key: 'deviceArn', label: 'Device', format: (v) => v ? v.split('/').pop() : '' },
+  { key: 'shots', label: 'Shots' },
+  { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleString() : '' },
+  { key: 'endedAt', label: 'Ended', format: (v) => v ? new Date(v).toLocaleString() : '' },
+  { key: 'jobArn', label: 'Job', format: (v) => v ? v.split('/').pop() : '' },
+  { key: 'tags', label: 'Tags', format: formatTags },
+  { key: 'region', label: 'Region' }
+];
+const DEFAULT_TASK_COLUMNS = 'arn,status,device,shots,createdAt';
+
 const tasksCmd = program.command('tasks').description('Manage quantum tasks');
 
 tasksCmd
@@ -147,27 +751,49 @@ tasksCmd
   .description('List quantum tasks')
   .option('--device-arn <arn>', 'Filter by device ARN')
   .option('--status <status>', 'Filter by status (CREATED|QUEUED|RUNNING|COMPLETED|FAILED|CANCELLING|CANCELLED)')
-  .option('--max-results <n>', 'Maximum results to return', '10')
+  .option('--filter <expr>', 'Search filter, repeatable (e.g. "createdAt>2026-09-01", "status in COMPLETED,FAILED")', collect, [])
+  .option('--since <time>', 'Only tasks created at or after a date or relative age (e.g. 7d, 12h)')
+  .option('--until <time>', 'Only tasks created at or before a date or relative age')
+  .option('--job <name|arn>', 'Only tasks created by this hybrid job')
+  .option('--tag <key[=value]>', 'Only tasks with this tag (any value if none given), repeatable; applied to the fetched results', collect, [])
+  .option('--sort <keys>', 'Sort the fetched tasks by comma-separated fields; prefix with - for descending (e.g. -createdAt)')
+  .option('--columns <list>', 'Table columns (arn, status, device, shots, createdAt, endedAt, job, tags, region, or any task field)')
+  .option('--max-results <n>', 'Maximum results to return (default: 10, or no limit with --all)')
+  .option('--all', 'Follow nextToken and fetch every page')
+  .option('--page-size <n>', 'Results requested per API call')
+  .option('--next-token <token>', 'Resume listing from a previous nextToken')
+  .option('--region <region|all>', 'Region to search; "all" (or a comma-separated list) searches every configured region')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      const tasks = await withSpinner('Fetching quantum tasks...', () =>
-        listQuantumTasks({ deviceArn: options.deviceArn, status: options.status, maxResults: parseInt(options.maxResults) })
-      );
+      const regions = fanOutRegions(options);
+      const filters = buildTaskFilters(options);
+      if (options.job) {
+        const jobArn = options.job.startsWith('arn:')
+          ? options.job
+          : (await withSpinner('Looking up job...', () => client.getJob(options.job))).jobArn;
+        filters.push({ name: 'jobArn', operator: 'EQUAL', values: [jobArn] });
+      }
 
-      if (options.json) { printJson(tasks); return; }
+      const listing = {
+        search: (o) => client.searchQuantumTasks(o),
+        iterate: (o) => client.iterateQuantumTasks(o),
+        key: 'quantumTasks',
+        filters: { deviceArn: options.deviceArn, status: options.status, filters },
+        match: tagMatcher(options.tag)
+      };
+      const { items, nextToken } = regions
+        ? await fetchAcrossRegions('Fetching quantum tasks...', options, regions, listing)
+        : await fetchListing('Fetching quantum tasks...', options, listing);
+      // Merged regions are interleaved newest first unless --sort says otherwise
+      const tasks = sortItems(items, options.sort || (regions ? '-createdAt' : undefined));
+      remember(recordTasks, tasks);
 
-      printTable(tasks, [
-        { key: 'quantumTaskArn', label: 'Task ARN', format: (v) => v ? v.split('/').pop() : '' },
-        { key: 'status', label: 'Status' },
-        { key: 'deviceArn', label: 'Device', format: (v) => v ? v.split('/').pop() : '' },
-        { key: 'shots', label: 'Shots' },
-        { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleString() : '' }
-      ]);
+      emit(tasks, options, { columns: TASK_COLUMNS, defaultColumns: regions ? `region,${DEFAULT_TASK_COLUMNS}` : DEFAULT_TASK_COLUMNS });
+      printNextToken(nextToken);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error, options);
     }
   });
 
@@ -176,11 +802,14 @@ tasksCmd
   .description('Get details of a specific quantum task')
   .option('--json', 'Output as JSON')
   .action(async (taskArn, options) => {
-    requireAuth();
+    if (!isLocalTask(taskArn)) await requireAuth();
     try {
-      const task = await withSpinner('Fetching quantum task...', () => getQuantumTask(taskArn));
+      const task = isLocalTask(taskArn)
+        ? getLocalTask(taskArn)
+        : await withSpinner('Fetching quantum task...', () => client.getQuantumTask(taskArn));
+      remember(recordTasks, [task]);
 
-      if (options.json) { printJson(task); return; }
+      if (emit(task, options)) return;
 
       console.log(chalk.bold('\nQuantum Task Details\n'));
       console.log('Task ARN:   ', chalk.cyan(task.quantumTaskArn));
@@ -190,52 +819,166 @@ tasksCmd
       console.log('Created:    ', task.createdAt ? new Date(task.createdAt).toLocaleString() : 'N/A');
       console.log('Ended:      ', task.endedAt ? new Date(task.endedAt).toLocaleString() : 'N/A');
       if (task.outputS3Bucket) console.log('S3 Output:  ', `s3://${task.outputS3Bucket}/${task.outputS3Directory}`);
+      if (Object.keys(task.tags || {}).length) console.log('Tags:       ', formatTags(task.tags));
+      if (task.failureReason) console.log('Failure:    ', chalk.red(task.failureReason));
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error, options);
     }
   });
 
 tasksCmd
   .command('create')
   .description('Create a new quantum task')
-  .requiredOption('--device-arn <arn>', 'Device ARN to run the task on')
-  .requiredOption('--shots <n>', 'Number of shots (circuit executions)')
-  .requiredOption('--s3-bucket <bucket>', 'S3 bucket for output results')
-  .option('--s3-prefix <prefix>', 'S3 key prefix for output', 'braket-results')
+  .option('--device-arn <arn>', 'Device ARN to run the task on, or local:sv for the offline simulator (default: profile deviceArn)')
+  .option('--shots <n>', 'Number of shots (circuit executions) (default: profile shots)')
+  .option('--s3-bucket <bucket>', 'S3 bucket for output results (required unless the device is local; default: profile s3Bucket)')
+  .option('--s3-prefix <prefix>', 'S3 key prefix for output (default: profile s3Prefix, else braket-results)')
   .option('--action <json>', 'Circuit action as JSON string (OpenQASM or ANSI C)')
+  .option('--qasm <file>', 'OpenQASM 3 program file')
+  .option('--circuit <file>', 'Compact circuit file (e.g. "h 0; cnot 0 1; measure"), compiled to OpenQASM')
+  .option('--ir <file>', 'JSON IR document with a braketSchemaHeader')
+  .option('--ahs <file>', 'Analog Hamiltonian simulation program (JSON or YAML; SI units or values like "5.5 um"), always checked against the device')
+  .option('--inputs <json|file>', 'Values for OpenQASM input parameters')
+  .option('--validate', "Check the program against the device's capabilities before submitting")
+  .option('--seed <n>', 'Random seed for sampling on local devices')
+  .option('--minutes <n>', 'Expected simulation minutes, for cost estimates on managed simulators')
+  .option('--tag <key=value>', 'Tag for the task, repeatable (added to config defaultTags)', collect, [])
+  .option('--force', 'Submit even if the estimated cost exceeds a configured budget')
+  .option('--wait', 'Wait until the task reaches a terminal state')
+  .option('--timeout <seconds>', 'With --wait, give up after this many seconds')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
-    try {
-      let action = options.action;
-      if (!action) {
-        // Default: simple Bell state circuit in OpenQASM 3
-        action = JSON.stringify({
-          braketSchemaHeader: { name: 'braket.ir.openqasm.program', version: '1' },
-          source: 'OPENQASM 3.0;\nqubit[2] q;\nh q[0];\ncnot q[0], q[1];\n#pragma braket result probability q[0], q[1]',
-          inputs: {}
-        });
+    applyProfileDefaults(options, ['deviceArn', 'shots', 's3Bucket', 's3Prefix']);
+    const local = isLocalDevice(options.deviceArn);
+    if (!local) await requireAuth();
+    try {
+      requireOptions(options, { deviceArn: '--device-arn', shots: '--shots' });
+      // Validated locally before any API call; defaults to a Bell state circuit
+      const loaded = loadTaskAction({
+        action: options.action,
+        qasm: options.qasm,
+        circuit: options.circuit,
+        ir: options.ir,
+        ahs: options.ahs,
+        inputs: options.inputs
+      });
+      const { action } = loaded;
+      const shots = parseShots(options.shots);
+      const tags = resolveTags({ tag: options.tag }, getConfig('defaultTags'));
+
+      // AHS programs are always checked against the device's lattice and Rydberg limits
+      if (options.validate || local || loaded.ahs) {
+        const device = local
+          ? getLocalDevice(options.deviceArn)
+          : await withSpinner('Checking device capabilities...', () => client.getDevice(options.deviceArn));
+        assertValidForDevice(loaded, device, { shots });
+      }
+
+      if (local) {
+        const task = await withSpinner('Simulating locally...', async () =>
+          runLocalTask({ deviceArn: options.deviceArn, shots, action, seed: options.seed })
+        );
+        remember(recordTasks, [task], { action });
+        const result = task.status === 'COMPLETED' ? await client.getTaskResult(task.quantumTaskArn) : null;
+        if (emit(result ? { ...task, result } : task, options)) {
+          // printed in the requested format
+        } else if (result) {
+          printSuccess(`Quantum task completed: ${chalk.cyan(task.quantumTaskArn)}`);
+          printTaskResult(result);
+        } else {
+          printError(`${task.quantumTaskArn} ${chalk.bold(task.status)} — ${task.failureReason}`);
+        }
+        if (task.status !== 'COMPLETED') process.exit(EXIT_CODES.taskFailed);
+        return;
+      }
+
+      if (!options.s3Bucket) {
+        throw new ValidationError('--s3-bucket is required for non-local devices', { code: 'ValidationException' });
       }
 
+      const estimate = estimateTaskCost({
+        deviceArn: options.deviceArn,
+        shots,
+        minutes: options.minutes ? parseFloat(options.minutes) : undefined
+      });
+      enforceBudget(estimate, options);
+
       const task = await withSpinner('Creating quantum task...', () =>
-        createQuantumTask({
+        client.createQuantumTask({
           deviceArn: options.deviceArn,
-          shots: parseInt(options.shots),
+          shots,
           outputS3Bucket: options.s3Bucket,
-          outputS3KeyPrefix: options.s3Prefix,
-          action
+          outputS3KeyPrefix: options.s3Prefix || 'braket-results',
+          action,
+          tags
         })
       );
+      recordSpend(estimate.total);
+      remember(recordTasks, [{
+        status: 'CREATED', createdAt: new Date().toISOString(), deviceArn: options.deviceArn, shots, outputS3Bucket: options.s3Bucket, ...task
+      }], { action, estimate, outputS3KeyPrefix: options.s3Prefix || 'braket-results' });
 
-      if (options.json) { printJson(task); return; }
+      if (options.wait) {
+        if (!isStructured(options)) printSuccess(`Quantum task created: ${chalk.cyan(task.quantumTaskArn)}`);
+        const results = await waitWithStatus([task.quantumTaskArn], (id, o) => client.waitForQuantumTask(id, o), {
+          timeout: options.timeout ? parseFloat(options.timeout) : undefined
+        });
+        reportWaitResults(results, 'quantumTaskArn', options);
+        return;
+      }
+
+      if (emit(task, options)) return;
 
       printSuccess(`Quantum task created`);
       console.log('Task ARN: ', chalk.cyan(task.quantumTaskArn));
       console.log('Status:   ', task.status);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error, options);
+    }
+  });
+
+tasksCmd
+  .command('estimate')
+  .description('Estimate the cost of running quantum tasks on a device')
+  .option('--device-arn <arn>', 'Device ARN to price (default: profile deviceArn)')
+  .option('--shots <n>', 'Shots per task (default: profile shots)')
+  .option('--tasks <n>', 'Number of tasks', '1')
+  .option('--minutes <n>', 'Expected simulation minutes per task (managed simulators)')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    try {
+      applyProfileDefaults(options, ['deviceArn', 'shots']);
+      requireOptions(options, { deviceArn: '--device-arn', shots: '--shots' });
+      const estimate = estimateTaskCost({
+        deviceArn: options.deviceArn,
+        shots: parseShots(options.shots),
+        tasks: parseInt(options.tasks),
+        minutes: options.minutes ? parseFloat(options.minutes) : undefined
+      });
+      const budget = budgetStatus(estimate);
+
+      if (emit({ ...estimate, budget }, options)) return;
+
+      if (!estimate.known) {
+        printError(`No pricing known for ${options.deviceArn}; add it with config pricing --import <file>`);
+        process.exit(EXIT_CODES.general);
+      }
+      console.log(chalk.bold('\nCost Estimate\n'));
+      console.log('Device:     ', options.deviceArn.split('/').pop());
+      console.log('');
+      printEstimate(estimate);
+      console.log('');
+      if (budget.perCommand !== undefined) {
+        const over = estimate.total > budget.perCommand;
+        console.log('Per-command budget:', (over ? chalk.red : chalk.green)(`${formatUsd(budget.perCommand)}${over ? ' (exceeded)' : ''}`));
+      }
+      if (budget.monthly !== undefined) {
+        const over = budget.spent + estimate.total > budget.monthly;
+        console.log('Monthly budget:    ', (over ? chalk.red : chalk.green)(`${formatUsd(budget.remaining)} of ${formatUsd(budget.monthly)} left${over ? ' (would be exceeded)' : ''}`));
+      }
+      console.log(chalk.dim('Estimates use the local pricing table (config pricing); actual AWS charges may differ.'));
+    } catch (error) {
+      exitWithError(error, options);
     }
   });
 
@@ -244,18 +987,307 @@ tasksCmd
   .description('Cancel a running quantum task')
   .option('--json', 'Output as JSON')
   .action(async (taskArn, options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      const result = await withSpinner('Cancelling quantum task...', () => cancelQuantumTask(taskArn));
+      const result = await withSpinner('Cancelling quantum task...', () => client.cancelQuantumTask(taskArn));
 
-      if (options.json) { printJson(result); return; }
+      if (emit(result, options)) return;
 
       printSuccess(`Quantum task cancellation requested`);
       console.log('Task ARN:      ', chalk.cyan(taskArn));
       console.log('Cancel Status: ', result.cancellationStatus);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error, options);
+    }
+  });
+
+tasksCmd
+  .command('results <task-arn>')
+  .description('Download and display the results of a completed quantum task')
+  .option('--top <n>', 'Only show the N most frequent outcomes')
+  .option('--s3-endpoint <url>', 'S3 endpoint URL (e.g. a local S3-compatible server); uses path-style addressing')
+  .option('--json', 'Output parsed results as JSON')
+  .option('--csv', 'Output measurement counts (annealing solutions, AHS site occupations) as CSV (same as --output csv)')
+  .action(async (taskArn, options) => {
+    if (!isLocalTask(taskArn)) await requireAuth();
+    try {
+      const parsed = await withSpinner('Fetching task results...', () =>
+        client.getTaskResult(taskArn, { endpointUrl: options.s3Endpoint })
+      );
+
+      // csv/tsv list the outcomes, unless --query/--columns reshape the parsed document
+      const format = outputFormat(options);
+      if ((format === 'csv' || format === 'tsv') && !options.query && !options.columns) {
+        console.log(resultToCsv(parsed, format === 'tsv' ? '\t' : ','));
+        return;
+      }
+      if (emit(parsed, options)) return;
+
+      printTaskResult(parsed, { top: options.top ? parseInt(options.top) : undefined });
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+tasksCmd
+  .command('wait <task-arn...>')
+  .description('Wait for quantum tasks to reach a terminal state (exits non-zero if any FAILED or CANCELLED)')
+  .option('--timeout <seconds>', 'Give up after this many seconds')
+  .option('--json', 'Output as JSON')
+  .action(async (taskArns, options) => {
+    if (!taskArns.every(isLocalTask)) await requireAuth();
+    try {
+      const results = await waitWithStatus(taskArns, (id, o) => client.waitForQuantumTask(id, o), {
+        timeout: options.timeout ? parseFloat(options.timeout) : undefined
+      });
+      reportWaitResults(results, 'quantumTaskArn', options);
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+// ------------------------------------------------------------
+// Batches
+// ------------------------------------------------------------
+
+function formatInputs(inputs) {
+  const entries = Object.entries(inputs || {});
+  return entries.length ? entries.map(([k, v]) => `${k}=${v}`).join(' ') : '-';
+}
+
+function formatSummary(counts) {
+  return Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ');
+}
+
+// One-line digest of a parsed result: most likely outcome plus scalar result values
+function summarizeResult(parsed) {
+  const parts = [];
+  const [top] = sortedOutcomes(parsed);
+  if (top) {
+    const p = parsed.probabilities[top[0]] ?? parsed.counts[top[0]] / parsed.shots;
+    parts.push(`${top[0]} (${(p * 100).toFixed(1)}%)`);
+  }
+  for (const rt of parsed.resultTypes || []) {
+    if (rt.type === 'expectation' || rt.type === 'variance') {
+      parts.push(`${rt.type === 'expectation' ? 'E' : 'Var'}[${(rt.observable || []).join('')}]=${Number(rt.value).toFixed(4)}`);
+    }
+  }
+  return parts.join('  ');
+}
+
+function printBatchEntries(batch) {
+  printTable(batch.entries, [
+    { key: 'index', label: '#' },
+    { key: 'inputs', label: 'Inputs', format: formatInputs },
+    { key: 'shots', label: 'Shots' },
+    { key: 'status', label: 'Status', format: (v, e) => e.error && !v ? chalk.red('SUBMIT_FAILED') : v || 'PENDING' },
+    { key: 'quantumTaskArn', label: 'Task', format: (v, e) => v ? v.split('/').pop() : e.error || '' }
+  ]);
+}
+
+// Batch entries as task records for the history store
+function batchTasks(batch, entries = batch.entries) {
+  return entries.filter(e => e.quantumTaskArn).map(e => ({
+    quantumTaskArn: e.quantumTaskArn, status: e.status, failureReason: e.failureReason,
+    deviceArn: batch.deviceArn, shots: e.shots, outputS3Bucket: batch.s3Bucket
+  }));
+}
+
+function sumEstimates(estimates) {
+  const known = estimates.every(e => e.known);
+  return { known, total: known ? estimates.reduce((sum, e) => sum + e.total, 0) : null, lines: [] };
+}
+
+const batchCmd = tasksCmd
+  .command('batch')
+  .description('Submit quantum tasks from a YAML/JSON manifest, or act on a submitted batch')
+  .argument('[manifest]', 'Manifest file: device, shots, circuit file and a list of input bindings')
+  .option('--s3-bucket <bucket>', 'S3 bucket for output results (overrides the manifest)')
+  .option('--s3-prefix <prefix>', 'S3 key prefix for output (overrides the manifest)')
+  .option('--concurrency <n>', 'Tasks submitted in parallel (default: manifest value or 4)')
+  .option('--new', 'Start a new batch even if this manifest was submitted before')
+  .option('--batch-id <id>', 'Resume (or create) the batch with this id')
+  .option('--tag <key=value>', 'Tag for every task in the batch, repeatable (added to config defaultTags and the manifest tags)', collect, [])
+  .option('--force', 'Submit even if the estimated cost exceeds a configured budget')
+  .option('--json', 'Output as JSON')
+  .action(async (manifestFile, options) => {
+    if (!manifestFile) batchCmd.help();
+    try {
+      const concurrency = options.concurrency !== undefined ? parseConcurrency(options.concurrency) : undefined;
+      const manifest = loadManifest(manifestFile);
+      const local = isLocalDevice(manifest.deviceArn);
+      if (!local) await requireAuth();
+
+      // Every entry is built and validated before anything is submitted
+      const actions = manifest.entries.map((entry) => {
+        try {
+          return loadTaskAction({ ...manifest.source, inputs: JSON.stringify(entry.inputs) }).action;
+        } catch (error) {
+          error.message = `Entry ${entry.index} (${formatInputs(entry.inputs)}): ${error.message}`;
+          throw error;
+        }
+      });
+
+      const batchId = options.batchId || batchIdFor(manifest, { fresh: options.new });
+      const batch = openBatch(manifest, batchId, {
+        s3Bucket: options.s3Bucket || manifest.s3Bucket || getConfig('s3Bucket'),
+        s3Prefix: options.s3Prefix || manifest.s3Prefix || getConfig('s3Prefix') || 'braket-results',
+        tags: resolveTags({ tag: options.tag }, { ...getConfig('defaultTags'), ...manifest.tags })
+      });
+      if (!local && !batch.s3Bucket) {
+        throw new ValidationError("No S3 bucket: set 's3Bucket' in the manifest or pass --s3-bucket", { code: 'InvalidManifest' });
+      }
+
+      const pending = batch.entries.filter(e => !e.quantumTaskArn);
+      if (!pending.length) {
+        if (emit({ ...batch, summary: batchSummary(batch) }, options)) return;
+        printSuccess(`Batch ${chalk.cyan(batchId)} was already submitted (${batch.entries.length} tasks); pass --new to submit it again`);
+        console.log(`Check it with: awsbraket tasks batch status ${batchId}`);
+        return;
+      }
+
+      const estimates = Object.fromEntries(pending.map(e => [e.index, estimateTaskCost({ deviceArn: batch.deviceArn, shots: e.shots })]));
+      enforceBudget(sumEstimates(Object.values(estimates)), options);
+      saveBatch(batch);
+
+      if (!isStructured(options)) {
+        const resumed = pending.length < batch.entries.length ? ` (resuming: ${batch.entries.length - pending.length} already submitted)` : '';
+        console.error(chalk.dim(`Batch ${batchId}: submitting ${pending.length} task(s)${resumed}`));
+      }
+      let done = 0;
+      await withSpinner(`Submitting ${batchId}...`, (spinner) =>
+        submitBatch(batch, actions, {
+          concurrency: concurrency || manifest.concurrency || 4,
+          onProgress: (entry) => {
+            if (entry.quantumTaskArn) {
+              recordSpend(estimates[entry.index].total);
+              remember(recordTasks, batchTasks(batch, [entry]), {
+                action: actions[entry.index], estimate: estimates[entry.index], outputS3KeyPrefix: batch.s3Prefix, batchId
+              });
+            }
+            spinner.text = `Submitting ${batchId}... ${++done}/${pending.length}`;
+          }
+        })
+      );
+
+      const failed = batch.entries.filter(e => !e.quantumTaskArn);
+      if (!emit({ ...batch, summary: batchSummary(batch) }, options)) {
+        printBatchEntries(batch);
+        if (failed.length) printError(`${failed.length} task(s) could not be submitted; retry them with: awsbraket tasks batch ${manifestFile} --batch-id ${batchId}`);
+        else printSuccess(`Batch ${chalk.cyan(batchId)} submitted: ${batch.entries.length} task(s)`);
+      }
+      if (failed.length) process.exit(EXIT_CODES.general);
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+batchCmd
+  .command('list')
+  .description('List batches recorded on this machine')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const batches = listBatches();
+    if (emit(batches.map(b => ({ ...b, summary: batchSummary(b) })), options)) return;
+    printTable(batches, [
+      { key: 'batchId', label: 'Batch ID' },
+      { key: 'deviceArn', label: 'Device', format: (v) => v ? v.split('/').pop() : '' },
+      { key: 'entries', label: 'Tasks', format: (v, b) => formatSummary(batchSummary(b)) },
+      { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleString() : '' }
+    ]);
+  });
+
+batchCmd
+  .command('status <batch-id>')
+  .description('Refresh and show the status of every task in a batch')
+  .option('--json', 'Output as JSON')
+  .action(async (batchId, options) => {
+    try {
+      const batch = readBatch(batchId);
+      if (!isLocalDevice(batch.deviceArn)) await requireAuth();
+      await withSpinner('Refreshing batch...', () => refreshBatch(batch));
+      remember(recordTasks, batchTasks(batch), { batchId });
+
+      if (emit({ ...batch, summary: batchSummary(batch) }, options)) return;
+
+      console.log(chalk.bold(`\nBatch ${batch.batchId}\n`));
+      console.log('Device:     ', batch.deviceArn);
+      console.log('Manifest:   ', batch.manifest);
+      console.log('Summary:    ', formatSummary(batchSummary(batch)));
+      console.log('');
+      printBatchEntries(batch);
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+batchCmd
+  .command('cancel <batch-id>')
+  .description('Cancel every task in a batch that has not finished')
+  .option('--json', 'Output as JSON')
+  .action(async (batchId, options) => {
+    try {
+      const batch = readBatch(batchId);
+      if (!isLocalDevice(batch.deviceArn)) await requireAuth();
+      await withSpinner('Refreshing batch...', () => refreshBatch(batch));
+      const cancelled = await withSpinner('Cancelling batch tasks...', () => cancelBatch(batch));
+
+      if (emit({ cancelled: cancelled.map(e => e.quantumTaskArn), summary: batchSummary(batch) }, options)) return;
+
+      printSuccess(`Cancellation requested for ${cancelled.length} task(s) in ${chalk.cyan(batchId)}`);
+      const errors = cancelled.filter(e => e.error);
+      errors.forEach(e => printError(`#${e.index} ${e.quantumTaskArn}: ${e.error}`));
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+batchCmd
+  .command('results <batch-id>')
+  .description('Fetch the results of every completed task in a batch')
+  .option('--s3-endpoint <url>', 'S3 endpoint URL (e.g. a local S3-compatible server); uses path-style addressing')
+  .option('--json', 'Output as JSON')
+  .option('--csv', 'Output one row per entry and outcome as CSV')
+  .action(async (batchId, options) => {
+    try {
+      const batch = readBatch(batchId);
+      if (!isLocalDevice(batch.deviceArn)) await requireAuth();
+      const rows = await withSpinner('Fetching batch results...', async () => {
+        await refreshBatch(batch);
+        return mapWithConcurrency(batch.entries, 4, async (entry) => {
+          if (entry.status !== 'COMPLETED') return { ...entry, result: null };
+          try {
+            return { ...entry, result: await client.getTaskResult(entry.quantumTaskArn, { endpointUrl: options.s3Endpoint }) };
+          } catch (error) {
+            return { ...entry, result: null, error: toBraketError(error).message };
+          }
+        });
+      });
+
+      // csv/tsv list one row per entry and outcome, unless --query/--columns reshape the rows
+      const format = outputFormat(options);
+      if ((format === 'csv' || format === 'tsv') && !options.query && !options.columns) {
+        const sep = format === 'tsv' ? '\t' : ',';
+        const names = [...new Set(rows.flatMap(r => Object.keys(r.inputs || {})))];
+        console.log(['entry', ...names, 'status', 'bitstring', 'count', 'probability'].join(sep));
+        for (const row of rows) {
+          const prefix = [row.index, ...names.map(n => row.inputs?.[n] ?? ''), row.status || ''];
+          const outcomes = row.result?.kind === 'gate' ? sortedOutcomes(row.result) : [];
+          if (!outcomes.length) console.log([...prefix, '', '', ''].join(sep));
+          outcomes.forEach(([bits]) => console.log([...prefix, bits, row.result.counts[bits] ?? '', row.result.probabilities[bits] ?? ''].join(sep)));
+        }
+        return;
+      }
+      if (emit(rows, options)) return;
+
+      printTable(rows, [
+        { key: 'index', label: '#' },
+        { key: 'inputs', label: 'Inputs', format: formatInputs },
+        { key: 'status', label: 'Status', format: (v) => v || 'PENDING' },
+        { key: 'result', label: 'Result', format: (v, r) => v ? summarizeResult(v) : r.error || '' }
+      ]);
+    } catch (error) {
+      exitWithError(error, options);
     }
   });
 
@@ -263,6 +1295,19 @@ tasksCmd
 // DEVICES
 // ============================================================
 
+const DEVICE_COLUMNS = [
+  { key: 'deviceArn', label: 'Device ARN', aliases: ['arn'], format: (v) => v ? v.split('/').pop() : '' },
+  { key: 'deviceName', label: 'Name' },
+  { key: 'providerName', label: 'Provider' },
+  { key: 'deviceType', label: 'Type' },
+  { key: 'deviceStatus', label: 'Status' },
+  { key: 'deviceCapabilities', label: 'Qubits', aliases: ['qubits'], format: (v) => {
+    try { const c = typeof v === 'string' ? JSON.parse(v) : v; return c?.paradigm?.qubitCount?.toString() || 'N/A'; } catch { return 'N/A'; }
+  }},
+  { key: 'region', label: 'Region' }
+];
+const DEFAULT_DEVICE_COLUMNS = 'arn,name,provider,type,status,qubits';
+
 const devicesCmd = program.command('devices').description('Browse quantum devices');
 
 devicesCmd
@@ -271,59 +1316,271 @@ devicesCmd
   .option('--type <type>', 'Filter by type (QPU|SIMULATOR)')
   .option('--provider <name>', 'Filter by provider name (e.g. IonQ, Rigetti, OQC)')
   .option('--status <status>', 'Filter by status (ONLINE|OFFLINE|RETIRED)')
+  .option('--max-results <n>', 'Maximum results to return')
+  .option('--all', 'Follow nextToken and fetch every page')
+  .option('--page-size <n>', 'Results requested per API call')
+  .option('--next-token <token>', 'Resume listing from a previous nextToken')
+  .option('--region <region|all>', 'Region to list; "all" (or a comma-separated list) lists every configured region')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      const devices = await withSpinner('Fetching quantum devices...', () =>
-        listDevices({ type: options.type, provider: options.provider, status: options.status })
-      );
+      const regions = fanOutRegions(options);
+      const listing = {
+        search: (o) => client.searchDevices(o),
+        iterate: (o) => client.iterateDevices(o),
+        key: 'devices',
+        filters: { type: options.type, provider: options.provider, status: options.status },
+        defaultPageSize: undefined
+      };
+      const { items: devices, nextToken } = regions
+        ? await fetchAcrossRegions('Fetching quantum devices...', options, regions, listing)
+        : await fetchListing('Fetching quantum devices...', options, listing);
 
-      if (options.json) { printJson(devices); return; }
-
-      printTable(devices, [
-        { key: 'deviceArn', label: 'Device ARN', format: (v) => v ? v.split('/').pop() : '' },
-        { key: 'deviceName', label: 'Name' },
-        { key: 'providerName', label: 'Provider' },
-        { key: 'deviceType', label: 'Type' },
-        { key: 'deviceStatus', label: 'Status' },
-        { key: 'deviceCapabilities', label: 'Qubits', format: (v) => {
-          try { const c = typeof v === 'string' ? JSON.parse(v) : v; return c?.paradigm?.qubitCount?.toString() || 'N/A'; } catch { return 'N/A'; }
-        }}
-      ]);
+      emit(devices, options, { columns: DEVICE_COLUMNS, defaultColumns: regions ? `region,${DEFAULT_DEVICE_COLUMNS}` : DEFAULT_DEVICE_COLUMNS });
+      printNextToken(nextToken);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error, options);
     }
   });
 
+async function fetchDevice(deviceArn) {
+  return isLocalDevice(deviceArn) ? getLocalDevice(deviceArn) : client.getDevice(deviceArn);
+}
+
+const formatSeconds = (s) => s === undefined ? 'N/A' : s < 1e-3 ? `${(s * 1e6).toFixed(1)} µs` : s < 1 ? `${(s * 1e3).toFixed(2)} ms` : `${s} s`;
+const formatFidelity = (f) => f === undefined ? 'N/A' : `${(f * 100).toFixed(2)}%`;
+
+// Label: item, item, ... wrapped under the label
+function printList(label, items, width = 100) {
+  if (!items?.length) return;
+  const indent = ' '.repeat(label.length);
+  const lines = [];
+  let line = '';
+  for (const item of items.map(String)) {
+    if (line && line.length + item.length + 2 > width - indent.length) {
+      lines.push(line + ',');
+      line = item;
+    } else {
+      line = line ? `${line}, ${item}` : item;
+    }
+  }
+  lines.push(line);
+  lines.forEach((l, i) => console.log(`${i ? indent : label}${l}`));
+}
+
+function formatAvailability(next, timeZone, now = Date.now()) {
+  if (next.always) return chalk.green('now (always available)');
+  if (!next.from) return chalk.red(`unavailable (${next.reason})`);
+  if (next.available) return chalk.green(`now, until ${formatInZone(next.until, timeZone)}`);
+  return chalk.yellow(`in ${formatDuration(next.from - now)} (${formatInZone(next.from, timeZone)})`);
+}
+
+function printDeviceDetails(details, { timeZone, map, calibration: perQubit }) {
+  const now = Date.now();
+  console.log(chalk.bold('\nDevice Details\n'));
+  console.log('Name:          ', chalk.bold(details.deviceName));
+  console.log('ARN:           ', chalk.cyan(details.deviceArn));
+  console.log('Provider:      ', details.providerName);
+  console.log('Type:          ', details.deviceType);
+  console.log('Status:        ', details.deviceStatus === 'ONLINE' ? chalk.green(details.deviceStatus) : chalk.red(details.deviceStatus));
+  if (details.qubitCount) console.log('Qubits:        ', details.qubitCount);
+  if (details.shotsRange) console.log('Shots:         ', details.shotsRange.join('–'));
+
+  console.log(chalk.bold(`\nAvailability (${timeZone})\n`));
+  console.log('Next available:', formatAvailability(details.nextAvailable, timeZone, now));
+  if (details.executionWindows.length) {
+    printList('Windows (UTC):  ', details.executionWindows.map(w => `${w.executionDay} ${w.windowStartHour.slice(0, 5)}–${w.windowEndHour.slice(0, 5)}`));
+  }
+  if (details.executionWindows.length && !details.nextAvailable.always) {
+    upcomingWindows(details.executionWindows, { now, count: 3 }).forEach((w, i) => {
+      console.log(i ? '               ' : 'Upcoming:      ', `${formatInZone(w.start, timeZone)} – ${formatInZone(w.end, timeZone)}`);
+    });
+  }
+  const queue = details.queueDepth;
+  if (Object.keys(queue).length) {
+    const depth = (q) => Object.entries(q || {}).map(([priority, size]) => `${size} ${priority.toLowerCase()}`).join(', ') || 'N/A';
+    console.log('Task queue:    ', depth(queue.quantumTasks));
+    console.log('Job queue:     ', depth(queue.hybridJobs));
+  }
+
+  for (const action of details.actions) {
+    console.log(chalk.bold(`\n${action.name}${action.version?.length ? ` (v${[].concat(action.version).join(', v')})` : ''}\n`));
+    printList('Gates:          ', action.supportedOperations);
+    printList('Result types:   ', action.supportedResultTypes);
+    printList('Modifiers:      ', action.supportedModifiers);
+  }
+  if (details.nativeGateSet.length) {
+    console.log();
+    printList('Native gates:   ', details.nativeGateSet);
+  }
+
+  if (details.connectivity) {
+    const { fullyConnected, graph } = details.connectivity;
+    const adjacency = adjacencyList(graph);
+    console.log(chalk.bold('\nConnectivity\n'));
+    if (fullyConnected || !adjacency.length) {
+      console.log(fullyConnected ? 'Fully connected' : 'No connectivity graph published');
+    } else {
+      console.log(chalk.dim(`${connectivityEdges(graph).length} couplers between ${adjacency.length} qubits`));
+      const matrix = map ? adjacencyMatrix(graph) : null;
+      if (map && !matrix) console.log(chalk.yellow('Too many qubits for a map; showing the adjacency list'));
+      if (matrix) matrix.forEach(line => console.log(line));
+      else {
+        const width = Math.max(...adjacency.map(e => e.qubit.length));
+        adjacency.forEach(e => console.log(`${e.qubit.padStart(width)}: ${e.neighbours.join(' ')}`));
+      }
+    }
+  }
+
+  const cal = details.calibration;
+  if (cal) {
+    console.log(chalk.bold(`\nCalibration${cal.updatedAt ? ` (${formatInZone(new Date(cal.updatedAt), timeZone)})` : ''}\n`));
+    const median = cal.qubits.length ? ' (median)' : '';
+    console.log(`T1${median}:`.padEnd(27), formatSeconds(cal.summary.t1));
+    console.log(`T2${median}:`.padEnd(27), formatSeconds(cal.summary.t2));
+    console.log(`1Q fidelity${median}:`.padEnd(27), formatFidelity(cal.summary.fidelity1Q));
+    console.log(`2Q fidelity${median}:`.padEnd(27), formatFidelity(cal.summary.fidelity2Q));
+    console.log(`Readout fidelity${median}:`.padEnd(27), formatFidelity(cal.summary.readoutFidelity));
+    if (perQubit && cal.qubits.length) {
+      console.log();
+      printTable(cal.qubits, [
+        { key: 'qubit', label: 'Qubit' },
+        { key: 't1', label: 'T1', format: formatSeconds },
+        { key: 't2', label: 'T2', format: formatSeconds },
+        { key: 'fidelity1Q', label: '1Q Fidelity', format: formatFidelity },
+        { key: 'readoutFidelity', label: 'Readout', format: formatFidelity }
+      ]);
+    }
+    if (perQubit && cal.pairs.length) {
+      console.log();
+      printTable(cal.pairs, [
+        { key: 'pair', label: 'Pair' },
+        { key: 'gate', label: 'Gate' },
+        { key: 'fidelity', label: 'Fidelity', format: formatFidelity }
+      ]);
+    }
+    if (!perQubit && cal.qubits.length) console.log(chalk.dim('\nPer-qubit and per-pair values: --calibration'));
+  }
+
+  if (details.ahs) printAhsCapabilities(details.ahs);
+}
+
+// Lattice and Rydberg limits of an AHS device, in µm, µs and rad/µs
+function printAhsCapabilities({ lattice, c6Coefficient, rydbergGlobal: global, rydbergLocal: local }) {
+  const field = (label, value) => { if (value !== undefined) console.log(`${label}:`.padEnd(27), value); };
+  const q = (v, dimension) => v === undefined ? undefined : formatQuantity(v, dimension);
+  const range = (r, dimension) => Array.isArray(r) ? `${q(r[0], dimension)} to ${q(r[1], dimension)}` : undefined;
+  const rate = (v) => v === undefined ? undefined : `${v.toExponential(3)} rad/s²`;
+
+  console.log(chalk.bold('\nLattice\n'));
+  field('Area', lattice.width !== undefined ? `${q(lattice.width, 'length')} × ${q(lattice.height, 'length')}` : undefined);
+  field('Min radial spacing', q(lattice.spacingRadialMin, 'length'));
+  field('Min vertical spacing', q(lattice.spacingVerticalMin, 'length'));
+  field('Position resolution', q(lattice.positionResolution, 'length'));
+  field('Max sites', lattice.numberSitesMax);
+  field('Max filled sites', lattice.numberFilledSitesMax);
+
+  console.log(chalk.bold('\nRydberg (global)\n'));
+  field('C6 coefficient', c6Coefficient === undefined ? undefined : `${c6Coefficient.toExponential(3)} rad·m⁶/s`);
+  field('Rabi frequency', range(global.rabiFrequencyRange, 'frequency'));
+  field('Rabi frequency slew max', rate(global.rabiFrequencySlewRateMax));
+  field('Detuning', range(global.detuningRange, 'frequency'));
+  field('Detuning slew max', rate(global.detuningSlewRateMax));
+  field('Phase', range(global.phaseRange, 'angle'));
+  field('Max duration', q(global.timeMax, 'time'));
+  field('Min time step', q(global.timeDeltaMin, 'time'));
+  field('Time resolution', q(global.timeResolution, 'time'));
+
+  console.log(chalk.bold('\nRydberg (local detuning)\n'));
+  if (!local) {
+    console.log('Not supported');
+    return;
+  }
+  field('Detuning', range(local.detuningRange, 'frequency'));
+  field('Detuning slew max', rate(local.detuningSlewRateMax));
+  field('Site coefficients', Array.isArray(local.siteCoefficientRange) ? local.siteCoefficientRange.join(' to ') : undefined);
+  field('Max sites', local.numberLocalDetuningSitesMax);
+  field('Min radial spacing', q(local.spacingRadialMin, 'length'));
+  field('Min time step', q(local.timeDeltaMin, 'time'));
+  field('Time resolution', q(local.timeResolution, 'time'));
+}
+
 devicesCmd
   .command('get <device-arn>')
-  .description('Get details of a specific quantum device')
+  .description('Show a device: availability, queue depth, gates, connectivity and calibration')
+  .option('--timezone <zone>', 'Time zone for execution windows (default: the system time zone)')
+  .option('--map', 'Draw connectivity as an adjacency matrix instead of a list')
+  .option('--calibration', 'List calibration data per qubit and per qubit pair')
   .option('--json', 'Output as JSON')
   .action(async (deviceArn, options) => {
-    requireAuth();
+    if (!isLocalDevice(deviceArn)) await requireAuth();
     try {
-      const device = await withSpinner('Fetching device...', () => getDevice(deviceArn));
+      const timeZone = resolveTimeZone(options.timezone);
+      const device = await withSpinner('Fetching device...', () => fetchDevice(deviceArn));
+      const details = deviceDetails(device);
+
+      if (emit({ ...device, details }, options)) return;
+      printDeviceDetails(details, { timeZone, map: options.map, calibration: options.calibration });
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
 
-      if (options.json) { printJson(device); return; }
+const COMPARE_ROWS = [
+  { key: 'providerName', label: 'Provider' },
+  { key: 'deviceType', label: 'Type' },
+  { key: 'deviceStatus', label: 'Status' },
+  { key: 'qubitCount', label: 'Qubits' },
+  { key: 'shotsRange', label: 'Shots', format: (v) => v ? v.join('–') : '' },
+  { key: 'available', label: 'Next available', format: (v, row, zone) => v ? 'now' : row.nextAvailable ? formatInZone(new Date(row.nextAvailable), zone) : 'N/A' },
+  { key: 'taskQueue', label: 'Task queue' },
+  { key: 'priorityTaskQueue', label: 'Priority queue' },
+  { key: 'jobQueue', label: 'Job queue' },
+  { key: 'actions', label: 'Actions', format: (v) => v.map(a => a.replace(/^braket\.ir\./, '')).join(', ') },
+  { key: 'gateCount', label: 'Gates' },
+  { key: 'nativeGateSet', label: 'Native gates', format: (v) => v.join(', ') },
+  { key: 'connectivity', label: 'Connectivity' },
+  { key: 't1', label: 'T1', format: formatSeconds },
+  { key: 't2', label: 'T2', format: formatSeconds },
+  { key: 'fidelity1Q', label: '1Q fidelity', format: formatFidelity },
+  { key: 'fidelity2Q', label: '2Q fidelity', format: formatFidelity },
+  { key: 'readoutFidelity', label: 'Readout fidelity', format: formatFidelity }
+];
 
-      console.log(chalk.bold('\nDevice Details\n'));
-      console.log('Name:         ', chalk.bold(device.deviceName));
-      console.log('ARN:          ', chalk.cyan(device.deviceArn));
-      console.log('Provider:     ', device.providerName);
-      console.log('Type:         ', device.deviceType);
-      console.log('Status:       ', device.deviceStatus === 'ONLINE' ? chalk.green(device.deviceStatus) : chalk.red(device.deviceStatus));
-      if (device.deviceCapabilities) {
-        try {
-          const caps = typeof device.deviceCapabilities === 'string'
-            ? JSON.parse(device.deviceCapabilities) : device.deviceCapabilities;
-          if (caps?.paradigm?.qubitCount) console.log('Qubits:       ', caps.paradigm.qubitCount);
-        } catch {}
+devicesCmd
+  .command('compare <device-arn...>')
+  .description('Compare devices side by side')
+  .option('--timezone <zone>', 'Time zone for availability times (default: the system time zone)')
+  .option('--json', 'Output as JSON')
+  .action(async (deviceArns, options) => {
+    if (!deviceArns.every(isLocalDevice)) await requireAuth();
+    try {
+      const timeZone = resolveTimeZone(options.timezone);
+      const devices = await withSpinner(`Fetching ${deviceArns.length} device(s)...`, () => Promise.all(deviceArns.map(fetchDevice)));
+      const summaries = devices.map(device => compareSummary(device));
+
+      if (isStructured(options) || options.query || options.columns) {
+        emit(summaries, options, { columns: [{ key: 'deviceName', label: 'Name' }, ...COMPARE_ROWS] });
+        return;
       }
+
+      // One column per device, one row per attribute shown for any of them
+      const present = (v) => v !== undefined && v !== null && !(Array.isArray(v) && !v.length);
+      const rows = COMPARE_ROWS.filter(row => summaries.some(summary => present(summary[row.key])));
+      const cell = (row, summary) => {
+        if (!present(summary[row.key])) return '—';
+        return String(row.format ? row.format(summary[row.key], summary, timeZone) : summary[row.key]).slice(0, 40);
+      };
+      const names = summaries.map((summary, i) => summary.deviceName || deviceArns[i].split('/').pop());
+      const labelWidth = Math.max(...rows.map(row => row.label.length));
+      const widths = summaries.map((summary, i) => Math.max(names[i].length, ...rows.map(row => cell(row, summary).length)));
+      const header = [' '.repeat(labelWidth), ...names.map((name, i) => name.padEnd(widths[i]))].join('  ');
+      console.log(chalk.bold(chalk.cyan(header)));
+      console.log(chalk.dim('─'.repeat(header.length)));
+      rows.forEach(row => console.log([chalk.bold(row.label.padEnd(labelWidth)), ...summaries.map((summary, i) => cell(row, summary).padEnd(widths[i]))].join('  ')));
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error, options);
     }
   });
 
@@ -331,32 +1588,40 @@ devicesCmd
 // CIRCUITS (Jobs)
 // ============================================================
 
+const JOB_COLUMNS = [
+  { key: 'jobName', label: 'Job Name', aliases: ['name'] },
+  { key: 'jobArn', label: 'ARN', format: (v) => v ? v.split('/').pop() : '' },
+  { key: 'status', label: 'Status' },
+  { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleString() : '' },
+  { key: 'tags', label: 'Tags', format: formatTags }
+];
+
 const circuitsCmd = program.command('circuits').description('Manage quantum circuit jobs');
 
 circuitsCmd
   .command('list')
   .description('List quantum circuit jobs')
   .option('--state <state>', 'Filter by state (RUNNING|COMPLETED|FAILED|CANCELLED)')
-  .option('--max-results <n>', 'Maximum results', '10')
+  .option('--max-results <n>', 'Maximum results (default: 10, or no limit with --all)')
+  .option('--all', 'Follow nextToken and fetch every page')
+  .option('--page-size <n>', 'Results requested per API call')
+  .option('--next-token <token>', 'Resume listing from a previous nextToken')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      const jobs = await withSpinner('Fetching circuit jobs...', () =>
-        listJobs({ maxResults: parseInt(options.maxResults), state: options.state })
-      );
-
-      if (options.json) { printJson(jobs); return; }
+      const { items: jobs, nextToken } = await fetchListing('Fetching circuit jobs...', options, {
+        search: (o) => client.searchJobs(o),
+        iterate: (o) => client.iterateJobs(o),
+        key: 'jobs',
+        filters: { state: options.state }
+      });
 
-      printTable(jobs, [
-        { key: 'jobName', label: 'Job Name' },
-        { key: 'jobArn', label: 'ARN', format: (v) => v ? v.split('/').pop() : '' },
-        { key: 'status', label: 'Status' },
-        { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleString() : '' }
-      ]);
+      remember(recordJobs, jobs);
+      emit(jobs, options, { columns: JOB_COLUMNS });
+      printNextToken(nextToken);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error, options);
     }
   });
 
@@ -365,11 +1630,12 @@ circuitsCmd
   .description('Get details of a specific circuit job')
   .option('--json', 'Output as JSON')
   .action(async (jobName, options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      const job = await withSpinner('Fetching circuit job...', () => getJob(jobName));
+      const job = await withSpinner('Fetching circuit job...', () => client.getJob(jobName));
+      remember(recordJobs, [job]);
 
-      if (options.json) { printJson(job); return; }
+      if (emit(job, options)) return;
 
       console.log(chalk.bold('\nCircuit Job Details\n'));
       console.log('Job Name:   ', chalk.bold(job.jobName));
@@ -378,73 +1644,638 @@ circuitsCmd
       console.log('Role ARN:   ', job.roleArn || 'N/A');
       console.log('Created:    ', job.createdAt ? new Date(job.createdAt).toLocaleString() : 'N/A');
       console.log('Ended:      ', job.endedAt ? new Date(job.endedAt).toLocaleString() : 'N/A');
+      if (Object.keys(job.tags || {}).length) console.log('Tags:       ', formatTags(job.tags));
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error, options);
     }
   });
 
 circuitsCmd
   .command('create')
-  .description('Create a new quantum circuit job')
+  .description('Create a hybrid job, packaging and uploading a local source directory or script')
   .requiredOption('--job-name <name>', 'Unique name for the job')
-  .requiredOption('--role-arn <arn>', 'IAM role ARN with Braket permissions')
-  .requiredOption('--output-bucket <bucket>', 'S3 bucket for output data')
-  .option('--instance-type <type>', 'Instance type for the job', 'ml.m5.large')
-  .option('--script-uri <uri>', 'S3 URI of the algorithm script')
+  .requiredOption('--role-arn <arn>', 'IAM role ARN the job runs under (Braket execution role)')
+  .option('--source <dir|file>', 'Local source directory or script, uploaded as a tarball to the output bucket')
+  .option('--script-uri <uri>', 'S3 URI of source that is already uploaded, instead of --source')
+  .option('--entry-point <module[:function]>', 'Entry point, e.g. my_job.algorithm:main (default for a single script: its module name)')
+  .option('--device <arn>', 'Device the job submits tasks to (default: profile deviceArn)')
+  .option('--hyperparameters <json|file>', 'Hyperparameters as a JSON object, passed to the job as strings')
+  .option('--input-data <name=s3uri>', 'Input data channel, repeatable (a bare S3 URI is the "input" channel)', collect, [])
+  .option('--output-bucket <bucket>', 'S3 bucket for source and output data (default: profile s3Bucket)')
+  .option('--image-uri <uri>', 'Container image for the job (default: the Braket base image)')
+  .option('--instance-type <type>', 'Instance type for the job', JOB_DEFAULTS.instanceType)
+  .option('--instance-count <n>', `Number of instances (default: ${JOB_DEFAULTS.instanceCount})`)
+  .option('--volume-size <gb>', `Storage volume per instance in GB (default: ${JOB_DEFAULTS.volumeSizeInGb})`)
+  .option('--max-runtime <duration>', 'Stop the job after this long: seconds or e.g. 90m, 12h (default: 5d)')
+  .option('--checkpoint-s3 <uri>', 'S3 URI to sync checkpoints with')
+  .option('--tags <json|k=v,...>', 'Tags for the job, as a JSON object or comma-separated key=value pairs')
+  .option('--tag <key=value>', 'Tag for the job, repeatable (added to config defaultTags and --tags)', collect, [])
+  .option('--estimated-hours <n>', 'Expected job runtime in hours, for the cost estimate', '1')
+  .option('--force', 'Submit even if the estimated cost exceeds a configured budget')
+  .option('--wait', 'Wait until the job reaches a terminal state')
+  .option('--timeout <seconds>', 'With --wait, give up after this many seconds')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
-    try {
-      const job = await withSpinner('Creating circuit job...', () =>
-        createJob({
-          jobName: options.jobName,
-          roleArn: options.roleArn,
-          outputDataConfig: { s3Path: `s3://${options.outputBucket}/jobs/${options.jobName}` },
-          algorithmSpecification: {
-            scriptModeConfig: {
-              entryPoint: 'algorithm:main',
-              s3Uri: options.scriptUri || `s3://${options.outputBucket}/scripts/algorithm.py`
-            }
-          },
-          instanceConfig: {
-            instanceType: options.instanceType,
-            volumeSizeInGb: 1
-          }
-        })
-      );
+    await requireAuth();
+    try {
+      if (!options.outputBucket) options.outputBucket = getConfig('s3Bucket');
+      if (!options.device) options.device = getConfig('deviceArn');
+      requireOptions(options, { outputBucket: '--output-bucket', device: '--device' });
+      if (!options.source === !options.scriptUri) {
+        throw new ValidationError('Pass either --source <dir|file> or --script-uri <uri>', { code: 'ValidationException' });
+      }
+      if (isLocalDevice(options.device)) {
+        throw new ValidationError(`${options.device} runs on this machine; hybrid jobs need a Braket device ARN`, { code: 'ValidationException' });
+      }
+
+      // Package first so a bad source fails before anything is uploaded
+      const packaged = options.source ? packageSource(options.source) : null;
+      if (!options.entryPoint && packaged && !packaged.isDirectory) {
+        options.entryPoint = path.basename(options.source).replace(/\.py$/, '');
+      }
+      requireOptions(options, { entryPoint: '--entry-point' });
+      const location = packaged ? sourceLocation(options.outputBucket, options.jobName) : null;
+      const scriptUri = location ? `s3://${location.bucket}/${location.key}` : options.scriptUri;
+      const request = buildJobRequest(options, {
+        scriptUri,
+        compressed: packaged ? true : /\.(tar\.gz|tgz)$/.test(scriptUri),
+        tags: resolveTags(options, getConfig('defaultTags'))
+      });
+
+      const estimate = estimateJobCost({
+        instanceType: request.instanceConfig.instanceType,
+        instanceCount: request.instanceConfig.instanceCount,
+        hours: parseFloat(options.estimatedHours)
+      });
+      enforceBudget(estimate, options);
+
+      if (packaged) {
+        await withSpinner(`Uploading ${packaged.files} file(s) (${Math.ceil(packaged.archive.length / 1024)} KB)...`, () =>
+          client.putS3Object({ ...location, body: packaged.archive, contentType: 'application/gzip' })
+        );
+        if (!isStructured(options)) printSuccess(`Source uploaded to ${chalk.cyan(scriptUri)}`);
+      }
+
+      const job = await withSpinner('Creating circuit job...', () => client.createJob(request));
+      recordSpend(estimate.total);
+      remember(recordJobs, [{ ...request, status: 'QUEUED', createdAt: new Date().toISOString(), ...job }], { estimate });
+
+      if (options.wait) {
+        if (!isStructured(options)) printSuccess(`Circuit job created: ${chalk.cyan(job.jobArn)}`);
+        const results = await waitWithStatus([options.jobName], (id, o) => client.waitForJob(id, o), {
+          timeout: options.timeout ? parseFloat(options.timeout) : undefined
+        });
+        reportWaitResults(results, 'jobName', options);
+        return;
+      }
 
-      if (options.json) { printJson(job); return; }
+      if (emit(job, options)) return;
 
       printSuccess(`Circuit job created`);
       console.log('Job ARN:  ', chalk.cyan(job.jobArn));
-      console.log('Status:   ', job.status);
+      if (job.status) console.log('Status:   ', job.status);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error, options);
     }
   });
 
 circuitsCmd
   .command('cancel <job-name>')
   .description('Cancel a running circuit job')
-  .action(async (jobName) => {
-    requireAuth();
+  .option('--json', 'Output as JSON')
+  .action(async (jobName, options) => {
+    await requireAuth();
     try {
-      await withSpinner('Cancelling circuit job...', () => cancelJob(jobName));
+      const result = await withSpinner('Cancelling circuit job...', () => client.cancelJob(jobName));
+
+      if (emit(result, options)) return;
+
       printSuccess(`Circuit job '${jobName}' cancellation requested`);
+      if (result.cancellationStatus) console.log('Cancel Status: ', result.cancellationStatus);
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+circuitsCmd
+  .command('validate')
+  .description("Check a circuit against a device's capabilities without submitting it")
+  .option('--device-arn <arn>', 'Device ARN to validate against (default: profile deviceArn)')
+  .option('--qasm <file>', 'OpenQASM 3 program file')
+  .option('--circuit <file>', 'Compact circuit file, compiled to OpenQASM')
+  .option('--ir <file>', 'JSON IR document with a braketSchemaHeader')
+  .option('--ahs <file>', 'Analog Hamiltonian simulation program (JSON or YAML)')
+  .option('--action <json>', 'Action as JSON string')
+  .option('--inputs <json|file>', 'Values for OpenQASM input parameters')
+  .option('--shots <n>', 'Shots to check against the device and result-type limits')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      applyProfileDefaults(options, ['deviceArn']);
+      requireOptions(options, { deviceArn: '--device-arn' });
+      const loaded = loadTaskAction({
+        action: options.action,
+        qasm: options.qasm,
+        circuit: options.circuit,
+        ir: options.ir,
+        ahs: options.ahs,
+        inputs: options.inputs
+      });
+      const device = await withSpinner('Fetching device capabilities...', () => client.getDevice(options.deviceArn));
+      assertValidForDevice(loaded, device, { shots: options.shots !== undefined ? parseShots(options.shots) : undefined });
+
+      if (emit({ valid: true, deviceArn: options.deviceArn, source: loaded.label }, options)) return;
+      printSuccess(`${loaded.label} is valid for ${device.deviceName || options.deviceArn}`);
+    } catch (error) {
+      if (isStructured(options) && error.violations) {
+        emit({ valid: false, deviceArn: options.deviceArn, violations: error.violations }, options);
+        process.exit(error.exitCode);
+      }
+      exitWithError(error, options);
+    }
+  });
+
+// Prefixes lines with the instance (algo-1, algo-2...) when a job has several streams
+function printLogEvents(events, { showStream }) {
+  for (const event of events) {
+    const time = chalk.dim(new Date(event.timestamp).toISOString());
+    const stream = showStream ? chalk.cyan(`[${event.logStreamName.split('/').pop().replace(/-\d+$/, '')}] `) : '';
+    console.log(`${time} ${stream}${event.message.replace(/\n$/, '')}`);
+  }
+}
+
+circuitsCmd
+  .command('logs <job-name>')
+  .description("Show a circuit job's CloudWatch log output")
+  .option('-f, --follow', 'Keep printing new output until the job reaches a terminal state')
+  .option('--since <time>', 'Only output at or after a date or relative age (e.g. 30m, 2h)')
+  .option('--poll-interval <seconds>', 'Seconds between reads with --follow', '5')
+  .option('--logs-endpoint <url>', 'CloudWatch Logs endpoint URL (default: config logsEndpoint)')
+  .option('--json', 'Output as JSON')
+  .action(async (jobName, options) => {
+    await requireAuth();
+    try {
+      const startTime = options.since ? Date.parse(parseTime(options.since)) : undefined;
+      const endpointUrl = options.logsEndpoint;
+      const structured = isStructured(options);
+
+      if (options.follow) {
+        // Events are printed as they arrive, each through --query: as JSON
+        // lines, or as plain values in the table view. Whole-document formats
+        // cannot be streamed.
+        const format = outputFormat(options);
+        if (!['table', 'json', 'jsonl'].includes(format)) {
+          throw new ValidationError(`--follow prints one JSON line per event; use --output json or jsonl instead of ${format}`, { code: 'ValidationException' });
+        }
+        const eventOptions = format === 'table' ? options : { ...options, output: 'jsonl' };
+        const streams = new Set();
+        const job = await followJobLogs(jobName, {
+          startTime,
+          endpointUrl,
+          pollInterval: parseFloat(options.pollInterval) * 1000,
+          onEvents: (events) => {
+            const unformatted = events.filter(e => !emit(e, eventOptions));
+            unformatted.forEach(e => streams.add(e.logStreamName));
+            printLogEvents(unformatted, { showStream: streams.size > 1 });
+          }
+        });
+        if (!structured) {
+          const line = `Job ${jobName} ${chalk.bold(job.status)}`;
+          if (FAILED_STATES.includes(job.status)) printError(line + (job.failureReason ? ` — ${job.failureReason}` : ''));
+          else printSuccess(line);
+        }
+        if (FAILED_STATES.includes(job.status)) process.exit(EXIT_CODES.taskFailed);
+        return;
+      }
+
+      const events = await withSpinner('Fetching job logs...', () => fetchJobLogs(jobName, { startTime, endpointUrl }));
+      if (emit(events, options)) return;
+      if (!events.length) {
+        console.log(chalk.yellow(`No log events for ${jobName}.`));
+        return;
+      }
+      printLogEvents(events, { showStream: new Set(events.map(e => e.logStreamName)).size > 1 });
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error, options);
+    }
+  });
+
+circuitsCmd
+  .command('metrics <job-name>')
+  .description('Show the metrics a circuit job reported, per iteration, with a sparkline per metric')
+  .option('--metric <names>', 'Comma-separated metric names to show (default: all)')
+  .option('--tail <n>', 'Table rows to show, from the latest iteration back (default: 20)', '20')
+  .option('--logs-endpoint <url>', 'CloudWatch Logs endpoint URL (default: config logsEndpoint)')
+  .option('--json', 'Output as JSON')
+  .action(async (jobName, options) => {
+    await requireAuth();
+    try {
+      const { metrics: reported, rows } = await withSpinner('Fetching job metrics...', () =>
+        fetchJobMetrics(jobName, { endpointUrl: options.logsEndpoint })
+      );
+      const names = options.metric ? options.metric.split(',').map(n => n.trim()).filter(Boolean) : reported;
+      const unknown = names.filter(n => !reported.includes(n));
+      if (unknown.length && reported.length) {
+        throw new ValidationError(`No metric named ${unknown.join(', ')} (reported: ${reported.join(', ')})`, { code: 'ValidationException' });
+      }
+
+      const columns = [
+        { key: 'iteration', label: 'Iteration' },
+        { key: 'timestamp', label: 'Time', format: (v) => v ? new Date(v * 1000).toLocaleString() : '' },
+        ...names.map(name => ({ key: name, label: name, format: (v) => v ?? '' }))
+      ];
+      const data = rows.map(row => Object.fromEntries(['iteration', 'timestamp', ...names].map(k => [k, row[k]])));
+      if (isStructured(options) || options.query || options.columns) {
+        emit(data, options, { columns });
+        return;
+      }
+      if (!rows.length) {
+        console.log(chalk.yellow(`No metrics reported by ${jobName}.`));
+        return;
+      }
+
+      const tail = parseInt(options.tail);
+      printTable(tail > 0 ? data.slice(-tail) : data, columns);
+      console.log();
+      const series = names.map(name => ({ name, values: rows.map(r => r[name]).filter(Number.isFinite) })).filter(m => m.values.length);
+      const nameWidth = Math.max(...series.map(m => m.name.length));
+      const lines = series.map(m => sparkline(m.values));
+      const lineWidth = Math.max(...lines.map(l => l.length));
+      series.forEach(({ name, values }, i) => {
+        const stats = `${values.length} pts  min ${Math.min(...values)}  max ${Math.max(...values)}  last ${values[values.length - 1]}`;
+        console.log(`${chalk.bold(name.padEnd(nameWidth))}  ${chalk.cyan(lines[i].padEnd(lineWidth))}  ${chalk.dim(stats)}`);
+      });
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+circuitsCmd
+  .command('wait <job-name...>')
+  .description('Wait for circuit jobs to reach a terminal state (exits non-zero if any FAILED or CANCELLED)')
+  .option('--timeout <seconds>', 'Give up after this many seconds')
+  .option('--json', 'Output as JSON')
+  .action(async (jobNames, options) => {
+    await requireAuth();
+    try {
+      const results = await waitWithStatus(jobNames, (id, o) => client.waitForJob(id, o), {
+        timeout: options.timeout ? parseFloat(options.timeout) : undefined
+      });
+      reportWaitResults(results, 'jobName', options);
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+// ============================================================
+// TAGS
+// ============================================================
+
+const tagsCmd = program.command('tags').description('List and edit the tags on quantum tasks and hybrid jobs');
+
+// Tags are keyed by ARN; a bare job name is looked up
+async function resourceArn(id) {
+  if (id.startsWith('arn:')) return id;
+  return (await withSpinner('Looking up job...', () => client.getJob(id))).jobArn;
+}
+
+tagsCmd
+  .command('list <arn>')
+  .description('List the tags on a task or job (ARN, or a job name)')
+  .option('--json', 'Output as JSON')
+  .action(async (id, options) => {
+    await requireAuth();
+    try {
+      const arn = await resourceArn(id);
+      const tags = await withSpinner('Fetching tags...', () => client.listTagsForResource(arn));
+      if (emit(tags, options)) return;
+
+      const rows = Object.entries(tags).map(([key, value]) => ({ key, value }));
+      if (!rows.length) {
+        console.log(chalk.yellow(`No tags on ${arn}`));
+        return;
+      }
+      printTable(rows, [{ key: 'key', label: 'Key' }, { key: 'value', label: 'Value' }]);
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+tagsCmd
+  .command('add <arn> <key=value...>')
+  .description('Add tags to a task or job, replacing the value of keys it already has')
+  .option('--json', 'Output as JSON')
+  .action(async (id, pairs, options) => {
+    await requireAuth();
+    try {
+      const tags = validateTags(Object.fromEntries(pairs.map(pair => parseTag(pair))));
+      const arn = await resourceArn(id);
+      await withSpinner('Tagging...', () => client.tagResource(arn, tags));
+      if (emit({ resourceArn: arn, added: tags }, options)) return;
+      printSuccess(`Tagged ${chalk.cyan(arn)}: ${formatTags(tags)}`);
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+tagsCmd
+  .command('remove <arn> <key...>')
+  .description('Remove tags from a task or job by key')
+  .option('--json', 'Output as JSON')
+  .action(async (id, keys, options) => {
+    await requireAuth();
+    try {
+      const arn = await resourceArn(id);
+      await withSpinner('Removing tags...', () => client.untagResource(arn, keys));
+      if (emit({ resourceArn: arn, removed: keys }, options)) return;
+      printSuccess(`Removed ${keys.join(', ')} from ${chalk.cyan(arn)}`);
+    } catch (error) {
+      exitWithError(error, options);
     }
   });
 
 // ============================================================
-// Parse
+// HISTORY
 // ============================================================
 
-program.parse(process.argv);
+const HISTORY_COLUMNS = [
+  { key: 'arn', label: 'ID', aliases: ['id'], format: (v) => v ? v.split('/').pop() : '' },
+  { key: 'kind', label: 'Kind' },
+  { key: 'status', label: 'Status' },
+  { key: 'deviceArn', label: 'Device', aliases: ['device'], format: (v) => v ? v.split('/').pop() : '' },
+  { key: 'shots', label: 'Shots' },
+  { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleString() : '' },
+  { key: 'estimatedCost', label: 'Est. Cost', aliases: ['cost'], format: (v) => v === undefined ? '' : formatUsd(v) },
+  { key: 'sourceHash', label: 'Source', aliases: ['source'], format: (v) => v ? v.replace(/^sha256:/, '').slice(0, 12) : '' },
+  { key: 'resultLocation', label: 'Results', aliases: ['results'] },
+  { key: 'batchId', label: 'Batch', aliases: ['batch'] }
+];
+const DEFAULT_HISTORY_COLUMNS = 'id,kind,status,device,shots,created,cost';
+
+const historyCmd = program.command('history').description('Query the local record of tasks and jobs this CLI created or saw, offline');
+
+function addHistoryFilters(command) {
+  return command
+    .option('--device <arn|name>', 'Only entries on this device (full ARN or its last segment, e.g. sv1)')
+    .option('--since <time>', 'Only entries created at or after a date or relative age (e.g. 7d, 12h)')
+    .option('--status <list>', 'Only entries in these comma-separated statuses')
+    .option('--kind <kind>', 'Only tasks or only jobs (task|job)');
+}
+
+function historyFilters(options) {
+  if (options.kind && !['task', 'job'].includes(options.kind)) {
+    throw new ValidationError(`--kind must be task or job, not '${options.kind}'`, { code: 'ValidationException' });
+  }
+  return {
+    kind: options.kind,
+    device: options.device,
+    since: options.since ? parseTime(options.since) : undefined,
+    status: options.status ? options.status.split(',').map(s => s.trim().toUpperCase()).filter(Boolean) : undefined
+  };
+}
+
+addHistoryFilters(historyCmd.command('list').description('List recorded tasks and jobs, newest first'))
+  .option('--columns <list>', 'Table columns (id, kind, status, device, shots, created, cost, source, results, batch, or any entry field)')
+  .option('--max-results <n>', 'Show at most this many entries')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    try {
+      let entries = listHistory(historyFilters(options));
+      if (options.maxResults) entries = entries.slice(0, parseInt(options.maxResults));
+      if (!entries.length && !isStructured(options)) {
+        console.log(chalk.yellow('No history entries found.'));
+        return;
+      }
+      emit(entries, options, { columns: HISTORY_COLUMNS, defaultColumns: DEFAULT_HISTORY_COLUMNS });
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+historyCmd
+  .command('show <id>')
+  .description('Show one recorded task or job (ARN, task id or unique prefix, or job name)')
+  .option('--json', 'Output as JSON')
+  .action((id, options) => {
+    try {
+      const entry = findHistoryEntry(id);
+      if (emit(entry, options)) return;
+
+      console.log(chalk.bold(`\nHistory: ${entry.kind === 'job' ? 'Hybrid Job' : 'Quantum Task'}\n`));
+      console.log('ARN:        ', chalk.cyan(entry.arn));
+      if (entry.name) console.log('Name:       ', entry.name);
+      console.log('Status:     ', chalk.bold(entry.status || 'N/A'));
+      console.log('Device:     ', entry.deviceArn || 'N/A');
+      if (entry.shots !== undefined) console.log('Shots:      ', entry.shots);
+      console.log('Created:    ', entry.createdAt ? new Date(entry.createdAt).toLocaleString() : 'N/A');
+      console.log('Ended:      ', entry.endedAt ? new Date(entry.endedAt).toLocaleString() : 'N/A');
+      if (entry.resultLocation) console.log('Results:    ', entry.resultLocation);
+      if (entry.sourceHash) console.log('Source:     ', entry.sourceHash);
+      if (entry.estimatedCost !== undefined) console.log('Est. Cost:  ', formatUsd(entry.estimatedCost));
+      if (entry.batchId) console.log('Batch:      ', entry.batchId);
+      if (entry.failureReason) console.log('Failure:    ', chalk.red(entry.failureReason));
+      console.log(chalk.dim(`Last updated ${new Date(entry.updatedAt).toLocaleString()}; refresh unfinished entries with: awsbraket history sync`));
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+addHistoryFilters(historyCmd.command('export').description('Write every matching entry with all its fields (JSON by default)'))
+  .option('--csv', 'Output as CSV (same as --output csv)')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    try {
+      const entries = listHistory(historyFilters(options));
+      // Every field, in a fixed order, so exports from different machines line up
+      emit(entries, isStructured(options) ? options : { ...options, output: 'json' }, {
+        columns: HISTORY_FIELDS.map(key => ({ key, label: key })),
+        defaultColumns: HISTORY_FIELDS.join(',')
+      });
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+historyCmd
+  .command('sync')
+  .description('Refresh every recorded task and job that had not finished, from the Braket API')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Syncing history...', (spinner) => {
+        let done = 0;
+        return syncHistory({ onProgress: () => { spinner.text = `Syncing history... ${++done}`; } });
+      });
+
+      if (emit(result, options)) return;
+
+      if (!result.checked) {
+        printSuccess('Every recorded task and job has finished; nothing to sync');
+        return;
+      }
+      result.changed.forEach(e => console.log(`${e.arn.split('/').pop()}  ${chalk.dim(e.from || '?')} → ${chalk.bold(e.status)}`));
+      result.errors.forEach(e => printError(`${e.arn.split('/').pop()}: ${e.error}`));
+      printSuccess(`Checked ${result.checked} unfinished entr${result.checked === 1 ? 'y' : 'ies'}: ${result.changed.length} changed${result.errors.length ? `, ${result.errors.length} failed` : ''}`);
+      if (result.errors.length) process.exit(EXIT_CODES.general);
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+// ============================================================
+// WATCH
+// ============================================================
+
+const watchCmd = program
+  .command('watch')
+  .description('Live dashboard of active quantum tasks and hybrid jobs, with device queue depth')
+  .option('--interval <seconds>', 'Seconds between refreshes', '10')
+  .option('--device-arn <arn>', 'Only tasks and jobs on this device')
+  .option('--no-tasks', 'Leave out quantum tasks')
+  .option('--no-jobs', 'Leave out hybrid jobs')
+  .option('--keep <seconds>', 'How long finished tasks and jobs stay listed', '300')
+  .option('--count <n>', 'Stop after this many refreshes (line output only)')
+  .option('--s3-endpoint <url>', 'S3 endpoint URL for fetching results (path-style addressing)')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const interval = parseFloat(options.interval) * 1000;
+      if (!(interval > 0)) throw new ValidationError('--interval must be a positive number of seconds', { code: 'ValidationException' });
+      const tracker = createTracker({
+        deviceArn: options.deviceArn,
+        tasks: options.tasks,
+        jobs: options.jobs,
+        keep: parseFloat(options.keep) * 1000
+      });
+
+      // Full screen on a terminal; periodic lines (or JSON documents) otherwise
+      if (process.stdout.isTTY && process.stdin.isTTY && !isStructured(options)) {
+        await runDashboard(tracker, {
+          interval,
+          title: `awsbraket watch · ${getConfig('region') || 'us-east-1'}${getActiveProfile() ? ` · ${getActiveProfile()}` : ''}`,
+          resultOptions: { endpointUrl: options.s3Endpoint }
+        });
+        return;
+      }
+
+      const count = options.count !== undefined ? parseInt(options.count) : Infinity;
+      for (let i = 0; i < count; i++) {
+        if (i) await sleep(interval);
+        try {
+          const snapshot = await tracker.refresh();
+          if (isStructured(options)) console.log(JSON.stringify(snapshotDocument(snapshot)));
+          else snapshotLines(snapshot, { initial: i === 0 }).forEach(line => console.log(line));
+        } catch (error) {
+          // One failed refresh (throttling, a dropped connection) should not end the watch
+          console.error(`${new Date().toISOString()}  refresh failed: ${toBraketError(error).message}`);
+        }
+      }
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+// ============================================================
+// MOCK SERVER
+// ============================================================
+
+program
+  .command('mock-server')
+  .description('Run a local stand-in for the Braket API (tasks, devices, jobs and result files) for offline testing')
+  .option('--port <port>', 'Port to listen on (0 picks a free one)', '4010')
+  .option('--host <host>', 'Interface to listen on', '127.0.0.1')
+  .option('--access-key-id <id>', 'Access key id clients must sign with', 'test')
+  .option('--secret-access-key <secret>', 'Secret key clients must sign with', 'test')
+  .option('--no-verify', 'Accept requests without checking their SigV4 signature')
+  .option('--transition-ms <ms>', 'Time each task and job spends in a state before moving on', '1000')
+  .option('--devices <file>', 'JSON array of devices to serve instead of the built-in set')
+  .option('--record <dir>', 'Forward requests to AWS with your credentials and save each exchange in <dir>')
+  .option('--replay <dir>', 'Answer requests from exchanges saved with --record')
+  .option('--quiet', 'Do not log requests')
+  .action(async (options) => {
+    try {
+      if (options.record && options.replay) {
+        throw new ValidationError('--record and --replay cannot be used together', { code: 'ValidationException' });
+      }
+      if (options.replay && !countFixtures(options.replay)) {
+        throw new ValidationError(`No recorded exchanges found in ${options.replay}`, { code: 'ValidationException' });
+      }
+      const devices = options.devices ? loadJsonArgument(options.devices, '--devices') : undefined;
+      if (devices && !Array.isArray(devices)) throw new ValidationError('--devices must be a JSON array of devices', { code: 'ValidationException' });
+
+      const server = await startMockServer({
+        port: parseInt(options.port),
+        host: options.host,
+        credentials: { [options.accessKeyId]: options.secretAccessKey },
+        verify: options.verify,
+        transitionMs: parseInt(options.transitionMs),
+        devices,
+        record: options.record,
+        replay: options.replay,
+        region: getConfig('region') || 'us-east-1',
+        log: options.quiet ? undefined : ({ method, path: requestPath, service, status }) => {
+          const color = status >= 400 ? chalk.red : chalk.green;
+          console.log(`${chalk.dim(new Date().toISOString())}  ${service.padEnd(6)} ${method.padEnd(6)} ${color(status)}  ${decodeURIComponent(requestPath)}`);
+        }
+      });
+
+      const { port } = server.address();
+      const url = `http://${options.host}:${port}`;
+      const mode = options.record ? `recording to ${options.record}` : options.replay ? `replaying ${countFixtures(options.replay)} exchanges from ${options.replay}` : 'in-memory';
+      console.log(chalk.bold(`Mock Braket API listening on ${url}`) + chalk.dim(` (${mode})`));
+      console.log(chalk.dim(`  AWS_ENDPOINT_URL=${url} AWS_ACCESS_KEY_ID=${options.accessKeyId} AWS_SECRET_ACCESS_KEY=${options.secretAccessKey} awsbraket devices list`));
+
+      const stop = () => {
+        server.close(() => process.exit(0));
+        server.closeAllConnections();
+      };
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    } catch (error) {
+      exitWithError(error, options);
+    }
+  });
+
+// ============================================================
+// Output options
+// ============================================================
+//
+// Every tasks/devices/circuits subcommand takes the same output and profile
+// flags, so they can be given after the subcommand as well as before it.
+
+function addOutputOptions(command) {
+  const has = (flag) => command.options.some(o => o.long === flag);
+  if (!has('--output')) command.option('--output <format>', `Output format: ${OUTPUT_FORMATS.join('|')}`);
+  if (!has('--query')) command.option('--query <expr>', 'JMESPath expression applied to the JSON output');
+  if (!has('--columns')) command.option('--columns <list>', 'Comma-separated columns for table, csv and tsv output');
+  if (!has('--json')) command.option('--json', 'Output as JSON (same as --output json)');
+  if (!has('--no-color')) command.option('--no-color', 'Disable colored output');
+  command.commands.forEach(addOutputOptions);
+}
+
+[tasksCmd, devicesCmd, circuitsCmd, tagsCmd, historyCmd].forEach(cmd => cmd.commands.forEach(addOutputOptions));
+addOutputOptions(watchCmd);
+
+// --profile works on every command, and --region on every API command
+function addProfileOptions(command, { region }) {
+  const has = (flag) => command.options.some(o => o.long === flag);
+  if (!has('--profile')) command.option('--profile <name>', 'Named profile, or an AWS shared-config profile');
+  if (region && !has('--region')) command.option('--region <region>', 'AWS region for this command');
+  command.commands.forEach(sub => addProfileOptions(sub, { region }));
+}
+
+program.commands.forEach(cmd => cmd.commands.forEach(sub => addProfileOptions(sub, { region: cmd !== configCmd })));
+addProfileOptions(watchCmd, { region: true });
+
+// ============================================================
+// Entry point
+// ============================================================
 
-if (process.argv.length <= 2) {
-  program.help();
+// Runs the CLI (bin/awsbraket.js). Commands print their output and exit the
+// process with the code for their outcome; embed BraketClient instead.
+export async function main(argv = process.argv) {
+  if (argv.length <= 2) program.help();
+  await program.parseAsync(argv);
 }
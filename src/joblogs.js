@@ -0,0 +1,120 @@
+import { filterLogEvents, getJob, sleep } from './api.js';
+import { TERMINAL_STATES } from './wait.js';
+
+// ============================================================
+// Job logs
+// ============================================================
+//
+// Braket writes hybrid job output to CloudWatch Logs, one stream per instance
+// named `<jobName>/algo-<n>-<timestamp>` in the /aws/braket/jobs group.
+
+export const JOB_LOG_GROUP = '/aws/braket/jobs';
+
+const FOLLOW_INTERVAL_MS = 5000;
+
+// Every event for the job's streams since `startTime` (ms), oldest first
+export async function fetchJobLogs(jobName, { startTime, filterPattern, endpointUrl } = {}) {
+  const events = [];
+  let nextToken;
+  do {
+    const page = await filterLogEvents({
+      logGroupName: JOB_LOG_GROUP,
+      logStreamNamePrefix: `${jobName}/`,
+      filterPattern,
+      startTime,
+      nextToken,
+      endpointUrl
+    });
+    events.push(...(page.events || []));
+    nextToken = page.nextToken;
+  } while (nextToken);
+  return events.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Calls `onEvents(events)` with new events until the job reaches a terminal
+// state, then reads once more for anything written as it finished. Returns
+// the final job. Events at the last seen timestamp are re-read on each poll,
+// so they are deduplicated by eventId.
+export async function followJobLogs(jobName, { startTime, pollInterval = FOLLOW_INTERVAL_MS, endpointUrl, onEvents } = {}) {
+  let since = startTime;
+  let seen = new Set();
+
+  const drain = async () => {
+    const events = (await fetchJobLogs(jobName, { startTime: since, endpointUrl })).filter(e => !seen.has(e.eventId));
+    if (!events.length) return;
+    const last = events[events.length - 1].timestamp;
+    const atLast = events.filter(e => e.timestamp === last).map(e => e.eventId);
+    seen = new Set(last === since ? [...seen, ...atLast] : atLast);
+    since = last;
+    onEvents(events);
+  };
+
+  for (;;) {
+    const job = await getJob(jobName);
+    await drain();
+    if (TERMINAL_STATES.includes(job.status)) {
+      await drain();
+      return job;
+    }
+    await sleep(pollInterval);
+  }
+}
+
+// ============================================================
+// Metrics
+// ============================================================
+//
+// Jobs report metrics with the SDK's log_metric(), which prints lines like
+//   Metrics - timestamp=1700000000.12; Cost=-4.03; iteration_number=3;
+
+const METRIC_PREFIX = 'Metrics -';
+
+export function parseMetricLine(message) {
+  const start = message.indexOf(METRIC_PREFIX);
+  if (start === -1) return null;
+  const fields = {};
+  for (const pair of message.slice(start + METRIC_PREFIX.length).split(';')) {
+    const eq = pair.indexOf('=');
+    if (eq <= 0) continue;
+    const value = Number(pair.slice(eq + 1).trim());
+    if (Number.isFinite(value)) fields[pair.slice(0, eq).trim()] = value;
+  }
+  const { timestamp, iteration_number: iteration, ...metrics } = fields;
+  if (!Object.keys(metrics).length) return null;
+  return { iteration, timestamp, metrics };
+}
+
+// One row per iteration (or per timestamp when the job logs no iteration
+// numbers), with every metric reported for it; `metrics` lists their names.
+export async function fetchJobMetrics(jobName, { endpointUrl } = {}) {
+  const events = await fetchJobLogs(jobName, { filterPattern: `"${METRIC_PREFIX}"`, endpointUrl });
+  const rows = new Map();
+  const names = [];
+  for (const event of events) {
+    const parsed = parseMetricLine(event.message);
+    if (!parsed) continue;
+    const key = parsed.iteration ?? parsed.timestamp ?? event.timestamp;
+    const row = rows.get(key) || { iteration: parsed.iteration, timestamp: parsed.timestamp ?? event.timestamp / 1000 };
+    for (const [name, value] of Object.entries(parsed.metrics)) {
+      if (!names.includes(name)) names.push(name);
+      row[name] = value;
+    }
+    rows.set(key, row);
+  }
+  const sorted = [...rows.values()].sort((a, b) => (a.iteration ?? a.timestamp) - (b.iteration ?? b.timestamp));
+  return { metrics: names, rows: sorted };
+}
+
+const SPARK_BARS = '▁▂▃▄▅▆▇█';
+
+// A one-line chart of `values`, resampled to at most `width` points
+export function sparkline(values, { width = 60 } = {}) {
+  const points = values.filter(Number.isFinite);
+  if (!points.length) return '';
+  const step = Math.max(1, points.length / width);
+  const sampled = [];
+  for (let i = 0; i < points.length; i += step) sampled.push(points[Math.floor(i)]);
+  const min = Math.min(...sampled);
+  const range = Math.max(...sampled) - min;
+  return sampled.map(v => SPARK_BARS[range ? Math.round(((v - min) / range) * (SPARK_BARS.length - 1)) : 0]).join('');
+}
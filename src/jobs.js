@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { ValidationError, parseS3Uri } from './api.js';
+import { loadJsonArgument } from './circuits.js';
+
+// ============================================================
+// Source packaging
+// ============================================================
+//
+// Hybrid job code is uploaded as a gzipped tarball, laid out like the Braket
+// SDK does it: a directory is stored under its own name (so the entry point
+// is e.g. `my_job.algorithm:main`), a single file at the archive root.
+
+const SKIPPED = new Set(['.git', '__pycache__', 'node_modules', '.DS_Store']);
+const BLOCK = 512;
+
+function octal(value, length) {
+  return value.toString(8).padStart(length - 1, '0') + '\0';
+}
+
+// ustar header; names over 100 bytes are split into prefix and name
+function tarHeader(name, { size, mode, mtime, type }) {
+  const header = Buffer.alloc(BLOCK);
+  let prefix = '';
+  if (Buffer.byteLength(name) > 100) {
+    const cut = name.lastIndexOf('/', 155);
+    if (cut <= 0 || Buffer.byteLength(name.slice(cut + 1)) > 100) {
+      throw new ValidationError(`Path too long to package: ${name}`, { code: 'InvalidSource' });
+    }
+    prefix = name.slice(0, cut);
+    name = name.slice(cut + 1);
+  }
+  header.write(name, 0, 100);
+  header.write(octal(mode, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime / 1000), 12), 136);
+  header.write(' '.repeat(8), 148);
+  header.write(type, 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(octal(checksum, 7) + ' ', 148);
+  return header;
+}
+
+function collectEntries(absolute, archiveName, entries) {
+  const stat = fs.statSync(absolute);
+  if (stat.isDirectory()) {
+    entries.push({ name: `${archiveName}/`, stat, type: '5' });
+    for (const child of fs.readdirSync(absolute).sort()) {
+      if (!SKIPPED.has(child)) collectEntries(path.join(absolute, child), `${archiveName}/${child}`, entries);
+    }
+  } else if (stat.isFile()) {
+    entries.push({ name: archiveName, stat, type: '0', file: absolute });
+  }
+  return entries;
+}
+
+// Returns the .tar.gz of `source` (a directory or a single file) and the file count
+export function packageSource(source) {
+  const absolute = path.resolve(source);
+  if (!fs.existsSync(absolute)) throw new ValidationError(`Source ${source} not found`, { code: 'InvalidSource' });
+
+  const entries = collectEntries(absolute, path.basename(absolute), []);
+  const chunks = [];
+  for (const entry of entries) {
+    const data = entry.file ? fs.readFileSync(entry.file) : Buffer.alloc(0);
+    chunks.push(tarHeader(entry.name, { size: data.length, mode: entry.stat.mode & 0o777, mtime: entry.stat.mtimeMs, type: entry.type }));
+    if (data.length) chunks.push(data, Buffer.alloc((BLOCK - (data.length % BLOCK)) % BLOCK));
+  }
+  chunks.push(Buffer.alloc(BLOCK * 2));
+  return {
+    archive: zlib.gzipSync(Buffer.concat(chunks)),
+    files: entries.filter(e => e.file).length,
+    isDirectory: fs.statSync(absolute).isDirectory()
+  };
+}
+
+// ============================================================
+// Option parsing
+// ============================================================
+
+function invalidOption(message) {
+  return new ValidationError(message, { code: 'ValidationException' });
+}
+
+// Braket takes hyperparameters as a map of strings
+export function parseHyperparameters(value) {
+  if (!value) return {};
+  const parsed = loadJsonArgument(value, '--hyperparameters');
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw invalidOption('--hyperparameters must be a JSON object');
+  return Object.fromEntries(Object.entries(parsed).map(([k, v]) => [k, typeof v === 'string' ? v : JSON.stringify(v)]));
+}
+
+// `name=s3://bucket/prefix`, or a bare URI for the default `input` channel
+export function parseInputData(values = []) {
+  const channels = values.map((value) => {
+    const eq = value.indexOf('=');
+    const [channelName, s3Uri] = eq > 0 && !value.startsWith('s3://') ? [value.slice(0, eq), value.slice(eq + 1)] : ['input', value];
+    parseS3Uri(s3Uri);
+    return { channelName, dataSource: { s3DataSource: { s3Uri } } };
+  });
+  const names = channels.map(c => c.channelName);
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) throw invalidOption(`Input data channel '${duplicate}' is given more than once`);
+  return channels;
+}
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Seconds, or a number with an s/m/h/d suffix (e.g. 90m, 2h)
+export function parseDuration(value, flag) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+  if (!match) throw invalidOption(`Invalid ${flag} '${value}'; use seconds or a duration such as 90m or 2h`);
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()]);
+}
+
+// ============================================================
+// CreateJob request
+// ============================================================
+
+export const JOB_DEFAULTS = {
+  instanceType: 'ml.m5.large',
+  instanceCount: 1,
+  volumeSizeInGb: 30,
+  maxRuntimeInSeconds: 5 * 24 * 3600,
+  checkpointLocalPath: '/opt/jobs/checkpoints'
+};
+
+// Where packaged source is uploaded: s3://<bucket>/jobs/<name>/script/source.tar.gz
+export function sourceLocation(bucket, jobName) {
+  return { bucket, key: `jobs/${jobName}/script/source.tar.gz` };
+}
+
+// Builds the CreateJob request from `circuits create` options; `scriptUri`
+// is the uploaded (or given) source location and `tags` the resolved tags
+export function buildJobRequest(options, { scriptUri, compressed, tags = {} }) {
+  const instanceCount = options.instanceCount !== undefined ? parseInt(options.instanceCount) : JOB_DEFAULTS.instanceCount;
+  const volumeSizeInGb = options.volumeSize !== undefined ? parseInt(options.volumeSize) : JOB_DEFAULTS.volumeSizeInGb;
+  if (!Number.isInteger(instanceCount) || instanceCount < 1) throw invalidOption('--instance-count must be a positive integer');
+  if (!Number.isInteger(volumeSizeInGb) || volumeSizeInGb < 1) throw invalidOption('--volume-size must be a positive number of GB');
+  if (options.checkpointS3) parseS3Uri(options.checkpointS3);
+
+  return {
+    jobName: options.jobName,
+    roleArn: options.roleArn,
+    algorithmSpecification: {
+      scriptModeConfig: {
+        entryPoint: options.entryPoint,
+        s3Uri: scriptUri,
+        compressionType: compressed ? 'GZIP' : 'NONE'
+      },
+      ...(options.imageUri ? { containerImage: { uri: options.imageUri } } : {})
+    },
+    instanceConfig: {
+      instanceType: options.instanceType || JOB_DEFAULTS.instanceType,
+      instanceCount,
+      volumeSizeInGb
+    },
+    outputDataConfig: { s3Path: `s3://${options.outputBucket}/jobs/${options.jobName}` },
+    deviceConfig: { device: options.device },
+    hyperParameters: parseHyperparameters(options.hyperparameters),
+    inputDataConfig: parseInputData(options.inputData),
+    stoppingCondition: {
+      maxRuntimeInSeconds: options.maxRuntime ? parseDuration(options.maxRuntime, '--max-runtime') : JOB_DEFAULTS.maxRuntimeInSeconds
+    },
+    ...(options.checkpointS3 ? { checkpointConfig: { s3Uri: options.checkpointS3, localPath: JOB_DEFAULTS.checkpointLocalPath } } : {}),
+    tags
+  };
+}
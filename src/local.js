@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getConfigDir } from './config.js';
+import { ValidationError, ResourceNotFoundError } from './api.js';
+import { OPENQASM_ACTION } from './circuits.js';
+import { parseQasm } from './qasm.js';
+import { simulate, MAX_QUBITS } from './simulator.js';
+
+// ============================================================
+// Local devices
+// ============================================================
+//
+// Local devices run in-process and need neither credentials nor S3. The CLI
+// stores their tasks under the config directory so `tasks get`, `tasks wait`
+// and `tasks results` work on them exactly as on cloud tasks; BraketClient
+// keeps the ones it runs in memory instead.
+
+export const LOCAL_DEVICES = {
+  'local:sv': {
+    deviceArn: 'local:sv',
+    deviceName: 'Local state-vector simulator',
+    deviceType: 'SIMULATOR',
+    providerName: 'Local',
+    deviceStatus: 'ONLINE',
+    deviceCapabilities: {
+      action: {
+        [OPENQASM_ACTION]: {
+          supportedResultTypes: [
+            { name: 'Probability', minShots: 0, maxShots: 100000 },
+            { name: 'Expectation', observables: ['x', 'y', 'z', 'h', 'i'], minShots: 0, maxShots: 100000 },
+            { name: 'Variance', observables: ['x', 'y', 'z', 'h', 'i'], minShots: 0, maxShots: 100000 },
+            { name: 'Sample', observables: ['x', 'y', 'z', 'h', 'i'], minShots: 1, maxShots: 100000 },
+            { name: 'StateVector', minShots: 0, maxShots: 0 },
+            { name: 'DensityMatrix', minShots: 0, maxShots: 0 },
+            { name: 'Amplitude', minShots: 0, maxShots: 0 }
+          ],
+          supportedModifiers: [{ name: 'ctrl' }, { name: 'negctrl' }, { name: 'inv' }, { name: 'pow' }]
+        }
+      },
+      paradigm: { qubitCount: MAX_QUBITS },
+      service: { shotsRange: [0, 100000] }
+    }
+  }
+};
+
+export function isLocalDevice(deviceArn) {
+  return String(deviceArn || '').startsWith('local:');
+}
+
+export function isLocalTask(taskArn) {
+  return String(taskArn || '').startsWith('local:');
+}
+
+export function getLocalDevice(deviceArn) {
+  const device = LOCAL_DEVICES[deviceArn];
+  if (!device) {
+    throw new ResourceNotFoundError(`Unknown local device ${deviceArn} (available: ${Object.keys(LOCAL_DEVICES).join(', ')})`, { code: 'ResourceNotFoundException' });
+  }
+  return device;
+}
+
+// ============================================================
+// Local task store
+// ============================================================
+
+function tasksDir() {
+  return path.join(getConfigDir(), 'local-tasks');
+}
+
+function taskFile(taskArn) {
+  return path.join(tasksDir(), `${taskArn.split('/').pop()}.json`);
+}
+
+function readLocalRecord(taskArn) {
+  try {
+    return JSON.parse(fs.readFileSync(taskFile(taskArn), 'utf8'));
+  } catch {
+    throw new ResourceNotFoundError(`Local quantum task ${taskArn} not found`, { code: 'ResourceNotFoundException' });
+  }
+}
+
+export function getLocalTask(taskArn) {
+  return readLocalRecord(taskArn).task;
+}
+
+export function getLocalTaskResult(taskArn) {
+  const { task, result } = readLocalRecord(taskArn);
+  if (!result) throw new Error(`Quantum task ${taskArn} is ${task.status}; results are only available once it has COMPLETED`);
+  return result;
+}
+
+// Runs an OpenQASM action on a local device and returns the finished
+// { task, result }. Simulation errors make a FAILED task rather than being
+// thrown, as the service would report them.
+export function executeLocalTask({ deviceArn, shots, action, seed }) {
+  getLocalDevice(deviceArn);
+  if (action?.braketSchemaHeader?.name !== OPENQASM_ACTION) {
+    throw new ValidationError(`${deviceArn} only runs OpenQASM programs`, { code: 'ValidationException' });
+  }
+
+  const id = crypto.randomUUID();
+  const quantumTaskArn = `${deviceArn}/quantum-task/${id}`;
+  const createdAt = new Date().toISOString();
+  const task = { quantumTaskArn, deviceArn, shots, status: 'COMPLETED', createdAt };
+  let result = null;
+
+  try {
+    const program = parseQasm(action.source);
+    if (program.errors.length) throw new Error(program.errors.map(e => `line ${e.line}: ${e.message}`).join('; '));
+    result = simulate(program, { shots, inputs: action.inputs || {}, seed, taskId: quantumTaskArn, deviceId: deviceArn });
+    result.additionalMetadata = { action };
+  } catch (error) {
+    task.status = 'FAILED';
+    task.failureReason = error.message;
+  }
+  task.endedAt = new Date().toISOString();
+  return { task, result };
+}
+
+// executeLocalTask, storing the finished task for later commands
+export function runLocalTask(request) {
+  const { task, result } = executeLocalTask(request);
+  fs.mkdirSync(tasksDir(), { recursive: true });
+  fs.writeFileSync(taskFile(task.quantumTaskArn), JSON.stringify({ task, result }, null, 2));
+  return task;
+}
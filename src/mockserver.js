@@ -0,0 +1,941 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { encodeRfc3986, signedRequest } from './api.js';
+import { resolveCredentials } from './credentials.js';
+import { OPENQASM_ACTION } from './circuits.js';
+import { AHS_ACTION } from './ahs.js';
+import { GATES, parseQasm } from './qasm.js';
+import { simulate } from './simulator.js';
+
+// ============================================================
+// Mock Braket API
+// ============================================================
+//
+// An in-memory stand-in for the Braket REST API (plus the S3 reads and writes,
+// the CloudWatch Logs reads of job logs and the STS AssumeRole calls the CLI
+// makes), for tests that cannot reach AWS. Point the CLI at it with
+// --endpoint-url or AWS_ENDPOINT_URL. Tasks and jobs move through their states
+// every `transitionMs`; OpenQASM tasks are run on the local simulator when they
+// complete (AHS programs get random site occupations) and their results.json
+// is served from the task's output location. Running jobs write a log stream
+// with a few `Metrics -` lines for `circuits logs` and `circuits metrics`.
+//
+// With `record` the server instead forwards every request to AWS (re-signed
+// with the server's own credentials) and saves each exchange as a JSON fixture;
+// with `replay` it answers from those fixtures.
+
+const ACCOUNT = '123456789012';
+const TASK_FLOW = ['CREATED', 'QUEUED', 'RUNNING', 'COMPLETED'];
+const JOB_FLOW = ['QUEUED', 'RUNNING', 'COMPLETED'];
+const TERMINAL = ['COMPLETED', 'FAILED', 'CANCELLED'];
+const JOB_LOG_GROUP = '/aws/braket/jobs';
+const JOB_ITERATIONS = 5;
+
+const GATE_RESULT_TYPES = [
+  { name: 'Sample', observables: ['x', 'y', 'z', 'h', 'i'], minShots: 1, maxShots: 100000 },
+  { name: 'Expectation', observables: ['x', 'y', 'z', 'h', 'i'], minShots: 0, maxShots: 100000 },
+  { name: 'Variance', observables: ['x', 'y', 'z', 'h', 'i'], minShots: 0, maxShots: 100000 },
+  { name: 'Probability', minShots: 0, maxShots: 100000 }
+];
+
+function openQasmCapabilities({ qubitCount, shotsRange, operations = Object.keys(GATES), resultTypes = GATE_RESULT_TYPES, paradigm = {}, service = {}, provider }) {
+  return {
+    service: { shotsRange, ...service },
+    action: {
+      [OPENQASM_ACTION]: {
+        version: ['1'],
+        supportedOperations: operations,
+        supportedModifiers: [{ name: 'ctrl' }, { name: 'negctrl' }, { name: 'inv' }, { name: 'pow' }],
+        supportedResultTypes: resultTypes
+      }
+    },
+    paradigm: { qubitCount, ...paradigm },
+    ...(provider ? { provider } : {})
+  };
+}
+
+// Capabilities of a neutral-atom AHS device, in SI units, shaped like QuEra Aquila's
+function ahsCapabilities() {
+  return {
+    service: { shotsRange: [1, 1000], executionWindows: [{ executionDay: 'Everyday', windowStartHour: '00:00:00', windowEndHour: '23:59:59' }] },
+    action: { [AHS_ACTION]: { version: ['1'], actionType: AHS_ACTION } },
+    paradigm: {
+      qubitCount: 256,
+      lattice: {
+        area: { width: 0.000075, height: 0.000076 },
+        geometry: { spacingRadialMin: 0.000004, spacingVerticalMin: 0.000004, positionResolution: 1e-7, numberSitesMax: 256 }
+      },
+      rydberg: {
+        c6Coefficient: 5.42e-24,
+        rydbergGlobal: {
+          rabiFrequencyRange: [0, 15800000], rabiFrequencyResolution: 400, rabiFrequencySlewRateMax: 250000000000000,
+          detuningRange: [-125000000, 125000000], detuningResolution: 0.2, detuningSlewRateMax: 2500000000000000,
+          phaseRange: [-99, 99], phaseResolution: 5e-7,
+          timeResolution: 1e-9, timeDeltaMin: 5e-8, timeMin: 0, timeMax: 0.000004
+        },
+        rydbergLocal: {
+          detuningRange: [0, 125000000], detuningSlewRateMax: 1250000000000000, siteCoefficientRange: [0, 1],
+          numberLocalDetuningSitesMax: 200, spacingRadialMin: 0.000005, timeResolution: 1e-9, timeDeltaMin: 5e-8
+        }
+      }
+    }
+  };
+}
+
+// Each filled site is loaded with 99% probability and, if loaded, ends in the
+// Rydberg state (atom gone from the post-sequence image) half the time
+function simulateAhs(action, { shots, taskId, deviceId }) {
+  const filling = action.setup?.ahs_register?.filling || [];
+  const measurements = Array.from({ length: shots }, () => {
+    const preSequence = filling.map(f => (f && Math.random() < 0.99 ? 1 : 0));
+    return {
+      shotMetadata: { shotStatus: 'Success' },
+      shotResult: { preSequence, postSequence: preSequence.map(p => (p && Math.random() < 0.5 ? 1 : 0)) }
+    };
+  });
+  return {
+    braketSchemaHeader: { name: 'braket.task_result.analog_hamiltonian_simulation_task_result', version: '1' },
+    taskMetadata: { braketSchemaHeader: { name: 'braket.task_result.task_metadata', version: '1' }, id: taskId, shots, deviceId },
+    measurements
+  };
+}
+
+// A rows × cols square lattice, as QPU connectivity graphs are published
+function latticeGraph(rows, cols) {
+  const graph = {};
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const q = r * cols + c;
+      graph[q] = [...(c + 1 < cols ? [q + 1] : []), ...(r + 1 < rows ? [q + cols] : [])].map(String);
+    }
+  }
+  return graph;
+}
+
+export const MOCK_DEVICES = [
+  {
+    deviceArn: 'arn:aws:braket:::device/quantum-simulator/amazon/sv1',
+    deviceName: 'SV1', providerName: 'Amazon Braket', deviceType: 'SIMULATOR', deviceStatus: 'ONLINE',
+    deviceCapabilities: openQasmCapabilities({
+      qubitCount: 34,
+      shotsRange: [0, 100000],
+      resultTypes: [...GATE_RESULT_TYPES, { name: 'StateVector', minShots: 0, maxShots: 0 }, { name: 'Amplitude', minShots: 0, maxShots: 0 }],
+      paradigm: { connectivity: { fullyConnected: true, connectivityGraph: {} } }
+    })
+  },
+  {
+    deviceArn: 'arn:aws:braket:::device/quantum-simulator/amazon/dm1',
+    deviceName: 'DM1', providerName: 'Amazon Braket', deviceType: 'SIMULATOR', deviceStatus: 'ONLINE',
+    deviceCapabilities: openQasmCapabilities({
+      qubitCount: 17,
+      shotsRange: [0, 100000],
+      resultTypes: [...GATE_RESULT_TYPES, { name: 'DensityMatrix', minShots: 0, maxShots: 0 }],
+      paradigm: { connectivity: { fullyConnected: true, connectivityGraph: {} } }
+    })
+  },
+  {
+    deviceArn: 'arn:aws:braket:us-east-1::device/qpu/ionq/Aria-1',
+    deviceName: 'Aria 1', providerName: 'IonQ', deviceType: 'QPU', deviceStatus: 'ONLINE',
+    deviceCapabilities: openQasmCapabilities({
+      qubitCount: 25,
+      shotsRange: [1, 5000],
+      operations: ['x', 'y', 'z', 'rx', 'ry', 'rz', 'h', 'cnot', 's', 'si', 't', 'ti', 'v', 'vi', 'xx', 'yy', 'zz', 'swap'],
+      resultTypes: GATE_RESULT_TYPES.map(r => ({ ...r, minShots: Math.max(1, r.minShots), maxShots: 5000 })),
+      paradigm: { nativeGateSet: ['gpi', 'gpi2', 'ms'], connectivity: { fullyConnected: true, connectivityGraph: {} } },
+      service: { executionWindows: [{ executionDay: 'Everyday', windowStartHour: '00:00:00', windowEndHour: '23:59:59' }] },
+      provider: { fidelity: { '1Q': { mean: 0.9998 }, '2Q': { mean: 0.986 }, spam: { mean: 0.9937 } }, timing: { T1: 100, T2: 1 } }
+    })
+  },
+  {
+    deviceArn: 'arn:aws:braket:us-west-1::device/qpu/rigetti/Ankaa-3',
+    deviceName: 'Ankaa-3', providerName: 'Rigetti', deviceType: 'QPU', deviceStatus: 'ONLINE',
+    deviceCapabilities: openQasmCapabilities({
+      qubitCount: 84,
+      shotsRange: [10, 50000],
+      operations: ['cz', 'xy', 'ccnot', 'cnot', 'cphaseshift', 'h', 'i', 'iswap', 'phaseshift', 'rx', 'ry', 'rz', 's', 'si', 'swap', 't', 'ti', 'x', 'y', 'z'],
+      resultTypes: GATE_RESULT_TYPES.map(r => ({ ...r, minShots: 10, maxShots: 50000 })),
+      paradigm: { nativeGateSet: ['rx', 'rz', 'iswap'], connectivity: { fullyConnected: false, connectivityGraph: latticeGraph(7, 12) } },
+      service: { executionWindows: [{ executionDay: 'Everyday', windowStartHour: '00:00:00', windowEndHour: '23:59:59' }] }
+    })
+  },
+  {
+    deviceArn: 'arn:aws:braket:us-east-1::device/qpu/quera/Aquila',
+    deviceName: 'Aquila', providerName: 'QuEra', deviceType: 'QPU', deviceStatus: 'ONLINE',
+    deviceCapabilities: ahsCapabilities()
+  },
+  {
+    deviceArn: 'arn:aws:braket:eu-west-2::device/qpu/oqc/Lucy',
+    deviceName: 'Lucy', providerName: 'Oxford', deviceType: 'QPU', deviceStatus: 'RETIRED',
+    deviceCapabilities: openQasmCapabilities({ qubitCount: 8, shotsRange: [1, 100000], operations: ['ecr', 'rz', 'v', 'x'] })
+  }
+];
+
+// ============================================================
+// Errors and helpers
+// ============================================================
+
+class MockError extends Error {
+  constructor(status, type, message) {
+    super(message);
+    this.status = status;
+    this.type = type;
+  }
+}
+
+const fail = (status, type, message) => { throw new MockError(status, type, message); };
+const notFound = (what) => fail(404, 'ResourceNotFoundException', `${what} not found`);
+const invalid = (message) => fail(400, 'ValidationException', message);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Repeated keys (tagKeys=a&tagKeys=b) become arrays
+function parseQueryString(raw = '') {
+  const query = {};
+  for (const pair of raw.split('&').filter(Boolean)) {
+    const [key, value = ''] = pair.split('=');
+    const decode = (s) => decodeURIComponent(s.replace(/\+/g, ' '));
+    const name = decode(key);
+    query[name] = name in query ? [].concat(query[name], decode(value)) : decode(value);
+  }
+  return query;
+}
+
+function canonicalQueryOf(query) {
+  return Object.keys(query).sort()
+    .flatMap(k => [].concat(query[k]).sort().map(v => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`))
+    .join('&');
+}
+
+// Opaque page tokens holding the offset of the next item
+function paginate(items, { maxResults, nextToken }) {
+  const start = nextToken ? parseInt(Buffer.from(String(nextToken), 'base64url').toString(), 10) || 0 : 0;
+  const size = Math.max(1, Math.min(parseInt(maxResults, 10) || 100, 100));
+  const page = items.slice(start, start + size);
+  return { page, nextToken: start + size < items.length ? Buffer.from(String(start + size)).toString('base64url') : undefined };
+}
+
+// CloudWatch Logs term patterns: every term, or "quoted phrase", must appear
+function matchesFilterPattern(message, pattern = '') {
+  const terms = pattern.match(/"[^"]*"|\S+/g) || [];
+  return terms.every(term => message.includes(term.replace(/^"(.*)"$/, '$1')));
+}
+
+function compareFilter(value, { operator = 'EQUAL', values = [] }, isTime) {
+  const norm = (v) => (isTime ? Date.parse(v) : String(v));
+  const v = norm(value);
+  const [a, b] = values.map(norm);
+  switch (operator) {
+    case 'EQUAL': return values.map(norm).includes(v);
+    case 'GT': return v > a;
+    case 'GTE': return v >= a;
+    case 'LT': return v < a;
+    case 'LTE': return v <= a;
+    case 'BETWEEN': return v >= a && v <= b;
+    default: return invalid(`Unsupported filter operator ${operator}`);
+  }
+}
+
+// ============================================================
+// State
+// ============================================================
+
+// `credentials` maps the access key ids the server accepts to their secrets;
+// assumed-role sessions are added to it
+function createState({ devices = MOCK_DEVICES, transitionMs = 1000, credentials = {} } = {}) {
+  // Capabilities may be given as GetDevice returns them, as a JSON string
+  devices = devices.map(d => (typeof d.deviceCapabilities === 'string' ? { ...d, deviceCapabilities: JSON.parse(d.deviceCapabilities) } : d));
+  const tasks = new Map();
+  const jobs = new Map();
+  const objects = new Map();
+  const clientTokens = new Map();
+
+  const deviceByArn = (arn) => devices.find(d => d.deviceArn === arn) || notFound(`Device ${arn}`);
+
+  // Status after the elapsed time; a cancel request ends in CANCELLED one step later
+  function advance(record, flow, now = Date.now()) {
+    if (TERMINAL.includes(record.status)) return record;
+    if (record.cancelRequestedAt) {
+      record.status = now - record.cancelRequestedAt >= transitionMs ? 'CANCELLED' : 'CANCELLING';
+    } else {
+      record.status = flow[Math.min(flow.length - 1, Math.floor((now - record.createdMs) / transitionMs))];
+    }
+    if (record.status === 'RUNNING' && !record.startedAt) {
+      record.startedMs = Date.now();
+      record.startedAt = new Date(record.startedMs).toISOString();
+    }
+    if (TERMINAL.includes(record.status)) {
+      record.endedMs = Date.now();
+      record.endedAt = new Date(record.endedMs).toISOString();
+      record.onComplete?.(record);
+    }
+    return record;
+  }
+
+  function runTask(task) {
+    if (task.status !== 'COMPLETED') return;
+    try {
+      const action = JSON.parse(task.action);
+      if (action?.braketSchemaHeader?.name === AHS_ACTION) {
+        task.result = simulateAhs(action, { shots: task.shots, taskId: task.quantumTaskArn, deviceId: task.deviceArn });
+        return;
+      }
+      if (action?.braketSchemaHeader?.name !== OPENQASM_ACTION) throw new Error(`mock-server only simulates ${OPENQASM_ACTION} and ${AHS_ACTION} actions`);
+      const program = parseQasm(action.source);
+      if (program.errors.length) throw new Error(program.errors.map(e => `line ${e.line}: ${e.message}`).join('; '));
+      task.result = simulate(program, { shots: task.shots, inputs: action.inputs || {}, taskId: task.quantumTaskArn, deviceId: task.deviceArn });
+      task.result.additionalMetadata = { action };
+    } catch (error) {
+      task.status = 'FAILED';
+      task.failureReason = error.message;
+    }
+  }
+
+  function taskView(task, { summary = false, queueInfo = false } = {}) {
+    advance(task, TASK_FLOW);
+    const view = {
+      quantumTaskArn: task.quantumTaskArn,
+      status: task.status,
+      deviceArn: task.deviceArn,
+      shots: task.shots,
+      outputS3Bucket: task.outputS3Bucket,
+      outputS3Directory: task.outputS3Directory,
+      createdAt: task.createdAt,
+      ...(task.endedAt ? { endedAt: task.endedAt } : {}),
+      ...(task.tags && Object.keys(task.tags).length ? { tags: task.tags } : {})
+    };
+    if (summary) return view;
+    if (task.failureReason) view.failureReason = task.failureReason;
+    if (task.jobArn) view.jobArn = task.jobArn;
+    if (queueInfo && task.status === 'QUEUED') {
+      const queued = [...tasks.values()].filter(t => t.deviceArn === task.deviceArn && advance(t, TASK_FLOW).status === 'QUEUED');
+      view.queueInfo = { queue: 'QUANTUM_TASKS_QUEUE', position: String(queued.indexOf(task) + 1), queuePriority: 'Normal' };
+    }
+    return view;
+  }
+
+  function jobView(job, { summary = false, queueInfo = false } = {}) {
+    advance(job, JOB_FLOW);
+    const base = {
+      jobArn: job.jobArn,
+      jobName: job.jobName,
+      status: job.status,
+      device: job.deviceConfig?.device,
+      createdAt: job.createdAt,
+      ...(job.startedAt ? { startedAt: job.startedAt } : {}),
+      ...(job.endedAt ? { endedAt: job.endedAt } : {}),
+      ...(job.tags && Object.keys(job.tags).length ? { tags: job.tags } : {})
+    };
+    if (summary) return base;
+    const { device, ...rest } = base;
+    const view = { ...job.request, ...rest };
+    delete view.clientToken;
+    if (queueInfo && job.status === 'QUEUED') view.queueInfo = { queue: 'JOBS_QUEUE', position: '1' };
+    return view;
+  }
+
+  // One stream per job, written while it runs: a start line, a metrics line per
+  // iteration (spread over its RUNNING transition, as `log_metric` writes them)
+  // and an end line. Times follow the schedule, not when the job was polled.
+  function jobLogEvents(job) {
+    advance(job, JOB_FLOW);
+    if (!job.startedMs && job.status !== 'COMPLETED') return [];
+    const start = job.createdMs + JOB_FLOW.indexOf('RUNNING') * transitionMs;
+    const end = job.status === 'COMPLETED' ? start + transitionMs : job.endedMs;
+    const logStreamName = `${job.jobName}/algo-1-${Math.floor(job.createdMs / 1000)}`;
+    const lines = [[start, `Starting job ${job.jobName}`]];
+    for (let i = 0; i < JOB_ITERATIONS; i++) {
+      const timestamp = start + Math.round((i * transitionMs) / JOB_ITERATIONS);
+      if (timestamp > (end ?? Date.now())) break;
+      const cost = -4 * (1 - 0.6 ** (i + 1));
+      lines.push([timestamp, `Metrics - timestamp=${(timestamp / 1000).toFixed(3)}; Cost=${cost.toFixed(4)}; iteration_number=${i};`]);
+    }
+    if (end) lines.push([end, `Job ${job.status.toLowerCase()}`]);
+    return lines.map(([timestamp, message], i) => ({ logStreamName, timestamp, message, ingestionTime: timestamp, eventId: `${job.createdMs}${String(i).padStart(4, '0')}` }));
+  }
+
+  const logGroup = (name) => (name === JOB_LOG_GROUP ? [...jobs.values()].map(jobLogEvents).filter(events => events.length) : notFound('The specified log group'));
+
+  const jobByIdOrArn = (id) => jobs.get(String(id).split('/').pop()) || notFound(`Job ${id}`);
+  const taskByArn = (arn) => tasks.get(arn) || notFound(`Quantum task ${arn}`);
+  const taggable = (arn) => tasks.get(arn) || [...jobs.values()].find(j => j.jobArn === arn) || notFound(`Resource ${arn}`);
+
+  return {
+    // -- quantum tasks
+    createTask(body, region) {
+      if (!body.deviceArn || !body.action || body.shots === undefined || !body.outputS3Bucket) {
+        invalid('deviceArn, action, shots and outputS3Bucket are required');
+      }
+      if (body.clientToken && clientTokens.has(body.clientToken)) return { quantumTaskArn: clientTokens.get(body.clientToken) };
+      const device = deviceByArn(body.deviceArn);
+      if (device.deviceStatus !== 'ONLINE') fail(424, device.deviceStatus === 'RETIRED' ? 'DeviceRetiredException' : 'DeviceOfflineException', `${device.deviceName} is ${device.deviceStatus}`);
+      const [min, max] = device.deviceCapabilities.service?.shotsRange || [0, Infinity];
+      if (body.shots < min || body.shots > max) invalid(`shots must be between ${min} and ${max} for ${device.deviceName}`);
+      const id = crypto.randomUUID();
+      const now = new Date();
+      const task = {
+        quantumTaskArn: `arn:aws:braket:${region}:${ACCOUNT}:quantum-task/${id}`,
+        status: 'CREATED',
+        deviceArn: body.deviceArn,
+        shots: body.shots,
+        action: typeof body.action === 'string' ? body.action : JSON.stringify(body.action),
+        outputS3Bucket: body.outputS3Bucket,
+        outputS3Directory: `${String(body.outputS3KeyPrefix || '').replace(/\/$/, '')}${body.outputS3KeyPrefix ? '/' : ''}${id}`,
+        createdAt: now.toISOString(),
+        createdMs: now.getTime(),
+        tags: body.tags || {},
+        onComplete: runTask
+      };
+      tasks.set(task.quantumTaskArn, task);
+      if (body.clientToken) clientTokens.set(body.clientToken, task.quantumTaskArn);
+      return { quantumTaskArn: task.quantumTaskArn };
+    },
+    searchTasks(body = {}) {
+      const filters = body.filters || [];
+      const matches = [...tasks.values()].map(t => taskView(t, { summary: true })).filter(view =>
+        filters.every(f => compareFilter(view[f.name], f, f.name === 'createdAt'))
+      ).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      const { page, nextToken } = paginate(matches, body);
+      return { quantumTasks: page, ...(nextToken ? { nextToken } : {}) };
+    },
+    getTask(arn, { queueInfo }) {
+      return taskView(taskByArn(arn), { queueInfo });
+    },
+    cancelTask(arn) {
+      const task = advance(taskByArn(arn), TASK_FLOW);
+      if (TERMINAL.includes(task.status)) fail(409, 'ConflictException', `Quantum task ${arn} is already ${task.status}`);
+      task.cancelRequestedAt = task.cancelRequestedAt || Date.now();
+      advance(task, TASK_FLOW);
+      return { quantumTaskArn: arn, cancellationStatus: task.status };
+    },
+
+    // -- devices
+    searchDevices(body = {}) {
+      const filters = body.filters || [];
+      const matches = devices.filter(d => filters.every(f => (f.values || []).includes(d[f.name])))
+        .map(({ deviceArn, deviceName, providerName, deviceType, deviceStatus }) => ({ deviceArn, deviceName, providerName, deviceType, deviceStatus }));
+      const { page, nextToken } = paginate(matches, body);
+      return { devices: page, ...(nextToken ? { nextToken } : {}) };
+    },
+    getDevice(arn) {
+      const device = deviceByArn(arn);
+      const queued = [...tasks.values()].filter(t => t.deviceArn === arn && advance(t, TASK_FLOW).status === 'QUEUED').length;
+      const queuedJobs = [...jobs.values()].filter(j => j.deviceConfig?.device === arn && advance(j, JOB_FLOW).status === 'QUEUED').length;
+      return {
+        ...device,
+        deviceCapabilities: JSON.stringify(device.deviceCapabilities),
+        deviceQueueInfo: [
+          { queue: 'QUANTUM_TASKS_QUEUE', queueSize: String(queued), queuePriority: 'Normal' },
+          { queue: 'QUANTUM_TASKS_QUEUE', queueSize: '0', queuePriority: 'Priority' },
+          { queue: 'JOBS_QUEUE', queueSize: String(queuedJobs) }
+        ]
+      };
+    },
+
+    // -- jobs
+    createJob(body, region) {
+      if (!body.jobName || !body.roleArn || !body.algorithmSpecification || !body.instanceConfig || !body.outputDataConfig) {
+        invalid('jobName, roleArn, algorithmSpecification, instanceConfig and outputDataConfig are required');
+      }
+      if (jobs.has(body.jobName)) fail(409, 'ConflictException', `A job named ${body.jobName} already exists`);
+      if (body.deviceConfig?.device) deviceByArn(body.deviceConfig.device);
+      const now = new Date();
+      const job = {
+        jobArn: `arn:aws:braket:${region}:${ACCOUNT}:job/${body.jobName}`,
+        jobName: body.jobName,
+        status: 'QUEUED',
+        deviceConfig: body.deviceConfig,
+        createdAt: now.toISOString(),
+        createdMs: now.getTime(),
+        tags: body.tags || {},
+        request: body
+      };
+      jobs.set(job.jobName, job);
+      return { jobArn: job.jobArn };
+    },
+    // CLI form: ?filters=state:RUNNING; API form: { filters: [{ name, operator, values }] }
+    searchJobs(query = {}, body = {}) {
+      const filters = body.filters || (query.filters ? [{ name: 'status', operator: 'EQUAL', values: [query.filters.split(':')[1]] }] : []);
+      const matches = [...jobs.values()].map(j => jobView(j, { summary: true })).filter(view =>
+        filters.every(f => compareFilter(view[f.name === 'state' ? 'status' : f.name], f, f.name === 'createdAt'))
+      ).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      const { page, nextToken } = paginate(matches, { maxResults: body.maxResults ?? query.maxResults, nextToken: body.nextToken ?? query.nextToken });
+      return { jobs: page, ...(nextToken ? { nextToken } : {}) };
+    },
+    getJob(id, { queueInfo }) {
+      return jobView(jobByIdOrArn(id), { queueInfo });
+    },
+    cancelJob(id) {
+      const job = advance(jobByIdOrArn(id), JOB_FLOW);
+      if (TERMINAL.includes(job.status)) fail(409, 'ConflictException', `Job ${job.jobName} is already ${job.status}`);
+      job.cancelRequestedAt = job.cancelRequestedAt || Date.now();
+      advance(job, JOB_FLOW);
+      return { jobArn: job.jobArn, cancellationStatus: job.status };
+    },
+
+    // -- tags
+    listTags(arn) {
+      return { tags: taggable(arn).tags };
+    },
+    tagResource(arn, tags = {}) {
+      const resource = taggable(arn);
+      resource.tags = { ...resource.tags, ...tags };
+      return {};
+    },
+    untagResource(arn, keys) {
+      const resource = taggable(arn);
+      [].concat(keys || []).forEach(key => delete resource.tags[key]);
+      return {};
+    },
+
+    // -- CloudWatch Logs: the job log group only
+    describeLogStreams(body = {}) {
+      const streams = logGroup(body.logGroupName)
+        .filter(events => events[0].logStreamName.startsWith(body.logStreamNamePrefix || ''))
+        .map(events => ({
+          logStreamName: events[0].logStreamName,
+          creationTime: events[0].timestamp,
+          firstEventTimestamp: events[0].timestamp,
+          lastEventTimestamp: events.at(-1).timestamp,
+          lastIngestionTime: events.at(-1).ingestionTime
+        }));
+      const { page, nextToken } = paginate(streams, { maxResults: body.limit, nextToken: body.nextToken });
+      return { logStreams: page, ...(nextToken ? { nextToken } : {}) };
+    },
+    getLogEvents(body = {}) {
+      const events = logGroup(body.logGroupName).find(e => e[0].logStreamName === body.logStreamName) || notFound('The specified log stream');
+      const { page } = paginate(events, { maxResults: body.limit, nextToken: body.nextToken });
+      const next = Buffer.from(String(events.length)).toString('base64url');
+      return {
+        events: page.map(({ timestamp, message, ingestionTime }) => ({ timestamp, message, ingestionTime })),
+        nextForwardToken: next,
+        nextBackwardToken: next
+      };
+    },
+    filterLogEvents(body = {}) {
+      const streams = body.logStreamNames || null;
+      const events = logGroup(body.logGroupName).flat()
+        .filter(e => (streams ? streams.includes(e.logStreamName) : e.logStreamName.startsWith(body.logStreamNamePrefix || '')))
+        .filter(e => e.timestamp >= (body.startTime ?? 0) && e.timestamp <= (body.endTime ?? Infinity))
+        .filter(e => matchesFilterPattern(e.message, body.filterPattern))
+        .sort((a, b) => a.timestamp - b.timestamp);
+      const { page, nextToken } = paginate(events, { maxResults: body.limit, nextToken: body.nextToken });
+      return { events: page, ...(nextToken ? { nextToken } : {}) };
+    },
+
+    // -- S3: uploaded objects, and results.json of completed tasks
+    getObject(bucket, key) {
+      const stored = objects.get(`${bucket}/${key}`);
+      if (stored) return stored;
+      const task = [...tasks.values()].find(t => t.outputS3Bucket === bucket && `${t.outputS3Directory}/results.json` === key);
+      if (task && advance(task, TASK_FLOW).result) return Buffer.from(JSON.stringify(task.result));
+      return null;
+    },
+    putObject(bucket, key, body) {
+      objects.set(`${bucket}/${key}`, body);
+    },
+
+    // -- STS: role sessions, whose keys are accepted until the server stops
+    assumeRole(form) {
+      if (!/^arn:aws:iam::\d{12}:role\/.+/.test(form.RoleArn || '')) invalid(`Invalid RoleArn ${form.RoleArn}`);
+      if (!form.RoleSessionName) invalid('RoleSessionName is required');
+      const durationSeconds = parseInt(form.DurationSeconds, 10) || 3600;
+      const session = {
+        AccessKeyId: `ASIA${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+        SecretAccessKey: crypto.randomBytes(20).toString('base64'),
+        SessionToken: crypto.randomBytes(32).toString('base64'),
+        Expiration: new Date(Date.now() + durationSeconds * 1000).toISOString()
+      };
+      credentials[session.AccessKeyId] = session.SecretAccessKey;
+      const [, account, role] = form.RoleArn.match(/^arn:aws:iam::(\d{12}):role\/(.+)$/);
+      return { ...session, AssumedRoleArn: `arn:aws:sts::${account}:assumed-role/${role}/${form.RoleSessionName}` };
+    }
+  };
+}
+
+// ============================================================
+// Routes
+// ============================================================
+//
+// The paths the CLI calls, and the documented Braket paths where they differ
+// (e.g. POST /quantum-task to create, GET /device/{arn}).
+
+const BRAKET_ROUTES = [
+  ['POST', /^\/quantum-tasks?$/, (s, r) => (r.path === '/quantum-task' || r.body?.action ? s.createTask(r.body, r.region) : s.searchTasks(r.body))],
+  ['GET', /^\/quantum-tasks?\/([^/]+)$/, (s, r, [arn]) => s.getTask(arn, { queueInfo: /QueueInfo/.test(r.query.additionalAttributeNames || '') })],
+  ['PUT', /^\/quantum-tasks?\/([^/]+)\/cancel$/, (s, r, [arn]) => s.cancelTask(arn)],
+  ['POST', /^\/devices$/, (s, r) => s.searchDevices(r.body)],
+  ['GET', /^\/devices?\/([^/]+)$/, (s, r, [arn]) => s.getDevice(arn)],
+  ['POST', /^\/jobs?$/, (s, r) => (r.path === '/job' || r.body?.algorithmSpecification ? s.createJob(r.body, r.region) : s.searchJobs(r.query, r.body))],
+  ['GET', /^\/jobs$/, (s, r) => s.searchJobs(r.query)],
+  ['GET', /^\/jobs?\/([^/]+)$/, (s, r, [id]) => s.getJob(id, { queueInfo: /QueueInfo/.test(r.query.additionalAttributeNames || '') })],
+  ['PUT', /^\/jobs?\/([^/]+)\/cancel$/, (s, r, [id]) => s.cancelJob(id)],
+  ['GET', /^\/tags\/([^/]+)$/, (s, r, [arn]) => s.listTags(arn)],
+  ['POST', /^\/tags\/([^/]+)$/, (s, r, [arn]) => s.tagResource(arn, r.body.tags)],
+  ['DELETE', /^\/tags\/([^/]+)$/, (s, r, [arn]) => s.untagResource(arn, r.query.tagKeys)]
+];
+
+function routeBraket(state, request) {
+  for (const [method, pattern, handler] of BRAKET_ROUTES) {
+    const match = request.method === method && request.path.match(pattern);
+    if (match) {
+      const result = handler(state, request, match.slice(1).map(decodeURIComponent));
+      const created = method === 'POST' && (result.quantumTaskArn || result.jobArn);
+      return { status: created ? 201 : 200, body: result };
+    }
+  }
+  return fail(404, 'UnknownOperationException', `No Braket operation for ${request.method} ${request.path}`);
+}
+
+const LOGS_ACTIONS = {
+  DescribeLogStreams: (s, body) => s.describeLogStreams(body),
+  GetLogEvents: (s, body) => s.getLogEvents(body),
+  FilterLogEvents: (s, body) => s.filterLogEvents(body)
+};
+
+// JSON 1.1 protocol: POST / with the action in X-Amz-Target
+function routeLogs(state, request) {
+  const action = String(request.headers['x-amz-target'] || '').replace(/^Logs_20140328\./, '');
+  const handler = LOGS_ACTIONS[action] || fail(400, 'UnknownOperationException', `mock-server does not emulate Logs ${action || request.path}`);
+  return { status: 200, body: handler(state, request.body), headers: { 'content-type': 'application/x-amz-json-1.1' } };
+}
+
+// Query protocol: a form-encoded POST naming the Action, answered in XML
+function routeSts(state, request) {
+  const form = parseQueryString(request.rawBody.toString('utf8'));
+  if (form.Action !== 'AssumeRole') fail(400, 'InvalidAction', `mock-server does not emulate STS ${form.Action || request.path}`);
+  const { AssumedRoleArn, ...session } = state.assumeRole(form);
+  const credentials = Object.entries(session).map(([k, v]) => `<${k}>${v}</${k}>`).join('');
+  return {
+    status: 200,
+    headers: { 'content-type': 'text/xml' },
+    body: '<AssumeRoleResponse xmlns="https://sts.amazonaws.com/doc/2011-06-15/"><AssumeRoleResult>' +
+      `<Credentials>${credentials}</Credentials><AssumedRoleUser><Arn>${AssumedRoleArn}</Arn></AssumedRoleUser>` +
+      '</AssumeRoleResult></AssumeRoleResponse>'
+  };
+}
+
+function routeS3(state, request) {
+  const [, bucket, ...rest] = request.path.split('/');
+  const key = rest.map(decodeURIComponent).join('/');
+  if (request.method === 'PUT') {
+    state.putObject(bucket, key, request.rawBody);
+    return { status: 200, body: '', headers: { etag: `"${crypto.createHash('md5').update(request.rawBody).digest('hex')}"` } };
+  }
+  if (request.method === 'GET') {
+    const object = state.getObject(bucket, key);
+    if (object) return { status: 200, body: object, headers: { 'content-type': 'application/octet-stream' } };
+    return { status: 404, xml: { Code: 'NoSuchKey', Message: 'The specified key does not exist.' } };
+  }
+  return { status: 405, xml: { Code: 'MethodNotAllowed', Message: `${request.method} is not supported by mock-server` } };
+}
+
+// ============================================================
+// SigV4 verification
+// ============================================================
+
+// Written independently of the client's signer in api.js, from the SigV4
+// specification, so that a signing bug in the CLI fails here as it would on AWS.
+
+const AUTHORIZATION_RE = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/([^/]+)\/aws4_request, ?SignedHeaders=([^,]+), ?Signature=([0-9a-f]+)$/;
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+
+// Unreserved characters (A-Z a-z 0-9 - . _ ~) as they are, every other UTF-8 byte as %XX
+function uriEncode(text) {
+  return Array.from(Buffer.from(text, 'utf8'), (byte) => {
+    const char = String.fromCharCode(byte);
+    return /[A-Za-z0-9\-._~]/.test(char) ? char : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+  }).join('');
+}
+
+function uriDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return invalid(`Malformed percent-encoding in '${text}'`);
+  }
+}
+
+// S3 signs each path segment encoded once; every other service encodes the
+// encoded segment again
+function canonicalUriOf(rawPath, service) {
+  const encode = service === 's3' ? uriEncode : (segment) => uriEncode(uriEncode(segment));
+  return (rawPath || '/').split('/').map(segment => encode(uriDecode(segment))).join('/');
+}
+
+// Parameters sorted by encoded name, then encoded value
+function canonicalQueryStringOf(rawQuery = '') {
+  return rawQuery.split('&').filter(Boolean)
+    .map((pair) => {
+      const eq = pair.indexOf('=');
+      const [name, value] = eq < 0 ? [pair, ''] : [pair.slice(0, eq), pair.slice(eq + 1)];
+      return [uriEncode(uriDecode(name)), uriEncode(uriDecode(value))];
+    })
+    .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+function canonicalRequestOf(request, { service, signedHeaders, payloadHash }) {
+  const names = signedHeaders.split(';');
+  const canonicalHeaders = names.map(name => `${name}:${String(request.headers[name] ?? '').trim().replace(/\s+/g, ' ')}\n`).join('');
+  return [
+    request.method,
+    canonicalUriOf(request.rawPath, service),
+    canonicalQueryStringOf(request.rawQuery),
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+}
+
+// Returns the { accessKeyId, region, service } the request was signed for,
+// or throws as AWS would for a missing or wrong signature
+export function verifySignature(request, credentials) {
+  const match = String(request.headers.authorization || '').match(AUTHORIZATION_RE);
+  if (!match) fail(403, 'MissingAuthenticationTokenException', 'Missing Authentication Token');
+  const [, accessKeyId, dateStamp, region, service, signedHeaders, signature] = match;
+  const secretAccessKey = credentials[accessKeyId];
+  if (!secretAccessKey) fail(403, 'UnrecognizedClientException', 'The security token included in the request is invalid.');
+
+  const amzDate = request.headers['x-amz-date'] || '';
+  if (!amzDate.startsWith(dateStamp)) fail(403, 'InvalidSignatureException', 'Date in Credential scope does not match x-amz-date');
+  if (!signedHeaders.split(';').includes('host')) fail(403, 'InvalidSignatureException', "'Host' must be a signed header.");
+  const contentHash = sha256(request.rawBody);
+  const declared = request.headers['x-amz-content-sha256'];
+  if (declared && declared !== 'UNSIGNED-PAYLOAD' && declared !== contentHash) {
+    fail(400, 'XAmzContentSHA256Mismatch', 'The provided x-amz-content-sha256 header does not match what was computed.');
+  }
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const canonicalRequest = canonicalRequestOf(request, { service, signedHeaders, payloadHash: declared || contentHash });
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [dateStamp, region, service, 'aws4_request'].reduce(hmac, `AWS4${secretAccessKey}`);
+  const expected = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+  if (expected.length !== signature.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    fail(403, 'InvalidSignatureException', 'The request signature we calculated does not match the signature you provided.');
+  }
+  return { accessKeyId, region, service };
+}
+
+function scopeOf(request) {
+  const match = String(request.headers.authorization || '').match(AUTHORIZATION_RE);
+  return match ? { region: match[3], service: match[4] } : {};
+}
+
+// ============================================================
+// Record and replay
+// ============================================================
+//
+// Fixtures are one JSON file per exchange, numbered in the order they were
+// recorded: { request: { service, method, path, query, body }, response:
+// { status, headers, body } }. Replay matches on everything but the request's
+// clientToken, and answers repeated requests with successive recordings (the
+// last one repeating), so polling sees the same status progression.
+
+const RECORDED_HEADERS = ['content-type', 'x-amzn-errortype', 'x-amzn-requestid', 'x-amz-request-id', 'etag'];
+
+function bodyForFixture(raw) {
+  if (!raw.length) return undefined;
+  const text = raw.toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch {
+    return Buffer.from(text, 'utf8').equals(raw) ? text : { sha256: sha256(raw) };
+  }
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.keys(value).sort().map(k => [k, sortKeys(value[k])]));
+  return value;
+}
+
+function fixtureKey({ service, method, path: requestPath, query, body }) {
+  const normalized = body && typeof body === 'object' && !body.sha256 ? (({ clientToken, ...rest }) => rest)(body) : body;
+  return [service, method, requestPath, canonicalQueryOf(query || {}), JSON.stringify(sortKeys(normalized ?? null))].join(' ');
+}
+
+function isExpiredResponse({ status, headers, data }) {
+  if (status !== 400 && status !== 403) return false;
+  return /ExpiredToken|RequestExpired/.test(`${headers['x-amzn-errortype'] || ''} ${Buffer.from(data).toString('utf8', 0, 2048)}`);
+}
+
+function createRecorder(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  let sequence = fs.readdirSync(dir).filter(f => f.endsWith('.json')).length;
+
+  // S3 goes path-style to the regional endpoint, everything else to <service>.<region>
+  async function sendSigned(request, { service, region }, credentials) {
+    const host = `${service}.${region}.amazonaws.com`.replace(/^s3\.us-east-1\./, 's3.');
+    const extraHeaders = request.headers['x-amz-target'] ? { 'x-amz-target': request.headers['x-amz-target'] } : {};
+    const { endpoint, headers, bodyStr } = signedRequest({
+      method: request.method,
+      path: request.rawPath,
+      body: request.rawBody.length ? request.rawBody : null,
+      query: request.query,
+      region,
+      service,
+      host,
+      contentType: request.headers['content-type'] || 'application/json',
+      extraHeaders,
+      ...credentials
+    });
+    return axios({
+      method: request.method,
+      url: endpoint,
+      headers,
+      data: bodyStr || undefined,
+      responseType: 'arraybuffer',
+      validateStatus: () => true
+    });
+  }
+
+  // The credential chain caches and renews expiring credentials; an
+  // ExpiredToken answer (e.g. a session revoked early) forces a refresh and
+  // the request is sent once more.
+  async function credentialsFor({ forceRefresh = false } = {}) {
+    const credentials = await resolveCredentials({ forceRefresh });
+    return credentials || fail(500, 'MockRecordError', 'mock-server --record needs AWS credentials to forward requests');
+  }
+
+  return async function forward(request, scope) {
+    let response = await sendSigned(request, scope, await credentialsFor());
+    if (isExpiredResponse(response)) response = await sendSigned(request, scope, await credentialsFor({ forceRefresh: true }));
+    const { service } = scope;
+    const raw = Buffer.from(response.data);
+    const responseHeaders = Object.fromEntries(RECORDED_HEADERS.filter(h => response.headers[h]).map(h => [h, response.headers[h]]));
+    sequence++;
+    const slug = `${request.method}-${service}-${request.path}`.replace(/[^a-zA-Z0-9-]+/g, '_').slice(0, 80);
+    const fixture = {
+      request: { service, method: request.method, path: request.path, query: request.query, body: bodyForFixture(request.rawBody) },
+      response: { status: response.status, headers: responseHeaders, body: bodyForFixture(raw) ?? '' }
+    };
+    fs.writeFileSync(path.join(dir, `${String(sequence).padStart(4, '0')}-${slug}.json`), JSON.stringify(fixture, null, 2));
+    return { status: response.status, body: raw, headers: responseHeaders };
+  };
+}
+
+function createReplayer(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  } catch (error) {
+    throw new Error(`Cannot read fixtures from ${dir}: ${error.message}`);
+  }
+  const queues = new Map();
+  for (const file of files) {
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const key = fixtureKey(fixture.request);
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(fixture.response);
+  }
+
+  return function replay(request, { service }) {
+    const key = fixtureKey({ service, method: request.method, path: request.path, query: request.query, body: bodyForFixture(request.rawBody) });
+    const queue = queues.get(key);
+    if (!queue) fail(404, 'MockReplayMiss', `No recorded exchange for ${request.method} ${request.path} (${service})`);
+    const response = queue.length > 1 ? queue.shift() : queue[0];
+    const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+    return { status: response.status, body, headers: response.headers || {} };
+  };
+}
+
+export function countFixtures(dir) {
+  try {
+    return fs.readdirSync(dir).filter(f => f.endsWith('.json')).length;
+  } catch {
+    return 0;
+  }
+}
+
+// ============================================================
+// Server
+// ============================================================
+
+function send(res, { status, body, headers = {}, xml }) {
+  if (xml) {
+    res.writeHead(status, { 'content-type': 'application/xml', ...headers });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>\n<Error>${Object.entries(xml).map(([k, v]) => `<${k}>${v}</${k}>`).join('')}</Error>`);
+    return;
+  }
+  const payload = Buffer.isBuffer(body) || typeof body === 'string' ? body : JSON.stringify(body);
+  res.writeHead(status, { 'content-type': 'application/json', 'x-amzn-requestid': crypto.randomUUID(), ...headers });
+  res.end(payload);
+}
+
+function sendError(res, error, service) {
+  if (service === 's3' || service === 'sts') {
+    send(res, { status: error.status || 500, xml: { Code: error.type || 'InternalError', Message: error.message } });
+    return;
+  }
+  send(res, {
+    status: error.status || 500,
+    headers: { 'x-amzn-errortype': error.type || 'InternalServiceException' },
+    body: { message: error.message, __type: error.type || 'InternalServiceException' }
+  });
+}
+
+// Starts the server and resolves with it once listening. `credentials` maps
+// access key ids to secrets accepted when `verify` is on; `log(line)` is
+// called once per request.
+export function startMockServer({
+  port = 4010, host = '127.0.0.1', credentials = { test: 'test' }, verify = true, transitionMs = 1000,
+  devices, record, replay, region: defaultRegion = 'us-east-1', log = () => {}
+} = {}) {
+  const accepted = { ...credentials };
+  const state = createState({ devices, transitionMs, credentials: accepted });
+  const forward = record ? createRecorder(record) : null;
+  const replayer = replay ? createReplayer(replay) : null;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const [rawPath, rawQuery] = req.url.split('?');
+      const request = {
+        method: req.method,
+        rawPath,
+        path: rawPath,
+        rawQuery,
+        query: parseQueryString(rawQuery),
+        headers: req.headers,
+        rawBody: Buffer.concat(chunks)
+      };
+      let { service = 'braket', region = defaultRegion } = scopeOf(request);
+      let response;
+      try {
+        if (verify) ({ service, region } = verifySignature(request, accepted));
+        request.region = region;
+        if (forward) response = await forward(request, { service, region });
+        else if (replayer) response = replayer(request, { service });
+        else if (service === 's3') response = routeS3(state, request);
+        else if (service === 'sts') response = routeSts(state, request);
+        else if (service === 'braket' || service === 'logs') {
+          try {
+            request.body = request.rawBody.length ? JSON.parse(request.rawBody.toString('utf8')) : {};
+          } catch {
+            invalid('Request body is not valid JSON');
+          }
+          response = service === 'logs' ? routeLogs(state, request) : routeBraket(state, request);
+        } else {
+          fail(400, 'UnknownOperationException', `mock-server does not emulate the ${service} service`);
+        }
+        send(res, response);
+      } catch (error) {
+        const mockError = error instanceof MockError ? error : new MockError(500, 'InternalServiceException', error.message);
+        response = { status: mockError.status };
+        sendError(res, mockError, service);
+      }
+      log({ method: req.method, path: rawPath, service, status: response?.status ?? 500 });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
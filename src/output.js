@@ -0,0 +1,194 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import YAML from 'yaml';
+import { ValidationError } from './api.js';
+import { applyQuery } from './query.js';
+
+// ============================================================
+// Output settings
+// ============================================================
+//
+// Every command renders through emit(): `--output table|json|jsonl|csv|tsv|yaml`,
+// `--query` (applied to the data --output json would print) and `--columns`
+// work the same everywhere. Command-level flags win over the global ones.
+
+export const OUTPUT_FORMATS = ['table', 'json', 'jsonl', 'csv', 'tsv', 'yaml'];
+
+const settings = { format: undefined, query: undefined };
+
+const interactive = () => Boolean(process.stdout.isTTY);
+
+// Color is off with --no-color, NO_COLOR, or when stdout is not a terminal
+// (FORCE_COLOR still forces it on).
+export function configureOutput({ format, query, color } = {}) {
+  if (format !== undefined) settings.format = format;
+  if (query !== undefined) settings.query = query;
+  const noColor = color === false || Boolean(process.env.NO_COLOR) || (!interactive() && !process.env.FORCE_COLOR);
+  if (noColor) chalk.level = 0;
+}
+
+export function outputFormat(options = {}) {
+  const format = options.output || (options.json ? 'json' : options.csv ? 'csv' : settings.format) || 'table';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ValidationError(`Unknown output format '${format}' (use ${OUTPUT_FORMATS.join(', ')})`, { code: 'InvalidOutputFormat' });
+  }
+  return format;
+}
+
+// True when output is meant for programs (anything but the table view)
+export function isStructured(options = {}) {
+  try {
+    return outputFormat(options) !== 'table';
+  } catch {
+    return false;
+  }
+}
+
+// The ora spinner, silenced when stderr is not a terminal (CI logs, pipes)
+export function createSpinner(message) {
+  return ora({ text: message, isSilent: !process.stderr.isTTY });
+}
+
+// ============================================================
+// Printing
+// ============================================================
+
+export function printSuccess(message) {
+  console.log(chalk.green('✓') + ' ' + message);
+}
+
+export function printError(message) {
+  console.error(chalk.red('✗') + ' ' + message);
+}
+
+export function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+export function printTable(data, columns) {
+  if (!data || data.length === 0) {
+    console.log(chalk.yellow('No results found.'));
+    return;
+  }
+
+  const widths = {};
+  columns.forEach(col => {
+    widths[col.key] = col.label.length;
+    data.forEach(row => {
+      const val = String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
+      if (val.length > widths[col.key]) widths[col.key] = val.length;
+    });
+    widths[col.key] = Math.min(widths[col.key], 50);
+  });
+
+  const header = columns.map(col => col.label.padEnd(widths[col.key])).join('  ');
+  console.log(chalk.bold(chalk.cyan(header)));
+  console.log(chalk.dim('─'.repeat(header.length)));
+
+  data.forEach(row => {
+    const line = columns.map(col => {
+      const val = String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
+      return val.substring(0, widths[col.key]).padEnd(widths[col.key]);
+    }).join('  ');
+    console.log(line);
+  });
+
+  console.log(chalk.dim(`\n${data.length} result(s)`));
+}
+
+// ============================================================
+// Columns
+// ============================================================
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Reads `a.b.c` paths so --columns can reach nested fields (e.g. queueInfo.position)
+function getPath(row, key) {
+  return String(key).split('.').reduce((v, part) => (isObject(v) ? v[part] : undefined), row);
+}
+
+function plain(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+function rawColumn(key) {
+  return { key, label: key, value: (row) => getPath(row, key), format: (v, row) => plain(getPath(row, key)) };
+}
+
+// Picks columns by a comma-separated list of keys, labels or aliases; names
+// that match no predefined column show the raw field (or dotted path).
+export function selectColumns(available, spec) {
+  if (!spec) return available;
+  const normalize = (s) => s.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return String(spec).split(',').map(n => n.trim()).filter(Boolean).map(name =>
+    available.find(col => [col.key, col.label, ...(col.aliases || [])].some(n => normalize(n) === normalize(name))) ||
+    rawColumn(name)
+  );
+}
+
+function inferColumns(rows) {
+  const keys = [];
+  rows.filter(isObject).forEach(row => Object.keys(row).forEach(k => keys.includes(k) || keys.push(k)));
+  return keys.map(rawColumn);
+}
+
+// ============================================================
+// Formats
+// ============================================================
+
+function delimitedCell(value, delimiter) {
+  const str = String(plain(value));
+  if (delimiter === '\t') return str.replace(/[\t\r\n]+/g, ' ');
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function printDelimited(rows, columns, delimiter) {
+  if (!rows.every(isObject)) {
+    rows.forEach(v => console.log(delimitedCell(v, delimiter)));
+    return;
+  }
+  console.log(columns.map(col => delimitedCell(col.key, delimiter)).join(delimiter));
+  for (const row of rows) {
+    console.log(columns.map(col => delimitedCell(col.value ? col.value(row) : row[col.key], delimiter)).join(delimiter));
+  }
+}
+
+// Renders `data` in the selected format. `columns` are the command's table
+// column definitions and `defaultColumns` the ones shown without --columns.
+// Returns false when the command should draw its own table view instead (table
+// format, no --query/--columns, and no column definitions given).
+export function emit(data, options = {}, { columns, defaultColumns } = {}) {
+  const format = outputFormat(options);
+  const query = options.query !== undefined ? options.query : settings.query;
+  const value = query ? applyQuery(data, query) : data;
+
+  if (format === 'json') { printJson(value); return true; }
+  if (format === 'yaml') { process.stdout.write(YAML.stringify(value)); return true; }
+  if (format === 'jsonl') {
+    (Array.isArray(value) ? value : [value]).forEach(item => console.log(JSON.stringify(item)));
+    return true;
+  }
+
+  const rows = Array.isArray(value) ? value : [value];
+  let tableColumns;
+  if (options.columns) tableColumns = selectColumns(columns || [], options.columns);
+  else if (columns && !query) tableColumns = selectColumns(columns, defaultColumns);
+  else tableColumns = inferColumns(rows);
+
+  if (format === 'csv' || format === 'tsv') {
+    printDelimited(rows, tableColumns, format === 'tsv' ? '\t' : ',');
+    return true;
+  }
+
+  if (!query && !options.columns && !columns) return false;
+  if (!rows.every(isObject)) {
+    rows.forEach(v => console.log(plain(v)));
+  } else if (!Array.isArray(value) && !options.columns) {
+    const width = Math.max(...Object.keys(value).map(k => k.length), 0);
+    Object.entries(value).forEach(([k, v]) => console.log(`${k.padEnd(width)}  ${plain(v)}`));
+  } else {
+    printTable(rows, tableColumns);
+  }
+  return true;
+}
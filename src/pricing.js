@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfig, setConfig, getConfigDir } from './config.js';
+import { BudgetExceededError, ValidationError } from './api.js';
+import { isLocalDevice } from './local.js';
+
+// ============================================================
+// Pricing table
+// ============================================================
+//
+// Default on-demand prices in USD. Prices change: `config pricing --import`
+// merges a JSON file of the same shape into <configDir>/pricing.json, which
+// takes precedence over these defaults.
+
+export const DEFAULT_PRICING = {
+  currency: 'USD',
+  qpu: {
+    ionq: { perTask: 0.30, perShot: 0.03, devices: { 'Forte-1': { perShot: 0.08 }, 'Forte-Enterprise-1': { perShot: 0.08 } } },
+    rigetti: { perTask: 0.30, perShot: 0.0009 },
+    iqm: { perTask: 0.30, perShot: 0.00145, devices: { Emerald: { perShot: 0.0016 } } },
+    quera: { perTask: 0.30, perShot: 0.01 },
+    aqt: { perTask: 0.30, perShot: 0.0235 },
+    oqc: { perTask: 0.30, perShot: 0.00035 }
+  },
+  // Managed simulators bill per minute of simulation, with a minimum duration
+  simulators: {
+    sv1: { perMinute: 0.075 },
+    dm1: { perMinute: 0.075 },
+    tn1: { perMinute: 0.275 }
+  },
+  simulatorMinimumSeconds: 3,
+  // Hybrid job instances, per instance-hour
+  jobInstances: {
+    'ml.m5.large': 0.115,
+    'ml.m5.xlarge': 0.23,
+    'ml.m5.2xlarge': 0.461,
+    'ml.m5.4xlarge': 0.922,
+    'ml.c5.xlarge': 0.204,
+    'ml.c5.2xlarge': 0.408,
+    'ml.p3.2xlarge': 4.284,
+    'ml.g4dn.xlarge': 0.736
+  }
+};
+
+export function pricingFile() {
+  return path.join(getConfigDir(), 'pricing.json');
+}
+
+function isPlainObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+}
+
+function readOverrides() {
+  try {
+    return JSON.parse(fs.readFileSync(pricingFile(), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+export function loadPricing() {
+  return deepMerge(DEFAULT_PRICING, readOverrides());
+}
+
+// Merges `table` into the local pricing overrides and returns the result
+export function importPricing(table) {
+  if (!isPlainObject(table)) throw new ValidationError('Pricing table must be a JSON object', { code: 'InvalidPricing' });
+  const merged = deepMerge(readOverrides(), table);
+  fs.mkdirSync(path.dirname(pricingFile()), { recursive: true });
+  fs.writeFileSync(pricingFile(), JSON.stringify(merged, null, 2));
+  return loadPricing();
+}
+
+export function resetPricing() {
+  fs.rmSync(pricingFile(), { force: true });
+}
+
+// ============================================================
+// Estimates
+// ============================================================
+
+// arn:aws:braket:<region>::device/<qpu|quantum-simulator>/<provider>/<name>
+function parseDeviceArn(deviceArn) {
+  const m = String(deviceArn).match(/device\/(qpu|quantum-simulator)\/([^/]+)\/([^/]+)$/);
+  if (!m) return null;
+  return { kind: m[1] === 'qpu' ? 'qpu' : 'simulator', provider: m[2].toLowerCase(), name: m[3] };
+}
+
+const round = (usd) => Math.round(usd * 10000) / 10000;
+
+// Estimates the cost of `tasks` quantum tasks of `shots` shots each. For
+// managed simulators `minutes` is the expected simulation time per task
+// (defaults to the minimum billed duration). Returns { total, lines[], known }.
+export function estimateTaskCost({ deviceArn, shots, tasks = 1, minutes }, pricing = loadPricing()) {
+  const lines = [];
+  const line = (label, amount) => lines.push({ label, amount: round(amount) });
+
+  if (isLocalDevice(deviceArn)) {
+    line('Local simulation', 0);
+    return { deviceArn, total: 0, currency: pricing.currency, lines, known: true };
+  }
+
+  const device = parseDeviceArn(deviceArn);
+  if (device?.kind === 'qpu' && pricing.qpu[device.provider]) {
+    const provider = pricing.qpu[device.provider];
+    const rates = { ...provider, ...provider.devices?.[device.name] };
+    line(`Per-task fee (${tasks} × $${rates.perTask})`, tasks * rates.perTask);
+    line(`Per-shot fee (${tasks * shots} shots × $${rates.perShot})`, tasks * shots * rates.perShot);
+  } else if (device?.kind === 'simulator' && pricing.simulators[device.name]) {
+    const { perMinute } = pricing.simulators[device.name];
+    const billed = Math.max(minutes ?? 0, pricing.simulatorMinimumSeconds / 60);
+    line(`Simulation time (${tasks} × ${billed.toFixed(2)} min × $${perMinute}/min)`, tasks * billed * perMinute);
+  } else {
+    return { deviceArn, total: null, currency: pricing.currency, lines, known: false };
+  }
+
+  const total = round(lines.reduce((sum, l) => sum + l.amount, 0));
+  return { deviceArn, total, currency: pricing.currency, lines, known: true };
+}
+
+// Estimates a hybrid job's instance cost; QPU tasks the job submits are billed
+// separately and are not included.
+export function estimateJobCost({ instanceType, instanceCount = 1, hours = 1 }, pricing = loadPricing()) {
+  const hourly = pricing.jobInstances[instanceType];
+  if (hourly === undefined) return { total: null, currency: pricing.currency, lines: [], known: false };
+  const amount = round(instanceCount * hours * hourly);
+  return {
+    total: amount,
+    currency: pricing.currency,
+    lines: [{ label: `${instanceType} (${instanceCount} × ${hours} h × $${hourly}/h)`, amount }],
+    known: true
+  };
+}
+
+// ============================================================
+// Budgets
+// ============================================================
+//
+// Budgets are config keys: budgetPerCommand caps a single submission and
+// budgetMonthly caps the estimated spend recorded by this CLI per calendar
+// month (kept in the `spend` config key).
+
+function monthKey(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+export function monthToDateSpend() {
+  return getConfig('spend')?.[monthKey()] || 0;
+}
+
+export function recordSpend(amount) {
+  if (!amount) return;
+  const spend = getConfig('spend') || {};
+  const key = monthKey();
+  spend[key] = round((spend[key] || 0) + amount);
+  setConfig('spend', spend);
+}
+
+// A null budget (left by an unparseable `config set` in older versions) counts as unset
+export function budgetStatus(estimate) {
+  const perCommand = getConfig('budgetPerCommand') ?? undefined;
+  const monthly = getConfig('budgetMonthly') ?? undefined;
+  const spent = monthToDateSpend();
+  return { perCommand, monthly, spent, remaining: monthly !== undefined ? round(monthly - spent) : undefined, estimate: estimate?.total };
+}
+
+// Throws BudgetExceededError when the estimate breaks a configured budget.
+// Unpriced devices pass, since there is nothing to compare.
+export function checkBudget(estimate) {
+  if (!estimate?.known || !estimate.total) return;
+  const { perCommand, monthly, spent } = budgetStatus(estimate);
+  const usd = (n) => `$${n.toFixed(2)}`;
+  if (perCommand !== undefined && estimate.total > perCommand) {
+    throw new BudgetExceededError(
+      `Estimated cost ${usd(estimate.total)} exceeds the per-command budget of ${usd(perCommand)}; pass --force to submit anyway`,
+      { code: 'BudgetExceeded' }
+    );
+  }
+  if (monthly !== undefined && spent + estimate.total > monthly) {
+    throw new BudgetExceededError(
+      `Estimated cost ${usd(estimate.total)} would bring this month's spend to ${usd(spent + estimate.total)}, over the monthly budget of ${usd(monthly)}; pass --force to submit anyway`,
+      { code: 'BudgetExceeded' }
+    );
+  }
+}
@@ -0,0 +1,529 @@
+// ============================================================
+// OpenQASM 3 subset parser
+// ============================================================
+//
+// Covers what Braket programs use in practice: qubit/bit/input declarations,
+// standard and parametric gates (with ctrl/negctrl/inv/pow modifiers), custom
+// `gate` definitions, measurement, reset, barrier, verbatim boxes and
+// `#pragma braket ...` result/noise pragmas. Errors are collected with line
+// numbers instead of thrown, so callers can report every problem at once.
+
+// Braket gate names with their parameter and qubit counts
+export const GATES = {
+  i: { params: 0, qubits: 1 },
+  h: { params: 0, qubits: 1 },
+  x: { params: 0, qubits: 1 },
+  y: { params: 0, qubits: 1 },
+  z: { params: 0, qubits: 1 },
+  s: { params: 0, qubits: 1 },
+  si: { params: 0, qubits: 1 },
+  t: { params: 0, qubits: 1 },
+  ti: { params: 0, qubits: 1 },
+  v: { params: 0, qubits: 1 },
+  vi: { params: 0, qubits: 1 },
+  rx: { params: 1, qubits: 1 },
+  ry: { params: 1, qubits: 1 },
+  rz: { params: 1, qubits: 1 },
+  phaseshift: { params: 1, qubits: 1 },
+  gpi: { params: 1, qubits: 1 },
+  gpi2: { params: 1, qubits: 1 },
+  prx: { params: 2, qubits: 1 },
+  u: { params: 3, qubits: 1 },
+  cnot: { params: 0, qubits: 2 },
+  cy: { params: 0, qubits: 2 },
+  cz: { params: 0, qubits: 2 },
+  cv: { params: 0, qubits: 2 },
+  ecr: { params: 0, qubits: 2 },
+  swap: { params: 0, qubits: 2 },
+  iswap: { params: 0, qubits: 2 },
+  pswap: { params: 1, qubits: 2 },
+  xy: { params: 1, qubits: 2 },
+  xx: { params: 1, qubits: 2 },
+  yy: { params: 1, qubits: 2 },
+  zz: { params: 1, qubits: 2 },
+  cphaseshift: { params: 1, qubits: 2 },
+  cphaseshift00: { params: 1, qubits: 2 },
+  cphaseshift01: { params: 1, qubits: 2 },
+  cphaseshift10: { params: 1, qubits: 2 },
+  ms: { params: 3, qubits: 2 },
+  ccnot: { params: 0, qubits: 3 },
+  cswap: { params: 0, qubits: 3 }
+};
+
+// stdgates.inc / OpenQASM 2 spellings mapped to Braket names
+export const GATE_ALIASES = {
+  id: 'i',
+  cx: 'cnot',
+  ccx: 'ccnot',
+  sdg: 'si',
+  tdg: 'ti',
+  sx: 'v',
+  sxdg: 'vi',
+  p: 'phaseshift',
+  cp: 'cphaseshift',
+  U: 'u',
+  u3: 'u'
+};
+
+export const RESULT_TYPES = ['probability', 'expectation', 'variance', 'sample', 'state_vector', 'density_matrix', 'amplitude'];
+
+const MODIFIER_RE = /^(ctrl|negctrl|inv|pow)\s*(?:\(([^)]*)\))?\s*@\s*/;
+const IDENT = '[A-Za-z_][A-Za-z0-9_]*';
+
+// ============================================================
+// Expressions
+// ============================================================
+
+const CONSTANTS = { pi: Math.PI, 'π': Math.PI, tau: 2 * Math.PI, 'τ': 2 * Math.PI, euler: Math.E, 'ℇ': Math.E };
+const FUNCTIONS = {
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, arcsin: Math.asin, arccos: Math.acos, arctan: Math.atan,
+  exp: Math.exp, log: Math.log, sqrt: Math.sqrt, abs: Math.abs
+};
+
+function tokenizeExpression(expr) {
+  const tokens = [];
+  const re = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_πτℇ][A-Za-z0-9_]*)|(\*\*|[-+*/()^]))/y;
+  let pos = 0;
+  while (pos < expr.length) {
+    if (/^\s*$/.test(expr.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(expr);
+    if (!m) throw new Error(`unexpected '${expr.slice(pos).trim()[0]}' in expression '${expr}'`);
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'id', value: m[2] });
+    else tokens.push({ type: 'op', value: m[3] === '**' ? '^' : m[3] });
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+// Evaluates a numeric parameter expression such as `pi/2`, `-theta*2` or
+// `cos(phi)`, resolving identifiers from `variables` (bound inputs).
+export function evaluateExpression(expr, variables = {}) {
+  const tokens = tokenizeExpression(String(expr));
+  let i = 0;
+  const peek = () => tokens[i];
+  const take = (value) => {
+    const t = tokens[i];
+    if (!t || (value && t.value !== value)) throw new Error(`expected '${value}' in expression '${expr}'`);
+    i++;
+    return t;
+  };
+
+  function primary() {
+    const t = take();
+    if (t.type === 'num') return t.value;
+    if (t.type === 'op' && t.value === '(') {
+      const v = additive();
+      take(')');
+      return v;
+    }
+    if (t.type === 'op' && (t.value === '-' || t.value === '+')) {
+      const v = power();
+      return t.value === '-' ? -v : v;
+    }
+    if (t.type === 'id') {
+      if (FUNCTIONS[t.value] && peek()?.value === '(') {
+        take('(');
+        const v = additive();
+        take(')');
+        return FUNCTIONS[t.value](v);
+      }
+      if (t.value in CONSTANTS) return CONSTANTS[t.value];
+      if (t.value in variables) return Number(variables[t.value]);
+      throw new Error(`unbound identifier '${t.value}'`);
+    }
+    throw new Error(`unexpected '${t.value}' in expression '${expr}'`);
+  }
+
+  function power() {
+    const base = primary();
+    if (peek()?.value === '^') {
+      take('^');
+      return base ** power();
+    }
+    return base;
+  }
+
+  function multiplicative() {
+    let v = power();
+    while (peek()?.value === '*' || peek()?.value === '/') {
+      const op = take().value;
+      const rhs = power();
+      v = op === '*' ? v * rhs : v / rhs;
+    }
+    return v;
+  }
+
+  function additive() {
+    let v = multiplicative();
+    while (peek()?.value === '+' || peek()?.value === '-') {
+      const op = take().value;
+      const rhs = multiplicative();
+      v = op === '+' ? v + rhs : v - rhs;
+    }
+    return v;
+  }
+
+  const value = additive();
+  if (i < tokens.length) throw new Error(`unexpected '${tokens[i].value}' in expression '${expr}'`);
+  return value;
+}
+
+// Identifiers referenced by an expression, other than constants and functions
+export function expressionIdentifiers(expr) {
+  try {
+    return tokenizeExpression(String(expr))
+      .filter(t => t.type === 'id' && !(t.value in CONSTANTS) && !(t.value in FUNCTIONS))
+      .map(t => t.value);
+  } catch {
+    return [];
+  }
+}
+
+// ============================================================
+// Lexing into statements
+// ============================================================
+
+function stripBlockComments(source) {
+  // Keep newlines so line numbers stay accurate
+  return source.replace(/\/\*[\s\S]*?\*\//g, (m) => m.replace(/[^\n]/g, ' '));
+}
+
+// Splits source into { text, line } statements. Statements end at ';', '{' or
+// '}', except pragmas, which run to the end of their line.
+function splitStatements(source) {
+  const statements = [];
+  const lines = stripBlockComments(source).split('\n');
+  let buffer = '';
+  let startLine = 0;
+
+  const flush = (text, line) => {
+    const trimmed = text.trim();
+    if (trimmed) statements.push({ text: trimmed, line });
+  };
+
+  lines.forEach((raw, idx) => {
+    const lineNo = idx + 1;
+    const line = raw.replace(/\/\/.*$/, '');
+    if (/^\s*#pragma\b/.test(line)) {
+      if (buffer.trim()) {
+        statements.push({ text: buffer.trim(), line: startLine, unterminated: true });
+        buffer = '';
+      }
+      flush(line, lineNo);
+      return;
+    }
+    // A buffered statement that looks complete followed by a line that starts
+    // a new one almost always means a forgotten ';'
+    if (buffer.trim() && !/[,(=+\-*/@^[]\s*$/.test(buffer) && /^\s*[A-Za-z_$]/.test(line)) {
+      statements.push({ text: buffer.trim(), line: startLine, unterminated: true });
+      buffer = '';
+    }
+    for (let c = 0; c < line.length; c++) {
+      const ch = line[c];
+      if (!buffer.trim()) startLine = lineNo;
+      if (ch === ';') {
+        flush(buffer, startLine);
+        buffer = '';
+      } else if (ch === '{' || ch === '}') {
+        flush(buffer + ch, startLine);
+        buffer = '';
+      } else {
+        buffer += ch;
+      }
+    }
+    buffer += '\n';
+  });
+  if (buffer.trim()) statements.push({ text: buffer.trim(), line: startLine, unterminated: true });
+  return statements;
+}
+
+function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '(' || ch === '[') depth++;
+    if (ch === ')' || ch === ']') depth--;
+    if (ch === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// ============================================================
+// Parser
+// ============================================================
+
+export function parseQasm(source) {
+  const program = {
+    version: null,
+    qubitRegisters: [],
+    bitRegisters: [],
+    inputs: [],
+    customGates: {},
+    operations: [],
+    measurements: [],
+    results: [],
+    pragmas: [],
+    usesPhysicalQubits: false,
+    qubitCount: 0,
+    errors: []
+  };
+  const error = (line, message) => program.errors.push({ line, message });
+  const statements = splitStatements(source);
+
+  let qubitOffset = 0;
+  let inVerbatim = false;
+  let pendingVerbatim = false;
+  let gateDefinition = null;
+
+  const register = (name) => program.qubitRegisters.find(r => r.name === name);
+
+  // Resolves `q[1]`, `q` (whole register), `q[0:2]` or `$3` into qubit indices
+  const resolveOperand = (operand, line, formals) => {
+    operand = operand.trim();
+    if (formals) {
+      if (!formals.includes(operand)) error(line, `unknown qubit argument '${operand}' in gate definition`);
+      return [operand];
+    }
+    const physical = operand.match(/^\$(\d+)$/);
+    if (physical) {
+      program.usesPhysicalQubits = true;
+      const index = parseInt(physical[1]);
+      program.qubitCount = Math.max(program.qubitCount, index + 1);
+      return [index];
+    }
+    const m = operand.match(new RegExp(`^(${IDENT})\\s*(?:\\[\\s*(\\d+)\\s*(?::\\s*(\\d+)\\s*)?\\])?$`));
+    if (!m) {
+      error(line, `invalid qubit operand '${operand}'`);
+      return [];
+    }
+    const reg = register(m[1]);
+    if (!reg) {
+      error(line, `undeclared qubit register '${m[1]}'`);
+      return [];
+    }
+    if (m[2] === undefined) return Array.from({ length: reg.size }, (_, k) => reg.offset + k);
+    const start = parseInt(m[2]);
+    const end = m[3] !== undefined ? parseInt(m[3]) : start;
+    if (end >= reg.size) {
+      error(line, `qubit index ${end} out of range for '${reg.name}' (size ${reg.size})`);
+      return [];
+    }
+    return Array.from({ length: end - start + 1 }, (_, k) => reg.offset + start + k);
+  };
+
+  const parseGateCall = (text, line, formals) => {
+    const modifiers = [];
+    let rest = text;
+    let mod;
+    while ((mod = rest.match(MODIFIER_RE))) {
+      modifiers.push({ type: mod[1], arg: mod[2]?.trim() });
+      rest = rest.slice(mod[0].length);
+    }
+    const m = rest.match(new RegExp(`^(${IDENT})\\s*(?:\\(([^]*?)\\))?\\s+([^]+)$`));
+    if (!m) {
+      error(line, `could not parse statement '${text}'`);
+      return [];
+    }
+    const rawName = m[1];
+    const name = GATE_ALIASES[rawName] || rawName;
+    const params = m[2] !== undefined ? splitTopLevel(m[2]) : [];
+    const custom = program.customGates[name];
+    const spec = GATES[name] || (custom && { params: custom.params.length, qubits: custom.qubits.length });
+    if (!spec) {
+      error(line, `unknown gate '${rawName}'`);
+      return [];
+    }
+    if (params.length !== spec.params) {
+      error(line, `gate '${rawName}' takes ${spec.params} parameter(s), got ${params.length}`);
+    }
+    for (const p of params) {
+      try {
+        tokenizeExpression(p);
+      } catch (e) {
+        error(line, e.message);
+      }
+    }
+    const controls = modifiers
+      .filter(x => x.type === 'ctrl' || x.type === 'negctrl')
+      .reduce((n, x) => n + (x.arg ? parseInt(x.arg) : 1), 0);
+    const operands = splitTopLevel(m[3]).map(o => resolveOperand(o, line, formals));
+    if (operands.some(o => !o.length)) return [];
+    const expected = spec.qubits + controls;
+    if (operands.length !== expected) {
+      error(line, `gate '${rawName}' expects ${expected} qubit operand(s), got ${operands.length}`);
+      return [];
+    }
+
+    // Broadcast gates applied to whole registers, e.g. `h q;`
+    const width = Math.max(...operands.map(o => o.length));
+    if (operands.some(o => o.length !== 1 && o.length !== width)) {
+      error(line, `mismatched register sizes in '${text}'`);
+      return [];
+    }
+    const calls = [];
+    for (let k = 0; k < width; k++) {
+      const targets = operands.map(o => o.length === 1 ? o[0] : o[k]);
+      if (new Set(targets).size !== targets.length) error(line, `duplicate qubit operands in '${text}'`);
+      calls.push({ gate: name, params, targets, modifiers, line, verbatim: inVerbatim });
+    }
+    return calls;
+  };
+
+  const parseMeasure = (text, line) => {
+    let m = text.match(/^(?:(\S[^=]*?)\s*=\s*)?measure\s+(.+?)(?:\s*->\s*(.+))?$/);
+    if (!m) {
+      error(line, `could not parse measurement '${text}'`);
+      return;
+    }
+    const targets = splitTopLevel(m[2]).flatMap(o => resolveOperand(o, line));
+    program.measurements.push({ targets, line });
+  };
+
+  const parsePragma = (text, line) => {
+    const body = text.replace(/^#pragma\s+/, '');
+    const m = body.match(/^braket\s+(\S+)\s*(.*)$/);
+    if (!m) {
+      program.pragmas.push({ name: body.split(/\s+/)[0], text: body, line });
+      return;
+    }
+    const [, kind, rest] = m;
+    if (kind === 'verbatim') {
+      pendingVerbatim = true;
+      program.pragmas.push({ name: 'verbatim', text: body, line });
+      return;
+    }
+    if (kind === 'noise') {
+      program.pragmas.push({ name: `braket_noise_${rest.split(/[\s(]/)[0]}`, text: body, line });
+      return;
+    }
+    if (kind.startsWith('unitary')) {
+      program.pragmas.push({ name: 'braket_unitary_matrix', text: body, line });
+      return;
+    }
+    if (kind !== 'result') {
+      program.pragmas.push({ name: `braket_${kind}`, text: body, line });
+      return;
+    }
+    const rm = rest.match(/^(\w+)\s*(.*)$/);
+    if (!rm || !RESULT_TYPES.includes(rm[1])) {
+      error(line, `unknown result type in '#pragma ${body}'`);
+      return;
+    }
+    const [, type, args] = rm;
+    const result = { type, line, targets: [], observable: null };
+    if (type === 'amplitude') {
+      result.states = (args.match(/"([01]+)"/g) || []).map(s => s.slice(1, -1));
+      if (!result.states.length) error(line, 'amplitude result type requires at least one "bitstring"');
+    } else if (['expectation', 'variance', 'sample'].includes(type)) {
+      const factors = args.split('@').map(f => f.trim()).filter(Boolean);
+      if (!factors.length) error(line, `${type} result type requires an observable`);
+      result.observable = [];
+      for (const factor of factors) {
+        const fm = factor.match(/^(\w+)\s*(?:\((.*)\))?$/);
+        if (!fm || !['x', 'y', 'z', 'h', 'i'].includes(fm[1])) {
+          error(line, `unsupported observable '${factor}'`);
+          continue;
+        }
+        result.observable.push(fm[1]);
+        if (fm[2] && fm[2].trim() !== 'all') result.targets.push(...resolveOperand(fm[2], line));
+      }
+    } else if (args && args.trim() !== 'all') {
+      result.targets = splitTopLevel(args).flatMap(o => resolveOperand(o, line));
+    }
+    program.results.push(result);
+  };
+
+  for (const { text, line, unterminated } of statements) {
+    if (text.startsWith('#pragma')) {
+      parsePragma(text, line);
+      continue;
+    }
+    if (unterminated) {
+      error(line, `missing ';' at end of statement '${text.split('\n')[0]}'`);
+      continue;
+    }
+
+    if (gateDefinition) {
+      if (text === '}') {
+        program.customGates[gateDefinition.name] = gateDefinition;
+        gateDefinition = null;
+      } else {
+        gateDefinition.body.push(...parseGateCall(text.replace(/\s+/g, ' '), line, gateDefinition.qubits));
+      }
+      continue;
+    }
+
+    const flat = text.replace(/\s+/g, ' ');
+    let m;
+
+    if ((m = flat.match(/^OPENQASM\s+([\d.]+)$/))) {
+      program.version = m[1];
+      if (!m[1].startsWith('3')) error(line, `unsupported OpenQASM version ${m[1]} (expected 3)`);
+    } else if (/^include\s+"[^"]+"$/.test(flat)) {
+      // stdgates.inc is built in
+    } else if ((m = flat.match(new RegExp(`^qubit(?:\\s*\\[\\s*(\\d+)\\s*\\])?\\s+(${IDENT})$`)))) {
+      const size = m[1] !== undefined ? parseInt(m[1]) : 1;
+      if (register(m[2])) error(line, `qubit register '${m[2]}' is already declared`);
+      program.qubitRegisters.push({ name: m[2], size, offset: qubitOffset, line });
+      qubitOffset += size;
+      program.qubitCount = Math.max(program.qubitCount, qubitOffset);
+    } else if ((m = flat.match(new RegExp(`^qreg\\s+(${IDENT})\\s*\\[\\s*(\\d+)\\s*\\]$`)))) {
+      const size = parseInt(m[2]);
+      program.qubitRegisters.push({ name: m[1], size, offset: qubitOffset, line });
+      qubitOffset += size;
+      program.qubitCount = Math.max(program.qubitCount, qubitOffset);
+    } else if ((m = flat.match(new RegExp(`^(?:output\\s+)?bit(?:\\s*\\[\\s*(\\d+)\\s*\\])?\\s+(${IDENT})$`)))) {
+      program.bitRegisters.push({ name: m[2], size: parseInt(m[1] || '1') });
+    } else if ((m = flat.match(new RegExp(`^creg\\s+(${IDENT})\\s*\\[\\s*(\\d+)\\s*\\]$`)))) {
+      program.bitRegisters.push({ name: m[1], size: parseInt(m[2]) });
+    } else if ((m = flat.match(new RegExp(`^input\\s+(float|angle|int|uint|bit|bool)(?:\\s*\\[\\s*\\d+\\s*\\])?\\s+(${IDENT})$`)))) {
+      program.inputs.push({ name: m[2], type: m[1], line });
+    } else if ((m = flat.match(new RegExp(`^gate\\s+(${IDENT})\\s*(?:\\(([^)]*)\\))?\\s+([^{]+)\\{$`)))) {
+      gateDefinition = {
+        name: m[1],
+        params: m[2] ? splitTopLevel(m[2]) : [],
+        qubits: splitTopLevel(m[3]),
+        body: [],
+        line
+      };
+    } else if (flat === 'box {' || flat === '{') {
+      if (pendingVerbatim) inVerbatim = true;
+      pendingVerbatim = false;
+    } else if (flat === '}') {
+      inVerbatim = false;
+    } else if (/(^|=\s*)measure\b/.test(flat)) {
+      parseMeasure(flat, line);
+    } else if ((m = flat.match(/^barrier\b(.*)$/))) {
+      if (m[1].trim()) splitTopLevel(m[1]).forEach(o => resolveOperand(o, line));
+    } else if ((m = flat.match(/^reset\s+(.+)$/))) {
+      const targets = splitTopLevel(m[1]).flatMap(o => resolveOperand(o, line));
+      program.operations.push({ gate: 'reset', params: [], targets, modifiers: [], line });
+    } else if (/^(if|for|while|def|let|const|switch)\b/.test(flat)) {
+      error(line, `'${flat.split(/[\s(]/)[0]}' is not supported by the local OpenQASM parser`);
+    } else {
+      program.operations.push(...parseGateCall(flat, line));
+    }
+  }
+
+  if (gateDefinition) error(gateDefinition.line, `gate definition '${gateDefinition.name}' is missing a closing '}'`);
+  if (!program.version) error(1, "missing 'OPENQASM 3.0;' header");
+
+  for (const op of program.operations) {
+    for (const p of op.params) {
+      for (const id of expressionIdentifiers(p)) {
+        if (!program.inputs.some(inp => inp.name === id)) error(op.line, `undeclared parameter '${id}' in '${op.gate}(${op.params.join(', ')})'`);
+      }
+    }
+  }
+
+  return program;
+}
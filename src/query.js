@@ -0,0 +1,23 @@
+import jmespath from 'jmespath';
+import { ValidationError } from './api.js';
+
+// ============================================================
+// JMESPath queries
+// ============================================================
+//
+// --query is evaluated by jmespath.js (https://jmespath.org). Besides the
+// standard, its <, <=, > and >= also compare strings, e.g. ISO dates.
+
+function queryError(expression, message) {
+  return new ValidationError(`Invalid --query '${expression}': ${message}`, { code: 'InvalidQuery' });
+}
+
+// Applies a JMESPath expression to `data`, as --output json would print it
+export function applyQuery(data, expression) {
+  if (!expression) return data;
+  try {
+    return jmespath.search(JSON.parse(JSON.stringify(data ?? null)), expression);
+  } catch (error) {
+    throw queryError(expression, error.message);
+  }
+}
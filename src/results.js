@@ -0,0 +1,161 @@
+import { getQuantumTask, getS3Object, regionFromArn } from './api.js';
+import { isLocalTask, getLocalTaskResult } from './local.js';
+
+// ============================================================
+// Fetching
+// ============================================================
+
+export async function fetchTaskResult(taskArn, { endpointUrl } = {}) {
+  if (isLocalTask(taskArn)) return parseTaskResult(getLocalTaskResult(taskArn));
+  const task = await getQuantumTask(taskArn);
+  if (!task.outputS3Bucket || !task.outputS3Directory) {
+    throw new Error(`Quantum task ${taskArn} has no S3 output location (status: ${task.status})`);
+  }
+  if (task.status !== 'COMPLETED') {
+    throw new Error(`Quantum task ${taskArn} is ${task.status}; results are only available once it has COMPLETED`);
+  }
+  const raw = await getS3Object({
+    bucket: task.outputS3Bucket,
+    key: `${task.outputS3Directory.replace(/\/$/, '')}/results.json`,
+    endpointUrl,
+    region: regionFromArn(taskArn)
+  });
+  return parseTaskResult(typeof raw === 'string' ? JSON.parse(raw) : raw);
+}
+
+// ============================================================
+// Parsing
+// ============================================================
+
+// Normalizes a Braket GateModelTaskResult, AnnealingTaskResult or
+// AnalogHamiltonianSimulationTaskResult document into
+// { kind, shots, taskId, deviceId, ... } so callers need not care about the schema.
+export function parseTaskResult(result) {
+  const schema = result?.braketSchemaHeader?.name || '';
+  const metadata = result?.taskMetadata || {};
+  const base = { taskId: metadata.id, deviceId: metadata.deviceId, shots: metadata.shots };
+
+  if (schema.includes('annealing_task_result') || result?.solutions) {
+    return { kind: 'annealing', ...base, ...parseAnnealing(result) };
+  }
+  if (schema.includes('analog_hamiltonian_simulation_task_result') || result?.measurements?.[0]?.shotResult) {
+    return { kind: 'ahs', ...base, ...parseAhs(result) };
+  }
+  if (schema.includes('gate_model_task_result') || result?.measurements || result?.measurementProbabilities || result?.resultTypes) {
+    return { kind: 'gate', ...base, ...parseGateModel(result, base.shots) };
+  }
+  throw new Error(`Unrecognized task result schema: ${schema || 'missing braketSchemaHeader'}`);
+}
+
+function parseGateModel(result, shots) {
+  const measuredQubits = result.measuredQubits || [];
+  let counts = {};
+
+  if (Array.isArray(result.measurements) && result.measurements.length) {
+    for (const bits of result.measurements) {
+      const key = bits.join('');
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    shots = shots || result.measurements.length;
+  } else if (result.measurementProbabilities && shots) {
+    counts = Object.fromEntries(
+      Object.entries(result.measurementProbabilities).map(([bits, p]) => [bits, Math.round(p * shots)])
+    );
+  }
+
+  let probabilities = {};
+  if (result.measurementProbabilities) {
+    probabilities = { ...result.measurementProbabilities };
+  } else if (shots) {
+    probabilities = Object.fromEntries(Object.entries(counts).map(([bits, n]) => [bits, n / shots]));
+  }
+
+  const resultTypes = (result.resultTypes || []).map(({ type, value }) => ({
+    type: type?.type,
+    targets: type?.targets,
+    observable: type?.observable,
+    value
+  }));
+
+  return { measuredQubits, counts, probabilities, resultTypes };
+}
+
+function parseAnnealing(result) {
+  const solutions = (result.solutions || []).map((solution, i) => ({
+    solution,
+    count: result.solutionCounts?.[i],
+    value: result.values?.[i]
+  }));
+  return { variableCount: result.variableCount, solutions };
+}
+
+// Each shot reports, per site, whether an atom was there before the sequence
+// (preSequence) and after it (postSequence). Sites are then e (empty), r (atom
+// lost during the sequence, i.e. excited to the Rydberg state) or g (ground).
+// Occupations are averaged over the shots that returned both sequences.
+function parseAhs(result) {
+  const shotStatus = {};
+  const usable = [];
+  for (const { shotMetadata, shotResult } of result.measurements || []) {
+    const status = shotMetadata?.shotStatus || 'Unknown';
+    shotStatus[status] = (shotStatus[status] || 0) + 1;
+    if (Array.isArray(shotResult?.preSequence) && Array.isArray(shotResult?.postSequence)) usable.push(shotResult);
+  }
+
+  const siteCount = Math.max(0, ...usable.map(s => s.preSequence.length));
+  const sites = Array.from({ length: siteCount }, (_, site) => ({ site, pre: 0, post: 0, rydberg: 0 }));
+  const counts = {};
+  for (const { preSequence, postSequence } of usable) {
+    const states = sites.map(({ site }) => {
+      const pre = preSequence[site] ? 1 : 0;
+      const post = postSequence[site] ? 1 : 0;
+      sites[site].pre += pre;
+      sites[site].post += post;
+      if (pre && !post) sites[site].rydberg += 1;
+      return !pre ? 'e' : post ? 'g' : 'r';
+    }).join('');
+    counts[states] = (counts[states] || 0) + 1;
+  }
+  if (usable.length) {
+    for (const site of sites) {
+      site.pre /= usable.length;
+      site.post /= usable.length;
+      site.rydberg /= usable.length;
+    }
+  }
+  const probabilities = Object.fromEntries(Object.entries(counts).map(([states, n]) => [states, n / usable.length]));
+  return { shotStatus, successfulShots: usable.length, sites, counts, probabilities, resultTypes: [] };
+}
+
+// Expands a probability result-type vector into [bitstring, probability] pairs.
+// (An array rather than an object: keys like '10' would otherwise be reordered.)
+export function probabilityVectorEntries(values, width) {
+  return values.map((p, i) => [i.toString(2).padStart(width, '0'), p]);
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+function csvCell(value, delimiter) {
+  const str = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+  if (delimiter === '\t') return str.replace(/[\t\n]+/g, ' ');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function resultToCsv(parsed, delimiter = ',') {
+  const rows = parsed.kind === 'annealing'
+    ? [['solution', 'count', 'value'], ...parsed.solutions.map(s => [s.solution, s.count, s.value])]
+    : parsed.kind === 'ahs'
+      ? [['site', 'pre', 'post', 'rydberg'], ...parsed.sites.map(s => [s.site, s.pre, s.post, s.rydberg])]
+      : [['bitstring', 'count', 'probability'],
+        ...sortedOutcomes(parsed).map(([bits]) => [bits, parsed.counts[bits] ?? '', parsed.probabilities[bits] ?? ''])];
+  return rows.map(row => row.map(cell => csvCell(cell, delimiter)).join(delimiter)).join('\n');
+}
+
+// Outcomes ordered by descending probability (or count), then bitstring
+export function sortedOutcomes(parsed) {
+  const keys = new Set([...Object.keys(parsed.counts || {}), ...Object.keys(parsed.probabilities || {})]);
+  const weight = (bits) => parsed.probabilities?.[bits] ?? parsed.counts?.[bits] ?? 0;
+  return [...keys].sort((a, b) => weight(b) - weight(a) || a.localeCompare(b)).map(bits => [bits, weight(bits)]);
+}
@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import { Writable } from 'stream';
+import { spawn } from 'child_process';
+import { getConfig, setConfig, deleteConfig, getConfigDir, getConfigPath } from './config.js';
+import { CredentialsError, ValidationError } from './api.js';
+
+// ============================================================
+// Backends
+// ============================================================
+//
+// Secrets (the secret access key, session token and assumed-role sessions) are
+// kept by one backend, recorded under the `secretBackend` config key:
+//
+//   plain     in the config file, as before (the default)
+//   file      AES-256-GCM encrypted file; the key comes from a key file, the
+//             AWSBRAKET_PASSPHRASE environment variable, or a prompt
+//   command   an external password manager: `pass`, `gopass`, or any
+//             get/set/delete command templates with a {key} placeholder
+//
+// Non-plain backends list the secrets they hold in `keys`, so missing optional
+// secrets never trigger a prompt or a failing command.
+
+export const SECRET_KEYS = ['secretAccessKey', 'sessionToken', 'roleSessions'];
+
+export const SECRET_BACKENDS = ['plain', 'file', 'pass', 'gopass', 'command'];
+
+const COMMAND_PRESETS = {
+  pass: {
+    get: 'pass show awsbraket/{key}',
+    set: 'pass insert --multiline --force awsbraket/{key}',
+    delete: 'pass rm --force awsbraket/{key}'
+  },
+  gopass: {
+    get: 'gopass show --password awsbraket/{key}',
+    set: 'gopass insert --force awsbraket/{key}',
+    delete: 'gopass rm --force awsbraket/{key}'
+  }
+};
+
+const KDF = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+export function secretsFile() {
+  return path.join(getConfigDir(), 'secrets.enc');
+}
+
+export function secretBackend() {
+  return getConfig('secretBackend') || { type: 'plain' };
+}
+
+// Builds a backend description from `config migrate-secrets` options
+export function backendFromOptions({ to, keyFile, file, getCommand, setCommand, deleteCommand }) {
+  if (!SECRET_BACKENDS.includes(to)) {
+    throw new ValidationError(`Unknown secret backend '${to}' (use ${SECRET_BACKENDS.join(', ')})`, { code: 'InvalidSecretBackend' });
+  }
+  if (to === 'plain') return { type: 'plain' };
+  if (to === 'file') {
+    return { type: 'file', file: path.resolve(file || secretsFile()), ...(keyFile ? { keyFile: path.resolve(keyFile) } : {}) };
+  }
+  if (to === 'command') {
+    if (!getCommand || !setCommand) {
+      throw new ValidationError('The command backend needs --get-command and --set-command (use {key} for the secret name)', { code: 'InvalidSecretBackend' });
+    }
+    return { type: 'command', name: 'command', get: getCommand, set: setCommand, ...(deleteCommand ? { delete: deleteCommand } : {}) };
+  }
+  return { type: 'command', name: to, ...COMMAND_PRESETS[to] };
+}
+
+export function describeSecretBackend(backend = secretBackend()) {
+  if (backend.type === 'file') return `encrypted file ${backend.file}${backend.keyFile ? ` (key file ${backend.keyFile})` : ' (passphrase)'}`;
+  if (backend.type === 'command') return backend.name === 'command' ? `command (${backend.get})` : backend.name;
+  return 'plain-text config file';
+}
+
+// ============================================================
+// Encrypted file
+// ============================================================
+
+let cachedMaterial = null;
+
+async function promptHidden(question) {
+  if (!process.stdin.isTTY) {
+    throw new CredentialsError('The encrypted secrets file needs a passphrase: set AWSBRAKET_PASSPHRASE or use a key file (stdin is not a terminal)');
+  }
+  process.stderr.write(question);
+  const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+  const rl = readline.createInterface({ input: process.stdin, output: muted, terminal: true });
+  try {
+    return await rl.question('');
+  } finally {
+    rl.close();
+    process.stderr.write('\n');
+  }
+}
+
+async function keyMaterial(backend, { confirm = false } = {}) {
+  if (backend.keyFile) {
+    try {
+      return fs.readFileSync(backend.keyFile);
+    } catch (error) {
+      throw new CredentialsError(`Cannot read key file ${backend.keyFile}: ${error.message}`);
+    }
+  }
+  if (process.env.AWSBRAKET_PASSPHRASE) return Buffer.from(process.env.AWSBRAKET_PASSPHRASE);
+  if (cachedMaterial) return cachedMaterial;
+
+  const passphrase = await promptHidden('Passphrase for the awsbraket secrets file: ');
+  if (!passphrase) throw new CredentialsError('Empty passphrase');
+  if (confirm && passphrase !== await promptHidden('Repeat the passphrase: ')) {
+    throw new CredentialsError('Passphrases do not match');
+  }
+  cachedMaterial = Buffer.from(passphrase);
+  return cachedMaterial;
+}
+
+async function readEncrypted(backend) {
+  let envelope;
+  try {
+    envelope = JSON.parse(fs.readFileSync(backend.file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new CredentialsError(`Cannot read secrets file ${backend.file}: ${error.message}`);
+  }
+  const salt = Buffer.from(envelope.salt, 'base64');
+  const key = crypto.scryptSync(await keyMaterial(backend), salt, 32, KDF);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch {
+    cachedMaterial = null;
+    throw new CredentialsError(`Cannot decrypt ${backend.file}: wrong passphrase or key file`);
+  }
+}
+
+// `fresh` asks for a new passphrase (with confirmation) instead of reusing the cached one
+async function writeEncrypted(backend, secrets, { fresh = false } = {}) {
+  if (fresh) cachedMaterial = null;
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(await keyMaterial(backend, { confirm: fresh || !fs.existsSync(backend.file) }), salt, 32, KDF);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  const envelope = {
+    version: 1,
+    cipher: 'aes-256-gcm',
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+  fs.mkdirSync(path.dirname(backend.file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(`${backend.file}.tmp`, JSON.stringify(envelope), { mode: 0o600 });
+  fs.renameSync(`${backend.file}.tmp`, backend.file);
+}
+
+// ============================================================
+// External commands
+// ============================================================
+
+function runCommand(template, key, input) {
+  const command = template.replaceAll('{key}', key);
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', (error) => reject(new CredentialsError(`Secret command failed (${command}): ${error.message}`)));
+    child.on('close', (code) => {
+      if (code === 0) resolve(stdout);
+      else reject(new CredentialsError(`Secret command failed (${command}): ${stderr.trim() || `exit code ${code}`}`));
+    });
+    if (input !== undefined) {
+      // A command that exits without reading stdin fails through its exit code instead
+      child.stdin.on('error', () => {});
+      child.stdin.end(`${input}\n`);
+    }
+  });
+}
+
+// ============================================================
+// Reading and writing
+// ============================================================
+
+async function loadSecrets(backend) {
+  if (backend.type === 'plain') {
+    return Object.fromEntries(SECRET_KEYS.filter(k => getConfig(k) !== undefined).map(k => [k, getConfig(k)]));
+  }
+  if (backend.type === 'file') return backend.keys?.length ? readEncrypted(backend) : {};
+  const secrets = {};
+  for (const key of backend.keys || []) {
+    // `pass` and friends keep the secret on the first line
+    secrets[key] = (await runCommand(backend.get, key)).split(/\r?\n/)[0];
+  }
+  return secrets;
+}
+
+async function storeSecrets(backend, secrets, previous = {}, { fresh = false } = {}) {
+  if (backend.type === 'plain') {
+    SECRET_KEYS.forEach(k => (secrets[k] !== undefined ? setConfig(k, secrets[k]) : deleteConfig(k)));
+    return;
+  }
+  if (backend.type === 'file') {
+    if (Object.keys(secrets).length) await writeEncrypted(backend, secrets, { fresh });
+    else fs.rmSync(backend.file, { force: true });
+  } else {
+    for (const [key, value] of Object.entries(secrets)) {
+      if (previous[key] !== value) await runCommand(backend.set, key, value);
+    }
+    for (const key of Object.keys(previous).filter(k => secrets[k] === undefined)) {
+      if (backend.delete) await runCommand(backend.delete, key);
+    }
+  }
+  setConfig('secretBackend', { ...backend, keys: Object.keys(secrets) });
+}
+
+// Removes secrets from a backend that is no longer in use
+async function clearSecrets(backend, secrets) {
+  if (backend.type === 'plain') SECRET_KEYS.forEach(deleteConfig);
+  else if (backend.type === 'file') fs.rmSync(backend.file, { force: true });
+  else if (backend.delete) for (const key of Object.keys(secrets)) await runCommand(backend.delete, key);
+}
+
+function sameLocation(a, b) {
+  if (a.type !== b.type) return false;
+  if (a.type === 'file') return a.file === b.file;
+  return a.type === 'plain' || a.get === b.get;
+}
+
+export async function readSecret(key) {
+  const backend = secretBackend();
+  if (backend.type !== 'plain' && !backend.keys?.includes(key)) return undefined;
+  return (await loadSecrets(backend))[key];
+}
+
+// Stores (or with undefined, removes) one secret in the configured backend
+export async function writeSecret(key, value) {
+  const backend = secretBackend();
+  const previous = await loadSecrets(backend);
+  const secrets = { ...previous, [key]: value };
+  if (value === undefined) delete secrets[key];
+  await storeSecrets(backend, secrets, previous);
+}
+
+// Moves every stored secret to `target` (also used to change the passphrase or
+// key file), then clears the old backend. The new copy is written first, so a
+// failure leaves the old one intact.
+export async function migrateSecrets(target) {
+  const current = secretBackend();
+  const secrets = await loadSecrets(current);
+  await storeSecrets(target, secrets, {}, { fresh: true });
+  if (!sameLocation(current, target)) await clearSecrets(current, secrets);
+  if (target.type === 'plain') deleteConfig('secretBackend');
+  return Object.keys(secrets);
+}
+
+// ============================================================
+// Hygiene
+// ============================================================
+
+// Files holding credentials that group or others can read
+export function insecureFiles() {
+  if (process.platform === 'win32') return [];
+  const backend = secretBackend();
+  const files = [getConfigPath(), backend.file, backend.keyFile].filter(Boolean);
+  return files.flatMap((file) => {
+    try {
+      const mode = fs.statSync(file).mode & 0o777;
+      return mode & 0o077 ? [{ file, mode: mode.toString(8).padStart(3, '0') }] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// AKIA************WXYZ: enough to tell keys apart without revealing them
+export function maskAccessKeyId(accessKeyId) {
+  if (!accessKeyId) return accessKeyId;
+  const id = String(accessKeyId);
+  return id.length <= 8 ? '*'.repeat(id.length) : `${id.slice(0, 4)}${'*'.repeat(id.length - 8)}${id.slice(-4)}`;
+}
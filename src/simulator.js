@@ -0,0 +1,486 @@
+import { evaluateExpression } from './qasm.js';
+
+// ============================================================
+// Local state-vector simulator
+// ============================================================
+//
+// Executes a parsed OpenQASM program (see parseQasm) in-process and returns a
+// Braket GateModelTaskResult document. Qubit 0 is the most significant bit of
+// every bitstring and basis index, matching Braket's big-endian convention.
+
+export const MAX_QUBITS = 20;
+export const GATE_MODEL_RESULT_SCHEMA = 'braket.task_result.gate_model_task_result';
+
+// ============================================================
+// Complex matrices ([re, im] entries, row-major)
+// ============================================================
+
+const c = (re, im = 0) => [re, im];
+const expi = (theta) => c(Math.cos(theta), Math.sin(theta));
+const cmul = (a, b) => c(a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]);
+const cscale = (a, s) => c(a[0] * s, a[1] * s);
+const ZERO = c(0);
+const ONE = c(1);
+const I = c(0, 1);
+const SQRT1_2 = Math.SQRT1_2;
+
+function diag(...entries) {
+  const d = entries.length;
+  return Array.from({ length: d * d }, (_, k) => (k % (d + 1) === 0 ? entries[k / (d + 1)] : ZERO));
+}
+
+function dagger(m) {
+  const d = Math.sqrt(m.length);
+  return Array.from({ length: m.length }, (_, k) => {
+    const [row, col] = [Math.floor(k / d), k % d];
+    const [re, im] = m[col * d + row];
+    return c(re, -im);
+  });
+}
+
+function matmul(a, b) {
+  const d = Math.sqrt(a.length);
+  return Array.from({ length: a.length }, (_, k) => {
+    const [row, col] = [Math.floor(k / d), k % d];
+    let acc = ZERO;
+    for (let j = 0; j < d; j++) {
+      const p = cmul(a[row * d + j], b[j * d + col]);
+      acc = c(acc[0] + p[0], acc[1] + p[1]);
+    }
+    return acc;
+  });
+}
+
+function identity(d) {
+  return diag(...Array(d).fill(ONE));
+}
+
+// Each entry returns { matrix, controls } where `controls` leading operands act as controls
+const GATE_MATRICES = {
+  i: () => identity(2),
+  h: () => [c(SQRT1_2), c(SQRT1_2), c(SQRT1_2), c(-SQRT1_2)],
+  x: () => [ZERO, ONE, ONE, ZERO],
+  y: () => [ZERO, c(0, -1), I, ZERO],
+  z: () => diag(ONE, c(-1)),
+  s: () => diag(ONE, I),
+  si: () => diag(ONE, c(0, -1)),
+  t: () => diag(ONE, expi(Math.PI / 4)),
+  ti: () => diag(ONE, expi(-Math.PI / 4)),
+  v: () => [c(0.5, 0.5), c(0.5, -0.5), c(0.5, -0.5), c(0.5, 0.5)],
+  vi: () => dagger(GATE_MATRICES.v()),
+  rx: (t) => [c(Math.cos(t / 2)), c(0, -Math.sin(t / 2)), c(0, -Math.sin(t / 2)), c(Math.cos(t / 2))],
+  ry: (t) => [c(Math.cos(t / 2)), c(-Math.sin(t / 2)), c(Math.sin(t / 2)), c(Math.cos(t / 2))],
+  rz: (t) => diag(expi(-t / 2), expi(t / 2)),
+  phaseshift: (t) => diag(ONE, expi(t)),
+  gpi: (p) => [ZERO, expi(-p), expi(p), ZERO],
+  gpi2: (p) => [c(SQRT1_2), cscale(cmul(c(0, -1), expi(-p)), SQRT1_2), cscale(cmul(c(0, -1), expi(p)), SQRT1_2), c(SQRT1_2)],
+  prx: (t, p) => [
+    c(Math.cos(t / 2)), cscale(cmul(c(0, -1), expi(-p)), Math.sin(t / 2)),
+    cscale(cmul(c(0, -1), expi(p)), Math.sin(t / 2)), c(Math.cos(t / 2))
+  ],
+  u: (t, p, l) => [
+    c(Math.cos(t / 2)), cscale(expi(l), -Math.sin(t / 2)),
+    cscale(expi(p), Math.sin(t / 2)), cscale(expi(p + l), Math.cos(t / 2))
+  ],
+  swap: () => [
+    ONE, ZERO, ZERO, ZERO,
+    ZERO, ZERO, ONE, ZERO,
+    ZERO, ONE, ZERO, ZERO,
+    ZERO, ZERO, ZERO, ONE
+  ],
+  iswap: () => [
+    ONE, ZERO, ZERO, ZERO,
+    ZERO, ZERO, I, ZERO,
+    ZERO, I, ZERO, ZERO,
+    ZERO, ZERO, ZERO, ONE
+  ],
+  pswap: (t) => [
+    ONE, ZERO, ZERO, ZERO,
+    ZERO, ZERO, expi(t), ZERO,
+    ZERO, expi(t), ZERO, ZERO,
+    ZERO, ZERO, ZERO, ONE
+  ],
+  xy: (t) => [
+    ONE, ZERO, ZERO, ZERO,
+    ZERO, c(Math.cos(t / 2)), c(0, Math.sin(t / 2)), ZERO,
+    ZERO, c(0, Math.sin(t / 2)), c(Math.cos(t / 2)), ZERO,
+    ZERO, ZERO, ZERO, ONE
+  ],
+  xx: (t) => {
+    const [co, si] = [c(Math.cos(t / 2)), c(0, -Math.sin(t / 2))];
+    return [co, ZERO, ZERO, si, ZERO, co, si, ZERO, ZERO, si, co, ZERO, si, ZERO, ZERO, co];
+  },
+  yy: (t) => {
+    const [co, sp, sm] = [c(Math.cos(t / 2)), c(0, Math.sin(t / 2)), c(0, -Math.sin(t / 2))];
+    return [co, ZERO, ZERO, sp, ZERO, co, sm, ZERO, ZERO, sm, co, ZERO, sp, ZERO, ZERO, co];
+  },
+  zz: (t) => diag(expi(-t / 2), expi(t / 2), expi(t / 2), expi(-t / 2)),
+  cphaseshift00: (t) => diag(expi(t), ONE, ONE, ONE),
+  cphaseshift01: (t) => diag(ONE, expi(t), ONE, ONE),
+  cphaseshift10: (t) => diag(ONE, ONE, expi(t), ONE),
+  ecr: () => [
+    ZERO, ZERO, c(SQRT1_2), c(0, SQRT1_2),
+    ZERO, ZERO, c(0, SQRT1_2), c(SQRT1_2),
+    c(SQRT1_2), c(0, -SQRT1_2), ZERO, ZERO,
+    c(0, -SQRT1_2), c(SQRT1_2), ZERO, ZERO
+  ],
+  ms: (p0, p1, t = Math.PI / 2) => {
+    const co = c(Math.cos(t / 2));
+    const s = -Math.sin(t / 2);
+    const term = (phase) => cmul(c(0, s), expi(phase));
+    return [
+      co, ZERO, ZERO, term(-(p0 + p1)),
+      ZERO, co, term(-(p0 - p1)), ZERO,
+      ZERO, term(p0 - p1), co, ZERO,
+      term(p0 + p1), ZERO, ZERO, co
+    ];
+  }
+};
+
+// Controlled gates expressed as a base gate plus leading control qubits
+const CONTROLLED = {
+  cnot: { base: 'x', controls: 1 },
+  cy: { base: 'y', controls: 1 },
+  cz: { base: 'z', controls: 1 },
+  cv: { base: 'v', controls: 1 },
+  cphaseshift: { base: 'phaseshift', controls: 1 },
+  ccnot: { base: 'x', controls: 2 },
+  cswap: { base: 'swap', controls: 1 }
+};
+
+// ============================================================
+// State vector
+// ============================================================
+
+class StateVector {
+  constructor(qubits) {
+    this.n = qubits;
+    this.re = new Float64Array(2 ** qubits);
+    this.im = new Float64Array(2 ** qubits);
+    this.re[0] = 1;
+  }
+
+  bit(qubit) {
+    return 1 << (this.n - 1 - qubit);
+  }
+
+  // Applies a 2^k x 2^k matrix to `targets` (first target = most significant),
+  // only on basis states whose control qubits match (1, or 0 for negated controls).
+  apply(matrix, targets, controls = []) {
+    const d = 2 ** targets.length;
+    const targetBits = targets.map(q => this.bit(q));
+    const targetMask = targetBits.reduce((a, b) => a | b, 0);
+    const controlMask = controls.reduce((a, ctl) => a | this.bit(ctl.qubit), 0);
+    const controlValue = controls.reduce((a, ctl) => a | (ctl.negated ? 0 : this.bit(ctl.qubit)), 0);
+    const offsets = Array.from({ length: d }, (_, k) =>
+      targetBits.reduce((acc, b, j) => acc | ((k >> (targets.length - 1 - j)) & 1 ? b : 0), 0)
+    );
+    const re = new Float64Array(d);
+    const im = new Float64Array(d);
+
+    for (let base = 0; base < this.re.length; base++) {
+      if (base & targetMask) continue;
+      if ((base & controlMask) !== controlValue) continue;
+      for (let k = 0; k < d; k++) {
+        re[k] = this.re[base | offsets[k]];
+        im[k] = this.im[base | offsets[k]];
+      }
+      for (let row = 0; row < d; row++) {
+        let accRe = 0;
+        let accIm = 0;
+        for (let col = 0; col < d; col++) {
+          const [mRe, mIm] = matrix[row * d + col];
+          accRe += mRe * re[col] - mIm * im[col];
+          accIm += mRe * im[col] + mIm * re[col];
+        }
+        this.re[base | offsets[row]] = accRe;
+        this.im[base | offsets[row]] = accIm;
+      }
+    }
+  }
+
+  probabilities() {
+    const p = new Float64Array(this.re.length);
+    for (let i = 0; i < p.length; i++) p[i] = this.re[i] ** 2 + this.im[i] ** 2;
+    return p;
+  }
+
+  clone() {
+    const copy = new StateVector(0);
+    copy.n = this.n;
+    copy.re = Float64Array.from(this.re);
+    copy.im = Float64Array.from(this.im);
+    return copy;
+  }
+
+  // Projects `qubit` onto |0> (reset), choosing the branch at random
+  reset(qubit, random) {
+    const bit = this.bit(qubit);
+    let p1 = 0;
+    for (let i = 0; i < this.re.length; i++) if (i & bit) p1 += this.re[i] ** 2 + this.im[i] ** 2;
+    const outcome = random() < p1 ? 1 : 0;
+    const norm = Math.sqrt(outcome ? p1 : 1 - p1) || 1;
+    for (let i = 0; i < this.re.length; i++) {
+      if (((i & bit) ? 1 : 0) !== outcome) {
+        this.re[i] = 0;
+        this.im[i] = 0;
+      } else {
+        this.re[i] /= norm;
+        this.im[i] /= norm;
+      }
+    }
+    if (outcome) this.apply(GATE_MATRICES.x(), [qubit]);
+  }
+}
+
+// ============================================================
+// Program execution
+// ============================================================
+
+// Small seedable PRNG (mulberry32) so --seed gives reproducible samples
+export function createRandom(seed) {
+  if (seed === undefined || seed === null) return Math.random;
+  let a = Number(seed) >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gateMatrix(name, params) {
+  const factory = GATE_MATRICES[name];
+  if (!factory) throw new Error(`gate '${name}' is not supported by the local simulator`);
+  return factory(...params);
+}
+
+function raiseMatrix(matrix, power) {
+  if (!Number.isInteger(power)) throw new Error(`pow(${power}) with a non-integer exponent is not supported by the local simulator`);
+  const base = power < 0 ? dagger(matrix) : matrix;
+  let result = identity(Math.sqrt(matrix.length));
+  for (let k = 0; k < Math.abs(power); k++) result = matmul(result, base);
+  return result;
+}
+
+// Flattens an operation (custom gates, modifiers, built-in controlled gates)
+// into primitive { matrix, targets, controls } applications.
+function expandOperation(op, program, variables, inherited = { controls: [], inverse: false, power: 1 }) {
+  const params = op.params.map(p => evaluateExpression(p, variables));
+  const operands = [...op.targets];
+  const controls = [...inherited.controls];
+  let inverse = inherited.inverse;
+  let power = inherited.power;
+
+  for (const mod of op.modifiers || []) {
+    if (mod.type === 'ctrl' || mod.type === 'negctrl') {
+      const count = mod.arg ? parseInt(mod.arg) : 1;
+      operands.splice(0, count).forEach(qubit => controls.push({ qubit, negated: mod.type === 'negctrl' }));
+    } else if (mod.type === 'inv') {
+      inverse = !inverse;
+    } else if (mod.type === 'pow') {
+      power *= evaluateExpression(mod.arg, variables);
+    }
+  }
+
+  const custom = program.customGates[op.gate];
+  if (custom) {
+    const scope = { ...variables };
+    custom.params.forEach((name, k) => { scope[name] = params[k]; });
+    const qubitMap = Object.fromEntries(custom.qubits.map((name, k) => [name, operands[k]]));
+    const body = custom.body.map(inner => ({ ...inner, targets: inner.targets.map(t => qubitMap[t]) }));
+    const inner = { controls, inverse: false, power: 1 };
+    let steps = body.flatMap(b => expandOperation(b, program, scope, inner));
+    if (inverse) steps = steps.reverse().map(s => ({ ...s, matrix: dagger(s.matrix) }));
+    if (!Number.isInteger(power)) throw new Error(`pow(${power}) on custom gate '${op.gate}' is not supported by the local simulator`);
+    const repeated = [];
+    const once = power < 0 ? steps.slice().reverse().map(s => ({ ...s, matrix: dagger(s.matrix) })) : steps;
+    for (let k = 0; k < Math.abs(power); k++) repeated.push(...once);
+    return repeated;
+  }
+
+  let name = op.gate;
+  const builtin = CONTROLLED[name];
+  if (builtin) {
+    operands.splice(0, builtin.controls).forEach(qubit => controls.push({ qubit, negated: false }));
+    name = builtin.base;
+  }
+  let matrix = gateMatrix(name, params);
+  if (inverse) matrix = dagger(matrix);
+  if (power !== 1) matrix = raiseMatrix(matrix, power);
+  return [{ matrix, targets: operands, controls }];
+}
+
+// Rotates an observable's eigenbasis onto Z so it can be read from Z-basis probabilities
+const BASIS_ROTATIONS = {
+  x: () => [GATE_MATRICES.h()],
+  y: () => [GATE_MATRICES.si(), GATE_MATRICES.h()],
+  h: () => [GATE_MATRICES.ry(-Math.PI / 4)],
+  z: () => [],
+  i: () => []
+};
+
+function rotatedState(state, observable, targets) {
+  const rotated = state.clone();
+  observable.forEach((obs, k) => {
+    for (const m of BASIS_ROTATIONS[obs]()) rotated.apply(m, [targets[k]]);
+  });
+  return rotated;
+}
+
+// Eigenvalue (+1/-1) of a tensor-product Pauli-like observable for a basis state
+function eigenvalue(index, state, observable, targets) {
+  return observable.reduce((acc, obs, k) => {
+    if (obs === 'i') return acc;
+    return acc * ((index & state.bit(targets[k])) ? -1 : 1);
+  }, 1);
+}
+
+function sampleIndices(probabilities, shots, random) {
+  const cumulative = new Float64Array(probabilities.length);
+  let total = 0;
+  for (let i = 0; i < probabilities.length; i++) {
+    total += probabilities[i];
+    cumulative[i] = total;
+  }
+  const samples = new Array(shots);
+  for (let s = 0; s < shots; s++) {
+    const r = random() * total;
+    let lo = 0;
+    let hi = cumulative.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] < r) lo = mid + 1;
+      else hi = mid;
+    }
+    samples[s] = lo;
+  }
+  return samples;
+}
+
+function marginal(probabilities, state, targets) {
+  const out = new Array(2 ** targets.length).fill(0);
+  for (let i = 0; i < probabilities.length; i++) {
+    if (!probabilities[i]) continue;
+    const key = targets.reduce((acc, q) => (acc << 1) | ((i & state.bit(q)) ? 1 : 0), 0);
+    out[key] += probabilities[i];
+  }
+  return out;
+}
+
+// `samples` are the shots' basis-state indices, shared with the measurements
+function computeResultType(result, state, { shots, samples, random, allQubits }) {
+  const targets = result.targets.length ? result.targets : allQubits;
+  const type = { type: result.type };
+  if (result.targets.length) type.targets = result.targets;
+
+  switch (result.type) {
+    case 'probability': {
+      if (!shots) return { type, value: marginal(state.probabilities(), state, targets) };
+      const counts = new Array(2 ** targets.length).fill(0);
+      for (const idx of samples) {
+        counts[targets.reduce((acc, q) => (acc << 1) | ((idx & state.bit(q)) ? 1 : 0), 0)]++;
+      }
+      return { type, value: counts.map(n => n / shots) };
+    }
+    case 'expectation':
+    case 'variance':
+    case 'sample': {
+      const observable = result.observable.length === 1 && targets.length > 1
+        ? Array(targets.length).fill(result.observable[0])
+        : result.observable;
+      type.observable = result.observable;
+      const rotated = rotatedState(state, observable, targets);
+      const probs = rotated.probabilities();
+      if (result.type === 'sample' || shots) {
+        const values = sampleIndices(probs, shots || 1, random).map(idx => eigenvalue(idx, rotated, observable, targets));
+        if (result.type === 'sample') return { type, value: values };
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        if (result.type === 'expectation') return { type, value: mean };
+        return { type, value: values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length };
+      }
+      let mean = 0;
+      for (let i = 0; i < probs.length; i++) if (probs[i]) mean += probs[i] * eigenvalue(i, rotated, observable, targets);
+      return { type, value: result.type === 'expectation' ? mean : 1 - mean ** 2 };
+    }
+    case 'state_vector':
+      return { type, value: Array.from(state.re, (re, i) => [re, state.im[i]]) };
+    case 'amplitude': {
+      type.states = result.states;
+      return {
+        type,
+        value: Object.fromEntries(result.states.map(bits => {
+          const idx = parseInt(bits, 2);
+          return [bits, [state.re[idx], state.im[idx]]];
+        }))
+      };
+    }
+    case 'density_matrix': {
+      const d = 2 ** targets.length;
+      const rho = Array.from({ length: d }, () => Array.from({ length: d }, () => [0, 0]));
+      const restMask = (2 ** state.n - 1) & ~targets.reduce((a, q) => a | state.bit(q), 0);
+      const keyOf = (i) => targets.reduce((acc, q) => (acc << 1) | ((i & state.bit(q)) ? 1 : 0), 0);
+      for (let i = 0; i < state.re.length; i++) {
+        for (let j = 0; j < state.re.length; j++) {
+          if ((i & restMask) !== (j & restMask)) continue;
+          const [a, b] = [keyOf(i), keyOf(j)];
+          rho[a][b][0] += state.re[i] * state.re[j] + state.im[i] * state.im[j];
+          rho[a][b][1] += state.im[i] * state.re[j] - state.re[i] * state.im[j];
+        }
+      }
+      return { type, value: rho };
+    }
+    default:
+      throw new Error(`result type '${result.type}' is not supported by the local simulator`);
+  }
+}
+
+// Runs `program` and returns a GateModelTaskResult document
+export function simulate(program, { shots = 0, inputs = {}, seed, taskId, deviceId = 'local:sv' } = {}) {
+  const n = program.qubitCount;
+  if (n > MAX_QUBITS) throw new Error(`The local simulator supports up to ${MAX_QUBITS} qubits; program uses ${n}`);
+  if (n === 0) throw new Error('Program declares no qubits');
+  if (!shots && !program.results.length) {
+    throw new Error('Programs run with 0 shots must request at least one result type (#pragma braket result ...)');
+  }
+  if (shots && program.results.some(r => ['state_vector', 'amplitude', 'density_matrix'].includes(r.type))) {
+    throw new Error('state_vector, amplitude and density_matrix results require shots = 0');
+  }
+
+  const random = createRandom(seed);
+  const state = new StateVector(n);
+  for (const op of program.operations) {
+    if (op.gate === 'reset') {
+      op.targets.forEach(q => state.reset(q, random));
+      continue;
+    }
+    for (const step of expandOperation(op, program, inputs)) {
+      state.apply(step.matrix, step.targets, step.controls);
+    }
+  }
+
+  const allQubits = [...Array(n).keys()];
+  const measured = program.measurements.length
+    ? [...new Set(program.measurements.flatMap(m => m.targets))]
+    : allQubits;
+
+  // Sampled once, so probability results agree with the measurement counts
+  const samples = shots ? sampleIndices(state.probabilities(), shots, random) : null;
+  const result = {
+    braketSchemaHeader: { name: GATE_MODEL_RESULT_SCHEMA, version: '1' },
+    measuredQubits: measured,
+    resultTypes: program.results.map(r => computeResultType(r, state, { shots, samples, random, allQubits })),
+    taskMetadata: {
+      braketSchemaHeader: { name: 'braket.task_result.task_metadata', version: '1' },
+      id: taskId,
+      shots,
+      deviceId
+    }
+  };
+
+  if (shots) {
+    result.measurements = samples.map(idx => measured.map(q => ((idx & state.bit(q)) ? 1 : 0)));
+  }
+  return result;
+}
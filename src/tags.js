@@ -0,0 +1,68 @@
+import fs from 'fs';
+import { ValidationError } from './api.js';
+import { loadJsonArgument } from './circuits.js';
+
+// ============================================================
+// Tags
+// ============================================================
+//
+// Braket tags are a map of strings on tasks and jobs. Commands take them as
+// repeatable --tag key=value flags, on top of the `defaultTags` config setting
+// (and, for circuits create, the older --tags <json|k=v,...>).
+
+const MAX_TAGS = 50;
+const MAX_KEY_LENGTH = 128;
+const MAX_VALUE_LENGTH = 256;
+
+function invalidTag(message) {
+  return new ValidationError(message, { code: 'ValidationException' });
+}
+
+// `key=value`; `key` alone (when `allowBare`) means any value
+export function parseTag(value, { allowBare = false } = {}) {
+  const text = String(value);
+  const eq = text.indexOf('=');
+  if (eq === -1 && allowBare && text.trim()) return [text.trim(), undefined];
+  if (eq <= 0) throw invalidTag(`Invalid tag '${value}'; expected key=value`);
+  return [text.slice(0, eq).trim(), text.slice(eq + 1).trim()];
+}
+
+// A JSON object (or file), or comma-separated key=value pairs
+export function parseTags(value) {
+  if (!value) return {};
+  const trimmed = String(value).trim();
+  if (trimmed.startsWith('{') || fs.existsSync(trimmed)) {
+    const parsed = loadJsonArgument(trimmed, '--tags');
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw invalidTag('--tags must be a JSON object');
+    return Object.fromEntries(Object.entries(parsed).map(([k, v]) => [k, String(v)]));
+  }
+  return Object.fromEntries(trimmed.split(',').filter(Boolean).map(pair => parseTag(pair)));
+}
+
+export function validateTags(tags) {
+  const entries = Object.entries(tags);
+  if (entries.length > MAX_TAGS) throw invalidTag(`Too many tags (${entries.length}); Braket allows at most ${MAX_TAGS}`);
+  for (const [key, value] of entries) {
+    if (!key || key.length > MAX_KEY_LENGTH) throw invalidTag(`Tag key '${key}' must be 1-${MAX_KEY_LENGTH} characters`);
+    if (/^aws:/i.test(key)) throw invalidTag(`Tag key '${key}' uses the reserved aws: prefix`);
+    if (String(value).length > MAX_VALUE_LENGTH) throw invalidTag(`Tag value for '${key}' is longer than ${MAX_VALUE_LENGTH} characters`);
+  }
+  return tags;
+}
+
+// Tags for a create call: config defaults, then --tags, then each --tag
+export function resolveTags({ tag = [], tags } = {}, defaults = {}) {
+  return validateTags({
+    ...defaults,
+    ...parseTags(tags),
+    ...Object.fromEntries(tag.map(t => parseTag(t)))
+  });
+}
+
+// Predicate for items whose `tags` match every `key=value` (or bare `key`) spec
+export function tagMatcher(specs = []) {
+  const wanted = specs.map(spec => parseTag(spec, { allowBare: true }));
+  return (item) => wanted.every(([key, value]) =>
+    item.tags && Object.prototype.hasOwnProperty.call(item.tags, key) && (value === undefined || item.tags[key] === value)
+  );
+}
@@ -0,0 +1,46 @@
+import { getQuantumTask, getJob, WaiterTimeoutError, sleep } from './api.js';
+import { isLocalTask, getLocalTask } from './local.js';
+
+export const TERMINAL_STATES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+export const FAILED_STATES = ['FAILED', 'CANCELLED'];
+
+const POLL_MIN_MS = 1000;
+const POLL_MAX_MS = 20000;
+const POLL_FACTOR = 1.5;
+
+// Polls `fetch` with a growing interval until the resource reaches a terminal
+// state. `onUpdate(resource, elapsedMs)` is called after every poll.
+async function pollUntilTerminal(fetch, describe, { timeout, onUpdate } = {}) {
+  const started = Date.now();
+  const deadline = timeout ? started + timeout * 1000 : Infinity;
+  let delay = POLL_MIN_MS;
+
+  for (;;) {
+    const resource = await fetch();
+    onUpdate?.(resource, Date.now() - started);
+    if (TERMINAL_STATES.includes(resource.status)) return resource;
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      const error = new WaiterTimeoutError(
+        `Timed out after ${timeout}s waiting for ${describe}; last status was ${resource.status}`,
+        { code: 'WaiterTimeout' }
+      );
+      error.resource = resource;
+      throw error;
+    }
+    await sleep(Math.min(delay, remaining));
+    delay = Math.min(delay * POLL_FACTOR, POLL_MAX_MS);
+  }
+}
+
+export function waitForQuantumTask(taskArn, options) {
+  const fetch = isLocalTask(taskArn)
+    ? async () => getLocalTask(taskArn)
+    : () => getQuantumTask(taskArn, { queueInfo: true });
+  return pollUntilTerminal(fetch, `quantum task ${taskArn}`, options);
+}
+
+export function waitForJob(jobName, options) {
+  return pollUntilTerminal(() => getJob(jobName, { queueInfo: true }), `job ${jobName}`, options);
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAhsProgram, formatQuantity } from '../src/ahs.js';
+
+const PROGRAM = `setup:
+  ahs_register:
+    sites: [[0, 0], [5.5um, 0], [11 um, 0]]
+    filling: [1, 1, 1]
+hamiltonian:
+  drivingFields:
+    - amplitude: { pattern: uniform, time_series: { times: [0, 0.1us, 3.9us, 4us], values: [0, 15.8 rad/us, 15.8 rad/us, 0] } }
+      phase:     { pattern: uniform, time_series: { times: [0, 4us], values: [0, 0] } }
+      detuning:  { pattern: uniform, time_series: { times: [0, 4us], values: [-20 rad/us, 2.5 MHz] } }
+`;
+
+test('program values with units are converted to SI', () => {
+  const { action, violations } = loadAhsProgram(PROGRAM, 'program.yaml');
+  assert.deepEqual(violations, []);
+  assert.deepEqual(action.setup.ahs_register.sites, [[0, 0], [5.5e-6, 0], [11e-6, 0]]);
+  const [driving] = action.hamiltonian.drivingFields;
+  // The power of ten is applied to the decimal text, so 0.1us is exactly 1e-7
+  assert.deepEqual(driving.amplitude.time_series.times, [0, 1e-7, 3.9e-6, 4e-6]);
+  assert.deepEqual(driving.amplitude.time_series.values, [0, 15.8e6, 15.8e6, 0]);
+  assert.equal(driving.detuning.time_series.values[0], -20e6);
+  assert.ok(Math.abs(driving.detuning.time_series.values[1] - 2 * Math.PI * 2.5e6) < 1e-6);
+});
+
+test('a unit of the wrong dimension is reported on its line', () => {
+  const { violations } = loadAhsProgram(PROGRAM.replace('[5.5um, 0]', '[5.5us, 0]'), 'program.yaml');
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].line, 3);
+  assert.match(violations[0].message, /^setup\.ahs_register\.sites\[1\]\[0\]: '5\.5us' is a time; expected a length/);
+});
+
+test('an unknown unit is reported', () => {
+  const { violations } = loadAhsProgram(PROGRAM.replace('11 um', '11 furlongs'), 'program.yaml');
+  assert.match(violations[0].message, /unknown unit 'furlongs'/);
+});
+
+test('formatQuantity shows SI values in µm, µs and rad/µs', () => {
+  assert.equal(formatQuantity(5.5e-6, 'length'), '5.5 µm');
+  assert.equal(formatQuantity(1e-7, 'time'), '0.1 µs');
+  assert.equal(formatQuantity(15.8e6, 'frequency'), '15.8 rad/µs');
+  assert.equal(formatQuantity(0.5, 'ratio'), '0.5');
+  assert.equal(formatQuantity(undefined, 'time'), 'N/A');
+});
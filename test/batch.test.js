@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { EXIT_CODES } from '../src/api.js';
+import { useCli, SV1 } from './helpers.js';
+
+// Batches submitted from a manifest, interrupted and resumed
+
+const harness = useCli();
+const { cli, writeTemp } = harness;
+
+const SWEEP = 'OPENQASM 3;\ninput float theta;\nqubit[1] q;\nrx(theta) q[0];\n';
+
+function writeManifest(name, extra = '') {
+  writeTemp('sweep.qasm', SWEEP);
+  return writeTemp(name, [
+    `name: ${name.replace(/\.yaml$/, '')}`, `device: ${SV1}`, 'shots: 10', 'qasm: sweep.qasm', 's3Bucket: results',
+    extra, 'inputs:', '  - { theta: 0.1 }', '  - { theta: 0.2 }', '  - { inputs: { theta: 0.3 }, shots: 20 }', ''
+  ].join('\n'));
+}
+
+const batchFile = (batchId) => path.join(harness.env.XDG_CONFIG_HOME, '@ktmcp-cli', 'awsbraket-nodejs', 'batches', `${batchId}.json`);
+
+test('a batch submits one task per input binding and is not submitted twice', async () => {
+  const manifest = writeManifest('twice.yaml');
+  const first = await cli(['tasks', 'batch', manifest, '--json'], { json: true });
+  assert.equal(first.code, 0, first.stderr);
+  assert.equal(first.data.entries.length, 3);
+  assert.ok(first.data.entries.every(e => e.quantumTaskArn && e.status === 'CREATED'));
+  assert.deepEqual(first.data.entries.map(e => e.shots), [10, 10, 20]);
+
+  const again = await cli(['tasks', 'batch', manifest, '--json'], { json: true });
+  assert.equal(again.code, 0, again.stderr);
+  assert.equal(again.data.batchId, first.data.batchId);
+  assert.deepEqual(again.data.entries.map(e => e.quantumTaskArn), first.data.entries.map(e => e.quantumTaskArn));
+});
+
+test('an interrupted batch resumes with the same client tokens', async () => {
+  const manifest = writeManifest('resume.yaml');
+  const first = await cli(['tasks', 'batch', manifest, '--json'], { json: true });
+  assert.equal(first.code, 0, first.stderr);
+  const { batchId, entries } = first.data;
+
+  // As if the run stopped after sending the second task but before saving its ARN
+  const state = JSON.parse(fs.readFileSync(batchFile(batchId), 'utf8'));
+  delete state.entries[1].quantumTaskArn;
+  delete state.entries[2].quantumTaskArn;
+  fs.writeFileSync(batchFile(batchId), JSON.stringify(state));
+
+  const resumed = await cli(['tasks', 'batch', manifest, '--batch-id', batchId, '--concurrency', '1', '--json'], { json: true });
+  assert.equal(resumed.code, 0, resumed.stderr);
+  // The service deduplicates on clientToken, so the resent task is the original one
+  assert.deepEqual(resumed.data.entries.map(e => e.quantumTaskArn), entries.map(e => e.quantumTaskArn));
+  assert.deepEqual(resumed.data.entries.map(e => e.clientToken), entries.map(e => e.clientToken));
+
+  const status = await cli(['tasks', 'batch', 'status', batchId, '--json'], { json: true });
+  assert.equal(status.code, 0, status.stderr);
+  assert.equal(status.data.entries.length, 3);
+});
+
+test('--concurrency and the manifest concurrency must be positive integers', async () => {
+  const manifest = writeManifest('concurrency.yaml');
+  for (const value of ['0', 'abc', '1.5', '-2']) {
+    const { code, stderr } = await cli(['tasks', 'batch', manifest, '--concurrency', value]);
+    assert.equal(code, EXIT_CODES.validation, value);
+    assert.match(stderr, /--concurrency must be a positive integer/);
+  }
+
+  const invalid = writeManifest('bad-concurrency.yaml', 'concurrency: many');
+  const { code, stderr } = await cli(['tasks', 'batch', invalid]);
+  assert.equal(code, EXIT_CODES.validation);
+  assert.match(stderr, /'concurrency' must be a positive integer/);
+  // Nothing was recorded for either manifest
+  const batches = await cli(['tasks', 'batch', 'list', '--json'], { json: true });
+  assert.ok(batches.data.every(b => !/concurrency/.test(b.batchId)));
+});
@@ -0,0 +1,88 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Cost estimates, and the budgets checked before tasks are submitted
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'awsbraket-budgets-'));
+process.env.XDG_CONFIG_HOME = path.join(home, 'xdg');
+const { estimateTaskCost, estimateJobCost, DEFAULT_PRICING } = await import('../src/pricing.js');
+const { EXIT_CODES } = await import('../src/api.js');
+const { useCli, SV1, BELL } = await import('./helpers.js');
+
+const harness = useCli();
+const { cli, writeTemp } = harness;
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+const ARIA = 'arn:aws:braket:us-east-1::device/qpu/ionq/Aria-1';
+const FORTE = 'arn:aws:braket:us-east-1::device/qpu/ionq/Forte-1';
+
+test('QPU tasks cost a per-task fee plus a per-shot fee', () => {
+  assert.equal(estimateTaskCost({ deviceArn: ARIA, shots: 100, tasks: 2 }, DEFAULT_PRICING).total, 6.6);
+  // Device rates override the provider's
+  assert.equal(estimateTaskCost({ deviceArn: FORTE, shots: 100 }, DEFAULT_PRICING).total, 8.3);
+});
+
+test('managed simulators bill at least the minimum duration', () => {
+  assert.equal(estimateTaskCost({ deviceArn: SV1, shots: 100 }, DEFAULT_PRICING).total, 0.0038);
+  assert.equal(estimateTaskCost({ deviceArn: SV1, shots: 100, minutes: 2 }, DEFAULT_PRICING).total, 0.15);
+});
+
+test('unpriced devices and instances are reported as unknown', () => {
+  const unknown = estimateTaskCost({ deviceArn: 'arn:aws:braket:us-east-1::device/qpu/acme/Q1', shots: 10 }, DEFAULT_PRICING);
+  assert.equal(unknown.known, false);
+  assert.equal(unknown.total, null);
+  assert.equal(estimateJobCost({ instanceType: 'ml.m5.large', instanceCount: 2, hours: 3 }, DEFAULT_PRICING).total, 0.69);
+});
+
+function createTask(extra = []) {
+  const qasm = writeTemp('budget.qasm', BELL);
+  return cli(['tasks', 'create', '--device-arn', SV1, '--qasm', qasm, '--shots', '10', '--s3-bucket', 'results', '--json', ...extra]);
+}
+
+test('config set rejects budgets that are not positive amounts', async () => {
+  for (const args of [['--budget-per-command', 'abc'], ['--budget-monthly', '0'], ['--budget-monthly', '-10']]) {
+    const { code, stderr } = await cli(['config', 'set', ...args]);
+    assert.equal(code, EXIT_CODES.validation, args.join(' '));
+    assert.match(stderr, /must be a positive amount in USD/);
+  }
+});
+
+test('a per-command budget blocks larger submissions unless --force', async () => {
+  assert.equal((await cli(['config', 'set', '--budget-per-command', '0.001'])).code, 0);
+  const blocked = await createTask();
+  assert.equal(blocked.code, EXIT_CODES.budget);
+  assert.equal(JSON.parse(blocked.stdout).error.code, 'BudgetExceeded');
+
+  const forced = await createTask(['--force']);
+  assert.equal(forced.code, 0, forced.stderr);
+  assert.equal((await cli(['config', 'set', '--budget-per-command', '100'])).code, 0);
+});
+
+test('a monthly budget counts the spend recorded this month', async () => {
+  const { data } = await cli(['tasks', 'estimate', '--device-arn', SV1, '--shots', '10', '--json'], { json: true });
+  const spent = data.budget.spent;
+  assert.equal((await cli(['config', 'set', '--budget-monthly', String(spent + 1.5 * data.total)])).code, 0);
+
+  assert.equal((await createTask()).code, 0);
+  const blocked = await createTask();
+  assert.equal(blocked.code, EXIT_CODES.budget);
+  assert.match(JSON.parse(blocked.stdout).error.message, /monthly budget/);
+});
+
+test('a null budget left in the config counts as unset', async () => {
+  const file = path.join(harness.env.XDG_CONFIG_HOME, '@ktmcp-cli', 'awsbraket-nodejs', 'config.json');
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fs.writeFileSync(file, JSON.stringify({ ...config, budgetPerCommand: null, budgetMonthly: null }));
+
+  const created = await createTask();
+  assert.equal(created.code, 0, created.stderr);
+  const estimate = await cli(['tasks', 'estimate', '--device-arn', SV1, '--shots', '10', '--json'], { json: true });
+  assert.equal(estimate.data.budget.perCommand, undefined);
+  assert.equal((await cli(['config', 'list'])).code, 0);
+});
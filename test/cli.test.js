@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXIT_CODES } from '../src/api.js';
+import { useCli, SV1, BELL } from './helpers.js';
+
+// End-to-end runs of the CLI against mock-server
+
+const { cli, writeTemp } = useCli();
+
+test('devices list shows the mock devices', async () => {
+  const { code, data } = await cli(['devices', 'list', '--output', 'json'], { json: true });
+  assert.equal(code, 0);
+  assert.ok(data.some(d => d.deviceArn === SV1 && d.deviceStatus === 'ONLINE'));
+});
+
+test('a task runs to completion and its results are fetched from S3', async () => {
+  const qasm = writeTemp('bell.qasm', BELL);
+  const created = await cli(['tasks', 'create', '--device-arn', SV1, '--qasm', qasm, '--shots', '100', '--s3-bucket', 'results', '--wait', '--json'], { json: true });
+  assert.equal(created.code, 0, created.stderr);
+  assert.equal(created.data.status, 'COMPLETED');
+
+  const { code, data } = await cli(['tasks', 'results', created.data.quantumTaskArn, '--json'], { json: true });
+  assert.equal(code, 0);
+  assert.deepEqual(Object.keys(data.counts).sort(), ['00', '11']);
+  assert.equal(Object.values(data.counts).reduce((a, b) => a + b, 0), 100);
+});
+
+test('circuits logs and metrics read the job log stream', async () => {
+  const script = writeTemp('train.py', 'print("training")\n');
+  const created = await cli([
+    'circuits', 'create', '--job-name', 'cli-test-job', '--role-arn', 'arn:aws:iam::123456789012:role/BraketJobs',
+    '--source', script, '--device', SV1, '--output-bucket', 'results', '--force'
+  ]);
+  assert.equal(created.code, 0, created.stderr);
+
+  const logs = await cli(['circuits', 'logs', 'cli-test-job', '--follow']);
+  assert.equal(logs.code, 0, logs.stderr);
+  assert.match(logs.stdout, /Starting job cli-test-job/);
+  assert.match(logs.stdout, /Job completed/);
+
+  const metrics = await cli(['circuits', 'metrics', 'cli-test-job', '--output', 'json'], { json: true });
+  assert.equal(metrics.code, 0, metrics.stderr);
+  assert.deepEqual(metrics.data.map(m => m.iteration), [0, 1, 2, 3, 4]);
+  assert.ok(metrics.data.every(m => typeof m.Cost === 'number'));
+});
+
+test('a wrong secret key fails signature checks with the auth exit code', async () => {
+  const { code, stderr } = await cli(['devices', 'list'], { extraEnv: { AWS_SECRET_ACCESS_KEY: 'wrong' } });
+  assert.equal(code, EXIT_CODES.auth);
+  assert.match(stderr, /signature/i);
+});
@@ -0,0 +1,125 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// The credential chain, resolved against a throwaway HOME, config directory
+// and shared AWS files. The config module reads its location on import.
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'awsbraket-credentials-'));
+const credentialsFile = path.join(home, 'credentials');
+const configFile = path.join(home, 'config');
+
+for (const name of Object.keys(process.env).filter(n => n.startsWith('AWS_'))) delete process.env[name];
+Object.assign(process.env, {
+  HOME: home,
+  XDG_CONFIG_HOME: path.join(home, 'xdg'),
+  AWS_SHARED_CREDENTIALS_FILE: credentialsFile,
+  AWS_CONFIG_FILE: configFile,
+  AWS_EC2_METADATA_DISABLED: 'true'
+});
+
+const { resolveCredentials, setCredentialProfile, clearCredentialCache } = await import('../src/credentials.js');
+const { setConfig, deleteConfig } = await import('../src/config.js');
+const { writeSecret } = await import('../src/secrets.js');
+const { CredentialsError } = await import('../src/api.js');
+
+const ENV_KEYS = ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN', 'AWS_PROFILE', 'AWS_CONTAINER_CREDENTIALS_FULL_URI', 'AWS_CONTAINER_AUTHORIZATION_TOKEN'];
+
+beforeEach(async () => {
+  for (const name of ENV_KEYS) delete process.env[name];
+  fs.rmSync(credentialsFile, { force: true });
+  fs.rmSync(configFile, { force: true });
+  deleteConfig('accessKeyId');
+  await writeSecret('secretAccessKey', undefined);
+  setCredentialProfile(null);
+  clearCredentialCache();
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('environment variables come first', async () => {
+  fs.writeFileSync(credentialsFile, '[default]\naws_access_key_id = AKIDFILE\naws_secret_access_key = file\n');
+  Object.assign(process.env, { AWS_ACCESS_KEY_ID: 'AKIDENV', AWS_SECRET_ACCESS_KEY: 'env', AWS_SESSION_TOKEN: 'token' });
+  const credentials = await resolveCredentials();
+  assert.equal(credentials.accessKeyId, 'AKIDENV');
+  assert.equal(credentials.sessionToken, 'token');
+  assert.equal(credentials.source, 'environment');
+});
+
+test('a named profile merges the config file under the credentials file', async () => {
+  fs.writeFileSync(configFile, '[profile dev]\naws_access_key_id = AKIDCONFIG\naws_secret_access_key = config\nregion = eu-west-2\n');
+  fs.writeFileSync(credentialsFile, '[dev]\naws_secret_access_key = override\n');
+  process.env.AWS_PROFILE = 'dev';
+  const credentials = await resolveCredentials();
+  assert.equal(credentials.accessKeyId, 'AKIDCONFIG');
+  assert.equal(credentials.secretAccessKey, 'override');
+  assert.equal(credentials.source, 'profile:dev');
+});
+
+test('--profile overrides AWS_PROFILE and a missing profile is an error', async () => {
+  fs.writeFileSync(credentialsFile, '[dev]\naws_access_key_id = AKIDDEV\naws_secret_access_key = dev\n');
+  process.env.AWS_PROFILE = 'dev';
+  setCredentialProfile('missing');
+  await assert.rejects(resolveCredentials(), CredentialsError);
+});
+
+test('credential_process output is used for a profile', async () => {
+  const script = path.join(home, 'process.js');
+  fs.writeFileSync(script, 'console.log(JSON.stringify({ Version: 1, AccessKeyId: "AKIDPROC", SecretAccessKey: "proc", SessionToken: "t" }));\n');
+  fs.writeFileSync(configFile, `[profile proc]\ncredential_process = "${process.execPath}" "${script}"\n`);
+  setCredentialProfile('proc');
+  const credentials = await resolveCredentials();
+  assert.equal(credentials.accessKeyId, 'AKIDPROC');
+  assert.equal(credentials.sessionToken, 't');
+});
+
+test('a circular source_profile chain is rejected', async () => {
+  fs.writeFileSync(configFile, [
+    '[profile a]', 'role_arn = arn:aws:iam::123456789012:role/A', 'source_profile = b',
+    '[profile b]', 'role_arn = arn:aws:iam::123456789012:role/B', 'source_profile = a'
+  ].join('\n'));
+  setCredentialProfile('a');
+  await assert.rejects(resolveCredentials(), /Circular source_profile chain: a -> b -> a/);
+});
+
+test('keys stored with config set come before the default profile', async () => {
+  fs.writeFileSync(credentialsFile, '[default]\naws_access_key_id = AKIDDEFAULT\naws_secret_access_key = default\n');
+  setConfig('accessKeyId', 'AKIDSTORED');
+  await writeSecret('secretAccessKey', 'stored');
+  const stored = await resolveCredentials();
+  assert.equal(stored.accessKeyId, 'AKIDSTORED');
+  assert.equal(stored.source, 'config');
+
+  deleteConfig('accessKeyId');
+  const fallback = await resolveCredentials({ forceRefresh: true });
+  assert.equal(fallback.accessKeyId, 'AKIDDEFAULT');
+  assert.equal(fallback.source, 'profile:default');
+});
+
+test('container credentials are the last resort', async (t) => {
+  let authorization;
+  const server = http.createServer((req, res) => {
+    authorization = req.headers.authorization;
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ AccessKeyId: 'AKIDECS', SecretAccessKey: 'ecs', Token: 'ecs-token', Expiration: new Date(Date.now() + 3600e3).toISOString() }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  process.env.AWS_CONTAINER_CREDENTIALS_FULL_URI = `http://127.0.0.1:${server.address().port}/creds`;
+  process.env.AWS_CONTAINER_AUTHORIZATION_TOKEN = 'secret-token';
+
+  const credentials = await resolveCredentials();
+  assert.equal(credentials.accessKeyId, 'AKIDECS');
+  assert.equal(credentials.sessionToken, 'ecs-token');
+  assert.equal(credentials.source, 'container');
+  assert.equal(authorization, 'secret-token');
+});
+
+test('nothing configured resolves to no credentials', async () => {
+  assert.equal(await resolveCredentials(), null);
+});
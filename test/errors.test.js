@@ -0,0 +1,103 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Typed errors, from the service's error documents to the CLI's exit codes
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'awsbraket-errors-'));
+process.env.XDG_CONFIG_HOME = path.join(home, 'xdg');
+const {
+  toBraketError, withSettings, createQuantumTask, getQuantumTask, EXIT_CODES,
+  BraketError, ValidationError, AccessDeniedError, ResourceNotFoundError, ThrottlingError,
+  ServiceQuotaExceededError, DeviceUnavailableError, ConflictError, InternalServiceError, NetworkError
+} = await import('../src/api.js');
+const { useCli, SV1, BELL } = await import('./helpers.js');
+
+const harness = useCli();
+const { cli, writeTemp } = harness;
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+const httpError = (status, data, headers = {}) => ({ response: { status, data, headers } });
+
+test('the error type comes from x-amzn-errortype, then the body, then the status', () => {
+  const fromHeader = toBraketError(httpError(400, { message: 'over quota' }, {
+    'x-amzn-errortype': 'ServiceQuotaExceededException:http://internal.amazon.com/',
+    'x-amzn-requestid': 'req-1'
+  }));
+  assert.ok(fromHeader instanceof ServiceQuotaExceededError);
+  assert.equal(fromHeader.code, 'ServiceQuotaExceededException');
+  assert.equal(fromHeader.message, 'over quota');
+  assert.equal(fromHeader.requestId, 'req-1');
+  assert.equal(fromHeader.status, 400);
+  assert.equal(fromHeader.exitCode, EXIT_CODES.quota);
+
+  const namespaced = toBraketError(httpError(424, { __type: 'com.amazonaws.braket#DeviceOfflineException', message: 'offline' }));
+  assert.ok(namespaced instanceof DeviceUnavailableError);
+  assert.equal(namespaced.code, 'DeviceOfflineException');
+
+  const xml = toBraketError(httpError(403, '<Error><Code>ExpiredToken</Code><Message>expired</Message></Error>'));
+  assert.ok(xml instanceof AccessDeniedError);
+  assert.equal(xml.message, 'expired');
+
+  for (const [status, ErrorClass] of [[400, ValidationError], [403, AccessDeniedError], [404, ResourceNotFoundError],
+    [409, ConflictError], [429, ThrottlingError], [503, InternalServiceError], [418, BraketError]]) {
+    const error = toBraketError(httpError(status, {}));
+    assert.equal(error.constructor, ErrorClass, `HTTP ${status}`);
+    assert.equal(error.code, `Http${status}`);
+  }
+});
+
+test('requests that get no response are network errors', () => {
+  const error = toBraketError({ request: {}, code: 'ECONNREFUSED' });
+  assert.ok(error instanceof NetworkError);
+  assert.equal(error.code, 'ECONNREFUSED');
+  assert.equal(error.exitCode, EXIT_CODES.network);
+});
+
+test('every category has its own exit code, and toJSON carries them', () => {
+  assert.equal(new Set(Object.values(EXIT_CODES)).size, Object.keys(EXIT_CODES).length);
+  const error = new ConflictError('already done', { code: 'ConflictException', status: 409, requestId: 'req-2' });
+  assert.deepEqual(error.toJSON(), {
+    name: 'ConflictError', code: 'ConflictException', message: 'already done', status: 409,
+    requestId: 'req-2', category: 'conflict', exitCode: EXIT_CODES.conflict
+  });
+});
+
+test('service errors arrive typed from mock-server', async () => {
+  const settings = { credentials: { accessKeyId: 'test', secretAccessKey: 'test' }, endpoint: harness.env.AWS_ENDPOINT_URL };
+  await withSettings(settings, async () => {
+    await assert.rejects(createQuantumTask({
+      deviceArn: 'arn:aws:braket:eu-west-2::device/qpu/oqc/Lucy', shots: 10, outputS3Bucket: 'results', action: '{}'
+    }), (error) => error instanceof DeviceUnavailableError && error.code === 'DeviceRetiredException' && !!error.requestId);
+    await assert.rejects(getQuantumTask('arn:aws:braket:us-east-1:123456789012:quantum-task/missing'), ResourceNotFoundError);
+  });
+});
+
+test('the CLI exits with the category code and prints the error under --json', async () => {
+  const missing = 'arn:aws:braket:us-east-1:123456789012:quantum-task/missing';
+  const plain = await cli(['tasks', 'get', missing]);
+  assert.equal(plain.code, EXIT_CODES.notFound);
+  assert.match(plain.stderr, /ResourceNotFoundException: .* \(request id: [\w-]+\)/);
+
+  const json = await cli(['tasks', 'get', missing, '--json']);
+  assert.equal(json.code, EXIT_CODES.notFound);
+  const { error } = JSON.parse(json.stdout);
+  assert.equal(error.code, 'ResourceNotFoundException');
+  assert.equal(error.category, 'notFound');
+  assert.equal(error.exitCode, EXIT_CODES.notFound);
+  assert.ok(error.requestId);
+});
+
+test('cancelling a finished task is a conflict', async () => {
+  const qasm = writeTemp('conflict.qasm', BELL);
+  const created = await cli(['tasks', 'create', '--device-arn', SV1, '--qasm', qasm, '--shots', '10', '--s3-bucket', 'results', '--wait', '--json'], { json: true });
+  assert.equal(created.code, 0, created.stderr);
+  const cancelled = await cli(['tasks', 'cancel', created.data.quantumTaskArn]);
+  assert.equal(cancelled.code, EXIT_CODES.conflict);
+  assert.match(cancelled.stderr, /ConflictException/);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTime, parseFilterExpression, buildTaskFilters, sortItems } from '../src/filters.js';
+import { ValidationError } from '../src/api.js';
+
+const NOW = Date.parse('2026-09-15T12:00:00Z');
+
+test('parseTime reads relative ages and absolute dates', () => {
+  assert.equal(parseTime('7d', NOW), '2026-09-08T12:00:00.000Z');
+  assert.equal(parseTime('90m', NOW), '2026-09-15T10:30:00.000Z');
+  assert.equal(parseTime('1.5h', NOW), '2026-09-15T10:30:00.000Z');
+  assert.equal(parseTime('2026-09-01T00:00:00Z', NOW), '2026-09-01T00:00:00.000Z');
+  assert.throws(() => parseTime('yesterday', NOW), ValidationError);
+});
+
+test('parseFilterExpression maps symbols and words to operators', () => {
+  assert.deepEqual(parseFilterExpression('status in completed, failed'), { name: 'status', operator: 'EQUAL', values: ['COMPLETED', 'FAILED'] });
+  assert.deepEqual(parseFilterExpression('DeviceArn=local:sv'), { name: 'deviceArn', operator: 'EQUAL', values: ['local:sv'] });
+  assert.deepEqual(parseFilterExpression('createdAt>=2026-09-01T00:00:00Z'), { name: 'createdAt', operator: 'GTE', values: ['2026-09-01T00:00:00.000Z'] });
+  assert.deepEqual(
+    parseFilterExpression('createdAt between 2026-09-01T00:00:00Z,2026-09-30T00:00:00Z'),
+    { name: 'createdAt', operator: 'BETWEEN', values: ['2026-09-01T00:00:00.000Z', '2026-09-30T00:00:00.000Z'] }
+  );
+});
+
+test('parseFilterExpression rejects bad expressions with InvalidFilter', () => {
+  for (const expression of ['nonsense', 'color=blue', 'status>COMPLETED', 'createdAt between 2026-09-01']) {
+    assert.throws(() => parseFilterExpression(expression), (error) => error instanceof ValidationError && error.code === 'InvalidFilter', expression);
+  }
+});
+
+test('buildTaskFilters adds --since and --until as createdAt bounds', () => {
+  const filters = buildTaskFilters({ filter: ['status=RUNNING'], since: '2026-09-01T00:00:00Z', until: '2026-09-02T00:00:00Z' });
+  assert.deepEqual(filters.map(f => [f.name, f.operator]), [['status', 'EQUAL'], ['createdAt', 'GTE'], ['createdAt', 'LTE']]);
+});
+
+test('sortItems sorts by several keys, numbers and dates by value', () => {
+  const items = [
+    { status: 'FAILED', shots: 100, createdAt: '2026-09-02T00:00:00Z' },
+    { status: 'COMPLETED', shots: 9, createdAt: '2026-09-03T00:00:00Z' },
+    { status: 'COMPLETED', shots: 10, createdAt: '2026-09-01T00:00:00Z' }
+  ];
+  assert.deepEqual(sortItems(items, 'shots').map(i => i.shots), [9, 10, 100]);
+  assert.deepEqual(sortItems(items, 'status,-shots').map(i => i.shots), [10, 9, 100]);
+  assert.deepEqual(sortItems(items, 'createdAt:desc').map(i => i.shots), [9, 100, 10]);
+  assert.equal(sortItems(items, undefined), items);
+});
@@ -0,0 +1,60 @@
+import { before, after } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startMockServer } from '../src/mockserver.js';
+
+// Shared setup for the suites that drive the CLI, as a child process, against
+// an in-process mock-server with a throwaway HOME and config directory
+
+const BIN = fileURLToPath(new URL('../bin/awsbraket.js', import.meta.url));
+
+export const SV1 = 'arn:aws:braket:::device/quantum-simulator/amazon/sv1';
+export const BELL = 'OPENQASM 3;\nqubit[2] q;\nh q[0];\ncnot q[0], q[1];\n';
+
+// Registers before/after hooks for the calling suite and returns
+// { cli, writeTemp, server, home, env }; server, home and env are set once
+// the before hook has run
+export function useCli({ transitionMs = 100 } = {}) {
+  const harness = {};
+
+  before(async () => {
+    harness.server = await startMockServer({ port: 0, transitionMs });
+    harness.home = fs.mkdtempSync(path.join(os.tmpdir(), 'awsbraket-cli-'));
+    harness.env = {
+      PATH: process.env.PATH,
+      HOME: harness.home,
+      XDG_CONFIG_HOME: path.join(harness.home, 'config'),
+      AWS_ACCESS_KEY_ID: 'test',
+      AWS_SECRET_ACCESS_KEY: 'test',
+      AWS_REGION: 'us-east-1',
+      AWS_ENDPOINT_URL: `http://127.0.0.1:${harness.server.address().port}`,
+      NO_COLOR: '1',
+      CI: '1'
+    };
+  });
+
+  after(() => {
+    harness.server.close();
+    fs.rmSync(harness.home, { recursive: true, force: true });
+  });
+
+  // Resolves with { code, stdout, stderr }; `json` parses stdout into `data`
+  harness.cli = (args, { json = false, extraEnv = {}, input } = {}) => new Promise((resolve) => {
+    const child = execFile(process.execPath, [BIN, ...args], { env: { ...harness.env, ...extraEnv }, timeout: 30000 }, (error, stdout, stderr) => {
+      const code = error ? error.code ?? 1 : 0;
+      resolve({ code, stdout, stderr, ...(json && !code ? { data: JSON.parse(stdout) } : {}) });
+    });
+    child.stdin.end(input);
+  });
+
+  harness.writeTemp = (name, content) => {
+    const file = path.join(harness.home, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  return harness;
+}
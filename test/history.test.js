@@ -0,0 +1,107 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+// The local history store, queried offline and refreshed with `history sync`
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'awsbraket-history-'));
+process.env.XDG_CONFIG_HOME = path.join(home, 'xdg');
+const { sourceHash, recordTasks, listHistory, findHistoryEntry } = await import('../src/history.js');
+const { OPENQASM_ACTION } = await import('../src/circuits.js');
+const { EXIT_CODES, ValidationError, ResourceNotFoundError } = await import('../src/api.js');
+const { useCli, SV1, BELL } = await import('./helpers.js');
+
+const harness = useCli();
+const { cli, writeTemp } = harness;
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+const ARIA = 'arn:aws:braket:us-east-1::device/qpu/ionq/Aria-1';
+const taskArn = (id) => `arn:aws:braket:us-east-1:123456789012:quantum-task/${id}`;
+
+test('the source hash covers the OpenQASM source, or the whole action', () => {
+  const action = (source) => ({ braketSchemaHeader: { name: OPENQASM_ACTION, version: '1' }, source });
+  assert.equal(sourceHash(action(BELL)), sourceHash(JSON.stringify(action(BELL))));
+  assert.notEqual(sourceHash(action(BELL)), sourceHash(action(`${BELL}measure q;\n`)));
+  assert.match(sourceHash({ braketSchemaHeader: { name: 'braket.ir.ahs.program' } }), /^sha256:[0-9a-f]{64}$/);
+});
+
+test('later observations update an entry without losing what the creator knew', () => {
+  const created = { quantumTaskArn: taskArn('aaa111'), deviceArn: ARIA, shots: 100, status: 'CREATED', createdAt: '2026-01-02T00:00:00Z' };
+  recordTasks([created], { action: { source: BELL }, estimate: { known: true, total: 3.3 } });
+  recordTasks([{ ...created, status: 'FAILED', failureReason: 'device offline' }]);
+  recordTasks([{ ...created, status: 'COMPLETED', outputS3Bucket: 'results', outputS3Directory: 'tasks/aaa111' }]);
+
+  const entry = findHistoryEntry('aaa111');
+  assert.equal(entry.status, 'COMPLETED');
+  assert.equal(entry.failureReason, undefined, 'the failure reason went with the FAILED status');
+  assert.equal(entry.estimatedCost, 3.3);
+  assert.match(entry.sourceHash, /^sha256:/);
+  assert.equal(entry.region, 'us-east-1');
+  assert.equal(entry.resultLocation, 's3://results/tasks/aaa111/results.json');
+});
+
+test('entries are filtered by kind, device, time and status, newest first', () => {
+  recordTasks([
+    { quantumTaskArn: taskArn('aab222'), deviceArn: SV1, shots: 10, status: 'RUNNING', createdAt: '2026-03-01T00:00:00Z' },
+    { quantumTaskArn: taskArn('bbb333'), deviceArn: SV1, shots: 10, status: 'COMPLETED', createdAt: '2026-02-01T00:00:00Z' }
+  ]);
+  assert.deepEqual(listHistory().map(e => e.arn.split('/').pop()), ['aab222', 'bbb333', 'aaa111']);
+  assert.deepEqual(listHistory({ device: 'sv1' }).map(e => e.shots), [10, 10]);
+  assert.equal(listHistory({ device: ARIA }).length, 1);
+  assert.deepEqual(listHistory({ since: '2026-02-15T00:00:00Z' }).map(e => e.status), ['RUNNING']);
+  assert.deepEqual(listHistory({ status: ['COMPLETED'] }).map(e => e.arn.split('/').pop()), ['bbb333', 'aaa111']);
+  assert.deepEqual(listHistory({ kind: 'job' }), []);
+});
+
+test('entries are found by ARN, id or a unique prefix of the id', () => {
+  assert.equal(findHistoryEntry(taskArn('bbb333')).status, 'COMPLETED');
+  assert.equal(findHistoryEntry('bb').arn, taskArn('bbb333'));
+  assert.throws(() => findHistoryEntry('aa'), ValidationError);
+  assert.throws(() => findHistoryEntry('zzz'), ResourceNotFoundError);
+});
+
+test('created tasks are recorded and queried offline from the CLI', async () => {
+  const qasm = writeTemp('history.qasm', BELL);
+  const created = await cli(['tasks', 'create', '--device-arn', SV1, '--qasm', qasm, '--shots', '10', '--s3-bucket', 'results', '--json'], { json: true });
+  assert.equal(created.code, 0, created.stderr);
+  const id = created.data.quantumTaskArn.split('/').pop();
+
+  const listed = await cli(['history', 'list', '--device', 'sv1', '--status', 'created', '--json'], { json: true });
+  assert.equal(listed.code, 0, listed.stderr);
+  assert.deepEqual(listed.data.map(e => e.arn), [created.data.quantumTaskArn]);
+  assert.equal(listed.data[0].shots, 10);
+  assert.match(listed.data[0].sourceHash, /^sha256:/);
+
+  const shown = await cli(['history', 'show', id.slice(0, 8), '--json'], { json: true });
+  assert.equal(shown.code, 0, shown.stderr);
+  assert.equal(shown.data.arn, created.data.quantumTaskArn);
+
+  const exported = await cli(['history', 'export', '--csv']);
+  assert.equal(exported.code, 0, exported.stderr);
+  const [header, row] = exported.stdout.trim().split('\n');
+  assert.match(header, /^kind,arn,name,region,deviceArn,shots,sourceHash,status/);
+  assert.match(row, new RegExp(`^task,${created.data.quantumTaskArn},`));
+
+  const missing = await cli(['history', 'show', 'no-such-task']);
+  assert.equal(missing.code, EXIT_CODES.notFound);
+  const badKind = await cli(['history', 'list', '--kind', 'circuit']);
+  assert.equal(badKind.code, EXIT_CODES.validation);
+});
+
+test('history sync refreshes unfinished entries from the API', async () => {
+  // The mock advances tasks every 100 ms, so the CREATED entry above has finished
+  await sleep(500);
+  const synced = await cli(['history', 'sync', '--json'], { json: true });
+  assert.equal(synced.code, 0, synced.stderr);
+  assert.equal(synced.data.checked, 1);
+  assert.deepEqual(synced.data.changed.map(e => [e.from, e.status]), [['CREATED', 'COMPLETED']]);
+
+  const again = await cli(['history', 'sync', '--json'], { json: true });
+  assert.equal(again.data.checked, 0);
+});
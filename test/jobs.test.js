@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { packageSource } from '../src/jobs.js';
+import { ValidationError } from '../src/api.js';
+
+// Entries of a ustar archive as { name, type, mode, data }, checking each header's checksum
+function readTar(archive) {
+  const tar = zlib.gunzipSync(archive);
+  const entries = [];
+  for (let offset = 0; offset + 512 <= tar.length;) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+    const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+    const checksum = header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 32 : byte), 0);
+    assert.equal(parseInt(field(148, 8), 8), checksum);
+    assert.equal(field(257, 6), 'ustar');
+    const size = parseInt(field(124, 12), 8);
+    const prefix = field(345, 155);
+    entries.push({
+      name: prefix ? `${prefix}/${field(0, 100)}` : field(0, 100),
+      type: field(156, 1),
+      mode: parseInt(field(100, 8), 8),
+      data: tar.subarray(offset + 512, offset + 512 + size).toString('utf8')
+    });
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'awsbraket-jobs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('a directory is packaged under its own name, skipping caches', (t) => {
+  const root = path.join(tempDir(t), 'my_job');
+  fs.mkdirSync(path.join(root, 'lib'), { recursive: true });
+  fs.mkdirSync(path.join(root, '__pycache__'));
+  fs.writeFileSync(path.join(root, 'algorithm.py'), 'def main():\n    pass\n');
+  fs.writeFileSync(path.join(root, 'lib', 'util.py'), 'X = 1\n');
+  fs.writeFileSync(path.join(root, '__pycache__', 'algorithm.cpython-311.pyc'), 'compiled');
+  fs.chmodSync(path.join(root, 'algorithm.py'), 0o755);
+
+  const { archive, files, isDirectory } = packageSource(root);
+  assert.equal(files, 2);
+  assert.equal(isDirectory, true);
+  const entries = readTar(archive);
+  assert.deepEqual(entries.map(e => [e.name, e.type]), [
+    ['my_job/', '5'], ['my_job/algorithm.py', '0'], ['my_job/lib/', '5'], ['my_job/lib/util.py', '0']
+  ]);
+  assert.equal(entries[1].data, 'def main():\n    pass\n');
+  assert.equal(entries[1].mode, 0o755);
+  assert.equal(entries[3].data, 'X = 1\n');
+});
+
+test('a single script sits at the archive root', (t) => {
+  const script = path.join(tempDir(t), 'train.py');
+  fs.writeFileSync(script, 'print("hi")\n'.repeat(100));
+  const { archive, files, isDirectory } = packageSource(script);
+  assert.equal(files, 1);
+  assert.equal(isDirectory, false);
+  const [entry, ...rest] = readTar(archive);
+  assert.deepEqual(rest, []);
+  assert.equal(entry.name, 'train.py');
+  assert.equal(entry.data, 'print("hi")\n'.repeat(100));
+});
+
+test('paths over 100 bytes are split into prefix and name', (t) => {
+  const deep = path.join(tempDir(t), 'src', 'a'.repeat(60), 'b'.repeat(60));
+  fs.mkdirSync(deep, { recursive: true });
+  fs.writeFileSync(path.join(deep, 'module.py'), 'pass\n');
+  const names = readTar(packageSource(path.dirname(path.dirname(deep))).archive).map(e => e.name);
+  assert.ok(names.includes(`src/${'a'.repeat(60)}/${'b'.repeat(60)}/module.py`));
+});
+
+test('a missing source is an InvalidSource error', () => {
+  assert.throws(() => packageSource('/nonexistent/awsbraket-source'), (error) => error instanceof ValidationError && error.code === 'InvalidSource');
+});
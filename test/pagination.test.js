@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { paginate } from '../src/api.js';
+import { useCli } from './helpers.js';
+
+const { cli } = useCli();
+
+test('paginate follows nextToken from the starting token to the last page', async () => {
+  const pages = { start: { items: [1, 2], nextToken: 'b' }, b: { items: [3], nextToken: 'c' }, c: { items: [] } };
+  const tokens = [];
+  const items = [];
+  for await (const item of paginate(async (token) => { tokens.push(token); return pages[token]; }, 'items', 'start')) {
+    items.push(item);
+  }
+  assert.deepEqual(items, [1, 2, 3]);
+  assert.deepEqual(tokens, ['start', 'b', 'c']);
+});
+
+test('a single page reports the token to resume from', async () => {
+  const first = await cli(['devices', 'list', '--page-size', '2', '--output', 'json'], { json: true });
+  assert.equal(first.code, 0, first.stderr);
+  assert.equal(first.data.length, 2);
+  const [, token] = first.stderr.match(/--next-token (\S+)/);
+
+  const second = await cli(['devices', 'list', '--page-size', '2', '--next-token', token, '--output', 'json'], { json: true });
+  assert.equal(second.code, 0, second.stderr);
+  assert.equal(second.data.length, 2);
+  assert.ok(second.data.every(d => !first.data.some(f => f.deviceArn === d.deviceArn)));
+});
+
+test('--all fetches every page', async () => {
+  const all = await cli(['devices', 'list', '--all', '--page-size', '2', '--output', 'json'], { json: true });
+  assert.equal(all.code, 0, all.stderr);
+  assert.equal(new Set(all.data.map(d => d.deviceArn)).size, all.data.length);
+  assert.ok(all.data.length > 4);
+  assert.doesNotMatch(all.stderr, /--next-token/);
+
+  const capped = await cli(['devices', 'list', '--all', '--page-size', '2', '--max-results', '3', '--output', 'json'], { json: true });
+  assert.deepEqual(capped.data.map(d => d.deviceArn), all.data.slice(0, 3).map(d => d.deviceArn));
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyQuery } from '../src/query.js';
+import { ValidationError, EXIT_CODES } from '../src/api.js';
+import { startMockServer } from '../src/mockserver.js';
+import { useCli, SV1, BELL } from './helpers.js';
+
+const TASKS = [
+  { quantumTaskArn: 'arn:1', status: 'COMPLETED', shots: 100, createdAt: '2026-09-01T00:00:00Z' },
+  { quantumTaskArn: 'arn:2', status: 'FAILED', shots: 10, createdAt: '2026-09-03T00:00:00Z' }
+];
+
+test('applyQuery evaluates JMESPath projections and filters', () => {
+  assert.deepEqual(applyQuery(TASKS, "[?status=='FAILED'].quantumTaskArn"), ['arn:2']);
+  assert.deepEqual(applyQuery(TASKS, '[].{arn: quantumTaskArn, shots: shots}'), [{ arn: 'arn:1', shots: 100 }, { arn: 'arn:2', shots: 10 }]);
+  assert.equal(applyQuery(TASKS, 'length(@)'), 2);
+  assert.equal(applyQuery(TASKS, 'max_by(@, &shots).quantumTaskArn'), 'arn:1');
+});
+
+test('applyQuery compares ISO dates as strings', () => {
+  assert.deepEqual(applyQuery(TASKS, "[?createdAt > '2026-09-02'].quantumTaskArn"), ['arn:2']);
+});
+
+test('applyQuery sees the data as JSON output would print it', () => {
+  assert.deepEqual(applyQuery({ when: new Date('2026-09-01T00:00:00Z'), skip: undefined }, '*'), ['2026-09-01T00:00:00.000Z']);
+  assert.equal(applyQuery(TASKS, ''), TASKS);
+});
+
+test('applyQuery reports syntax errors as InvalidQuery', () => {
+  assert.throws(() => applyQuery(TASKS, '[?status=='), (error) => error instanceof ValidationError && error.code === 'InvalidQuery');
+});
+
+// ============================================================
+// Through the CLI
+// ============================================================
+
+const { cli, writeTemp } = useCli();
+
+function createJob(jobName, extraEnv) {
+  const script = writeTemp(`${jobName}.py`, 'print("training")\n');
+  return cli([
+    'circuits', 'create', '--job-name', jobName, '--role-arn', 'arn:aws:iam::123456789012:role/BraketJobs',
+    '--source', script, '--device', SV1, '--output-bucket', 'results', '--force'
+  ], { extraEnv });
+}
+
+test('--query filters list output', async () => {
+  const qasm = writeTemp('query.qasm', BELL);
+  const created = await cli(['tasks', 'create', '--device-arn', SV1, '--qasm', qasm, '--shots', '10', '--s3-bucket', 'results', '--wait', '--json'], { json: true });
+  assert.equal(created.code, 0, created.stderr);
+
+  const listed = await cli(['tasks', 'list', '--query', "[?status=='COMPLETED'].quantumTaskArn", '--output', 'json'], { json: true });
+  assert.ok(listed.data.includes(created.data.quantumTaskArn));
+  const yaml = await cli(['--query', 'length(@)', '--output', 'yaml', 'tasks', 'list']);
+  assert.match(yaml.stdout, /^\d+\n$/);
+});
+
+test('circuits cancel reports through --json', async (t) => {
+  // A server slow enough that the job is still queued when it is cancelled
+  const slow = await startMockServer({ port: 0, transitionMs: 60000 });
+  t.after(() => slow.close());
+  const extraEnv = { AWS_ENDPOINT_URL: `http://127.0.0.1:${slow.address().port}` };
+  assert.equal((await createJob('query-cancel-job', extraEnv)).code, 0);
+  const { code, data } = await cli(['circuits', 'cancel', 'query-cancel-job', '--json'], { json: true, extraEnv });
+  assert.equal(code, 0);
+  assert.equal(data.cancellationStatus, 'CANCELLING');
+});
+
+test('circuits logs --follow applies --query to every event', async () => {
+  const created = await createJob('query-follow-job');
+  assert.equal(created.code, 0, created.stderr);
+
+  const lines = await cli(['circuits', 'logs', 'query-follow-job', '--follow', '--poll-interval', '0.1', '--output', 'jsonl', '--query', 'message']);
+  assert.equal(lines.code, 0, lines.stderr);
+  const messages = lines.stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.ok(messages.every(m => typeof m === 'string'));
+  assert.ok(messages.some(m => /Starting job query-follow-job/.test(m)));
+
+  const plain = await cli(['circuits', 'logs', 'query-follow-job', '--follow', '--poll-interval', '0.1', '--query', 'message']);
+  assert.equal(plain.code, 0, plain.stderr);
+  assert.match(plain.stdout, /^Starting job query-follow-job/m);
+});
+
+test('circuits logs --follow rejects formats that cannot stream', async () => {
+  for (const output of ['yaml', 'csv', 'tsv']) {
+    // The error itself is reported in the requested format
+    const { code, stdout, stderr } = await cli(['circuits', 'logs', 'query-follow-job', '--follow', '--output', output]);
+    assert.equal(code, EXIT_CODES.validation, output);
+    assert.match(stdout + stderr, /--follow prints one JSON line per event/);
+  }
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Retries and timeouts against a local server that answers each request with
+// the next scripted response
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'awsbraket-retry-'));
+process.env.XDG_CONFIG_HOME = path.join(home, 'xdg');
+const { getDevice, withSettings, InternalServiceError, NetworkError, ValidationError, EXIT_CODES } = await import('../src/api.js');
+const { useCli, SV1 } = await import('./helpers.js');
+
+const credentials = { accessKeyId: 'test', secretAccessKey: 'test' };
+const { cli } = useCli();
+
+let server;
+let endpoint;
+let script = [];
+let attempts = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    attempts++;
+    const { status = 200, headers = {}, body = { deviceArn: SV1 }, hang } = script.shift() || {};
+    if (hang) return;
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function call(settings, responses) {
+  script = responses;
+  attempts = 0;
+  return withSettings({ credentials, endpoint, ...settings }, () => getDevice(SV1));
+}
+
+const serverError = { status: 500, headers: { 'x-amzn-errortype': 'InternalServiceException' }, body: { message: 'boom' } };
+
+test('server errors are retried up to maxRetries times', async () => {
+  await assert.rejects(call({ maxRetries: 2 }, Array(5).fill(serverError)), InternalServiceError);
+  assert.equal(attempts, 3);
+
+  await assert.rejects(call({ maxRetries: 0 }, Array(5).fill(serverError)), InternalServiceError);
+  assert.equal(attempts, 1);
+});
+
+test('a throttled request is retried after Retry-After and then succeeds', async () => {
+  const throttled = { status: 429, headers: { 'x-amzn-errortype': 'ThrottlingException', 'retry-after': '0' }, body: { message: 'slow down' } };
+  const device = await call({ maxRetries: 3 }, [throttled, throttled]);
+  assert.equal(device.deviceArn, SV1);
+  assert.equal(attempts, 3);
+});
+
+test('client errors are not retried', async () => {
+  await assert.rejects(call({ maxRetries: 3 }, [{ status: 400, headers: { 'x-amzn-errortype': 'ValidationException' }, body: { message: 'bad' } }]), ValidationError);
+  assert.equal(attempts, 1);
+});
+
+test('a request that does not answer in time fails as a network error', async () => {
+  await assert.rejects(call({ maxRetries: 0, timeout: 0.2 }, [{ hang: true }]), NetworkError);
+  assert.equal(attempts, 1);
+});
+
+test('invalid retry and timeout settings are rejected before any request', async () => {
+  for (const settings of [{ maxRetries: NaN }, { maxRetries: -1 }, { maxRetries: 1.5 }, { timeout: 0 }, { timeout: 'abc' }]) {
+    await assert.rejects(call(settings, []), ValidationError);
+  }
+  assert.equal(attempts, 0);
+});
+
+test('the CLI rejects invalid --max-retries and --timeout, globally and in config set', async () => {
+  for (const args of [
+    ['--max-retries', 'abc', 'devices', 'list'],
+    ['--timeout', '-5', 'devices', 'list'],
+    ['config', 'set', '--max-retries', '2.5'],
+    ['config', 'set', '--timeout', 'soon']
+  ]) {
+    const { code, stderr } = await cli(args);
+    assert.equal(code, EXIT_CODES.validation, args.join(' '));
+    assert.match(stderr, /--max-retries must be a non-negative integer|--timeout must be a positive number/);
+  }
+
+  const stored = await cli(['config', 'set', '--max-retries', '0', '--timeout', '1.5']);
+  assert.equal(stored.code, 0, stored.stderr);
+  const listed = await cli(['devices', 'list', '--output', 'json'], { json: true });
+  assert.equal(listed.code, 0, listed.stderr);
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Roles assumed through mock-server's STS, with the sessions cached in a
+// command secret backend that logs every write
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'awsbraket-roles-'));
+const store = path.join(home, 'secrets');
+const writes = path.join(home, 'writes.log');
+const ROLE_ARN = 'arn:aws:iam::123456789012:role/BraketUser';
+
+for (const name of Object.keys(process.env).filter(n => n.startsWith('AWS_'))) delete process.env[name];
+Object.assign(process.env, {
+  HOME: home,
+  XDG_CONFIG_HOME: path.join(home, 'xdg'),
+  AWS_ACCESS_KEY_ID: 'test',
+  AWS_SECRET_ACCESS_KEY: 'test',
+  AWS_EC2_METADATA_DISABLED: 'true'
+});
+
+const { resolveCredentials, setRoleOptions, clearCredentialCache } = await import('../src/credentials.js');
+const { setConfig } = await import('../src/config.js');
+const { readSecret, writeSecret } = await import('../src/secrets.js');
+const { listDevices, withSettings } = await import('../src/api.js');
+const { startMockServer } = await import('../src/mockserver.js');
+
+let server;
+let stsCalls = 0;
+
+before(async () => {
+  server = await startMockServer({ port: 0, log: ({ service }) => { if (service === 'sts') stsCalls++; } });
+  process.env.AWS_ENDPOINT_URL = `http://127.0.0.1:${server.address().port}`;
+  fs.mkdirSync(store);
+  setConfig('secretBackend', {
+    type: 'command',
+    name: 'command',
+    get: `cat "${store}/{key}"`,
+    set: `cat > "${store}/{key}" && echo {key} >> "${writes}"`
+  });
+  setRoleOptions({ roleArn: ROLE_ARN });
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+const writeCount = () => (fs.existsSync(writes) ? fs.readFileSync(writes, 'utf8').split('\n').filter(Boolean).length : 0);
+
+test('an assumed role is reused from the secret backend by the next process', async () => {
+  const assumed = await resolveCredentials();
+  assert.match(assumed.accessKeyId, /^ASIA/);
+  assert.equal(assumed.source, `environment -> ${ROLE_ARN}`);
+  assert.equal(stsCalls, 1);
+  assert.equal(writeCount(), 1);
+
+  // A new process starts without the in-memory copy
+  clearCredentialCache();
+  const cached = await resolveCredentials();
+  assert.equal(cached.accessKeyId, assumed.accessKeyId);
+  assert.equal(cached.source, `environment -> ${ROLE_ARN} (cached)`);
+  assert.equal(stsCalls, 1);
+  assert.equal(writeCount(), 1, 'a cache hit writes nothing');
+
+  // The session's own keys are what sign the API calls
+  const devices = await withSettings({ credentials: cached }, () => listDevices());
+  assert.ok(devices.length);
+});
+
+test('a forced refresh assumes the role again and replaces the session', async () => {
+  const previous = JSON.parse(await readSecret('roleSessions'));
+  const refreshed = await resolveCredentials({ forceRefresh: true });
+  assert.equal(stsCalls, 2);
+  assert.equal(writeCount(), 2);
+  const current = JSON.parse(await readSecret('roleSessions'));
+  assert.deepEqual(Object.keys(current), Object.keys(previous));
+  assert.equal(Object.values(current)[0].accessKeyId, refreshed.accessKeyId);
+  assert.notEqual(refreshed.accessKeyId, Object.values(previous)[0].accessKeyId);
+});
+
+test('expired sessions are pruned when a new one is stored', async () => {
+  const sessions = JSON.parse(await readSecret('roleSessions'));
+  await writeSecret('roleSessions', JSON.stringify({
+    ...sessions,
+    stale: { accessKeyId: 'ASIASTALE', secretAccessKey: 's', expiration: new Date(Date.now() - 1000).toISOString() }
+  }));
+  setRoleOptions({ roleArn: ROLE_ARN, externalId: 'other' });
+
+  await resolveCredentials();
+  const stored = JSON.parse(await readSecret('roleSessions'));
+  assert.equal(stored.stale, undefined);
+  assert.equal(Object.keys(stored).length, 2);
+});
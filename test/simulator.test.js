@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQasm } from '../src/qasm.js';
+import { simulate, MAX_QUBITS, GATE_MODEL_RESULT_SCHEMA } from '../src/simulator.js';
+
+const BELL = 'OPENQASM 3;\nqubit[2] q;\nh q[0];\ncnot q[0], q[1];\n';
+
+function program(source) {
+  const parsed = parseQasm(source);
+  assert.deepEqual(parsed.errors, []);
+  return parsed;
+}
+
+function countsOf(result) {
+  const counts = {};
+  for (const bits of result.measurements) counts[bits.join('')] = (counts[bits.join('')] || 0) + 1;
+  return counts;
+}
+
+test('a Bell circuit only measures 00 and 11', () => {
+  const result = simulate(program(BELL), { shots: 200, seed: 7 });
+  assert.equal(result.braketSchemaHeader.name, GATE_MODEL_RESULT_SCHEMA);
+  assert.deepEqual(result.measuredQubits, [0, 1]);
+  assert.equal(result.measurements.length, 200);
+  assert.deepEqual(Object.keys(countsOf(result)).sort(), ['00', '11']);
+});
+
+test('a seed makes sampling repeatable', () => {
+  const run = (seed) => simulate(program(BELL), { shots: 50, seed }).measurements;
+  assert.deepEqual(run(42), run(42));
+});
+
+test('probability results agree with the measurement counts', () => {
+  const result = simulate(program(`${BELL}#pragma braket result probability\n`), { shots: 100, seed: 3 });
+  const counts = countsOf(result);
+  assert.deepEqual(result.resultTypes[0].value, ['00', '01', '10', '11'].map(bits => (counts[bits] || 0) / 100));
+});
+
+test('0 shots gives exact result types', () => {
+  const result = simulate(program(`${BELL}#pragma braket result probability\n#pragma braket result expectation z(q[0]) @ z(q[1])\n#pragma braket result state_vector\n`));
+  const [probability, expectation, stateVector] = result.resultTypes;
+  probability.value.forEach((p, i) => assert.ok(Math.abs(p - [0.5, 0, 0, 0.5][i]) < 1e-12));
+  assert.ok(Math.abs(expectation.value - 1) < 1e-12);
+  assert.ok(Math.abs(stateVector.value[0][0] - Math.SQRT1_2) < 1e-12);
+  assert.equal(result.measurements, undefined);
+});
+
+test('measuring a subset reports only those qubits', () => {
+  const result = simulate(program('OPENQASM 3;\nqubit[3] q;\nbit[1] b;\nx q[2];\nb[0] = measure q[2];\n'), { shots: 10, seed: 1 });
+  assert.deepEqual(result.measuredQubits, [2]);
+  assert.ok(result.measurements.every(bits => bits.length === 1 && bits[0] === 1));
+});
+
+test('simulate rejects programs it cannot run', () => {
+  assert.throws(() => simulate(program(BELL), { shots: 0 }), /at least one result type/);
+  assert.throws(() => simulate(program(`${BELL}#pragma braket result state_vector\n`), { shots: 10 }), /require shots = 0/);
+  assert.throws(() => simulate(program(`OPENQASM 3;\nqubit[${MAX_QUBITS + 1}] q;\n`), { shots: 1 }), /supports up to/);
+});
@@ -0,0 +1,99 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Tags on create, default tags from config, the tags commands and --tag filtering
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'awsbraket-tags-'));
+process.env.XDG_CONFIG_HOME = path.join(home, 'xdg');
+const { parseTag, parseTags, resolveTags, tagMatcher } = await import('../src/tags.js');
+const { EXIT_CODES, ValidationError } = await import('../src/api.js');
+const { useCli, SV1, BELL } = await import('./helpers.js');
+
+const harness = useCli();
+const { cli, writeTemp } = harness;
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('tags parse from key=value, comma lists and JSON', () => {
+  assert.deepEqual(parseTag(' team = qc '), ['team', 'qc']);
+  assert.deepEqual(parseTag('url=https://x?a=b'), ['url', 'https://x?a=b']);
+  assert.deepEqual(parseTag('team', { allowBare: true }), ['team', undefined]);
+  assert.throws(() => parseTag('team'), ValidationError);
+  assert.throws(() => parseTag('=qc'), ValidationError);
+
+  assert.deepEqual(parseTags('a=1,b=2'), { a: '1', b: '2' });
+  assert.deepEqual(parseTags('{"a": 1}'), { a: '1' });
+  const file = path.join(home, 'tags.json');
+  fs.writeFileSync(file, '{"project": "vqe"}');
+  assert.deepEqual(parseTags(file), { project: 'vqe' });
+  assert.throws(() => parseTags('["a"]'), ValidationError);
+});
+
+test('later tag sources win and the Braket limits are enforced', () => {
+  assert.deepEqual(resolveTags({ tags: 'team=b,env=dev', tag: ['env=prod'] }, { team: 'a', owner: 'me' }), { team: 'b', owner: 'me', env: 'prod' });
+  assert.throws(() => resolveTags({ tag: ['aws:cost=1'] }), /reserved aws: prefix/);
+  assert.throws(() => resolveTags({ tag: [`${'k'.repeat(129)}=v`] }), /1-128 characters/);
+  assert.throws(() => resolveTags({ tag: [`k=${'v'.repeat(257)}`] }), /longer than 256/);
+  assert.throws(() => resolveTags({}, Object.fromEntries(Array.from({ length: 51 }, (_, i) => [`k${i}`, 'v']))), /at most 50/);
+});
+
+test('a tag filter matches every spec, with a bare key matching any value', () => {
+  const match = tagMatcher(['team', 'env=prod']);
+  assert.equal(match({ tags: { team: 'qc', env: 'prod' } }), true);
+  assert.equal(match({ tags: { team: 'qc', env: 'dev' } }), false);
+  assert.equal(match({ tags: { env: 'prod' } }), false);
+  assert.equal(match({}), false);
+  assert.equal(tagMatcher()({}), true);
+});
+
+function createTask(extra = []) {
+  const qasm = writeTemp('tags.qasm', BELL);
+  return cli(['tasks', 'create', '--device-arn', SV1, '--qasm', qasm, '--shots', '10', '--s3-bucket', 'results', '--json', ...extra], { json: true });
+}
+
+test('tasks are created with the default tags and --tag, and listed by tag', async () => {
+  assert.equal((await cli(['config', 'set', '--default-tags', 'project=vqe,env=dev'])).code, 0);
+  const tagged = await createTask(['--tag', 'env=prod', '--tag', 'owner=ana']);
+  assert.equal(tagged.code, 0, tagged.stderr);
+  const plain = await createTask();
+  assert.equal(plain.code, 0, plain.stderr);
+  assert.equal((await cli(['config', 'set', '--default-tags', ''])).code, 0);
+
+  const listed = await cli(['tags', 'list', tagged.data.quantumTaskArn, '--json'], { json: true });
+  assert.equal(listed.code, 0, listed.stderr);
+  assert.deepEqual(listed.data, { project: 'vqe', env: 'prod', owner: 'ana' });
+
+  const byTag = await cli(['tasks', 'list', '--tag', 'owner', '--tag', 'project=vqe', '--all', '--json'], { json: true });
+  assert.equal(byTag.code, 0, byTag.stderr);
+  assert.deepEqual(byTag.data.map(t => t.quantumTaskArn), [tagged.data.quantumTaskArn]);
+
+  const invalid = await createTask(['--tag', 'aws:owner=ana']);
+  assert.equal(invalid.code, EXIT_CODES.validation);
+});
+
+test('tags add and remove edit a task, and jobs are found by name', async () => {
+  const { data: task } = await createTask();
+  const added = await cli(['tags', 'add', task.quantumTaskArn, 'team=qc', 'cost-center=42', '--json'], { json: true });
+  assert.equal(added.code, 0, added.stderr);
+  assert.deepEqual(added.data.added, { team: 'qc', 'cost-center': '42' });
+
+  const removed = await cli(['tags', 'remove', task.quantumTaskArn, 'team', '--json'], { json: true });
+  assert.equal(removed.code, 0, removed.stderr);
+  assert.deepEqual((await cli(['tags', 'list', task.quantumTaskArn, '--json'], { json: true })).data, { 'cost-center': '42' });
+
+  const job = await cli(['circuits', 'create', '--job-name', 'tagged-job', '--role-arn', 'arn:aws:iam::123456789012:role/braket',
+    '--script-uri', 's3://results/jobs/tagged-job/script/source.tar.gz', '--entry-point', 'algo:main', '--device', SV1,
+    '--output-bucket', 'results', '--tags', '{"project": "qaoa"}', '--tag', 'stage=test', '--json'], { json: true });
+  assert.equal(job.code, 0, job.stderr);
+  const jobTags = await cli(['tags', 'list', 'tagged-job', '--json'], { json: true });
+  assert.equal(jobTags.code, 0, jobTags.stderr);
+  assert.deepEqual(jobTags.data, { project: 'qaoa', stage: 'test' });
+
+  const bad = await cli(['tags', 'add', task.quantumTaskArn, 'no-value']);
+  assert.equal(bad.code, EXIT_CODES.validation);
+});